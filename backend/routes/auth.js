@@ -0,0 +1,49 @@
+const express = require('express');
+const { getBearerToken, requireAuth } = require('../services/auth');
+const router = express.Router();
+
+// Start a wallet sign-in: returns the message to sign for `address`
+router.post('/challenge', (req, res) => {
+  const { address } = req.body || {};
+
+  try {
+    res.json({ success: true, ...req.app.locals.authService.createChallenge(address) });
+  } catch (err) {
+    res.status(400).json({
+      error: 'Invalid sign-in request',
+      details: err.message
+    });
+  }
+});
+
+// Finish a sign-in with the signed challenge; returns the session token
+router.post('/session', (req, res) => {
+  const { address, signature } = req.body || {};
+
+  if (!address || !signature) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'address and signature are required'
+    });
+  }
+
+  try {
+    res.json({ success: true, ...req.app.locals.authService.createSession(address, signature) });
+  } catch (err) {
+    res.status(401).json({
+      error: 'Sign-in failed',
+      details: err.message
+    });
+  }
+});
+
+router.get('/session', requireAuth, (req, res) => {
+  res.json({ success: true, address: req.user.address });
+});
+
+router.delete('/session', requireAuth, (req, res) => {
+  req.app.locals.authService.revoke(getBearerToken(req));
+  res.json({ success: true });
+});
+
+module.exports = router;
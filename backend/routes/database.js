@@ -0,0 +1,104 @@
+const express = require('express');
+const { requireAuth, findOwnedWorkflow } = require('../services/auth');
+const router = express.Router();
+
+const requireDatabase = (req, res, next) => {
+  if (!req.app.locals.databaseService) {
+    return res.status(503).json({ error: 'Database service not initialized' });
+  }
+  next();
+};
+
+// Run a database node's query outside of a workflow run: `connection`, `query`
+// with :name placeholders, `params`, the node's `input`, `operation` (select
+// reads rows, anything else writes), `transaction` and `timeout` (ms, capped by
+// the service). Saved connections and SQLite files are those of `workflowId`,
+// which must be one of the caller's workflows; without it only
+// sqlite::memory: is available.
+router.post('/query', requireAuth, requireDatabase, async (req, res) => {
+  const { connection, workflowId, query, params, input, operation, transaction, timeout } = req.body || {};
+
+  if (!query) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'query is required'
+    });
+  }
+
+  try {
+    if (workflowId && !await findOwnedWorkflow(req, res, workflowId)) return;
+    const result = await req.app.locals.databaseService.execute({
+      connection,
+      workflowId,
+      query,
+      params,
+      input,
+      mode: (operation || 'select') === 'select' ? 'read' : 'write',
+      transaction: Boolean(transaction),
+      timeout: Number(timeout) || undefined
+    });
+    res.json({ success: true, ...result });
+
+  } catch (err) {
+    console.error('Database query failed:', err.message);
+    res.status(502).json({
+      error: 'Database query failed',
+      details: err.message
+    });
+  }
+});
+
+// A workflow's saved connections: names and hosts, never the URLs
+router.get('/connections/:workflowId', requireAuth, requireDatabase, async (req, res) => {
+  const { workflowId } = req.params;
+
+  try {
+    if (!await findOwnedWorkflow(req, res, workflowId)) return;
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load workflow', details: err.message });
+  }
+  res.json({ success: true, workflowId, connections: req.app.locals.databaseService.listConnections(workflowId) });
+});
+
+// Save a connection for a workflow's database nodes: `url` (postgres://...)
+router.put('/connections/:workflowId/:name', requireAuth, requireDatabase, async (req, res) => {
+  const { workflowId, name } = req.params;
+
+  try {
+    if (!await findOwnedWorkflow(req, res, workflowId)) return;
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load workflow', details: err.message });
+  }
+
+  try {
+    const connection = req.app.locals.databaseService.setConnection(workflowId, name, req.body?.url);
+    res.json({ success: true, workflowId, connection });
+
+  } catch (err) {
+    res.status(400).json({
+      error: 'Invalid database connection',
+      details: err.message
+    });
+  }
+});
+
+router.delete('/connections/:workflowId/:name', requireAuth, requireDatabase, async (req, res) => {
+  const { workflowId, name } = req.params;
+
+  try {
+    if (!await findOwnedWorkflow(req, res, workflowId)) return;
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load workflow', details: err.message });
+  }
+
+  if (!req.app.locals.databaseService.removeConnection(workflowId, name)) {
+    return res.status(404).json({
+      error: 'Database connection not found',
+      workflowId,
+      name
+    });
+  }
+  res.json({ success: true, workflowId, name });
+});
+
+module.exports = router;
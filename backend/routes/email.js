@@ -0,0 +1,103 @@
+const express = require('express');
+const { collectFiles } = require('../services/files');
+const { requireAuth, findOwnedWorkflow } = require('../services/auth');
+const router = express.Router();
+
+const requireEmail = (req, res, next) => {
+  if (!req.app.locals.emailService) {
+    return res.status(503).json({ error: 'Email service not initialized' });
+  }
+  next();
+};
+
+// Send an email node's message outside of a workflow run: `to`, `cc`, `bcc`,
+// `replyTo`, `subject`, `body`, `template` (plain, html, template), the
+// upstream output to take attachments from as `files`, and the `workflowId`
+// whose sender to use, which must be one of the caller's workflows. Mail
+// always goes out from that sender's address.
+router.post('/send', requireAuth, requireEmail, async (req, res) => {
+  const { workflowId, files, attachFiles, ...message } = req.body || {};
+
+  if (!message.to || !workflowId) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'to and workflowId are required'
+    });
+  }
+
+  try {
+    if (!await findOwnedWorkflow(req, res, workflowId)) return;
+    const attachments = attachFiles === false ? [] : collectFiles(files);
+    const result = await req.app.locals.emailService.send({ ...message, workflowId, attachments });
+    res.json({ success: true, ...result });
+
+  } catch (err) {
+    console.error('Email send failed:', err.message);
+    res.status(502).json({
+      error: 'Failed to send email',
+      details: err.message
+    });
+  }
+});
+
+// A workflow's sender, without its password
+router.get('/senders/:workflowId', requireAuth, requireEmail, async (req, res) => {
+  const { workflowId } = req.params;
+
+  try {
+    if (!await findOwnedWorkflow(req, res, workflowId)) return;
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load workflow', details: err.message });
+  }
+
+  const sender = req.app.locals.emailService.getSender(workflowId);
+  if (!sender) {
+    return res.status(404).json({
+      error: 'Email sender not found',
+      workflowId
+    });
+  }
+  res.json({ success: true, workflowId, sender });
+});
+
+// Set a workflow's sender: `host`, `port`, `secure`, `user`, `pass`, `from`
+router.put('/senders/:workflowId', requireAuth, requireEmail, async (req, res) => {
+  const { workflowId } = req.params;
+
+  try {
+    if (!await findOwnedWorkflow(req, res, workflowId)) return;
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load workflow', details: err.message });
+  }
+
+  try {
+    const sender = req.app.locals.emailService.setSender(workflowId, req.body || {});
+    res.json({ success: true, workflowId, sender });
+
+  } catch (err) {
+    res.status(400).json({
+      error: 'Invalid email sender',
+      details: err.message
+    });
+  }
+});
+
+router.delete('/senders/:workflowId', requireAuth, requireEmail, async (req, res) => {
+  const { workflowId } = req.params;
+
+  try {
+    if (!await findOwnedWorkflow(req, res, workflowId)) return;
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load workflow', details: err.message });
+  }
+
+  if (!req.app.locals.emailService.removeSender(workflowId)) {
+    return res.status(404).json({
+      error: 'Email sender not found',
+      workflowId
+    });
+  }
+  res.json({ success: true, workflowId });
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+
+// List chain event watchers and their checkpointed block
+router.get('/', (req, res) => {
+  const { workflowId } = req.query;
+  const watchers = req.app.locals.chainEventListener.list()
+    .filter(watcher => !workflowId || watcher.workflowId === workflowId);
+
+  res.json({
+    success: true,
+    watchers
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const { requireAuth } = require('../services/auth');
+const router = express.Router();
+
+const requireSheets = (req, res, next) => {
+  if (!req.app.locals.googleSheets) {
+    return res.status(503).json({ error: 'Google Sheets service not initialized' });
+  }
+  next();
+};
+
+// Connections belong to the signed-in wallet that made them; every route
+// below only works with the caller's own connections.
+
+// Exchange the builder's OAuth code for a server-side connection
+router.post('/connect', requireAuth, requireSheets, async (req, res) => {
+  const { code, redirectUri } = req.body || {};
+
+  if (!code || !redirectUri) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'code and redirectUri are required'
+    });
+  }
+
+  try {
+    const connection = await req.app.locals.googleSheets.connect({ code, redirectUri, owner: req.user.address });
+    res.json({ success: true, ...connection });
+
+  } catch (err) {
+    console.error('Google connect failed:', err.message);
+    res.status(502).json({
+      error: 'Failed to connect Google account',
+      details: err.message
+    });
+  }
+});
+
+// A current access token of a connection, refreshed if it expired
+router.post('/token', requireAuth, requireSheets, async (req, res) => {
+  const { connectionId } = req.body || {};
+
+  if (!connectionId) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'connectionId is required'
+    });
+  }
+
+  if (!req.app.locals.googleSheets.getConnection(connectionId, req.user.address)) {
+    return res.status(404).json({
+      error: 'Google connection not found',
+      connectionId
+    });
+  }
+
+  try {
+    const { token, expiresAt } = await req.app.locals.googleSheets.getAccessToken({ connectionId, owner: req.user.address });
+    res.json({ success: true, accessToken: token, expiresAt });
+
+  } catch (err) {
+    console.error('Google token refresh failed:', err.message);
+    res.status(401).json({
+      error: 'Failed to get Google access token',
+      details: err.message
+    });
+  }
+});
+
+router.delete('/connections/:connectionId', requireAuth, requireSheets, (req, res) => {
+  const { connectionId } = req.params;
+
+  if (!req.app.locals.googleSheets.disconnect(connectionId, req.user.address)) {
+    return res.status(404).json({
+      error: 'Google connection not found',
+      connectionId
+    });
+  }
+  res.json({ success: true, connectionId });
+});
+
+// Run a sheets node operation outside of a workflow run: `operation` (read,
+// write, append), `spreadsheetId`, `sheetName`, `range`, `headerRow`, the
+// rows as `values` or the node's `input`, and `connectionId` or `accessToken`
+router.post('/', requireAuth, requireSheets, async (req, res) => {
+  const { operation, spreadsheetId, sheetName, range, values, input, headerRow, connectionId, accessToken } = req.body || {};
+
+  if (!spreadsheetId || (!connectionId && !accessToken)) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'spreadsheetId and connectionId (or accessToken) are required'
+    });
+  }
+
+  try {
+    const result = await req.app.locals.googleSheets.execute({
+      operation, spreadsheetId, sheetName, range, values, input, headerRow, connectionId, accessToken, owner: req.user.address
+    });
+    res.json(result);
+
+  } catch (err) {
+    console.error('Google Sheets operation failed:', err.message);
+    res.status(502).json({
+      error: 'Google Sheets operation failed',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
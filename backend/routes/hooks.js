@@ -0,0 +1,207 @@
+const express = require('express');
+const crypto = require('crypto');
+const { getNodeConfig, getNodeSubtype } = require('../services/nodeExecutors');
+const { requireAuth, isOwner } = require('../services/auth');
+const router = express.Router();
+
+// Keep the raw body around for bodies the global JSON/urlencoded parsers skip
+router.use(express.raw({ type: () => true, limit: '10mb' }));
+
+// The path a webhook trigger listens on: explicit `config.path`, else the last
+// path segment of the configured `config.url`, else the node id.
+const getWebhookPath = (node) => {
+  const config = getNodeConfig(node);
+  if (config.path) {
+    return String(config.path).replace(/^\/+|\/+$/g, '');
+  }
+  if (config.url) {
+    try {
+      const segments = new URL(config.url, 'http://localhost').pathname.split('/').filter(Boolean);
+      if (segments.length > 0) return segments[segments.length - 1];
+    } catch (urlErr) {
+      // Not a usable URL, fall through to the node id
+    }
+  }
+  return node.id;
+};
+
+const timingSafeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Check the trigger's optional shared secret, kept on the server (see
+// services/webhookSecrets.js).
+// authMode 'secret': `X-Webhook-Secret` header must equal the secret.
+// authMode 'hmac': `X-Webhook-Signature` must be `sha256=<hex HMAC of raw body>`.
+const verifyWebhookAuth = (config, secret, req) => {
+  const authMode = config.authMode || (secret ? 'hmac' : 'none');
+  if (authMode === 'none') return null;
+
+  if (!secret) {
+    return 'Webhook secret is not configured';
+  }
+
+  if (authMode === 'secret') {
+    const provided = req.get('X-Webhook-Secret');
+    return provided && timingSafeEqual(provided, secret) ? null : 'Invalid webhook secret';
+  }
+
+  const signature = req.get('X-Webhook-Signature') || '';
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(req.rawBody || Buffer.alloc(0)).digest('hex')}`;
+  return timingSafeEqual(signature, expected) ? null : 'Invalid webhook signature';
+};
+
+// Load a workflow for its owner and find the webhook trigger `nodeId` in it
+const findOwnedTrigger = async (req, res) => {
+  const { workflowId, nodeId } = req.params;
+  const workflow = await req.app.locals.workflowRegistry.resolve(workflowId, req.app.locals.kvClient);
+  if (!workflow) {
+    res.status(404).json({ error: 'Workflow not found', workflowId });
+    return null;
+  }
+  if (!isOwner(req, workflow)) {
+    res.status(403).json({ error: 'Only the workflow owner can manage its webhook secrets', workflowId });
+    return null;
+  }
+  const node = (workflow.nodes || []).find(n => n.id === nodeId && n.type === 'trigger');
+  if (!node) {
+    res.status(404).json({ error: 'Trigger node not found in workflow', workflowId, nodeId });
+    return null;
+  }
+  return node;
+};
+
+// Whether a webhook trigger has a secret; the secret itself is never sent back
+router.get('/:workflowId/:nodeId/secret', requireAuth, async (req, res) => {
+  const { workflowId, nodeId } = req.params;
+  try {
+    if (!await findOwnedTrigger(req, res)) return;
+    res.json({ success: true, workflowId, nodeId, hasSecret: Boolean(req.app.locals.webhookSecrets.get(workflowId, nodeId)) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load webhook secret', details: err.message });
+  }
+});
+
+// Set a webhook trigger's secret: `secret`
+router.put('/:workflowId/:nodeId/secret', requireAuth, async (req, res) => {
+  const { workflowId, nodeId } = req.params;
+  try {
+    if (!await findOwnedTrigger(req, res)) return;
+    req.app.locals.webhookSecrets.set(workflowId, nodeId, req.body?.secret);
+    res.json({ success: true, workflowId, nodeId, hasSecret: true });
+  } catch (err) {
+    res.status(400).json({ error: 'Invalid webhook secret', details: err.message });
+  }
+});
+
+router.delete('/:workflowId/:nodeId/secret', requireAuth, async (req, res) => {
+  const { workflowId, nodeId } = req.params;
+  try {
+    if (!await findOwnedTrigger(req, res)) return;
+    if (!req.app.locals.webhookSecrets.remove(workflowId, nodeId)) {
+      return res.status(404).json({ error: 'Webhook secret not found', workflowId, nodeId });
+    }
+    res.json({ success: true, workflowId, nodeId });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to remove webhook secret', details: err.message });
+  }
+});
+
+// Receive a webhook call and start a run of the workflow from the matching trigger
+router.all('/:workflowId/:path', async (req, res) => {
+  const { workflowId, path } = req.params;
+
+  try {
+    const workflow = await req.app.locals.workflowRegistry.resolve(workflowId, req.app.locals.kvClient);
+    if (!workflow) {
+      return res.status(404).json({
+        error: 'Workflow not found',
+        workflowId
+      });
+    }
+
+    const triggerNode = (workflow.nodes || []).find(node =>
+      node.type === 'trigger' && getNodeSubtype(node) === 'webhook' && getWebhookPath(node) === path
+    );
+    if (!triggerNode) {
+      return res.status(404).json({
+        error: 'No webhook trigger listens on this path',
+        workflowId,
+        path
+      });
+    }
+
+    const config = getNodeConfig(triggerNode);
+    const method = (config.method || 'POST').toUpperCase();
+    if (req.method !== method) {
+      res.set('Allow', method);
+      return res.status(405).json({
+        error: 'Method not allowed',
+        details: `This webhook accepts ${method} requests`
+      });
+    }
+
+    // Bodies parsed by express.raw arrive as a Buffer; JSON bodies were parsed upstream
+    let body = req.body;
+    if (Buffer.isBuffer(body)) {
+      req.rawBody = body;
+      const text = body.toString('utf-8');
+      try {
+        body = text ? JSON.parse(text) : {};
+      } catch (parseErr) {
+        body = text;
+      }
+    }
+
+    // Workflows saved before secrets moved to the server still carry theirs
+    const secret = req.app.locals.webhookSecrets.get(workflowId, triggerNode.id) || config.secret;
+    const authError = verifyWebhookAuth(config, secret, req);
+    if (authError) {
+      return res.status(401).json({ error: 'Unauthorized', details: authError });
+    }
+
+    console.log(`🪝 Webhook ${req.method} /api/hooks/${workflowId}/${path} received`);
+
+    const { run, completion } = req.app.locals.workflowEngine.startRun(workflow, {
+      workflowId,
+      trigger: 'webhook',
+      startNodeId: triggerNode.id,
+      triggerData: {
+        body,
+        query: req.query,
+        headers: req.headers,
+        method: req.method,
+        path,
+        receivedAt: new Date().toISOString()
+      }
+    });
+
+    // ?wait=true holds the response until the run finishes
+    if (req.query.wait === 'true') {
+      const finishedRun = await completion;
+      return res.status(finishedRun.status === 'completed' ? 200 : 500).json({
+        success: finishedRun.status === 'completed',
+        runId: finishedRun.id,
+        run: finishedRun
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      runId: run.id,
+      workflowId,
+      status: run.status
+    });
+
+  } catch (err) {
+    console.error('Webhook handling failed:', err);
+    res.status(500).json({
+      error: 'Failed to handle webhook',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
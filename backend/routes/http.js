@@ -0,0 +1,45 @@
+const express = require('express');
+const { requireAuth } = require('../services/auth');
+const { performHttpRequest } = require('../services/httpClient');
+const router = express.Router();
+
+// Longest timeout a caller may ask the proxy for
+const MAX_PROXY_TIMEOUT_MS = 120000;
+
+// Send an HTTP request node's request outside of a workflow run.
+// Takes the node's method, url, headers, body, authType and authData; upstream
+// error statuses are returned as results, not as errors of this endpoint.
+// Only signed-in users may use it, and only public addresses can be reached.
+router.post('/request', requireAuth, async (req, res) => {
+  const { method, url, headers, body, authType, authData, timeout } = req.body || {};
+
+  if (!url) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'url is required'
+    });
+  }
+
+  try {
+    const result = await performHttpRequest({
+      method,
+      url,
+      headers,
+      body,
+      authType,
+      authData,
+      timeout: Math.min(Number(timeout) || 10000, MAX_PROXY_TIMEOUT_MS)
+    });
+
+    res.json({ success: true, result });
+
+  } catch (err) {
+    console.error('HTTP proxy request failed:', err.message);
+    res.status(502).json({
+      error: 'HTTP request failed',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
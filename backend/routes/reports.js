@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+
+// List generated reports, newest first (?workflowId=, ?runId=, ?limit=)
+router.get('/', (req, res) => {
+  const { workflowId, runId, limit } = req.query;
+
+  try {
+    const reports = req.app.locals.reportStore.list({ workflowId, runId, limit: Number(limit) || 50 });
+    res.json({ success: true, reports });
+
+  } catch (err) {
+    console.error('Failed to list reports:', err);
+    res.status(500).json({
+      error: 'Failed to list reports',
+      details: err.message
+    });
+  }
+});
+
+// Get a report's details and markdown
+router.get('/:reportId', (req, res) => {
+  const { reportId } = req.params;
+
+  try {
+    const report = req.app.locals.reportStore.get(reportId);
+    if (!report) {
+      return res.status(404).json({
+        error: 'Report not found',
+        reportId
+      });
+    }
+
+    res.json({ success: true, report });
+
+  } catch (err) {
+    console.error('Failed to get report:', err);
+    res.status(500).json({
+      error: 'Failed to get report',
+      details: err.message
+    });
+  }
+});
+
+// Download a report as a markdown file
+router.get('/:reportId/download', (req, res) => {
+  const { reportId } = req.params;
+
+  try {
+    const report = req.app.locals.reportStore.get(reportId);
+    if (!report) {
+      return res.status(404).json({
+        error: 'Report not found',
+        reportId
+      });
+    }
+
+    res.attachment(report.fileName);
+    res.type('text/markdown; charset=utf-8');
+    res.send(report.markdown);
+
+  } catch (err) {
+    console.error('Failed to download report:', err);
+    res.status(500).json({
+      error: 'Failed to download report',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { RESEARCH_WORKFLOW_ID, buildResearchWorkflow, summarizeResearchRun } = require('../services/researchWorkflow');
+const router = express.Router();
+
+// Run the research pipeline for a query. With `async: true` it answers 202
+// with the run id right away; progress then streams from
+// /api/runs/:runId/events and the result is at GET /:runId. Otherwise it
+// answers once the report is ready.
+router.post('/', async (req, res) => {
+  const { query, numResults, providerAddress, userAddress, async: runAsync } = req.body || {};
+
+  if (!query || !String(query).trim() || !providerAddress) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'query and providerAddress are required'
+    });
+  }
+
+  try {
+    const engine = req.app.locals.workflowEngine;
+    const { run: startedRun, completion } = engine.startRun(
+      buildResearchWorkflow({ query: String(query).trim(), numResults, providerAddress }),
+      {
+        workflowId: RESEARCH_WORKFLOW_ID,
+        trigger: 'manual',
+        triggerData: { query: String(query).trim(), userAddress: userAddress || null }
+      }
+    );
+
+    if (runAsync) {
+      return res.status(202).json({
+        success: true,
+        runId: startedRun.id,
+        status: startedRun.status,
+        eventsUrl: `/api/runs/${startedRun.id}/events`
+      });
+    }
+
+    const run = await completion;
+    const summary = summarizeResearchRun(run);
+    if (!summary.success) {
+      return res.status(500).json({
+        ...summary,
+        error: 'Research workflow failed',
+        details: run.error
+      });
+    }
+    res.json(summary);
+
+  } catch (err) {
+    console.error('Research workflow failed:', err);
+    res.status(500).json({
+      error: 'Research workflow failed',
+      details: err.message
+    });
+  }
+});
+
+// State of a research run, per step, with the report's download link once done
+router.get('/:runId', (req, res) => {
+  const { runId } = req.params;
+
+  try {
+    const run = req.app.locals.workflowEngine.getRun(runId) || req.app.locals.runHistory.get(runId);
+    if (!run || run.workflowId !== RESEARCH_WORKFLOW_ID) {
+      return res.status(404).json({
+        error: 'Research run not found',
+        runId
+      });
+    }
+
+    res.json(summarizeResearchRun(run));
+
+  } catch (err) {
+    console.error('Failed to get research run:', err);
+    res.status(500).json({
+      error: 'Failed to get research run',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
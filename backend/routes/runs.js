@@ -0,0 +1,117 @@
+const express = require('express');
+const { authenticateEventStream } = require('../services/auth');
+const router = express.Router();
+
+// Answers 401 or 403 unless the signed-in user may see a run: the wallet it
+// ran for (its workflow's owner) or the one that started it. Research pipeline
+// runs belong to no wallet and are only known by their random id.
+const checkRunAccess = (req, res, run) => {
+  const wallets = [run.owner, run.renter].filter(Boolean).map(address => address.toLowerCase());
+  if (wallets.length === 0 || (req.user && wallets.includes(req.user.address))) {
+    return true;
+  }
+  res.status(req.user ? 403 : 401).json({
+    error: req.user ? 'Only the workflow owner or the wallet that started the run can see it' : 'Authentication required',
+    runId: run.id
+  });
+  return false;
+};
+
+// Get a recorded run with per-node input, output, error, timings and logs
+router.get('/:runId', (req, res) => {
+  const { runId } = req.params;
+
+  try {
+    const run = req.app.locals.runHistory.get(runId);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Run not found',
+        runId
+      });
+    }
+    if (!checkRunAccess(req, res, run)) return;
+
+    res.json({ success: true, run });
+
+  } catch (err) {
+    console.error('Failed to get run:', err);
+    res.status(500).json({
+      error: 'Failed to get run',
+      details: err.message
+    });
+  }
+});
+
+// Rebuild the event sequence of a run that is no longer buffered from its record
+const eventsFromRecord = (run) => {
+  const { logs = [], ...record } = run;
+  return [
+    { type: 'run:start', data: { ...record, status: 'running', finishedAt: null } },
+    ...Object.entries(record.nodes || {}).map(([nodeId, nodeRun]) => ({
+      type: 'node:state',
+      data: { runId: run.id, nodeId, ...nodeRun }
+    })),
+    ...logs.map(entry => ({ type: 'log', data: entry })),
+    { type: 'run:end', data: record }
+  ].map((event, i) => ({ id: i + 1, ...event }));
+};
+
+// Stream a run's events over Server-Sent Events, for the wallets that can see
+// the run (the session token may come as `?token=`). Every connection first
+// gets the run replayed from the start (or from Last-Event-ID on reconnect),
+// then live events until the run ends; the stream always closes after run:end.
+router.get('/:runId/events', authenticateEventStream, (req, res) => {
+  const { runId } = req.params;
+  const { runEvents, runHistory } = req.app.locals;
+  const afterId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+
+  let run = null;
+  try {
+    run = runHistory.get(runId);
+  } catch (err) {
+    console.error('Failed to get run:', err);
+  }
+  if (!run) {
+    return res.status(404).json({
+      error: 'Run not found',
+      runId
+    });
+  }
+  if (!checkRunAccess(req, res, run)) return;
+  // Runs whose event buffer expired are replayed from their record
+  const record = runEvents.has(runId) ? null : run;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'run:end') res.end();
+  };
+
+  if (record) {
+    // Record event ids don't match the live ones a reconnecting client last
+    // saw, so its run:end (with the whole record) is always sent
+    return eventsFromRecord(record)
+      .filter(event => event.id > afterId || event.type === 'run:end')
+      .forEach(send);
+  }
+
+  const unsubscribe = runEvents.subscribe(runId, send, { afterId });
+  // A finished run has nothing more to send, even when the client had it all
+  if (!unsubscribe || runEvents.isFinished(runId)) {
+    if (!res.writableEnded) res.end();
+    return;
+  }
+  // Comment lines keep proxies from closing an idle stream during long nodes
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
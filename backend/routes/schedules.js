@@ -0,0 +1,64 @@
+const express = require('express');
+const { requireAuth, isOwner, findOwnedWorkflow } = require('../services/auth');
+const router = express.Router();
+
+// List the schedule registrations of the caller's workflows
+router.get('/', requireAuth, (req, res) => {
+  const { workflowId } = req.query;
+  const { scheduler, workflowRegistry } = req.app.locals;
+  const schedules = scheduler.list()
+    .filter(reg => !workflowId || reg.workflowId === workflowId)
+    .filter(reg => isOwner(req, workflowRegistry.get(reg.workflowId)));
+
+  res.json({
+    success: true,
+    schedules
+  });
+});
+
+// The schedule if the caller owns its workflow; answers 404 or 403 itself otherwise
+const findOwnedSchedule = async (req, res) => {
+  const { scheduleId } = req.params;
+  const schedule = req.app.locals.scheduler.get(scheduleId);
+
+  if (!schedule) {
+    res.status(404).json({
+      error: 'Schedule not found',
+      scheduleId
+    });
+    return null;
+  }
+  return await findOwnedWorkflow(req, res, schedule.workflowId) ? schedule : null;
+};
+
+// Pause a schedule
+router.post('/:scheduleId/pause', requireAuth, async (req, res) => {
+  const { scheduleId } = req.params;
+
+  try {
+    if (!await findOwnedSchedule(req, res)) return;
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load workflow', details: err.message });
+  }
+
+  const schedule = req.app.locals.scheduler.pause(scheduleId);
+  console.log(`⏸️  Schedule paused: ${scheduleId}`);
+  res.json({ success: true, schedule });
+});
+
+// Resume a paused schedule
+router.post('/:scheduleId/resume', requireAuth, async (req, res) => {
+  const { scheduleId } = req.params;
+
+  try {
+    if (!await findOwnedSchedule(req, res)) return;
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load workflow', details: err.message });
+  }
+
+  const schedule = req.app.locals.scheduler.resume(scheduleId);
+  console.log(`▶️  Schedule resumed: ${scheduleId}`);
+  res.json({ success: true, schedule });
+});
+
+module.exports = router;
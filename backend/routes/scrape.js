@@ -0,0 +1,39 @@
+const express = require('express');
+const { collectUrls } = require('../services/webScraper');
+const { requireAuth } = require('../services/auth');
+const router = express.Router();
+
+// Scrape pages with a web scraper node's settings, outside of a workflow run:
+// its options (url / urls, extractionMode, selectors, timeout, ...) and input,
+// which URLs are taken from when the node has none of its own. Requires a
+// signed-in wallet; pages may only load from public addresses.
+router.post('/', requireAuth, async (req, res) => {
+  const { input, ...options } = req.body || {};
+  const { webScraper } = req.app.locals;
+
+  if (!webScraper) {
+    return res.status(503).json({ error: 'Web scraper not initialized' });
+  }
+
+  const urls = collectUrls(options, input);
+  if (urls.length === 0) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'url, urls or input with urls is required'
+    });
+  }
+
+  try {
+    const pages = await webScraper.scrape(urls, options);
+    res.json({ success: true, pages });
+
+  } catch (err) {
+    console.error('Scrape failed:', err.message);
+    res.status(502).json({
+      error: 'Scrape failed',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+// Web search with a search node's options, outside of a workflow run: query,
+// numResults, language, region, safeSearch and optionally provider.
+router.post('/', async (req, res) => {
+  const { query, provider, numResults, language, region, safeSearch } = req.body || {};
+  const { searchService } = req.app.locals;
+
+  if (!searchService) {
+    return res.status(503).json({ error: 'Search service not initialized' });
+  }
+  if (!query) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'query is required'
+    });
+  }
+
+  try {
+    const result = await searchService.search({ query, provider, numResults, language, region, safeSearch });
+    res.json({ success: true, ...result });
+
+  } catch (err) {
+    console.error('Search failed:', err.message);
+    res.status(502).json({
+      error: 'Search failed',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { requireAuth } = require('../services/auth');
+const router = express.Router();
+
+const requireStorageService = (req, res, next) => {
+  if (!req.app.locals.storageService) {
+    return res.status(503).json({ error: 'Storage service not initialized' });
+  }
+  next();
+};
+
+// Upload a storage node's data outside of a workflow run: `value` serialized per
+// `format` (auto, json, text, file). Responds with the root and tx hashes.
+// The service wallet pays, so only signed-in wallets can upload.
+router.post('/data', requireAuth, requireStorageService, async (req, res) => {
+  const { value, format } = req.body || {};
+
+  if (value === undefined || value === null || value === '') {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'value is required'
+    });
+  }
+
+  try {
+    const result = await req.app.locals.storageService.uploadValue(value, { format });
+    res.json({ success: true, ...result });
+
+  } catch (err) {
+    console.error('Storage upload failed:', err.message);
+    res.status(502).json({
+      error: 'Storage upload failed',
+      details: err.message
+    });
+  }
+});
+
+// Download a root hash for a storage node, verified, with its content decoded
+// per `format` (auto, json, text, file); files come back base64-encoded
+router.get('/data/:rootHash', requireStorageService, async (req, res) => {
+  const { rootHash } = req.params;
+  const { format, fileName } = req.query;
+
+  try {
+    const result = await req.app.locals.storageService.downloadValue(rootHash, { format, fileName });
+    res.json({ success: true, ...result });
+
+  } catch (err) {
+    console.error('Storage download failed:', err.message);
+    res.status(/^Invalid root hash/.test(err.message) ? 400 : 502).json({
+      error: 'Storage download failed',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
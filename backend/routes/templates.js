@@ -0,0 +1,37 @@
+const express = require('express');
+const { renderTemplate } = require('../services/templates');
+const { FORMAT_PRESETS, REPORT_STYLES } = require('../services/reports');
+const router = express.Router();
+
+// Prompt presets of data formatter nodes and report styles of markdown
+// generator nodes, for the builder
+router.get('/presets', (req, res) => {
+  res.json({ success: true, formatPresets: FORMAT_PRESETS, reportStyles: REPORT_STYLES });
+});
+
+// Render a config field's {{...}} references against node outputs of a run
+// (`outputs` by node id) and the node's `input`, for the builder's preview
+router.post('/preview', (req, res) => {
+  const { template, outputs = {}, input = {} } = req.body || {};
+
+  if (typeof template !== 'string') {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'template is required'
+    });
+  }
+
+  const missing = [];
+  try {
+    const text = renderTemplate(template, { outputs, input }, missing);
+    res.json({ success: true, text, missing: [...new Set(missing)] });
+
+  } catch (err) {
+    res.status(400).json({
+      error: 'Invalid template',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
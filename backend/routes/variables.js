@@ -0,0 +1,73 @@
+const express = require('express');
+const { requireAuth, findOwnedWorkflow } = require('../services/auth');
+const router = express.Router();
+
+const requireVariables = (req, res, next) => {
+  if (!req.app.locals.variableStore) {
+    return res.status(503).json({ error: 'Variable store not initialized' });
+  }
+  next();
+};
+
+// Requests work on the signed-in wallet's own values. The shared values of runs
+// without a renter (schedules, webhooks) are only for the workflow's owner.
+const isShared = shared => shared === true || shared === 'true';
+
+// Persistent variables of a workflow for the signed-in wallet (or, with
+// `?shared=true`, the shared ones), as known to this server
+router.get('/:workflowId', requireAuth, requireVariables, async (req, res) => {
+  const { workflowId } = req.params;
+
+  try {
+    const shared = isShared(req.query.shared);
+    if (shared && !await findOwnedWorkflow(req, res, workflowId)) return;
+    const renter = shared ? null : req.user.address;
+    const variables = req.app.locals.variableStore.list({ workflowId, renter });
+    res.json({ success: true, workflowId, renter, variables });
+
+  } catch (err) {
+    res.status(400).json({
+      error: 'Invalid variables request',
+      details: err.message
+    });
+  }
+});
+
+// Run a persistent variable node's operation outside of a workflow run: `name`,
+// `operation` (get, set, increment), `value`, `amount` and `defaultValue`, on
+// the signed-in wallet's values or, with `shared: true`, the shared ones
+router.post('/:workflowId', requireAuth, requireVariables, async (req, res) => {
+  const { workflowId } = req.params;
+  const { name, operation, value, amount, defaultValue, shared } = req.body || {};
+
+  if (!name) {
+    return res.status(400).json({
+      error: 'Missing required parameters',
+      details: 'name is required'
+    });
+  }
+
+  try {
+    if (isShared(shared) && !await findOwnedWorkflow(req, res, workflowId)) return;
+    const renter = isShared(shared) ? null : req.user.address;
+    const result = await req.app.locals.variableStore.execute({
+      workflowId,
+      renter,
+      name,
+      operation,
+      value,
+      amount,
+      defaultValue
+    });
+    res.json({ success: true, ...result });
+
+  } catch (err) {
+    console.error('Variable operation failed:', err.message);
+    res.status(/^(Invalid|Unknown|Cannot|Variable)/.test(err.message) ? 400 : 502).json({
+      error: 'Variable operation failed',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { ethers } = require('ethers');
+const { requireAuth, isOwner, findOwnedWorkflow, findRunnableWorkflow } = require('../services/auth');
+const { extractSecrets } = require('../services/webhookSecrets');
 const router = express.Router();
 
 // Configure multer for workflow file uploads
@@ -82,9 +84,12 @@ const processWorkflowNode = async (node, broker, uploadedFiles) => {
   }
 };
 
-// Submit workflow endpoint
-router.post('/submit', upload.array('files'), async (req, res) => {
-  const { workflow, providerAddress } = req.body;
+// Submit workflow endpoint. The signed-in wallet becomes the workflow's owner.
+// `storageRootHash` is the root hash of the workflow's file on 0G Storage,
+// which agents minted from it refer to; a saved workflow keeps the hashes of
+// all its files, so agents minted from an earlier save still match.
+router.post('/submit', requireAuth, upload.array('files'), async (req, res) => {
+  const { workflow, providerAddress, storageRootHash } = req.body;
   const files = req.files;
 
   if (!workflow) {
@@ -112,23 +117,40 @@ router.post('/submit', upload.array('files'), async (req, res) => {
       )
     );
 
-// Store workflow in KV storage for tracking
-const timestamp = Date.now().toString();
-const workflowId = ethers.id(timestamp);
-await req.app.locals.batcher.submitSetData(
-  'workflows',
-  Buffer.from(timestamp),
-  Buffer.from(JSON.stringify({
-    ...workflowData,
-    id: workflowId,
-    nodes: processedNodes,
-    status: 'submitted',
-    timestamp: Date.now()
-  }))
-);    res.json({
+    // Store workflow in KV storage for tracking, keyed by its id so it can be
+    // loaded back. Webhook secrets stay on the server. Saving the caller's own
+    // workflow again keeps its id, and with it its secrets, senders,
+    // connections and schedules.
+    const saved = workflowData.id
+      ? await req.app.locals.workflowRegistry.resolve(workflowData.id, req.app.locals.kvClient).catch(() => null)
+      : null;
+    const workflowId = isOwner(req, saved) ? workflowData.id : ethers.id(Date.now().toString());
+    const { workflow: publicWorkflow, secrets } = extractSecrets({ ...workflowData, nodes: processedNodes });
+    req.app.locals.webhookSecrets.setAll(workflowId, secrets);
+    const storedWorkflow = {
+      ...publicWorkflow,
+      id: workflowId,
+      owner: req.user.address,
+      storageRootHashes: [...new Set([
+        ...(workflowId === saved?.id ? saved.storageRootHashes || [] : []),
+        ...(typeof storageRootHash === 'string' && storageRootHash ? [storageRootHash] : [])
+      ])],
+      status: 'submitted',
+      timestamp: Date.now()
+    };
+    await req.app.locals.batcher.submitSetData(
+      'workflows',
+      Buffer.from(workflowId),
+      Buffer.from(JSON.stringify(storedWorkflow))
+    );
+
+    // Keep a local copy so triggers can run it without the browser
+    req.app.locals.workflowRegistry.save(storedWorkflow);
+
+    res.json({
       success: true,
       workflowId,
-      nodes: processedNodes,
+      nodes: storedWorkflow.nodes,
       message: 'Workflow submitted successfully'
     });
 
@@ -153,32 +175,18 @@ await req.app.locals.batcher.submitSetData(
   }
 });
 
-// Get workflow status endpoint
-router.get('/:workflowId', async (req, res) => {
+// Get workflow status endpoint, for its owner and renters
+router.get('/:workflowId', requireAuth, async (req, res) => {
   const { workflowId } = req.params;
 
   try {
-    const kvClient = req.app.locals.kvClient;
-    const value = await kvClient.getValue(
-      'workflows',
-      ethers.encodeBase64(Buffer.from(workflowId))
-    );
-
-    if (!value || value === '0x') {
-      return res.status(404).json({
-        error: 'Workflow not found',
-        workflowId
-      });
-    }
-
-    // Decode workflow data
-    const workflowData = JSON.parse(
-      Buffer.from(value.slice(2), 'hex').toString('utf-8')
-    );
+    const workflowData = await findRunnableWorkflow(req, res, workflowId);
+    if (!workflowData) return;
 
+    // Workflows saved before secrets moved to the server may still carry theirs
     res.json({
       workflowId,
-      ...workflowData
+      ...extractSecrets(workflowData).workflow
     });
 
   } catch (err) {
@@ -190,141 +198,125 @@ router.get('/:workflowId', async (req, res) => {
   }
 });
 
-module.exports = router;
+// List recorded runs of a workflow, newest first, for its owner
+router.get('/:workflowId/runs', requireAuth, async (req, res) => {
+  const { workflowId } = req.params;
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  try {
+    if (!await findOwnedWorkflow(req, res, workflowId)) return;
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load workflow', details: err.message });
+  }
+
+  res.json({
+    success: true,
+    workflowId,
+    runs: req.app.locals.runHistory.listByWorkflow(workflowId, { limit })
+  });
+});
 
-// Execute workflow endpoint
-router.post('/execute', async (req, res) => {
-  const { workflowId, nodeId } = req.body;
+// The id an inline workflow runs under: its own `id` only when the caller
+// owns the saved workflow of that id, so an inline run can't claim another
+// workflow's variables, email sender or database connections
+const getInlineWorkflowId = async (req, workflowData) => {
+  if (!workflowData.id) return null;
+  const saved = await req.app.locals.workflowRegistry.resolve(workflowData.id, req.app.locals.kvClient).catch(() => null);
+  return isOwner(req, saved) ? workflowData.id : null;
+};
 
-  if (!workflowId || !nodeId) {
+// Execute workflow endpoint, for a signed-in wallet. Runs the whole workflow
+// server-side, or a single node when nodeId is given. The workflow is either
+// loaded by workflowId, which only its owner and renters can run, or passed
+// inline as `workflow`; inline runs belong to the caller, saved ones to the
+// workflow's owner. With `async: true` the response returns the run id right
+// away; follow the run at /api/runs/:runId/events. The signed-in wallet is
+// the run's renter, which scopes its persistent variables.
+router.post('/execute', requireAuth, async (req, res) => {
+  const { workflowId, workflow, nodeId, startNodeId, inputData, accessToken, googleConnectionId, async: runAsync } = req.body;
+
+  if (!workflowId && !workflow) {
     return res.status(400).json({
       error: 'Missing required parameters',
-      details: 'workflowId and nodeId are required'
+      details: 'workflowId or workflow is required'
     });
   }
 
   try {
-    // Get workflow data from KV storage
-    const kvClient = req.app.locals.kvClient;
-    const value = await kvClient.getValue(
-      'workflows',
-      ethers.encodeBase64(Buffer.from(workflowId))
-    );
+    const engine = req.app.locals.workflowEngine;
+    const workflowData = workflow
+      ? (typeof workflow === 'string' ? JSON.parse(workflow) : workflow)
+      : await findRunnableWorkflow(req, res, workflowId);
+    if (!workflowData) return;
+
+    const credentials = { googleAccessToken: accessToken, googleConnectionId };
+    const owner = workflow ? req.user.address : workflowData.owner || null;
+    const runWorkflowId = workflow ? await getInlineWorkflowId(req, workflowData) : workflowId;
+    const renter = req.user.address;
+
+    if (nodeId) {
+      // Find the specific node to execute
+      const node = workflowData.nodes.find(n => n.id === nodeId);
+      if (!node) {
+        return res.status(404).json({
+          error: 'Node not found in workflow',
+          workflowId,
+          nodeId
+        });
+      }
 
-    if (!value || value === '0x') {
-      return res.status(404).json({
-        error: 'Workflow not found',
-        workflowId
+      const result = await engine.executeNode(node, inputData || {}, {
+        credentials,
+        workflowId: runWorkflowId,
+        owner,
+        renter
       });
-    }
-
-    // Decode workflow data
-    const workflowData = JSON.parse(
-      Buffer.from(value.slice(2), 'hex').toString('utf-8')
-    );
-
-    // Find the specific node to execute
-    const node = workflowData.nodes.find(n => n.id === nodeId);
-    if (!node) {
-      return res.status(404).json({
-        error: 'Node not found in workflow',
+      return res.json({
+        success: true,
         workflowId,
-        nodeId
+        nodeId,
+        nodeType: node.type,
+        result,
+        executedAt: new Date().toISOString()
       });
     }
 
-    let result = null;
-
-    // Execute based on node type
-    switch (node.type) {
-      case 'httpRequest':
-        // Execute HTTP request
-        const httpResponse = await fetch(node.data.url, {
-          method: node.data.method || 'GET',
-          headers: {
-            'User-Agent': 'Agent0G-Workflow/1.0',
-            'Content-Type': 'application/json',
-            ...Object.fromEntries(
-              (node.data.headers || [])
-                .filter(h => h.key && h.value)
-                .map(h => [h.key, h.value])
-            )
-          },
-          body: (node.data.method !== 'GET' && node.data.body) ? node.data.body : undefined
-        });
-
-        const responseText = await httpResponse.text();
-        let responseData = null;
-
-        try {
-          responseData = JSON.parse(responseText);
-        } catch (parseErr) {
-          responseData = responseText;
-        }
-
-        result = {
-          status: httpResponse.status,
-          statusText: httpResponse.statusText,
-          headers: Object.fromEntries(httpResponse.headers.entries()),
-          data: responseData,
-          url: httpResponse.url
-        };
-        break;
-
-      case 'googleSheets':
-        // Execute Google Sheets operation
-        const sheetsConfig = node.data;
-        const token = req.body.accessToken || localStorage.getItem('google_access_token');
-        
-        if (!token) {
-          throw new Error('Google access token required for Google Sheets operations');
-        }
-
-        const sheetsResponse = await fetch(`${import.meta.env.VITE_API_BASE}/api/google-sheets`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            operation: sheetsConfig.operation || 'read',
-            spreadsheetId: sheetsConfig.selectedSpreadsheet,
-            sheetName: sheetsConfig.selectedSheet,
-            range: sheetsConfig.range,
-            data: req.body.inputData, // Data from connected nodes
-            accessToken: token
-          })
-        });
-
-        if (sheetsResponse.ok) {
-          result = await sheetsResponse.json();
-        } else {
-          throw new Error(`Google Sheets operation failed: ${sheetsResponse.statusText}`);
-        }
-        break;
+    const { run: startedRun, completion } = engine.startRun(workflowData, {
+      workflowId: runWorkflowId,
+      trigger: 'manual',
+      startNodeId,
+      credentials,
+      owner,
+      renter
+    });
 
-      default:
-        return res.status(400).json({
-          error: 'Unsupported node type for execution',
-          nodeType: node.type
-        });
+    if (runAsync) {
+      return res.status(202).json({
+        success: true,
+        workflowId: startedRun.workflowId,
+        runId: startedRun.id,
+        status: startedRun.status
+      });
     }
 
-    res.json({
-      success: true,
-      workflowId,
-      nodeId,
-      nodeType: node.type,
-      result,
-      executedAt: new Date().toISOString()
+    const run = await completion;
+
+    res.status(run.status === 'completed' ? 200 : 500).json({
+      success: run.status === 'completed',
+      workflowId: run.workflowId,
+      runId: run.id,
+      run
     });
 
   } catch (err) {
     console.error('Workflow execution failed:', err);
     res.status(500).json({
-      error: 'Failed to execute workflow node',
+      error: 'Failed to execute workflow',
       details: err.message,
       workflowId,
       nodeId
     });
   }
 });
+
+module.exports = router;
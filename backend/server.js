@@ -8,6 +8,43 @@ const { ethers } = require('ethers');
 const { createZGComputeNetworkBroker } = require('@0glabs/0g-serving-broker');
 const { Indexer, ZgFile, Batcher, KvClient } = require('@0glabs/0g-ts-sdk');
 const OpenAI = require('openai').default;
+const WorkflowEngine = require('./services/workflowEngine');
+const WorkflowRegistry = require('./services/workflowRegistry');
+const Scheduler = require('./services/scheduler');
+const ChainEventListener = require('./services/eventListener');
+const RunHistory = require('./services/runHistory');
+const RunEvents = require('./services/runEvents');
+const WebScraper = require('./services/webScraper');
+const SearchService = require('./services/search');
+const ReportStore = require('./services/reportStore');
+const GoogleSheets = require('./services/googleSheets');
+const EmailService = require('./services/email');
+const DatabaseService = require('./services/database');
+const {
+  getCapabilities, collectImages, buildChatRequest, getMessagesText, runCompletion, compileSchema, runStructured, runEmbedding
+} = require('./services/inference');
+const ZgStorage = require('./services/zgStorage');
+const VariableStore = require('./services/variableStore');
+const AuthService = require('./services/auth');
+const ContractService = require('./services/contractService');
+const WebhookSecrets = require('./services/webhookSecrets');
+const workflowRoutes = require('./routes/workflow');
+const hookRoutes = require('./routes/hooks');
+const scheduleRoutes = require('./routes/schedules');
+const eventRoutes = require('./routes/events');
+const runRoutes = require('./routes/runs');
+const httpRoutes = require('./routes/http');
+const scrapeRoutes = require('./routes/scrape');
+const searchRoutes = require('./routes/search');
+const reportRoutes = require('./routes/reports');
+const researchRoutes = require('./routes/research');
+const googleSheetsRoutes = require('./routes/googleSheets');
+const emailRoutes = require('./routes/email');
+const databaseRoutes = require('./routes/database');
+const storageRoutes = require('./routes/storage');
+const variableRoutes = require('./routes/variables');
+const authRoutes = require('./routes/auth');
+const templateRoutes = require('./routes/templates');
 
 // --- BigInt Handling Utilities ---
 const convertBigIntToString = (data) => {
@@ -225,104 +262,117 @@ const setupAccount = async () => {
   }
 };
 
-// Aligned inference helper with sample (uses 'query' instead of 'prompt', adds fallbackFee)
-const performInference = async (providerAddress, query, fallbackFee = 0.01) => {
-  try {
-    console.log('🔄 Processing inference request...');
-    console.log('Provider:', providerAddress, '(type:', typeof providerAddress, ')');
-    console.log('Query length:', query?.length || 0);
-    console.log('Fallback fee:', fallbackFee);
+// Validate the provider, make sure the account can pay it and acknowledge
+// it, then get its endpoint, model and the billing headers for `content`
+const prepareProviderRequest = async (providerAddress, content) => {
+  // Ensure broker is initialized
+  if (!broker || !brokerInitialized) {
+    throw new Error('Broker not initialized. Please wait for initialization to complete.');
+  }
 
-    // Ensure broker is initialized
-    if (!broker || !brokerInitialized) {
-      throw new Error('Broker not initialized. Please wait for initialization to complete.');
-    }
+  // Validate inputs
+  if (!providerAddress || typeof providerAddress !== 'string') {
+    throw new Error(`Invalid providerAddress: ${providerAddress} (type: ${typeof providerAddress})`);
+  }
 
-    // Validate inputs
-    if (!providerAddress || typeof providerAddress !== 'string') {
-      throw new Error(`Invalid providerAddress: ${providerAddress} (type: ${typeof providerAddress})`);
-    }
-    if (!query || typeof query !== 'string') {
-      throw new Error(`Invalid query: ${query} (type: ${typeof query})`);
-    }
+  // Validate and normalize addresses
+  let provider;
+  try {
+    provider = ethers.getAddress(providerAddress);
+    console.log('✓ Address validated');
+  } catch (addrErr) {
+    throw new Error(`Invalid address format: ${addrErr.message}`);
+  }
 
-    // Validate and normalize addresses
-    let provider;
-    try {
-      provider = ethers.getAddress(providerAddress);
-      console.log('✓ Address validated');
-    } catch (addrErr) {
-      throw new Error(`Invalid address format: ${addrErr.message}`);
+  // Ensure account has funds
+  const MIN_AVAILABLE_FOR_INFERENCE_OG = 0.005;
+  try {
+    let ledger = await broker.ledger.getLedger();
+    let balance = BigInt(ledger.ledgerInfo?.[0] || ledger.balance || ledger.totalBalance || ledger[1] || 0);
+    let locked = BigInt(ledger.locked || ledger.lockedBalance || ledger[2] || 0);
+    let available = balance - locked;
+    console.log(`Pre-inference balance: ${ethers.formatEther(available)} OG available, ${ethers.formatEther(locked)} OG locked`);
+    if (available < ethers.parseEther('0.001')) {
+      throw new Error(`Insufficient available balance: ${ethers.formatEther(available)} OG. Retrieve locked funds or add more funds.`);
     }
+  } catch (balErr) {
+    console.log('⚠️ Balance preparation warning:', balErr?.message || balErr);
+  }
 
-    // Ensure account has funds
-    const MIN_AVAILABLE_FOR_INFERENCE_OG = 0.005;
-    try {
-      let ledger = await broker.ledger.getLedger();
-      let balance = BigInt(ledger.ledgerInfo?.[0] || ledger.balance || ledger.totalBalance || ledger[1] || 0);
-      let locked = BigInt(ledger.locked || ledger.lockedBalance || ledger[2] || 0);
-      let available = balance - locked;
-      console.log(`Pre-inference balance: ${ethers.formatEther(available)} OG available, ${ethers.formatEther(locked)} OG locked`);
-      if (available < ethers.parseEther('0.001')) {
-        throw new Error(`Insufficient available balance: ${ethers.formatEther(available)} OG. Retrieve locked funds or add more funds.`);
+  // Acknowledge provider (with retry logic)
+  const cleanProviderAddress = String(providerAddress).trim();
+  try {
+    console.log('🤝 Acknowledging provider:', cleanProviderAddress);
+    const feeData = await getFeeData();
+    await broker.inference.acknowledgeProviderSigner(cleanProviderAddress, {
+      gasPrice: feeData.gasPrice,
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      nonce: await getNextNonce()
+    });
+    console.log('✓ Provider acknowledged');
+  } catch (err) {
+    const errMsg = String(err?.message || '').toLowerCase();
+    if (errMsg.includes('already acknowledged') || errMsg.includes('duplicate')) {
+      console.log('✓ Provider already acknowledged');
+    } else if (errMsg.includes('invalid array value') || errMsg.includes('replacement')) {
+      console.log('⚠️ Retrying with high gas...');
+      await sleep(5000);
+      try {
+        const highGas = Number(ethers.parseUnits('200', 'gwei'));
+        await broker.inference.acknowledgeProviderSigner(cleanProviderAddress, { gasPrice: highGas, nonce: await getNextNonce() });
+        console.log('✓ Provider acknowledged with high gas');
+      } catch (retryErr) {
+        console.error('❌ Provider acknowledgment failed:', retryErr?.message || retryErr);
+        throw retryErr;
       }
-    } catch (balErr) {
-      console.log('⚠️ Balance preparation warning:', balErr?.message || balErr);
+    } else {
+      throw err;
     }
+  }
 
-    // Acknowledge provider (with retry logic)
-    try {
-      const cleanProviderAddress = String(providerAddress).trim();
-      console.log('🤝 Acknowledging provider:', cleanProviderAddress);
-      const feeData = await getFeeData();
-      await broker.inference.acknowledgeProviderSigner(cleanProviderAddress, {
-        gasPrice: feeData.gasPrice,
-        maxFeePerGas: feeData.maxFeePerGas,
-        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
-        nonce: await getNextNonce()
-      });
-      console.log('✓ Provider acknowledged');
-    } catch (err) {
-      const errMsg = String(err?.message || '').toLowerCase();
-      if (errMsg.includes('already acknowledged') || errMsg.includes('duplicate')) {
-        console.log('✓ Provider already acknowledged');
-      } else if (errMsg.includes('invalid array value') || errMsg.includes('replacement')) {
-        console.log('⚠️ Retrying with high gas...');
-        await sleep(5000);
-        try {
-          const highGas = Number(ethers.parseUnits('200', 'gwei'));
-          await broker.inference.acknowledgeProviderSigner(cleanProviderAddress, { gasPrice: highGas, nonce: await getNextNonce() });
-          console.log('✓ Provider acknowledged with high gas');
-        } catch (retryErr) {
-          console.error('❌ Provider acknowledgment failed:', retryErr?.message || retryErr);
-          throw retryErr;
-        }
-      } else {
-        throw err;
-      }
-    }
+  // Get service metadata
+  const { endpoint, model } = await broker.inference.getServiceMetadata(provider);
+  console.log('✓ Service metadata retrieved:', { endpoint, model });
 
-    // Get service metadata
-    const { endpoint, model } = await broker.inference.getServiceMetadata(provider);
-    console.log('✓ Service metadata retrieved:', { endpoint, model });
+  // Generate request headers
+  const headers = await broker.inference.getRequestHeaders(provider, content);
+  console.log('✓ Request headers generated');
+
+  return { provider, endpoint, model, headers };
+};
+
+// Aligned inference helper with sample (uses 'query' instead of 'prompt', adds fallbackFee).
+// The options add `images` (URLs or data URLs) for vision models, a
+// `systemPrompt`, earlier `messages` and the sampling parameters
+// (`temperature`, `maxTokens`, `topP`, `stop`); see buildChatRequest. With
+// `onToken` the answer is streamed to it token by token, and the response is
+// verified once the stream completes; `signal` aborts the request.
+const performInference = async (providerAddress, query, fallbackFee = 0.01, options = {}) => {
+  try {
+    const images = options.images || [];
+    console.log(`🔄 Processing inference request${options.onToken ? ' (streaming)' : ''}...`);
+    console.log('Provider:', providerAddress, '(type:', typeof providerAddress, ')');
+    console.log('Query length:', query?.length || 0, images.length ? `(${images.length} image(s))` : '');
+    console.log('Fallback fee:', fallbackFee);
 
-    // Generate request headers
-    const headers = await broker.inference.getRequestHeaders(provider, query);
-    console.log('✓ Request headers generated');
+    if (!query || typeof query !== 'string') {
+      throw new Error(`Invalid query: ${query} (type: ${typeof query})`);
+    }
+    const request = buildChatRequest(query, options);
+    const { provider, endpoint, model, headers } = await prepareProviderRequest(providerAddress, getMessagesText(request.messages));
 
     // Call service using OpenAI SDK
     const openai = new OpenAI({ baseURL: endpoint, apiKey: '' });
-    const completion = await openai.chat.completions.create(
+    const { answer, chatId, usage, finishReason } = await runCompletion(
+      openai,
       {
-        messages: [{ role: 'user', content: query }],
+        ...request,
         model,
       },
-      { headers }
+      { headers, signal: options.signal, onToken: options.onToken }
     );
 
-    const answer = completion.choices[0].message.content;
-    const chatId = completion.id;
-
     console.log('✓ Response received from provider');
 
     // Process/verify response
@@ -333,11 +383,13 @@ const performInference = async (providerAddress, query, fallbackFee = 0.01) => {
       success: true,
       response: {
         content: answer,
+        usage,
         metadata: {
           model,
           isValid: valid,
           provider,
-          chatId
+          chatId,
+          finishReason
         }
       },
       timestamp: new Date().toISOString()
@@ -349,12 +401,122 @@ const performInference = async (providerAddress, query, fallbackFee = 0.01) => {
   }
 };
 
+// Embedding vectors of `input` (a string or a list of strings) from an
+// embedding model, in input order
+const performEmbedding = async (providerAddress, input) => {
+  try {
+    const texts = Array.isArray(input) ? input.map(String) : [String(input ?? '')];
+    if (texts.length === 0 || texts.some(text => !text)) {
+      throw new Error('Embedding input must be non-empty text');
+    }
+    console.log('🔄 Processing embedding request...');
+    console.log('Provider:', providerAddress, `(${texts.length} input(s))`);
+
+    const { provider, endpoint, model, headers } = await prepareProviderRequest(providerAddress, texts.join('\n'));
+
+    const openai = new OpenAI({ baseURL: endpoint, apiKey: '' });
+    const response = await openai.embeddings.create({ model, input: texts }, { headers });
+    const embeddings = [...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+    console.log('✓ Embeddings received from provider');
+
+    // Settle usage (vectors have no output text to bill) and verify when the
+    // provider returns a response id
+    let valid = null;
+    if (response.id) {
+      valid = await broker.inference.processResponse(provider, '', response.id);
+      console.log('✓ Response processed:', valid);
+    }
+
+    return {
+      success: true,
+      embeddings,
+      dimensions: embeddings[0]?.length || 0,
+      metadata: {
+        model,
+        isValid: valid,
+        provider,
+        usage: response.usage
+      },
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('❌ Embedding failed:', error?.message || error);
+    throw error;
+  }
+};
+
+// --- Workflow Engine ---
+const webhookSecrets = new WebhookSecrets();
+const webScraper = new WebScraper();
+const searchService = SearchService.fromEnv();
+const reportStore = new ReportStore();
+const googleSheets = GoogleSheets.fromEnv();
+const emailService = new EmailService();
+const databaseService = new DatabaseService();
+const storageService = new ZgStorage({ indexerUrl: INDEXER_RPC, rpcUrl: RPC_URL, signer: serviceWallet });
+// The KV client and indexer are created by initStorage()
+const variableStore = new VariableStore({
+  getKvClient: () => kvClient,
+  getIndexer: () => indexer,
+  rpcUrl: RPC_URL,
+  signer: serviceWallet,
+  streamId: process.env.KV_VARIABLES_STREAM_ID || undefined
+});
+const workflowEngine = new WorkflowEngine({
+  performInference,
+  performEmbedding,
+  webScraper,
+  searchService,
+  reportStore,
+  googleSheets,
+  emailService,
+  databaseService,
+  storageService,
+  variableStore,
+  webhookSecrets
+});
+const workflowRegistry = new WorkflowRegistry();
+const authService = new AuthService();
+const runHistory = new RunHistory({ engine: workflowEngine });
+const runEvents = new RunEvents({ engine: workflowEngine });
+const scheduler = new Scheduler({ engine: workflowEngine, registry: workflowRegistry });
+const chainEventListener = new ChainEventListener({ engine: workflowEngine, registry: workflowRegistry, provider });
+// Agent rentals, which let other wallets run a minted workflow; not checked
+// until the marketplace contracts are configured
+const contractService = process.env.AGENT_REGISTRY_ADDRESS && process.env.AGENT_RENTAL_ADDRESS && process.env.USAGE_TRACKING_ADDRESS
+  ? new ContractService(provider, serviceWallet)
+  : null;
+
 // --- Express App Setup ---
 const app = express();
 app.use(bigintJsonMiddleware);
 app.use(cors({ origin: process.env.FRONTEND_URL || 'http://localhost:5173', credentials: true }));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw request body around for webhook signature checks
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
+// Wallet session of the request, if any (req.user)
+app.use(AuthService.authenticate);
+app.locals.authService = authService;
+app.locals.webhookSecrets = webhookSecrets;
+app.locals.workflowEngine = workflowEngine;
+app.locals.workflowRegistry = workflowRegistry;
+app.locals.runHistory = runHistory;
+app.locals.runEvents = runEvents;
+app.locals.scheduler = scheduler;
+app.locals.chainEventListener = chainEventListener;
+app.locals.reportStore = reportStore;
+app.locals.googleSheets = googleSheets;
+app.locals.emailService = emailService;
+app.locals.databaseService = databaseService;
+app.locals.storageService = storageService;
+app.locals.variableStore = variableStore;
+app.locals.contractService = contractService;
 
 // Broker and Storage middleware
 const requireBroker = (req, res, next) => {
@@ -512,10 +674,13 @@ app.post('/api/account/refund', requireBroker, async (req, res) => {
 });
 
 
+// Compute services, with what each can do (chat, vision, embedding);
+// `?capability=vision` lists only the services an AI node of that kind can use
 app.get('/api/services', requireBroker, async (req, res) => {
   try {
     console.log('📋 Listing available compute services...');
     const services = await broker.inference.listService();
+    const { capability } = req.query;
 
     const formattedServices = services.map(service => ({
       provider: service.provider || service[0],
@@ -526,10 +691,20 @@ app.get('/api/services', requireBroker, async (req, res) => {
       outputPrice: service.outputPrice || service[4],
       verifiability: service.verifiability || service[7] || service[8] || 'TeeML',
       isOfficial: ['0xf07240Efa67755B5311bc75784a061eDB47165Dd', '0x3feE5a4dd5FDb8a32dDA97Bed899830605dBD9D3'].includes(service.provider || service[0]),
-      isVerifiable: true
+      isVerifiable: true,
+      capabilities: getCapabilities({
+        serviceType: service.serviceType || service[1],
+        model: service.model || service[6],
+        additionalInfo: service.additionalInfo || service[8]
+      })
     }));
 
-    res.json({ success: true, services: formattedServices });
+    res.json({
+      success: true,
+      services: capability
+        ? formattedServices.filter(service => service.capabilities.includes(capability))
+        : formattedServices
+    });
   } catch (err) {
     console.error('❌ Error listing services:', err?.message || err);
     res.status(500).json({
@@ -568,6 +743,40 @@ app.post('/api/services/acknowledge-provider', requireBroker, async (req, res) =
   }
 });
 
+// performInference options of a query request
+const getQueryOptions = body => ({
+  images: collectImages({ urls: body.images, files: body.files }),
+  systemPrompt: body.systemPrompt,
+  messages: body.messages,
+  temperature: body.temperature,
+  maxTokens: body.max_tokens ?? body.maxTokens,
+  topP: body.top_p ?? body.topP,
+  stop: body.stop,
+  schema: body.schema,
+  maxRetries: body.maxRetries
+});
+
+// One chat completion, or with a `schema` a structured reply, re-prompted
+// until it validates (see runStructured)
+const performQuery = (providerAddress, query, fallbackFee, { schema, maxRetries, ...options }) => (
+  schema === undefined || schema === null
+    ? performInference(providerAddress, query, fallbackFee, options)
+    : runStructured(
+      (prompt, attemptOptions) => performInference(providerAddress, prompt, fallbackFee, attemptOptions),
+      query,
+      { ...options, schema, maxRetries }
+    )
+);
+
+// Errors in the request itself rather than at the provider
+const INVALID_QUERY = /Invalid (address|image|chat parameter)|at most \d+ images/;
+
+// Chat completion for an AI node: `query` after an optional `systemPrompt` and
+// earlier `messages` ({ role, content }), with `temperature`, `max_tokens`,
+// `top_p` and `stop`. Vision nodes add `images` (URLs) and/or `files`,
+// upstream output whose image files are sent along. With a JSON `schema` the
+// reply is parsed and validated (`maxRetries` re-prompts, default 2) and comes
+// back as `response.data`. Responds with the answer and its token usage.
 app.post('/api/services/query', requireBroker, async (req, res) => {
   const { providerAddress, query, fallbackFee = 0.01 } = req.body;
 
@@ -580,13 +789,14 @@ app.post('/api/services/query', requireBroker, async (req, res) => {
   }
 
   try {
-    const result = await performInference(providerAddress, query, fallbackFee);
+    const result = await performQuery(providerAddress, query, fallbackFee, getQueryOptions(req.body));
     res.json(result);
   } catch (err) {
     console.error('❌ Query failed:', err);
 
     let statusCode = 500;
-    if (String(err?.message || '').includes('Invalid address')) statusCode = 400;
+    if (INVALID_QUERY.test(String(err?.message || ''))) statusCode = 400;
+    else if (String(err?.message || '').includes('did not match the JSON schema')) statusCode = 422;
     else if (String(err?.message || '').includes('Insufficient')) statusCode = 402;
 
     res.status(statusCode).json({
@@ -599,6 +809,106 @@ app.post('/api/services/query', requireBroker, async (req, res) => {
   }
 });
 
+// Same as /api/services/query, streamed over Server-Sent Events: `token`
+// events carry the answer as the provider generates it ({ content }), then a
+// `done` event has the verified response (or an `error` event the failure).
+// With a `schema`, a `retry` event ({ attempt, reason }) says the answer so
+// far was invalid and a new one follows. Closing the connection aborts the
+// request to the provider.
+app.post('/api/services/query/stream', requireBroker, async (req, res) => {
+  const { providerAddress, query, fallbackFee = 0.01 } = req.body;
+
+  if (!providerAddress || !query) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required parameters',
+      details: 'providerAddress and query are required.'
+    });
+  }
+
+  let options;
+  try {
+    options = getQueryOptions(req.body);
+    buildChatRequest(query, options);
+    if (options.schema !== undefined && options.schema !== null) compileSchema(options.schema);
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      error: 'Query request failed',
+      details: err.message
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const controller = new AbortController();
+  // Comment lines keep proxies from closing the stream before the first token
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const result = await performQuery(providerAddress, query, fallbackFee, {
+      ...options,
+      signal: controller.signal,
+      onToken: content => send('token', { content }),
+      onRetry: retry => send('retry', retry)
+    });
+    send('done', result);
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      console.error('❌ Streaming query failed:', err?.message || err);
+      send('error', {
+        success: false,
+        error: 'Query request failed',
+        details: String(err?.message || err),
+        provider: providerAddress
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Embedding vectors of `input`, a string or a list of them. Embedding nodes in
+// the browser send their `operation`, `compareText` and `similarityMetric`.
+app.post('/api/services/embeddings', requireBroker, async (req, res) => {
+  const { providerAddress, input, operation, compareText, similarityMetric } = req.body;
+
+  if (!providerAddress || !input || (Array.isArray(input) && input.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required parameters',
+      details: 'providerAddress and input are required.'
+    });
+  }
+
+  try {
+    // With an `operation` (embed, similarity) the node's own output, else the vectors
+    const result = operation
+      ? { success: true, ...await runEmbedding(performEmbedding, { providerAddress, text: input, operation, compareText, metric: similarityMetric }) }
+      : await performEmbedding(providerAddress, input);
+    res.json(result);
+  } catch (err) {
+    console.error('❌ Embedding request failed:', err?.message || err);
+    res.status(String(err?.message || '').includes('Invalid address') ? 400 : 502).json({
+      success: false,
+      error: 'Embedding request failed',
+      details: String(err?.message || err),
+      provider: providerAddress,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 
 // --- Storage Endpoints (Aligned with 0G Storage SDK) ---
 const storage = multer.diskStorage({
@@ -777,23 +1087,8 @@ app.get('/api/storage/download/:rootHash', requireStorage, async (req, res) => {
 
     console.log(`📥 Downloading file from 0G Storage: ${rootHash}`);
 
-    const outputPath = path.join(__dirname, 'temp-uploads', `download-${rootHash}-${Date.now()}`);
-
-    // Download using zgFile
-    const downloadErr = await zgFile.downloadByRoot(rootHash, outputPath);
-    
-    if (downloadErr) {
-      throw new Error(`Download failed: ${downloadErr.message}`);
-    }
-
-    // Verify file integrity
-    const downloadedFileData = await fs.readFile(outputPath);
-    const verifyZgFile = new ZgFile(1024, downloadedFileData);
-    const [verifyTree, verifyErr] = await verifyZgFile.merkleTree();
-    
-    if (verifyErr || verifyTree?.rootHash() !== rootHash) {
-      throw new Error('Downloaded file verification failed');
-    }
+    // Fetched and verified against the root hash
+    const downloadedFileData = await storageService.download(rootHash);
 
     res.set({
       'Content-Type': 'application/octet-stream',
@@ -801,9 +1096,6 @@ app.get('/api/storage/download/:rootHash', requireStorage, async (req, res) => {
       'Content-Length': downloadedFileData.length
     });
     res.send(downloadedFileData);
-
-    // Clean up
-    await fs.unlink(outputPath);
   } catch (err) {
     console.error('❌ File download failed:', err);
     res.status(500).json({
@@ -876,6 +1168,25 @@ app.get('/api/storage/kv/get/:key', requireStorage, async (req, res) => {
   }
 });
 
+// --- Workflow Endpoints ---
+app.use('/api/auth', authRoutes);
+app.use('/api/workflow', workflowRoutes);
+app.use('/api/hooks', hookRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/runs', runRoutes);
+app.use('/api/http', httpRoutes);
+app.use('/api/scrape', scrapeRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/execute-research-workflow', researchRoutes);
+app.use('/api/google-sheets', googleSheetsRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/database', databaseRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/variables', variableRoutes);
+app.use('/api/templates', templateRoutes);
+
 // Error handling
 app.use((err, req, res, next) => {
   console.error('❌ Unhandled error:', err);
@@ -897,7 +1208,24 @@ app.use('*', (req, res) => {
 });
 
 // Initialize on startup
-Promise.all([initBroker(), initStorage()]).then(() => {
+Promise.all([initBroker(), initStorage()]).then(async () => {
+  // Expose SDK clients to routers once they are initialized
+  Object.assign(app.locals, { broker, batcher, kvClient, webScraper, searchService });
+
+  // Register schedule triggers of saved workflows (missed runs are caught up in the background if configured)
+  try {
+    await scheduler.start();
+  } catch (err) {
+    console.error('⚠️ Scheduler failed to start:', err?.message || err);
+  }
+
+  // Watch contract logs for workflows with event triggers
+  try {
+    await chainEventListener.start();
+  } catch (err) {
+    console.error('⚠️ Event listener failed to start:', err?.message || err);
+  }
+
   const PORT = process.env.PORT || 3001; // Updated to match your logs
   app.listen(PORT, () => {
     console.log('🚀 0G Unified Backend Server Started');
@@ -914,12 +1242,52 @@ Promise.all([initBroker(), initStorage()]).then(() => {
     console.log('   GET  /api/services/list');
     console.log('   POST /api/services/acknowledge-provider');
     console.log('   POST /api/services/query');
+    console.log('   POST /api/services/query/stream');
+    console.log('   POST /api/services/embeddings');
     console.log('   POST /api/services/settle-fee');
     console.log('   POST /api/storage/upload');
     console.log('   GET  /api/storage/download/:rootHash');
     console.log('   GET  /api/storage/files');
     console.log('   POST /api/storage/kv/set');
     console.log('   GET  /api/storage/kv/get/:key');
+    console.log('   POST /api/auth/challenge');
+    console.log('   POST /api/auth/session');
+    console.log('   POST /api/workflow/submit');
+    console.log('   GET  /api/workflow/:workflowId');
+    console.log('   GET  /api/workflow/:workflowId/runs');
+    console.log('   POST /api/workflow/execute');
+    console.log('   ALL  /api/hooks/:workflowId/:path');
+    console.log('   PUT  /api/hooks/:workflowId/:nodeId/secret');
+    console.log('   GET  /api/schedules');
+    console.log('   POST /api/schedules/:scheduleId/pause');
+    console.log('   POST /api/schedules/:scheduleId/resume');
+    console.log('   GET  /api/events');
+    console.log('   GET  /api/runs/:runId');
+    console.log('   GET  /api/runs/:runId/events');
+    console.log('   POST /api/http/request');
+    console.log('   POST /api/scrape');
+    console.log('   POST /api/search');
+    console.log('   GET  /api/reports');
+    console.log('   GET  /api/reports/:reportId');
+    console.log('   GET  /api/reports/:reportId/download');
+    console.log('   POST /api/execute-research-workflow');
+    console.log('   GET  /api/execute-research-workflow/:runId');
+    console.log('   POST /api/google-sheets');
+    console.log('   POST /api/google-sheets/connect');
+    console.log('   POST /api/google-sheets/token');
+    console.log('   DELETE /api/google-sheets/connections/:connectionId');
+    console.log('   POST /api/email/send');
+    console.log('   GET  /api/email/senders/:workflowId');
+    console.log('   PUT  /api/email/senders/:workflowId');
+    console.log('   POST /api/database/query');
+    console.log('   GET  /api/database/connections/:workflowId');
+    console.log('   PUT  /api/database/connections/:workflowId/:name');
+    console.log('   POST /api/storage/data');
+    console.log('   GET  /api/storage/data/:rootHash');
+    console.log('   GET  /api/variables/:workflowId');
+    console.log('   POST /api/variables/:workflowId');
+    console.log('   GET  /api/templates/presets');
+    console.log('   POST /api/templates/preview');
   });
 }).catch(err => {
   console.error('❌ Startup failed:', err);
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Wallet sign-in for the builder. The client asks for a challenge for its
+// address, signs it with the wallet (personal_sign) and trades the signature
+// for a bearer token. Requests send it as `Authorization: Bearer <token>`;
+// `req.user.address` is then the lowercase wallet address. Sessions are kept
+// in memory, so a restart signs everyone out.
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+class AuthService {
+  constructor({ challengeTtlMs = CHALLENGE_TTL_MS, sessionTtlMs = SESSION_TTL_MS, now = Date.now } = {}) {
+    this.challengeTtlMs = challengeTtlMs;
+    this.sessionTtlMs = sessionTtlMs;
+    this.now = now;
+    // Pending challenges by address, sessions by token
+    this.challenges = new Map();
+    this.sessions = new Map();
+  }
+
+  // Message for the wallet to sign; only the latest challenge of an address is valid
+  createChallenge(address) {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    const normalized = address.toLowerCase();
+    const expiresAt = this.now() + this.challengeTtlMs;
+    const message = [
+      'Sign in to Agent0G',
+      '',
+      `Address: ${ethers.getAddress(address)}`,
+      `Nonce: ${crypto.randomBytes(16).toString('hex')}`,
+      `Expires: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+
+    this.challenges.set(normalized, { message, expiresAt });
+    return { message, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Check the signed challenge and open a session. A challenge can be used once.
+  createSession(address, signature) {
+    const normalized = String(address || '').toLowerCase();
+    const challenge = this.challenges.get(normalized);
+    if (!challenge || challenge.expiresAt < this.now()) {
+      this.challenges.delete(normalized);
+      throw new Error('No pending challenge for this address, request a new one');
+    }
+    this.challenges.delete(normalized);
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(challenge.message, signature);
+    } catch (err) {
+      throw new Error(`Invalid signature: ${err.message}`);
+    }
+    if (signer.toLowerCase() !== normalized) {
+      throw new Error('Signature does not match the address');
+    }
+
+    this.prune();
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = this.now() + this.sessionTtlMs;
+    this.sessions.set(token, { address: normalized, expiresAt });
+    return { token, address: normalized, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Wallet address of a session token, or null when unknown or expired
+  verify(token) {
+    const session = token && this.sessions.get(token);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt < this.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session.address;
+  }
+
+  revoke(token) {
+    return this.sessions.delete(token);
+  }
+
+  prune() {
+    const now = this.now();
+    this.sessions.forEach((session, token) => {
+      if (session.expiresAt < now) {
+        this.sessions.delete(token);
+      }
+    });
+    this.challenges.forEach((challenge, address) => {
+      if (challenge.expiresAt < now) {
+        this.challenges.delete(address);
+      }
+    });
+  }
+}
+
+const getBearerToken = req => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+};
+
+// Sets req.user for requests with a valid session token; never rejects
+const authenticate = (req, res, next) => {
+  const address = req.app.locals.authService?.verify(getBearerToken(req));
+  req.user = address ? { address } : null;
+  next();
+};
+
+// EventSource can't send headers, so event streams also take the session
+// token as `?token=`
+const authenticateEventStream = (req, res, next) => {
+  if (!req.user && typeof req.query.token === 'string') {
+    const address = req.app.locals.authService?.verify(req.query.token);
+    req.user = address ? { address } : null;
+  }
+  next();
+};
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      details: 'Sign in with your wallet and send the session token as a Bearer token'
+    });
+  }
+  next();
+};
+
+// Whether the signed-in user owns a workflow (saved workflows carry the wallet that submitted them)
+const isOwner = (req, workflow) => Boolean(
+  req.user && workflow?.owner && workflow.owner.toLowerCase() === req.user.address
+);
+
+// The saved workflow if the signed-in user owns it. Answers 404 or 403 itself
+// and resolves with null otherwise, for routes managing a workflow's settings.
+const findOwnedWorkflow = async (req, res, workflowId) => {
+  const workflow = await req.app.locals.workflowRegistry.resolve(workflowId, req.app.locals.kvClient);
+  if (!workflow) {
+    res.status(404).json({ error: 'Workflow not found', workflowId });
+    return null;
+  }
+  if (!isOwner(req, workflow)) {
+    res.status(403).json({ error: 'Only the workflow owner can do this', workflowId });
+    return null;
+  }
+  return workflow;
+};
+
+// Whether the signed-in user may run a workflow: its owner, or a wallet renting
+// an agent minted from it (by the workflow's id or the storage root hash of
+// one of its files). Rentals are only checked when the marketplace contracts are
+// configured (app.locals.contractService).
+const canRunWorkflow = async (req, workflow) => {
+  if (isOwner(req, workflow)) return true;
+  const contractService = req.app.locals.contractService;
+  if (!req.user || !contractService) return false;
+  const workflowHashes = [workflow.id, ...(workflow.storageRootHashes || [])].filter(Boolean);
+  return contractService.hasActiveRental(req.user.address, workflowHashes);
+};
+
+// Like findOwnedWorkflow, for routes that run a workflow or read it: its owner
+// and its renters get it
+const findRunnableWorkflow = async (req, res, workflowId) => {
+  const workflow = await req.app.locals.workflowRegistry.resolve(workflowId, req.app.locals.kvClient);
+  if (!workflow) {
+    res.status(404).json({ error: 'Workflow not found', workflowId });
+    return null;
+  }
+  if (!await canRunWorkflow(req, workflow)) {
+    res.status(403).json({ error: 'Only the workflow owner or a renter of its agent can do this', workflowId });
+    return null;
+  }
+  return workflow;
+};
+
+module.exports = AuthService;
+module.exports.getBearerToken = getBearerToken;
+module.exports.authenticate = authenticate;
+module.exports.authenticateEventStream = authenticateEventStream;
+module.exports.requireAuth = requireAuth;
+module.exports.isOwner = isOwner;
+module.exports.findOwnedWorkflow = findOwnedWorkflow;
+module.exports.canRunWorkflow = canRunWorkflow;
+module.exports.findRunnableWorkflow = findRunnableWorkflow;
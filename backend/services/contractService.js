@@ -24,7 +24,8 @@ const AGENT_RENTAL_ABI = [
   "function completeSubscription(uint256 rentalId) external",
   "function getRental(uint256 rentalId) external view returns (tuple(uint256 id, uint256 agentId, address renter, uint256 rentalType, uint256 startTime, uint256 endTime, uint256 totalCost, uint256 usageCount, bool isActive))",
   "function getUserRentals(address user) external view returns (uint256[])",
-  "function getAgentRentals(uint256 agentId) external view returns (uint256[])"
+  "function getAgentRentals(uint256 agentId) external view returns (uint256[])",
+  "function canUseRental(uint256 rentalId) external view returns (bool)"
 ];
 
 const USAGE_TRACKING_ABI = [
@@ -286,6 +287,22 @@ class ContractService {
     }
   }
 
+  // Whether `user` holds a usable rental (an unexpired subscription or
+  // pay-per-use uses left) of an active agent minted from one of
+  // `workflowHashes`
+  async hasActiveRental(user, workflowHashes) {
+    const rentalIds = await this.agentRental.getUserRentals(user);
+    for (const rentalId of rentalIds) {
+      if (!await this.agentRental.canUseRental(rentalId)) continue;
+      const rental = await this.agentRental.getRental(rentalId);
+      const agent = await this.agentRegistry.getAgent(rental.agentId);
+      if (agent.isActive && workflowHashes.includes(agent.workflowHash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   // Usage Tracking Methods
   async recordUsage(agentId, rentalId, user, computeHash, cost) {
     try {
@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+
+// SQL for database action nodes, on SQLite (better-sqlite3) or Postgres (pg).
+//
+// Connections: `sqlite:<name>.db` (a file in the workflow's own directory under
+// data/databases; other paths are refused so workflows can't open arbitrary
+// files on the server or another workflow's databases), `sqlite::memory:` or
+// the name of one of the workflow's saved connections. Postgres URLs carry
+// credentials, so they are saved per workflow on the server
+// (data/database-connections.json) and nodes only name them; a URL in the node
+// itself is refused. There is no server-wide default connection: queries are
+// written by users, so they only reach databases their workflow set up.
+//
+// SQLite statements that reach beyond the node's database file (ATTACH,
+// DETACH, VACUUM INTO) are refused, and SQLite runs in a worker process
+// (sqliteWorker.js) that is killed when the node times out.
+//
+// Queries take named placeholders (`:email`), bound from the node's `params`
+// or else the input field of the same name, never spliced into the SQL.
+// Several statements separated by `;` run in order, in one transaction when
+// `transaction` is on.
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const MAX_TIMEOUT_MS = 60000;
+const IDENTIFIER_START = /[A-Za-z_]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_]/;
+const CONNECTION_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+// SQLite keywords that open, detach or write other database files
+const SQLITE_FILE_KEYWORDS = ['attach', 'detach', 'vacuum'];
+
+// Walk the SQL outside of string literals, quoted identifiers and comments,
+// calling `onCode(index)` for each character of code. With `brackets`,
+// [identifiers] (SQLite) are skipped too.
+const scanSql = (sql, onCode, { brackets = false } = {}) => {
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (char === "'" || char === '"' || char === '`' || (brackets && char === '[')) {
+      const end = sql.indexOf(char === '[' ? ']' : char, i + 1);
+      i = end === -1 ? sql.length : end;
+    } else if (char === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+    } else if (char === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 1;
+    } else {
+      const skip = onCode(i);
+      if (skip) i += skip;
+    }
+  }
+};
+
+// Split on `;` between statements, dropping empty ones
+const splitStatements = (sql) => {
+  const statements = [];
+  let start = 0;
+  scanSql(sql, (i) => {
+    if (sql[i] === ';') {
+      statements.push(sql.slice(start, i));
+      start = i + 1;
+    }
+  });
+  statements.push(sql.slice(start));
+  return statements.map(statement => statement.trim()).filter(Boolean);
+};
+
+// Replace `:name` placeholders with the dialect's positional ones ($1 for
+// Postgres, ? for SQLite) and list the names in binding order. `::` casts
+// are left alone.
+const compileStatement = (sql, dialect) => {
+  const names = [];
+  let text = '';
+  let copied = 0;
+
+  scanSql(sql, (i) => {
+    if (sql[i] !== ':') return 0;
+    if (sql[i + 1] === ':') return 1;
+    if (sql[i - 1] === ':' || !IDENTIFIER_START.test(sql[i + 1] || '')) return 0;
+
+    let end = i + 1;
+    while (end < sql.length && IDENTIFIER_PART.test(sql[end])) end++;
+    const name = sql.slice(i + 1, end);
+    let placeholder = '?';
+    if (dialect === 'postgres') {
+      // Postgres can reuse a parameter
+      if (!names.includes(name)) names.push(name);
+      placeholder = `$${names.indexOf(name) + 1}`;
+    } else {
+      names.push(name);
+    }
+    text += sql.slice(copied, i) + placeholder;
+    copied = end;
+    return end - i - 1;
+  });
+
+  return { text: text + sql.slice(copied), names };
+};
+
+// Refuse SQLite statements that work on files other than the node's database
+const checkSqliteStatement = (sql) => {
+  scanSql(sql, (i) => {
+    if (!IDENTIFIER_START.test(sql[i]) || IDENTIFIER_PART.test(sql[i - 1] || '')) return 0;
+    let end = i + 1;
+    while (end < sql.length && IDENTIFIER_PART.test(sql[end])) end++;
+    const word = sql.slice(i, end).toLowerCase();
+    if (SQLITE_FILE_KEYWORDS.includes(word)) {
+      throw new Error(`${word.toUpperCase()} is not allowed in database nodes`);
+    }
+    return end - i - 1;
+  }, { brackets: true });
+};
+
+// A saved connection without its credentials, for the builder
+const describeConnection = (name, url) => {
+  let host = null;
+  try {
+    host = new URL(url).host;
+  } catch (err) {
+    // Not a URL we can show anything of
+  }
+  return { name, dialect: 'postgres', host };
+};
+
+const parseParams = (params) => {
+  if (!params) return {};
+  if (typeof params === 'object') return params;
+  try {
+    return JSON.parse(params);
+  } catch (err) {
+    throw new Error(`Database params must be a JSON object: ${err.message}`);
+  }
+};
+
+// SQLite binds numbers, strings, bigints, buffers and null only
+const toSqliteValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+  return value;
+};
+
+const bindValues = (names, params, input) => names.map((name) => {
+  if (Object.prototype.hasOwnProperty.call(params, name)) return params[name];
+  if (input && typeof input === 'object' && Object.prototype.hasOwnProperty.call(input, name)) return input[name];
+  throw new Error(`No value for query parameter :${name} (set it in params or the input)`);
+});
+
+class DatabaseService {
+  constructor({
+    sqliteDir = path.join(__dirname, '../data/databases'),
+    filePath = path.join(__dirname, '../data/database-connections.json')
+  } = {}) {
+    this.sqliteDir = sqliteDir;
+    this.filePath = filePath;
+    // Saved connection URLs by workflow id, then connection name
+    this.connections = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        Object.entries(saved).forEach(([workflowId, connections]) => this.connections.set(workflowId, connections));
+      }
+    } catch (err) {
+      console.error('⚠️ Failed to load database connections:', err.message);
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.connections), null, 2), { mode: 0o600 });
+  }
+
+  // A workflow's saved connections, without their URLs
+  listConnections(workflowId) {
+    return Object.entries(this.connections.get(workflowId) || {}).map(([name, url]) => describeConnection(name, url));
+  }
+
+  setConnection(workflowId, name, url) {
+    if (!CONNECTION_NAME.test(String(name || ''))) {
+      throw new Error('Connection names may only use letters, digits, - and _');
+    }
+    if (!/^postgres(ql)?:\/\//i.test(String(url || '').trim())) {
+      throw new Error('A saved connection needs a postgres:// URL');
+    }
+    this.connections.set(workflowId, { ...this.connections.get(workflowId), [name]: String(url).trim() });
+    this.persist();
+    return describeConnection(name, url);
+  }
+
+  removeConnection(workflowId, name) {
+    const connections = { ...this.connections.get(workflowId) };
+    if (!connections[name]) return false;
+    delete connections[name];
+    if (Object.keys(connections).length > 0) {
+      this.connections.set(workflowId, connections);
+    } else {
+      this.connections.delete(workflowId);
+    }
+    this.persist();
+    return true;
+  }
+
+  // Where a node's `connection` points, for the workflow it runs in
+  parseConnection(connection, workflowId) {
+    const named = String(connection || '').trim();
+    if (/^postgres(ql)?:\/\//i.test(named)) {
+      throw new Error('Database URLs with credentials can\'t be stored in workflows; save the connection for the workflow and use its name');
+    }
+    if (CONNECTION_NAME.test(named)) {
+      const url = workflowId && this.connections.get(workflowId)?.[named];
+      if (!url) {
+        throw new Error(`No saved database connection "${named}" for this workflow`);
+      }
+      return { dialect: 'postgres', url };
+    }
+
+    if (!named) {
+      throw new Error('Database node requires a connection: a saved connection name, sqlite:<name>.db or sqlite::memory:');
+    }
+
+    const sqlite = named.match(/^sqlite:(?:\/\/)?(.+)$/i);
+    if (!sqlite) {
+      throw new Error('Unsupported database connection; use a saved connection name or sqlite:<name>.db');
+    }
+    if (sqlite[1] === ':memory:') {
+      return { dialect: 'sqlite', file: ':memory:' };
+    }
+    if (!workflowId) {
+      throw new Error('SQLite database files belong to a saved workflow; save it first or use sqlite::memory:');
+    }
+    // One directory per workflow, named by a hash of its id
+    const dir = path.resolve(this.sqliteDir, crypto.createHash('sha256').update(String(workflowId)).digest('hex').slice(0, 32));
+    const file = path.resolve(dir, sqlite[1]);
+    if (path.dirname(file) !== dir) {
+      throw new Error('SQLite databases must be plain file names, kept in the workflow\'s directory on the server');
+    }
+    return { dialect: 'sqlite', file };
+  }
+
+  // Run the node's query. Read mode resolves with { rows, count, columns };
+  // writes with { changes, lastInsertId, rows } (rows from RETURNING), and
+  // several statements with { results, changes } over all of them. `timeout`
+  // is capped at MAX_TIMEOUT_MS.
+  async execute({
+    connection,
+    workflowId,
+    query,
+    params,
+    input,
+    mode = 'read',
+    transaction = false,
+    timeout = DEFAULT_TIMEOUT_MS
+  }) {
+    if (!query || !String(query).trim()) {
+      throw new Error('Database node requires a query');
+    }
+    const target = this.parseConnection(connection, workflowId);
+    const limit = Math.min(Number(timeout) > 0 ? Number(timeout) : DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS);
+    const values = parseParams(params);
+    const statements = splitStatements(String(query)).map((sql) => {
+      if (target.dialect === 'sqlite') checkSqliteStatement(sql);
+      const { text, names } = compileStatement(sql, target.dialect);
+      return { text, values: bindValues(names, values, input) };
+    });
+
+    const results = target.dialect === 'postgres'
+      ? await this.runPostgres(target, statements, { transaction, timeout: limit })
+      : await this.runSqlite(target, statements, { transaction, timeout: limit });
+
+    if (results.length === 1) {
+      const [result] = results;
+      if (mode === 'read') {
+        return { rows: result.rows, count: result.rows.length, columns: result.columns };
+      }
+      return { changes: result.changes, lastInsertId: result.lastInsertId, rows: result.rows };
+    }
+    return {
+      results,
+      changes: results.reduce((total, result) => total + (result.changes || 0), 0),
+      rows: results[results.length - 1].rows
+    };
+  }
+
+  // Run the statements in a worker process, killed after `timeout`
+  runSqlite({ file }, statements, { transaction, timeout }) {
+    return new Promise((resolve, reject) => {
+      const worker = fork(path.join(__dirname, 'sqliteWorker.js'), [], {
+        serialization: 'advanced',
+        execArgv: [],
+        stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+      });
+      const timer = setTimeout(() => {
+        worker.kill('SIGKILL');
+        reject(new Error(`SQLite query timed out after ${timeout}ms`));
+      }, timeout);
+
+      worker.once('message', ({ results, error }) => {
+        clearTimeout(timer);
+        if (error) {
+          reject(new Error(error));
+        } else {
+          resolve(results);
+        }
+      });
+      worker.once('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      worker.once('exit', (code, signal) => {
+        clearTimeout(timer);
+        reject(new Error(`SQLite worker stopped (${signal || `exit code ${code}`})`));
+      });
+      worker.send({
+        file,
+        statements: statements.map(({ text, values }) => ({ text, values: values.map(toSqliteValue) })),
+        transaction,
+        timeout
+      });
+    });
+  }
+
+  async runPostgres({ url }, statements, { transaction, timeout }) {
+    const { Client } = require('pg');
+    const client = new Client({
+      connectionString: url,
+      connectionTimeoutMillis: timeout,
+      statement_timeout: timeout
+    });
+    await client.connect();
+
+    try {
+      if (transaction) await client.query('BEGIN');
+      const results = [];
+      for (const { text, values } of statements) {
+        const result = await client.query(text, values);
+        results.push({
+          rows: result.rows || [],
+          columns: (result.fields || []).map(field => field.name),
+          changes: result.command === 'SELECT' ? 0 : result.rowCount || 0,
+          lastInsertId: null
+        });
+      }
+      if (transaction) await client.query('COMMIT');
+      return results;
+    } catch (err) {
+      if (transaction) await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      await client.end().catch(() => {});
+    }
+  }
+}
+
+module.exports = DatabaseService;
+module.exports.splitStatements = splitStatements;
+module.exports.compileStatement = compileStatement;
+module.exports.checkSqliteStatement = checkSqliteStatement;
+module.exports.bindValues = bindValues;
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Email for "Send Email" action nodes, delivered over SMTP. Each workflow can
+// have its own sender (SMTP server, login and from address), kept on the
+// server in data/email-senders.json rather than in the workflow, which is
+// stored on 0G. There is no server-wide sender: workflows are written by
+// users, so a workflow without a sender of its own can't send mail. Set a
+// workflow's sender to a local sink (e.g. Mailpit on localhost:1025) to try
+// it without sending real mail.
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const SENDER_FIELDS = ['host', 'port', 'secure', 'user', 'pass', 'from'];
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Plain-text part of an HTML body
+const htmlToText = html => String(html)
+  .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// The node's `template` decides how the body becomes the message parts:
+//   plain    → text only
+//   html     → the body is HTML; a text part is derived from it
+//   template → the plain body laid out in a simple HTML message, plus text
+const EMAIL_TEMPLATES = {
+  plain: ({ body }) => ({ text: body }),
+  html: ({ body }) => ({ html: body, text: htmlToText(body) }),
+  template: ({ subject, body }) => ({
+    text: body,
+    html: [
+      '<div style="font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1f2937;">',
+      subject ? `<h2 style="font-size: 18px; border-bottom: 1px solid #e5e7eb; padding-bottom: 8px;">${escapeHtml(subject)}</h2>` : '',
+      ...body.split(/\n{2,}/).map(paragraph => `<p style="line-height: 1.5;">${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`),
+      '</div>'
+    ].join('\n')
+  })
+};
+
+const splitAddresses = value => (Array.isArray(value) ? value : String(value || '').split(/[,;]/))
+  .map(address => String(address).trim())
+  .filter(Boolean);
+
+// A sender without its password, for the builder
+const describeSender = sender => sender && ({
+  host: sender.host,
+  port: sender.port,
+  secure: sender.secure,
+  user: sender.user,
+  from: sender.from,
+  hasPassword: Boolean(sender.pass)
+});
+
+class EmailService {
+  constructor({
+    filePath = path.join(__dirname, '../data/email-senders.json'),
+    createTransport = nodemailer.createTransport
+  } = {}) {
+    this.filePath = filePath;
+    this.createTransport = createTransport;
+    this.senders = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        Object.entries(saved).forEach(([workflowId, sender]) => this.senders.set(workflowId, sender));
+      }
+    } catch (err) {
+      console.error('⚠️ Failed to load email senders:', err.message);
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.senders), null, 2), { mode: 0o600 });
+  }
+
+  getSender(workflowId) {
+    return describeSender(this.senders.get(workflowId)) || null;
+  }
+
+  // Save a workflow's sender. A missing password keeps the saved one, so the
+  // builder can edit the other fields without knowing it, but only for the
+  // same server and login: the password is never sent to another host or user.
+  setSender(workflowId, sender) {
+    if (!sender.host || !sender.from) {
+      throw new Error('An email sender needs a host and a from address');
+    }
+    const previous = this.senders.get(workflowId) || {};
+    const sameLogin = previous.host === sender.host && (previous.user || '') === (sender.user || '');
+    const saved = Object.fromEntries(SENDER_FIELDS
+      .map(field => [field, sender[field] ?? (field === 'pass' && sameLogin ? previous.pass : undefined)])
+      .filter(([, value]) => value !== undefined && value !== ''));
+    saved.port = Number(saved.port) || undefined;
+    saved.secure = saved.secure === true || saved.secure === 'true';
+
+    this.senders.set(workflowId, saved);
+    this.persist();
+    return describeSender(saved);
+  }
+
+  removeSender(workflowId) {
+    const removed = this.senders.delete(workflowId);
+    if (removed) this.persist();
+    return removed;
+  }
+
+  // Send a message as the workflow's sender, from its address. Resolves with
+  // the delivery result: { messageId, accepted, rejected, ... }
+  async send({
+    workflowId,
+    to,
+    cc,
+    bcc,
+    replyTo,
+    subject = '',
+    body = '',
+    template = 'plain',
+    attachments = [],
+    timeout = DEFAULT_TIMEOUT_MS
+  }) {
+    const sender = workflowId && this.senders.get(workflowId);
+    if (!sender) {
+      throw new Error(workflowId
+        ? 'No email sender configured for this workflow; set one in its email settings'
+        : 'Email nodes need a saved workflow with its own sender');
+    }
+    const recipients = splitAddresses(to);
+    if (recipients.length === 0) {
+      throw new Error('Email node requires a recipient');
+    }
+
+    const render = EMAIL_TEMPLATES[template] || EMAIL_TEMPLATES.plain;
+    const transport = this.createTransport({
+      host: sender.host,
+      port: sender.port || (sender.secure ? 465 : 587),
+      secure: Boolean(sender.secure),
+      auth: sender.user ? { user: sender.user, pass: sender.pass } : undefined,
+      connectionTimeout: timeout,
+      greetingTimeout: timeout,
+      socketTimeout: timeout
+    });
+
+    try {
+      const info = await transport.sendMail({
+        from: sender.from || sender.user,
+        to: recipients,
+        cc: splitAddresses(cc),
+        bcc: splitAddresses(bcc),
+        replyTo: replyTo || undefined,
+        subject,
+        ...render({ subject, body: String(body) }),
+        attachments
+      });
+      return {
+        sent: true,
+        messageId: info.messageId,
+        accepted: info.accepted,
+        rejected: info.rejected,
+        response: info.response,
+        to: recipients,
+        subject,
+        attachments: attachments.map(attachment => attachment.filename)
+      };
+    } catch (err) {
+      throw new Error(`Email delivery failed: ${err.message}`);
+    } finally {
+      transport.close();
+    }
+  }
+}
+
+module.exports = EmailService;
+module.exports.EMAIL_TEMPLATES = EMAIL_TEMPLATES;
+module.exports.htmlToText = htmlToText;
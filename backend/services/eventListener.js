@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { getNodeConfig, getNodeSubtype } = require('./nodeExecutors');
+
+const DEFAULT_CONFIRMATIONS = 3;
+const MAX_BLOCK_RANGE = 1000;
+// How many processed block hashes to remember for finding the reorg fork point
+const HASH_HISTORY = 64;
+
+const registrationId = (workflowId, nodeId) => `${workflowId}:${nodeId}`;
+
+// Make decoded event values JSON-friendly (BigInt -> string, Result -> array)
+const toPlain = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return Array.from(value, toPlain);
+  return value;
+};
+
+// Watches contract logs for workflows with an `event` trigger node and starts a
+// run for every matching log once it has the configured number of
+// confirmations. The last processed block (and recent block hashes, used to
+// detect reorgs) is checkpointed so no logs are lost or replayed on restart.
+//
+// Trigger config: `contract` (address), `event` (signature such as
+// "Transfer(address indexed from, address indexed to, uint256 value)"),
+// optional `topics` (values for the indexed args, null for "any"),
+// `confirmations` and `fromBlock`.
+class ChainEventListener {
+  constructor({ engine, registry, provider, filePath = path.join(__dirname, '../data/event-checkpoints.json') }) {
+    this.engine = engine;
+    this.registry = registry;
+    this.provider = provider;
+    this.filePath = filePath;
+    this.watchers = new Map();
+    this.checkpoints = {};
+    this.processing = false;
+    this.onBlock = this.onBlock.bind(this);
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.checkpoints = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      }
+    } catch (err) {
+      console.error('⚠️ Failed to load event checkpoints:', err.message);
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.checkpoints, null, 2));
+  }
+
+  async start() {
+    this.load();
+    this.registry.list().forEach(workflow => this.syncWorkflow(workflow));
+    this.registry.onSave(workflow => this.syncWorkflow(workflow));
+
+    await this.provider.on('block', this.onBlock);
+    console.log(`⛓️  Event listener started with ${this.watchers.size} watcher(s)`);
+  }
+
+  async stop() {
+    await this.provider.off('block', this.onBlock);
+  }
+
+  // Register every event trigger of a workflow, dropping ones that were removed
+  syncWorkflow(workflow) {
+    const currentIds = new Set();
+
+    (workflow.nodes || [])
+      .filter(node => node.type === 'trigger' && getNodeSubtype(node) === 'event')
+      .forEach((node) => {
+        const config = getNodeConfig(node);
+        const id = registrationId(workflow.id, node.id);
+
+        try {
+          if (!config.contract || !config.event) {
+            throw new Error('contract and event are required');
+          }
+          const fromBlock = config.fromBlock !== undefined && config.fromBlock !== '' ? Number(config.fromBlock) : null;
+          if (fromBlock !== null && !(Number.isInteger(fromBlock) && fromBlock >= 0)) {
+            throw new Error(`fromBlock must be a block number, got ${config.fromBlock}`);
+          }
+          const iface = new ethers.Interface([`event ${config.event.replace(/^event\s+/, '')}`]);
+          const fragment = iface.fragments[0];
+          const topics = iface.encodeFilterTopics(fragment, config.topics || []);
+
+          this.watchers.set(id, {
+            id,
+            workflowId: workflow.id,
+            nodeId: node.id,
+            address: ethers.getAddress(config.contract),
+            iface,
+            fragment,
+            topics,
+            confirmations: Number(config.confirmations ?? DEFAULT_CONFIRMATIONS),
+            fromBlock
+          });
+          currentIds.add(id);
+        } catch (err) {
+          console.error(`⚠️ Invalid event trigger ${id}:`, err.message);
+        }
+      });
+
+    Array.from(this.watchers.keys())
+      .filter(id => id.startsWith(`${workflow.id}:`) && !currentIds.has(id))
+      .forEach(id => this.watchers.delete(id));
+  }
+
+  list() {
+    return Array.from(this.watchers.values()).map(watcher => ({
+      id: watcher.id,
+      workflowId: watcher.workflowId,
+      nodeId: watcher.nodeId,
+      address: watcher.address,
+      event: watcher.fragment.format(),
+      confirmations: watcher.confirmations,
+      lastBlock: this.checkpoints[watcher.id]?.lastBlock ?? null
+    }));
+  }
+
+  async onBlock(blockNumber) {
+    // Blocks can arrive faster than logs are processed; the next block catches up
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      for (const watcher of this.watchers.values()) {
+        try {
+          await this.processWatcher(watcher, blockNumber);
+        } catch (err) {
+          console.error(`❌ Event watcher ${watcher.id} failed:`, err.message);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // If the block we checkpointed is no longer canonical, walk back through the
+  // remembered hashes to the fork point so the replaced blocks get re-scanned.
+  // Never rewinds to before the block the watcher started after.
+  async rewindOnReorg(watcher, checkpoint) {
+    // Nothing to compare yet: the start block is ahead of the chain, or is block 0
+    if (!checkpoint.blockHashes[checkpoint.lastBlock]) return;
+
+    const block = await this.provider.getBlock(checkpoint.lastBlock);
+    if (block?.hash === checkpoint.blockHashes[checkpoint.lastBlock]) return;
+
+    const remembered = Object.keys(checkpoint.blockHashes).map(Number).sort((a, b) => b - a);
+    let forkPoint = null;
+    for (const number of remembered) {
+      const candidate = await this.provider.getBlock(number);
+      if (candidate?.hash === checkpoint.blockHashes[number]) {
+        forkPoint = number;
+        break;
+      }
+    }
+
+    const rewindTo = Math.max(forkPoint ?? checkpoint.lastBlock - HASH_HISTORY, checkpoint.startAfter ?? 0);
+    console.warn(`⚠️ Reorg detected for ${watcher.id}: rewinding from block ${checkpoint.lastBlock} to ${rewindTo}`);
+    checkpoint.lastBlock = rewindTo;
+    Object.keys(checkpoint.blockHashes)
+      .filter(number => Number(number) > rewindTo)
+      .forEach(number => delete checkpoint.blockHashes[number]);
+  }
+
+  async processWatcher(watcher, headBlock) {
+    const safeBlock = headBlock - watcher.confirmations;
+    if (safeBlock < 0) return;
+
+    let checkpoint = this.checkpoints[watcher.id];
+    if (!checkpoint) {
+      // New registration: start from fromBlock if configured, otherwise only
+      // new events. The hash of the block before is the first one reorgs are
+      // checked against; there is none before block 0, and none yet for a
+      // fromBlock not yet confirmed (which is only scanned once it is).
+      const startAfter = watcher.fromBlock !== null ? watcher.fromBlock - 1 : safeBlock;
+      checkpoint = { lastBlock: startAfter, startAfter, blockHashes: {}, processedLogs: {} };
+      if (startAfter >= 0 && startAfter <= safeBlock) {
+        const startBlock = await this.provider.getBlock(startAfter);
+        if (startBlock) checkpoint.blockHashes[startAfter] = startBlock.hash;
+      }
+      this.checkpoints[watcher.id] = checkpoint;
+      this.persist();
+    } else {
+      await this.rewindOnReorg(watcher, checkpoint);
+    }
+
+    while (checkpoint.lastBlock < safeBlock) {
+      const fromBlock = checkpoint.lastBlock + 1;
+      const toBlock = Math.min(safeBlock, fromBlock + MAX_BLOCK_RANGE - 1);
+
+      const logs = await this.provider.getLogs({
+        address: watcher.address,
+        topics: watcher.topics,
+        fromBlock,
+        toBlock
+      });
+
+      for (const log of logs) {
+        await this.handleLog(watcher, checkpoint, log);
+      }
+
+      const endBlock = await this.provider.getBlock(toBlock);
+      checkpoint.lastBlock = toBlock;
+      checkpoint.blockHashes[toBlock] = endBlock?.hash;
+      this.pruneCheckpoint(checkpoint);
+      this.persist();
+    }
+  }
+
+  async handleLog(watcher, checkpoint, log) {
+    // Logs re-scanned after a reorg may already have started a run
+    const logKey = `${log.blockHash}:${log.index}`;
+    if (checkpoint.processedLogs[logKey]) return;
+
+    const parsed = watcher.iface.parseLog(log);
+    if (!parsed) return;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name || String(i)] = toPlain(parsed.args[i]);
+    });
+
+    const workflow = this.registry.get(watcher.workflowId);
+    if (!workflow) {
+      console.error(`⚠️ Workflow ${watcher.workflowId} not found for event ${logKey}`);
+      return;
+    }
+
+    console.log(`⛓️  ${parsed.name} on ${watcher.address} (block ${log.blockNumber}) → ${watcher.id}`);
+    checkpoint.processedLogs[logKey] = log.blockNumber;
+    this.engine.startRun(workflow, {
+      workflowId: watcher.workflowId,
+      trigger: 'event',
+      startNodeId: watcher.nodeId,
+      triggerData: {
+        trigger: 'event',
+        event: parsed.name,
+        signature: parsed.signature,
+        args,
+        address: log.address,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index
+      }
+    });
+  }
+
+  // Only keep hashes and processed-log keys for blocks a reorg could still touch
+  pruneCheckpoint(checkpoint) {
+    const oldest = checkpoint.lastBlock - HASH_HISTORY;
+    Object.keys(checkpoint.blockHashes)
+      .filter(number => Number(number) < oldest)
+      .forEach(number => delete checkpoint.blockHashes[number]);
+    Object.entries(checkpoint.processedLogs)
+      .filter(([, blockNumber]) => blockNumber < oldest)
+      .forEach(([key]) => delete checkpoint.processedLogs[key]);
+  }
+}
+
+module.exports = ChainEventListener;
@@ -0,0 +1,41 @@
+// File name from a Content-Disposition header
+const contentDispositionName = (headers = {}) => {
+  const disposition = headers['content-disposition'] || '';
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Files in upstream output, as { filename, content, contentType } with the
+// content a string or Buffer: `attachments` lists, markdown reports, binary
+// HTTP responses and { fileName, content } objects (base64 with
+// `encoding: 'base64'`), in arrays too. Used for email attachments,
+// storage uploads and vision inputs.
+const collectFiles = (value) => {
+  if (Array.isArray(value)) return value.flatMap(collectFiles);
+  if (!value || typeof value !== 'object') return [];
+  if (Array.isArray(value.attachments)) return collectFiles(value.attachments);
+
+  if (typeof value.markdown === 'string' && value.fileName) {
+    return [{ filename: value.fileName, content: value.markdown, contentType: 'text/markdown; charset=utf-8' }];
+  }
+  if (value.bodyType === 'binary' && typeof value.data === 'string') {
+    return [{
+      filename: contentDispositionName(value.headers) || 'attachment',
+      content: Buffer.from(value.data, 'base64'),
+      contentType: value.headers?.['content-type']
+    }];
+  }
+
+  const filename = value.fileName || value.filename;
+  const content = value.content ?? value.data;
+  if (filename && (typeof content === 'string' || Buffer.isBuffer(content))) {
+    return [{
+      filename,
+      content: typeof content === 'string' && value.encoding === 'base64' ? Buffer.from(content, 'base64') : content,
+      contentType: value.contentType || value.mimeType
+    }];
+  }
+  return [];
+};
+
+module.exports = { collectFiles };
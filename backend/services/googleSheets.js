@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Google Sheets for sheets nodes: read, write and append, with OAuth tokens
+// kept on the server. The builder's OAuth code is exchanged here for a
+// connection (access + refresh token, persisted in data/google-connections.json)
+// whose id is stored on the node, so scheduled and webhook runs can use the
+// sheet without a browser and expired access tokens are refreshed in place.
+// A connection belongs to the wallet that made it: its id is only a reference,
+// and it is only used for that wallet's requests and workflows.
+
+const SHEETS_API = 'https://sheets.googleapis.com/v4/spreadsheets';
+const TOKEN_ENDPOINT = 'https://oauth2.googleapis.com/token';
+const DEFAULT_TIMEOUT_MS = 15000;
+// Refresh a little before expiry so the token doesn't lapse mid-request
+const EXPIRY_MARGIN_MS = 60000;
+const OPERATIONS = ['read', 'write', 'append'];
+
+// `Sheet 1` → `'Sheet 1'`, as A1 notation needs for names with spaces or quotes
+const quoteSheetName = name => (/^[A-Za-z0-9_]+$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`);
+
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// The records to write from a node's input: an array, the first array among
+// `rows`, `items`, `values`, `results` or `pages`, or the input object itself
+const collectRecords = (input) => {
+  if (Array.isArray(input)) return input;
+  if (!input || typeof input !== 'object') return input === undefined || input === null ? [] : [input];
+
+  const list = ['rows', 'items', 'values', 'results', 'pages']
+    .map(key => input[key])
+    .find(Array.isArray);
+  return list || (Object.keys(input).length > 0 ? [input] : []);
+};
+
+// Rows of cell values for the records. Objects are laid out by the header
+// row; keys the header lacks are added to it as new columns.
+const recordsToRows = (records, header = []) => {
+  const columns = [...header];
+  const objects = records.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+  objects.forEach(record => Object.keys(record).forEach((key) => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+
+  const rows = records.map((record) => {
+    if (Array.isArray(record)) return record.map(cellValue);
+    if (record && typeof record === 'object') return columns.map(column => cellValue(record[column]));
+    return [cellValue(record)];
+  });
+  return { rows, header: columns, headerChanged: objects.length > 0 && columns.length !== header.length };
+};
+
+// Rows as objects keyed by the first row
+const rowsToRecords = ([header = [], ...rows]) => rows.map(row => Object.fromEntries(
+  header.map((column, i) => [column, row[i] ?? ''])
+));
+
+class GoogleSheets {
+  constructor({
+    clientId,
+    clientSecret,
+    filePath = path.join(__dirname, '../data/google-connections.json'),
+    apiBase = SHEETS_API,
+    tokenEndpoint = TOKEN_ENDPOINT
+  } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.filePath = filePath;
+    this.apiBase = apiBase;
+    this.tokenEndpoint = tokenEndpoint;
+    this.connections = new Map();
+    // In-flight refreshes per connection, so concurrent nodes share one
+    this.refreshing = new Map();
+    this.load();
+  }
+
+  static fromEnv(env = process.env) {
+    return new GoogleSheets({
+      clientId: env.GOOGLE_CLIENT_ID,
+      clientSecret: env.GOOGLE_CLIENT_SECRET
+    });
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        Object.values(saved).forEach(connection => this.connections.set(connection.id, connection));
+      }
+    } catch (err) {
+      console.error('⚠️ Failed to load Google connections:', err.message);
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.connections), null, 2), { mode: 0o600 });
+  }
+
+  async requestToken(params) {
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error('Google OAuth requires GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET');
+    }
+
+    const response = await fetch(this.tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: this.clientId, client_secret: this.clientSecret, ...params }),
+      signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.access_token) {
+      throw new Error(`Google token request failed: ${body.error_description || body.error || response.statusText}`);
+    }
+    return body;
+  }
+
+  // Exchange the builder's OAuth code for a connection of `owner` (a wallet
+  // address). Resolves with the connection id and a current access token (for
+  // listing spreadsheets in the browser); the refresh token never leaves the server.
+  async connect({ code, redirectUri, owner }) {
+    if (!owner) {
+      throw new Error('A Google connection needs an owner');
+    }
+    const token = await this.requestToken({ code, redirect_uri: redirectUri, grant_type: 'authorization_code' });
+    if (!token.refresh_token) {
+      throw new Error('Google did not return a refresh token; reconnect with offline access');
+    }
+
+    const connection = {
+      id: crypto.randomUUID(),
+      owner: owner.toLowerCase(),
+      accessToken: token.access_token,
+      refreshToken: token.refresh_token,
+      expiresAt: Date.now() + (token.expires_in || 3600) * 1000,
+      scope: token.scope || '',
+      createdAt: new Date().toISOString()
+    };
+    this.connections.set(connection.id, connection);
+    this.persist();
+    return { connectionId: connection.id, accessToken: connection.accessToken, expiresAt: connection.expiresAt };
+  }
+
+  // The connection if `owner` made it. Connections of other wallets (and ones
+  // saved before connections had owners) are reported as missing.
+  getConnection(connectionId, owner) {
+    const connection = this.connections.get(connectionId);
+    if (!connection || !owner || connection.owner !== owner.toLowerCase()) {
+      return null;
+    }
+    return connection;
+  }
+
+  disconnect(connectionId, owner) {
+    if (!this.getConnection(connectionId, owner)) {
+      return false;
+    }
+    this.connections.delete(connectionId);
+    this.persist();
+    return true;
+  }
+
+  async refresh(connection) {
+    if (!this.refreshing.has(connection.id)) {
+      const refreshing = this.requestToken({ refresh_token: connection.refreshToken, grant_type: 'refresh_token' })
+        .then((token) => {
+          connection.accessToken = token.access_token;
+          connection.expiresAt = Date.now() + (token.expires_in || 3600) * 1000;
+          // Google may rotate the refresh token
+          if (token.refresh_token) connection.refreshToken = token.refresh_token;
+          this.persist();
+          return connection;
+        })
+        .finally(() => this.refreshing.delete(connection.id));
+      this.refreshing.set(connection.id, refreshing);
+    }
+    return this.refreshing.get(connection.id);
+  }
+
+  // A valid access token: the connection's (when `owner` made it), refreshed
+  // when it is about to expire (or `force`d), else the plain token passed
+  // along with the request
+  async getAccessToken({ connectionId, owner, accessToken, force = false } = {}) {
+    if (connectionId) {
+      const connection = this.getConnection(connectionId, owner);
+      if (!connection) {
+        throw new Error(`Google connection ${connectionId} not found; reconnect the Google account`);
+      }
+      if (force || connection.expiresAt - EXPIRY_MARGIN_MS <= Date.now()) {
+        await this.refresh(connection);
+      }
+      return { token: connection.accessToken, expiresAt: connection.expiresAt };
+    }
+    if (accessToken) {
+      return { token: accessToken, expiresAt: null };
+    }
+    throw new Error('Google Sheets requires a connected Google account');
+  }
+
+  // Call the Sheets API, refreshing the connection's token once on a 401
+  async request(auth, urlPath, { method = 'GET', query = {}, body, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    const url = `${this.apiBase}/${urlPath}${Object.keys(query).length ? `?${new URLSearchParams(query)}` : ''}`;
+
+    for (let attempt = 0; ; attempt++) {
+      const { token } = await this.getAccessToken({ ...auth, force: attempt > 0 });
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: AbortSignal.timeout(timeout)
+        });
+      } catch (err) {
+        if (err.name === 'TimeoutError') {
+          throw new Error(`Google Sheets request timed out after ${timeout}ms`);
+        }
+        throw new Error(`Google Sheets request failed: ${err.message}`);
+      }
+
+      if (response.status === 401 && auth.connectionId && attempt === 0) {
+        continue;
+      }
+      const data = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(`Google Sheets request failed: ${data?.error?.message || response.statusText || response.status}`);
+      }
+      return data;
+    }
+  }
+
+  // The sheet's first row, used to lay out records by column name
+  async readHeader(auth, spreadsheetId, sheetName, timeout) {
+    const data = await this.request(auth, `${spreadsheetId}/values/${encodeURIComponent(`${quoteSheetName(sheetName)}!1:1`)}`, { timeout });
+    return (data?.values?.[0] || []).map(String);
+  }
+
+  async writeHeader(auth, spreadsheetId, sheetName, header, timeout) {
+    await this.request(auth, `${spreadsheetId}/values/${encodeURIComponent(`${quoteSheetName(sheetName)}!A1`)}`, {
+      method: 'PUT',
+      query: { valueInputOption: 'USER_ENTERED' },
+      body: { values: [header] },
+      timeout
+    });
+  }
+
+  // Run a sheets node operation, with the connection of `owner` or an access token:
+  //   read   → { values, rows (objects keyed by the header row), range }
+  //   write  → records from `values` or the input written at `range`
+  //   append → records added after the sheet's last row
+  // With `headerRow` (the default) objects are mapped to columns by the
+  // sheet's first row, which is created or extended as needed; write then
+  // starts below the header.
+  async execute({
+    operation = 'read',
+    spreadsheetId,
+    sheetName = 'Sheet1',
+    range,
+    values,
+    input,
+    headerRow = true,
+    connectionId,
+    owner,
+    accessToken,
+    timeout = DEFAULT_TIMEOUT_MS
+  }) {
+    if (!OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown Google Sheets operation "${operation}"`);
+    }
+    if (!spreadsheetId) {
+      throw new Error('Google Sheets node requires a spreadsheet');
+    }
+    const auth = { connectionId, owner, accessToken };
+    const sheet = quoteSheetName(sheetName);
+
+    if (operation === 'read') {
+      const data = await this.request(auth, `${spreadsheetId}/values/${encodeURIComponent(`${sheet}!${range || 'A1:Z100'}`)}`, { timeout });
+      const rows = data?.values || [];
+      return {
+        operation,
+        values: rows,
+        ...(headerRow ? { rows: rowsToRecords(rows) } : {}),
+        range: data?.range,
+        count: Math.max(rows.length - (headerRow ? 1 : 0), 0),
+        success: true
+      };
+    }
+
+    const records = collectRecords(values ?? input);
+    if (records.length === 0) {
+      throw new Error(`Nothing to ${operation}: the input has no rows`);
+    }
+
+    const mapsByHeader = headerRow && records.some(record => record && typeof record === 'object' && !Array.isArray(record));
+    const current = mapsByHeader ? await this.readHeader(auth, spreadsheetId, sheetName, timeout) : [];
+    const { rows, header, headerChanged } = recordsToRows(records, current);
+    if (mapsByHeader && headerChanged) {
+      await this.writeHeader(auth, spreadsheetId, sheetName, header, timeout);
+    }
+
+    if (operation === 'append') {
+      const data = await this.request(auth, `${spreadsheetId}/values/${encodeURIComponent(`${sheet}!A1`)}:append`, {
+        method: 'POST',
+        query: { valueInputOption: 'USER_ENTERED', insertDataOption: 'INSERT_ROWS' },
+        body: { values: rows },
+        timeout
+      });
+      return {
+        operation,
+        updatedRange: data?.updates?.updatedRange,
+        updatedRows: data?.updates?.updatedRows ?? rows.length,
+        header: mapsByHeader ? header : undefined,
+        success: true
+      };
+    }
+
+    // A start cell is enough; the rows extend right and down from it
+    const start = mapsByHeader ? 'A2' : (range || 'A1').split(':')[0];
+    const target = `${sheet}!${start}`;
+    const data = await this.request(auth, `${spreadsheetId}/values/${encodeURIComponent(target)}`, {
+      method: 'PUT',
+      query: { valueInputOption: 'USER_ENTERED' },
+      body: { values: rows },
+      timeout
+    });
+    return {
+      operation,
+      updatedRange: data?.updatedRange,
+      updatedRows: data?.updatedRows ?? rows.length,
+      header: mapsByHeader ? header : undefined,
+      success: true
+    };
+  }
+}
+
+module.exports = GoogleSheets;
+module.exports.collectRecords = collectRecords;
+module.exports.recordsToRows = recordsToRows;
@@ -0,0 +1,241 @@
+// Outgoing HTTP requests of HTTP request nodes, shared by the workflow engine
+// and the /api/http endpoint. Requests may only reach public addresses: every
+// host is resolved and checked when connecting, redirects are followed here
+// hop by hop, and response bodies are capped.
+
+const dns = require('dns');
+const net = require('net');
+const { fetch, Agent } = require('undici');
+
+const DEFAULT_API_KEY_HEADER = 'X-API-Key';
+const MAX_REDIRECTS = 5;
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+// Loopback, private, link-local (cloud metadata at 169.254.169.254),
+// carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2001:db8::', 32]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Set ALLOW_PRIVATE_HTTP_TARGETS=true to reach local services during development
+const isBlockedAddress = (address) => {
+  if (process.env.ALLOW_PRIVATE_HTTP_TARGETS === 'true') return false;
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// DNS lookup for outgoing connections that refuses non-public addresses, so a
+// host can't be pointed at internal services (also after resolving once)
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a non-public address (${blocked.address})`), { code: 'EBLOCKEDADDRESS' }));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const dispatcher = new Agent({ connect: { lookup: guardedLookup } });
+
+// Check a request URL before connecting: http(s) only, and no literal
+// non-public IPs (those skip the DNS lookup)
+const checkTarget = (url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (err) {
+    throw new Error(`Invalid URL "${url}"`);
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw new Error(`Unsupported protocol "${target.protocol}", only http and https are allowed`);
+  }
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new Error(`Requests to non-public addresses are not allowed (${hostname})`);
+  }
+  return target;
+};
+
+// checkTarget plus a DNS lookup of the host, for clients that connect on
+// their own (like the scraper's browser) and can't use guardedLookup
+const checkPublicTarget = async (url) => {
+  const target = checkTarget(url);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return target;
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw new Error(`Requests to non-public addresses are not allowed (${hostname} resolves to ${blocked.address})`);
+  }
+  return target;
+};
+
+// Headers from the node's `authType` / `authData`:
+//   none, basic (username, password), bearer (token), apiKey (apiKey, headerName)
+const buildAuthHeaders = (authType = 'none', authData = {}) => {
+  switch (authType) {
+    case 'none':
+    case undefined:
+    case null:
+    case '':
+      return {};
+
+    case 'basic': {
+      if (!authData.username) {
+        throw new Error('Basic auth requires a username');
+      }
+      const credentials = Buffer.from(`${authData.username}:${authData.password || ''}`).toString('base64');
+      return { Authorization: `Basic ${credentials}` };
+    }
+
+    case 'bearer':
+      if (!authData.token) {
+        throw new Error('Bearer auth requires a token');
+      }
+      return { Authorization: `Bearer ${authData.token}` };
+
+    case 'apiKey':
+      if (!authData.apiKey) {
+        throw new Error('API key auth requires a key');
+      }
+      return { [authData.headerName || DEFAULT_API_KEY_HEADER]: authData.apiKey };
+
+    default:
+      throw new Error(`Unknown auth type "${authType}"`);
+  }
+};
+
+// Headers are a list of { key, value } rows in the builder, or a plain object
+const normalizeHeaders = headers => (
+  Array.isArray(headers)
+    ? Object.fromEntries(headers.filter(h => h.key && h.value !== undefined && h.value !== '').map(h => [h.key, h.value]))
+    : (headers || {})
+);
+
+const isTextContentType = contentType => (
+  /^text\//.test(contentType) || /(xml|javascript|x-www-form-urlencoded|graphql)/.test(contentType)
+);
+
+// Read a response body, giving up once it grows past `maxBytes`
+const readLimited = async (response, maxBytes) => {
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    throw new Error(`Response body is larger than ${maxBytes} bytes`);
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`Response body is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Parse a response body by its content type: JSON is parsed, text is kept as
+// a string and anything else is returned base64 encoded
+const readBody = async (response, maxBytes = MAX_RESPONSE_BYTES) => {
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+  const buffer = await readLimited(response, maxBytes);
+
+  if (contentType && !/json/.test(contentType) && !isTextContentType(contentType)) {
+    return { bodyType: 'binary', data: buffer.toString('base64'), size: buffer.length };
+  }
+
+  const text = buffer.toString('utf-8');
+  // Servers without a content type (or with a wrong one) often still send JSON
+  if (/json/.test(contentType) || !contentType) {
+    try {
+      return { bodyType: 'json', data: JSON.parse(text) };
+    } catch (parseErr) {
+      return { bodyType: 'text', data: text };
+    }
+  }
+  return { bodyType: 'text', data: text };
+};
+
+// Send a request and resolve with { status, statusText, headers, data, url,
+// bodyType, size? }. Non-2xx responses resolve too; only network errors,
+// timeouts, blocked targets and invalid requests reject.
+const performHttpRequest = async ({ method = 'GET', url, headers, body, authType, authData, timeout, maxBytes } = {}) => {
+  if (!url) {
+    throw new Error('HTTP request node requires a URL');
+  }
+
+  let target = checkTarget(url);
+  let upperMethod = method.toUpperCase();
+  let hasBody = !['GET', 'HEAD'].includes(upperMethod) && body !== undefined && body !== null && body !== '';
+  const requestHeaders = {
+    'User-Agent': 'Agent0G-Workflow/1.0',
+    ...(hasBody && { 'Content-Type': 'application/json' }),
+    ...normalizeHeaders(headers),
+    ...buildAuthHeaders(authType, authData)
+  };
+  const signal = timeout ? AbortSignal.timeout(timeout) : undefined;
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetch(target, {
+      method: upperMethod,
+      headers: requestHeaders,
+      body: hasBody ? (typeof body === 'string' ? body : JSON.stringify(body)) : undefined,
+      redirect: 'manual',
+      dispatcher,
+      signal
+    }).catch((err) => {
+      if (err.name === 'TimeoutError') {
+        throw new Error(`HTTP request to ${target.host} timed out after ${timeout}ms`);
+      }
+      if (err.cause?.code === 'EBLOCKEDADDRESS') {
+        throw new Error(`HTTP request to ${target.host} refused: ${err.cause.message}`);
+      }
+      throw new Error(`HTTP request to ${target.host} failed: ${err.message}${err.cause ? ` (${err.cause.code || err.cause.message})` : ''}`);
+    });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        ...(await readBody(response, maxBytes)),
+        url: target.href
+      };
+    }
+
+    await response.body?.cancel();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`HTTP request to ${target.host} was redirected more than ${MAX_REDIRECTS} times`);
+    }
+    const next = checkTarget(new URL(location, target).href);
+    // Credentials don't follow a redirect to another origin
+    if (next.origin !== target.origin) {
+      Object.keys(requestHeaders)
+        .filter(name => /^(authorization|cookie|proxy-authorization)$/i.test(name) || (authType === 'apiKey' && name === (authData?.headerName || DEFAULT_API_KEY_HEADER)))
+        .forEach(name => delete requestHeaders[name]);
+    }
+    // 303 (and 301/302 after a POST, like browsers do) continue as GET
+    if (response.status === 303 || ([301, 302].includes(response.status) && upperMethod === 'POST')) {
+      upperMethod = upperMethod === 'HEAD' ? 'HEAD' : 'GET';
+      hasBody = false;
+      delete requestHeaders['Content-Type'];
+    }
+    target = next;
+  }
+};
+
+module.exports = {
+  checkPublicTarget,
+  isBlockedAddress,
+  performHttpRequest
+};
@@ -0,0 +1,367 @@
+const Ajv = require('ajv');
+const { collectFiles } = require('./files');
+
+// Helpers for AI nodes on 0G Compute: what a broker service can do, chat
+// requests with the images of vision nodes, structured JSON replies and
+// comparing the vectors of embedding nodes. The broker
+// calls themselves live in server.js (performInference, performEmbedding).
+
+const CAPABILITIES = ['chat', 'vision', 'embedding'];
+const VISION_MODEL = /vision|[-_/]vl\b|-vl-|llava|pixtral|gemma-3|minicpm-v|gpt-4o|multimodal/i;
+const EMBEDDING_MODEL = /embed|\bbge-|\be5-|\bgte-|minilm/i;
+const IMAGE_FILE = /\.(png|jpe?g|gif|webp|bmp)$/i;
+const MAX_IMAGES = 8;
+const CHAT_ROLES = ['system', 'user', 'assistant'];
+const MAX_STOP_SEQUENCES = 4;
+const DEFAULT_SCHEMA_RETRIES = 2;
+const MAX_SCHEMA_RETRIES = 5;
+
+const parseAdditionalInfo = (info) => {
+  try {
+    return info ? JSON.parse(info) : {};
+  } catch {
+    return {};
+  }
+};
+
+// Capabilities of a broker service. Providers can declare them in their
+// additionalInfo JSON (`{ "capabilities": ["chat", "vision"] }`); otherwise
+// they are read from the service type and model name.
+const getCapabilities = ({ serviceType = '', model = '', additionalInfo } = {}) => {
+  const declared = parseAdditionalInfo(additionalInfo).capabilities;
+  if (Array.isArray(declared)) {
+    return declared.filter(capability => CAPABILITIES.includes(capability));
+  }
+  if (/embed/i.test(serviceType) || EMBEDDING_MODEL.test(model)) {
+    return ['embedding'];
+  }
+  return /vision|image-to-text/i.test(serviceType) || VISION_MODEL.test(model)
+    ? ['chat', 'vision']
+    : ['chat'];
+};
+
+// URLs one per line (or comma separated); data URLs keep their own commas
+const splitUrls = value => [].concat(value ?? [])
+  .flatMap(item => String(item ?? '').split(/\n|,(?=\s*(?:https?:|data:))/))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const isImageFile = file => /^image\//i.test(file.contentType || '') || IMAGE_FILE.test(file.filename || '');
+
+// Images for a vision request: `urls` (http(s) or data: URLs) and the image
+// files in `files`, upstream output (see collectFiles), as data URLs
+const collectImages = ({ urls, files } = {}) => {
+  const images = splitUrls(urls);
+  const invalid = images.find(url => !/^(https?:\/\/|data:image\/)/i.test(url));
+  if (invalid) {
+    throw new Error(`Invalid image URL: ${invalid.substring(0, 100)}`);
+  }
+
+  collectFiles(files).filter(isImageFile).forEach((file) => {
+    const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content);
+    const contentType = /^image\//i.test(file.contentType || '')
+      ? file.contentType.split(';')[0]
+      : `image/${file.filename.split('.').pop().toLowerCase().replace('jpg', 'jpeg')}`;
+    images.push(`data:${contentType};base64,${content.toString('base64')}`);
+  });
+
+  if (images.length > MAX_IMAGES) {
+    throw new Error(`Vision requests take at most ${MAX_IMAGES} images (got ${images.length})`);
+  }
+  return images;
+};
+
+// Content of the user message: the prompt alone, or with the images as
+// OpenAI-style image_url parts
+const buildMessageContent = (prompt, images = []) => (images.length === 0
+  ? prompt
+  : [{ type: 'text', text: prompt }, ...images.map(url => ({ type: 'image_url', image_url: { url } }))]);
+
+// Earlier turns of a conversation: a list of { role, content }, or its JSON
+// (node configs are templated strings)
+const parseMessages = (messages) => {
+  if (messages === undefined || messages === null || messages === '') return [];
+  let list = messages;
+  if (typeof messages === 'string') {
+    try {
+      list = JSON.parse(messages);
+    } catch {
+      throw new Error('Invalid chat parameter: messages must be a JSON list of { role, content }');
+    }
+  }
+  if (!Array.isArray(list) || list.some(message => !CHAT_ROLES.includes(message?.role) || typeof message.content !== 'string')) {
+    throw new Error(`Invalid chat parameter: messages must be { role, content } with role ${CHAT_ROLES.join(', ')}`);
+  }
+  return list.map(({ role, content }) => ({ role, content }));
+};
+
+// A sampling parameter, left out when unset
+const optionalNumber = (value, name, isValid, expected) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number) || !isValid(number)) {
+    throw new Error(`Invalid chat parameter: ${name} must be ${expected} (got ${JSON.stringify(value)})`);
+  }
+  return number;
+};
+
+const parseStop = (stop) => {
+  const sequences = [].concat(stop ?? []).filter(sequence => sequence !== '');
+  if (sequences.some(sequence => typeof sequence !== 'string') || sequences.length > MAX_STOP_SEQUENCES) {
+    throw new Error(`Invalid chat parameter: stop must be at most ${MAX_STOP_SEQUENCES} strings`);
+  }
+  return sequences.length ? sequences : undefined;
+};
+
+// Chat completion request of a query: the system prompt, the earlier
+// messages, then the query with its images, plus the sampling parameters
+// that are set (the provider's defaults apply to the others)
+const buildChatRequest = (query, { images = [], systemPrompt, messages, temperature, maxTokens, topP, stop } = {}) => {
+  const params = {
+    temperature: optionalNumber(temperature, 'temperature', value => value >= 0 && value <= 2, 'from 0 to 2'),
+    max_tokens: optionalNumber(maxTokens, 'max_tokens', value => Number.isInteger(value) && value > 0, 'a positive integer'),
+    top_p: optionalNumber(topP, 'top_p', value => value > 0 && value <= 1, 'above 0 and at most 1'),
+    stop: parseStop(stop)
+  };
+  return {
+    messages: [
+      ...(systemPrompt ? [{ role: 'system', content: String(systemPrompt) }] : []),
+      ...parseMessages(messages),
+      { role: 'user', content: buildMessageContent(query, images) }
+    ],
+    ...Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined))
+  };
+};
+
+// Text of a chat request's messages, what the provider bills for
+const getMessagesText = messages => messages
+  .map(({ content }) => (typeof content === 'string' ? content : content.filter(part => part.type === 'text').map(part => part.text).join('\n')))
+  .join('\n');
+
+// Chat parameters of an LLM node: stop sequences are one per line, with `\n`
+// for a newline
+const getChatOptions = config => ({
+  systemPrompt: config.systemMessage,
+  messages: config.messages,
+  temperature: config.temperature,
+  maxTokens: config.maxTokens,
+  topP: config.topP,
+  stop: typeof config.stop === 'string'
+    ? config.stop.split('\n').filter(Boolean).map(sequence => sequence.replace(/\\n/g, '\n'))
+    : config.stop
+});
+
+// Run a chat completion and read its answer, token usage and finish reason.
+// With `onToken` the completion is streamed and every piece of the answer is
+// passed to it as it arrives; `signal` aborts the request.
+const runCompletion = async (openai, body, { headers, signal, onToken } = {}) => {
+  if (!onToken) {
+    const completion = await openai.chat.completions.create(body, { headers, signal });
+    return {
+      answer: completion.choices[0].message.content,
+      chatId: completion.id,
+      usage: completion.usage || null,
+      finishReason: completion.choices[0].finish_reason
+    };
+  }
+
+  const stream = await openai.chat.completions.create(
+    { ...body, stream: true, stream_options: { include_usage: true } },
+    { headers, signal }
+  );
+  const result = { answer: '', chatId: undefined, usage: null, finishReason: undefined };
+  for await (const chunk of stream) {
+    result.chatId = result.chatId || chunk.id;
+    // With include_usage the last chunk has the usage and no choices
+    if (chunk.usage) result.usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (choice?.delta?.content) {
+      result.answer += choice.delta.content;
+      onToken(choice.delta.content);
+    }
+    if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+  }
+  return result;
+};
+
+// JSON Schema of a structured reply, an object or its JSON (node configs are
+// templated strings); an empty schema accepts any JSON. Each schema gets its own
+// Ajv instance: a shared one keeps every schema it compiled and refuses a
+// second schema with the same $id.
+const compileSchema = (schema) => {
+  let parsed = schema;
+  if (typeof schema === 'string') {
+    try {
+      parsed = schema.trim() ? JSON.parse(schema) : {};
+    } catch (err) {
+      throw new Error(`Invalid chat parameter: schema is not valid JSON (${err.message})`);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Invalid chat parameter: schema must be a JSON Schema object');
+  }
+  try {
+    return { schema: parsed, validate: new Ajv({ allErrors: true, strict: false }).compile(parsed) };
+  } catch (err) {
+    throw new Error(`Invalid chat parameter: schema ${err.message}`);
+  }
+};
+
+// JSON of a model reply: the whole reply, a fenced code block or the text
+// from the first { or [ to the last } or ]. Resolves with { data } or { error }.
+const parseJsonReply = (text) => {
+  const reply = String(text ?? '').trim();
+  const candidates = [
+    reply,
+    reply.match(/```(?:json)?\s*([\s\S]*?)```/i)?.[1],
+    reply.slice(reply.search(/[{[]/), Math.max(reply.lastIndexOf('}'), reply.lastIndexOf(']')) + 1)
+  ];
+  for (const candidate of candidates) {
+    if (!candidate?.trim()) continue;
+    try {
+      return { data: JSON.parse(candidate) };
+    } catch {
+      // try the next candidate
+    }
+  }
+  return { error: 'the reply is not valid JSON' };
+};
+
+const describeErrors = errors => errors
+  .slice(0, 10)
+  .map(error => `${error.instancePath || '(root)'} ${error.message}`)
+  .join('; ');
+
+const addUsage = (total, usage) => {
+  if (!usage) return total;
+  return ['prompt_tokens', 'completion_tokens', 'total_tokens'].reduce((sum, key) => ({
+    ...sum,
+    [key]: (total?.[key] || 0) + (usage[key] || 0)
+  }), {});
+};
+
+// Structured output of a query: the system prompt asks for JSON matching
+// `schema`, the reply is parsed and validated, and on failure the model is
+// asked again with the errors, up to `maxRetries` times. `complete(query,
+// options)` runs one chat completion (performInference's signature without the
+// provider). Resolves with its result, with the parsed reply as
+// `response.data` and the usage of all attempts. When streaming, every attempt
+// is streamed; `onRetry({ attempt, reason })` is called before each new one,
+// so listeners can drop the rejected answer.
+const runStructured = async (complete, query, { schema, maxRetries = DEFAULT_SCHEMA_RETRIES, onRetry, ...options }) => {
+  const { schema: parsedSchema, validate } = compileSchema(schema);
+  const retries = optionalNumber(maxRetries, 'maxRetries', value => Number.isInteger(value) && value >= 0 && value <= MAX_SCHEMA_RETRIES, `an integer from 0 to ${MAX_SCHEMA_RETRIES}`) ?? DEFAULT_SCHEMA_RETRIES;
+  const systemPrompt = [
+    options.systemPrompt,
+    'Reply with JSON only, no other text or code fences. The JSON must be valid against this JSON Schema:\n'
+      + JSON.stringify(parsedSchema)
+  ].filter(Boolean).join('\n\n');
+
+  const messages = parseMessages(options.messages);
+  let prompt = query;
+  let usage = null;
+  for (let attempt = 1; ; attempt++) {
+    // Images go with the original query only
+    const result = await complete(prompt, {
+      ...options,
+      images: attempt === 1 ? options.images : [],
+      systemPrompt,
+      messages
+    });
+    const content = result.response.content;
+    usage = addUsage(usage, result.response.usage);
+
+    const { data, error } = parseJsonReply(content);
+    const problem = error || (validate(data) ? null : describeErrors(validate.errors));
+    if (!problem) {
+      return { ...result, response: { ...result.response, data, usage, attempts: attempt } };
+    }
+    if (attempt > retries) {
+      throw new Error(`Reply did not match the JSON schema after ${attempt} attempt(s): ${problem}`);
+    }
+
+    messages.push({ role: 'user', content: prompt }, { role: 'assistant', content });
+    prompt = `Your reply is invalid: ${problem}. Reply again with only the corrected JSON.`;
+    onRetry?.({ attempt: attempt + 1, reason: problem });
+  }
+};
+
+const VECTOR_METRICS = {
+  cosine: (a, b) => {
+    const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+    const norm = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return dot / (norm(a) * norm(b) || 1);
+  },
+  euclidean: (a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0)),
+  manhattan: (a, b) => a.reduce((sum, value, i) => sum + Math.abs(value - b[i]), 0)
+};
+
+// Similarity (cosine) or distance (euclidean, manhattan) of two vectors
+const compareVectors = (a, b, metric = 'cosine') => {
+  const measure = VECTOR_METRICS[metric];
+  if (!measure) {
+    throw new Error(`Unknown similarity metric "${metric}"`);
+  }
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+    throw new Error('Cannot compare embeddings of different dimensions');
+  }
+  return measure(a, b);
+};
+
+// An embedding node's operation: `embed` outputs the vector of `text`,
+// `similarity` also embeds `compareText` and outputs how close the two are
+// by `metric`. `performEmbedding(providerAddress, texts)` calls the model.
+const runEmbedding = async (performEmbedding, {
+  providerAddress,
+  text,
+  operation = 'embed',
+  compareText,
+  metric = 'cosine'
+}) => {
+  if (!providerAddress || !text) {
+    throw new Error('Embedding node requires a provider address and input text');
+  }
+
+  if (operation === 'embed') {
+    const result = await performEmbedding(providerAddress, [text]);
+    return {
+      embedding: result.embeddings[0],
+      dimensions: result.dimensions,
+      metadata: result.metadata
+    };
+  }
+
+  if (operation === 'similarity') {
+    if (!compareText) {
+      throw new Error('Similarity requires a text to compare with');
+    }
+    const result = await performEmbedding(providerAddress, [text, compareText]);
+    const [embedding, compareEmbedding] = result.embeddings;
+    return {
+      similarity: compareVectors(embedding, compareEmbedding, metric),
+      metric,
+      embedding,
+      compareEmbedding,
+      dimensions: result.dimensions,
+      metadata: result.metadata
+    };
+  }
+
+  throw new Error(`Embedding operation "${operation}" is not supported`);
+};
+
+module.exports = {
+  CAPABILITIES,
+  getCapabilities,
+  collectImages,
+  buildMessageContent,
+  buildChatRequest,
+  getMessagesText,
+  getChatOptions,
+  runCompletion,
+  compileSchema,
+  parseJsonReply,
+  runStructured,
+  compareVectors,
+  runEmbedding
+};
@@ -0,0 +1,564 @@
+const ivm = require('isolated-vm');
+const { performHttpRequest } = require('./httpClient');
+const { collectUrls } = require('./webScraper');
+const { formatData, generateMarkdown } = require('./reports');
+const { collectFiles } = require('./files');
+const { parseValue, applyOperation } = require('./variableStore');
+const { collectImages, runEmbedding, getChatOptions, runStructured } = require('./inference');
+
+// Node data is edited in two places in the builder: the node component writes
+// fields straight onto `data`, the properties sidebar writes them under
+// `data.config`. Merge both so executors can read a single flat config.
+const getNodeConfig = (node) => ({
+  ...(node.data || {}),
+  ...(node.data?.config || {})
+});
+
+// Node subtype (e.g. 'condition', 'email') as set by the palette or the sidebar
+const getNodeSubtype = (node) => node.data?.config?.type || node.data?.type;
+
+// Memory available to user code, per run of a script
+const SANDBOX_MEMORY_LIMIT = 32;
+
+// Loop iterations chain their outputs onto the enclosing graph's, so collect
+// inherited entries too
+const flattenOutputs = (outputs) => {
+  const flat = {};
+  for (const nodeId in outputs) {
+    flat[nodeId] = outputs[nodeId];
+  }
+  return flat;
+};
+
+// Run user JavaScript in a fresh V8 isolate with no host objects: no process,
+// require or Node globals, only a copy of `data` and of `outputs` (upstream
+// node outputs by id). The code should return a JSON-serialisable result.
+const runSandboxed = async (code, data, timeout = 5000, outputs = {}) => {
+  const isolate = new ivm.Isolate({ memoryLimit: SANDBOX_MEMORY_LIMIT });
+  try {
+    const context = await isolate.createContext();
+    // Values cross the isolate boundary as JSON, so no references leak in or out
+    const result = await context.evalClosure(
+      `const { data, outputs } = JSON.parse($0);\nconst result = (function (data, outputs) {\n${code}\n})(data, outputs);\nreturn result === undefined ? undefined : JSON.stringify(result);`,
+      [JSON.stringify({ data: data ?? {}, outputs: flattenOutputs(outputs) })],
+      { timeout, result: { copy: true } }
+    );
+    return result === undefined ? undefined : JSON.parse(result);
+  } finally {
+    if (!isolate.isDisposed) {
+      isolate.dispose();
+    }
+  }
+};
+
+// --- Executors ---
+// Each executor receives (node, input, context) and returns the node output.
+// `context` carries the run id, trigger payload, credentials and service hooks.
+
+const trigger = async (node, input, context) => {
+  if (context.triggerData !== undefined) {
+    return context.triggerData;
+  }
+
+  return {
+    trigger: getNodeSubtype(node) || 'manual',
+    timestamp: new Date().toISOString()
+  };
+};
+
+// Vision nodes send images along: the URLs in `imageUrl` (one per line) and,
+// with `imageSource: data`, the input's image files and imageUrl(s)
+const getVisionImages = (config, input) => {
+  const fromInput = config.imageSource === 'data';
+  return collectImages({
+    urls: [config.imageUrl, ...(fromInput ? [input?.imageUrl, input?.imageUrls] : [])],
+    files: fromInput ? input : undefined
+  });
+};
+
+const ai = async (node, input, context) => {
+  const config = getNodeConfig(node);
+  const subtype = getNodeSubtype(node);
+
+  if (subtype === 'embedding') {
+    if (!context.performEmbedding) {
+      throw new Error('Embeddings are not available on this server');
+    }
+    // Without text of its own the node embeds its input's text or prompt
+    const text = config.inputText || [input?.text, input?.prompt].find(value => typeof value === 'string');
+    context.log(`🧮 ${config.operation === 'similarity' ? 'Comparing' : 'Embedding'}: ${String(text || '').substring(0, 100)}`);
+    const result = await runEmbedding(context.performEmbedding, {
+      providerAddress: config.providerAddress,
+      text,
+      operation: config.operation,
+      compareText: config.compareText,
+      metric: config.similarityMetric
+    });
+    context.log(`✅ ${result.dimensions}-dimension embedding${result.similarity !== undefined ? `, ${result.metric} ${result.similarity.toFixed(4)}` : ''}`);
+    return result;
+  }
+
+  // {{...}} references were resolved by the engine before the executor ran.
+  // Without a prompt of its own the node takes one from its input (e.g. a
+  // data formatter's).
+  const prompt = config.prompt || (typeof input?.prompt === 'string' ? input.prompt : '');
+  if (!config.providerAddress || !prompt) {
+    throw new Error('AI node requires a provider address and a prompt');
+  }
+  if (!context.performInference) {
+    throw new Error('Inference is not available on this server');
+  }
+
+  const images = subtype === 'vision' ? getVisionImages(config, input) : [];
+  if (subtype === 'vision' && images.length === 0) {
+    throw new Error('Vision node requires an image: an image URL, or an image file from the previous node');
+  }
+
+  context.log(`📝 Prompt: ${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}${images.length ? ` (${images.length} image(s))` : ''}`);
+
+  // System message, earlier messages and sampling parameters of LLM nodes.
+  // Streaming nodes pass the answer on as it is generated. The node's signal
+  // stops generating when it times out.
+  const stream = Boolean(config.stream && context.streamToken);
+  const options = {
+    ...getChatOptions(config),
+    images,
+    signal: context.signal,
+    onToken: stream ? context.streamToken : undefined
+  };
+
+  // JSON output: the reply must validate against `jsonSchema` (any JSON
+  // without one) and the node outputs the parsed value
+  if (config.outputFormat === 'json') {
+    const result = await runStructured(
+      (attemptPrompt, attemptOptions) => context.performInference(config.providerAddress, attemptPrompt, undefined, attemptOptions),
+      prompt,
+      {
+        ...options,
+        schema: config.jsonSchema || {},
+        maxRetries: config.schemaRetries,
+        // A streamed answer that didn't validate is generated again
+        onRetry: stream ? context.streamRetry : undefined
+      }
+    );
+    const { usage, attempts } = result.response;
+    context.log(`🧩 Valid JSON after ${attempts} attempt(s)${usage ? `, ${usage.prompt_tokens} prompt + ${usage.completion_tokens} completion tokens` : ''}`);
+    return result.response.data;
+  }
+
+  const result = await context.performInference(config.providerAddress, prompt, undefined, options);
+  const usage = result?.response?.usage;
+  if (usage) {
+    context.log(`🔢 Tokens: ${usage.prompt_tokens} prompt, ${usage.completion_tokens} completion`);
+  }
+  return result;
+};
+
+const DEFAULT_MAX_ITERATIONS = 1000;
+// Body entry nodes get these next to the item, so the item can't use their names
+const RESERVED_LOOP_VARIABLES = ['index', 'total'];
+
+// Iterate over an array from the input and run the loop body (the nodes on the
+// "item" output) once per item, `concurrency` items at a time. Body entry
+// nodes receive `{ [loopVariable]: item, index, total }`. The results are
+// collected in item order and passed on through the "done" output.
+const loop = async (config, input, context) => {
+  if (!context.runLoopBody) {
+    throw new Error('Loop nodes can only run as part of a workflow run');
+  }
+
+  const loopVariable = config.loopVariable || 'item';
+  if (!/^[A-Za-z_$][\w$]*$/.test(loopVariable)) {
+    throw new Error(`Invalid loop variable name "${loopVariable}"`);
+  }
+  if (RESERVED_LOOP_VARIABLES.includes(loopVariable)) {
+    throw new Error(`The loop variable can't be named "${loopVariable}" (${RESERVED_LOOP_VARIABLES.join(' and ')} are reserved)`);
+  }
+
+  // Without an array expression, loop over the input itself or its first array field
+  const array = config.arrayExpression
+    ? await runSandboxed(`return (${config.arrayExpression});`, input, context.timeout, context.outputs)
+    : (Array.isArray(input) ? input : Object.values(input || {}).find(Array.isArray));
+  if (!Array.isArray(array)) {
+    throw new Error(`Loop input is not an array${config.arrayExpression ? ` (${config.arrayExpression})` : ''}`);
+  }
+
+  let items = array;
+  if (config.condition) {
+    // One sandbox run evaluates the condition for every item. The item and
+    // index are parameters, so the loop variable may shadow `data` or `outputs`.
+    const matches = await runSandboxed(
+      `const test = (${loopVariable}, index) => Boolean(${config.condition});\nreturn data.items.map((item, index) => test(item, index));`,
+      { items: array },
+      context.timeout,
+      context.outputs
+    );
+    items = array.filter((item, index) => matches[index]);
+  }
+
+  const maxIterations = Number(config.maxIterations) || DEFAULT_MAX_ITERATIONS;
+  if (items.length > maxIterations) {
+    context.log(`⚠️  ${items.length} items, only the first ${maxIterations} will be processed (maxIterations)`);
+    items = items.slice(0, maxIterations);
+  }
+
+  const concurrency = Math.max(1, Number(config.concurrency) || 1);
+  context.log(`🔁 Looping over ${items.length} item(s)${concurrency > 1 ? `, ${concurrency} at a time` : ''}`);
+
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await context.runLoopBody(
+        { [loopVariable]: items[index], index, total: items.length },
+        `[${loopVariable} ${index + 1}/${items.length}]`
+      );
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  return {
+    results,
+    items,
+    count: items.length
+  };
+};
+
+// Merge the outputs of every incoming branch. The engine starts a node only once
+// all of its upstream nodes have settled, so by now every branch is in.
+//   bySource:  { [sourceNodeId]: output }
+//   append:    { items: [...] }, array outputs are concatenated
+//   firstWins: keys merged in the order branches finished, first value kept
+const join = (config, input, context) => {
+  const inputs = context.inputs || [];
+  const strategy = config.mergeStrategy || 'bySource';
+
+  switch (strategy) {
+    case 'bySource':
+      return Object.fromEntries(inputs.map(({ source, output }) => [source, output]));
+
+    case 'append':
+      return { items: inputs.flatMap(({ output }) => (Array.isArray(output) ? output : [output])) };
+
+    case 'firstWins':
+      return inputs.reduce((merged, { output }) => (
+        output && typeof output === 'object' ? { ...output, ...merged } : merged
+      ), {});
+
+    default:
+      throw new Error(`Unknown merge strategy "${strategy}"`);
+  }
+};
+
+// Get, set or increment a variable. `run` variables last for the run;
+// `persistent` ones are kept across runs per workflow and renter (see
+// services/variableStore.js). Set stores `variableValue`, or else the input.
+// Outputs { name, scope, operation, value, previous }.
+const variable = async (config, input, context) => {
+  const name = config.variableName || config.name;
+  const hasValue = config.variableValue !== undefined && config.variableValue !== '';
+  const request = {
+    name,
+    operation: config.operation || 'set',
+    value: hasValue ? parseValue(config.variableValue) : input,
+    amount: config.amount,
+    defaultValue: parseValue(config.defaultValue)
+  };
+
+  if (config.scope === 'persistent') {
+    if (!context.variableStore) {
+      throw new Error('Persistent variables are not available on this server');
+    }
+    const result = await context.variableStore.execute({
+      ...request,
+      workflowId: context.workflowId,
+      renter: context.renter
+    });
+    context.log(`📌 ${request.operation} ${name} = ${JSON.stringify(result.value)} (persistent${result.synced === false ? `, not synced to 0G KV: ${result.syncError}` : ''})`);
+    return result;
+  }
+
+  if (!name) {
+    throw new Error('Variable node requires a name');
+  }
+  const variables = context.variables || {};
+  const previous = Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : undefined;
+  const value = applyOperation(previous === undefined ? request.defaultValue : previous, request);
+  if (request.operation !== 'get') {
+    variables[name] = value;
+  }
+  context.log(`📌 ${request.operation} ${name} = ${JSON.stringify(value)} (run)`);
+  return { name, scope: 'run', operation: request.operation, value: value ?? null, previous: previous ?? null };
+};
+
+const logic = async (node, input, context) => {
+  const config = getNodeConfig(node);
+  const subtype = getNodeSubtype(node);
+
+  switch (subtype) {
+    case 'transform': {
+      const code = config.script || config.transformCode;
+      if (!code) {
+        throw new Error('Transform node requires a script');
+      }
+      return runSandboxed(code, input, context.timeout, context.outputs);
+    }
+
+    case 'condition': {
+      const expression = config.expression || config.condition;
+      if (!expression) {
+        throw new Error('Condition node requires an expression');
+      }
+      const result = Boolean(await runSandboxed(`return (${expression});`, input, context.timeout, context.outputs));
+      return { condition: result, data: input };
+    }
+
+    case 'loop':
+      return loop(config, input, context);
+
+    case 'join':
+      return join(config, input, context);
+
+    case 'variable':
+      return variable(config, input, context);
+
+    default:
+      context.log(`⚠️  Logic type "${subtype}" has no executor, passing input through`);
+      return input;
+  }
+};
+
+const httpRequest = async (node, input, context) => {
+  const config = getNodeConfig(node);
+  const method = (config.method || 'GET').toUpperCase();
+  context.log(`🌐 ${method} ${config.url}`);
+
+  // Saved workflows keep their credentials on the server (see webhookSecrets.js)
+  const authData = config.authData
+    || (context.workflowId && context.webhookSecrets?.get(context.workflowId, node.id))
+    || undefined;
+  const response = await performHttpRequest({ ...config, authData, method, timeout: context.timeout });
+  context.log(`📨 ${response.status} ${response.statusText} (${response.bodyType})`);
+  return response;
+};
+
+// Search the web with the node's query, or the `query` of its input
+const googleSearch = async (node, input, context) => {
+  if (!context.searchService) {
+    throw new Error('Web search is not available on this server');
+  }
+  const config = getNodeConfig(node);
+  const query = config.query || input?.query;
+  if (!query) {
+    throw new Error('Search node requires a query');
+  }
+
+  context.log(`🔎 Searching${config.provider ? ` (${config.provider})` : ''}: ${query}`);
+  const response = await context.searchService.search({ ...config, query, timeout: context.timeout });
+  context.log(`📄 ${response.count} result(s) from ${response.provider}`);
+  return response;
+};
+
+// Scrape the node's URL(s), or the ones in its input (e.g. search results).
+// One URL outputs the page, several output { pages, count }.
+const webScraper = async (node, input, context) => {
+  if (!context.webScraper) {
+    throw new Error('Web scraping is not available on this server');
+  }
+  // The node's own timeout is in seconds; config.timeout is the node policy's
+  const options = { ...getNodeConfig(node), timeout: node.data?.timeout };
+  const urls = collectUrls(options, input);
+  if (urls.length === 0) {
+    throw new Error('Web scraper node requires a URL, or input with url, urls or results');
+  }
+
+  context.log(`🕸️  Scraping ${urls.length === 1 ? urls[0] : `${urls.length} pages`} (${options.extractionMode || 'text'})`);
+  const pages = await context.webScraper.scrape(urls, options);
+  const failed = pages.filter(page => page.error);
+  failed.forEach(page => context.log(`⚠️  ${page.url}: ${page.error}`));
+
+  if (failed.length === pages.length) {
+    throw new Error(pages.length === 1 ? pages[0].error : `All ${pages.length} pages failed to scrape`);
+  }
+  return pages.length === 1 ? pages[0] : { pages, count: pages.length };
+};
+
+const dataFormatter = (node, input, context) => {
+  const missing = [];
+  const result = formatData(getNodeConfig(node), input, { outputs: context.outputs, missing });
+  if (missing.length > 0) {
+    context.log(`⚠️  Unresolved template reference(s): ${[...new Set(missing)].join(', ')}`);
+  }
+  context.log(`🧾 Formatted ${result.sourceCount} source(s) into a ${result.length} character prompt${result.truncated ? ' (content truncated)' : ''}`);
+  return result;
+};
+
+// Render the report and, when the server keeps reports, save it for download
+const markdownGenerator = async (node, input, context) => {
+  const missing = [];
+  const report = generateMarkdown(getNodeConfig(node), input, { outputs: context.outputs, missing });
+  if (missing.length > 0) {
+    context.log(`⚠️  Unresolved template reference(s): ${[...new Set(missing)].join(', ')}`);
+  }
+  context.log(`📝 Generated ${report.fileName} (${report.markdown.length} characters, ${report.toc.length} sections)`);
+
+  if (!context.reportStore) {
+    return report;
+  }
+  const saved = await context.reportStore.save(report, { runId: context.runId, workflowId: context.workflowId, nodeId: node.id });
+  return { ...report, reportId: saved.id, downloadUrl: `/api/reports/${saved.id}/download` };
+};
+
+// Read, write or append through the server's Google Sheets service. The
+// node's connection (set when the account was connected in the builder) lets
+// scheduled and webhook runs authenticate, as long as the workflow's owner
+// made it; a browser token is the fallback.
+const googleSheets = async (node, input, context) => {
+  const config = getNodeConfig(node);
+  if (!context.googleSheets) {
+    throw new Error('Google Sheets is not available on this server');
+  }
+
+  const operation = config.operation || 'read';
+  const sheetName = config.selectedSheet || 'Sheet1';
+  context.log(`📊 Google Sheets ${operation} on ${sheetName}${operation === 'read' ? `!${config.range || 'A1:Z100'}` : ''}`);
+
+  const result = await context.googleSheets.execute({
+    operation,
+    spreadsheetId: config.selectedSpreadsheet,
+    sheetName,
+    range: config.range,
+    headerRow: config.headerRow !== false,
+    input,
+    connectionId: config.connectionId || context.credentials?.googleConnectionId,
+    owner: context.owner,
+    accessToken: context.credentials?.googleAccessToken,
+    timeout: context.timeout
+  });
+
+  context.log(operation === 'read'
+    ? `✅ Read ${result.values.length} row(s)`
+    : `✅ ${operation === 'append' ? 'Appended' : 'Wrote'} ${result.updatedRows} row(s)`);
+  return result;
+};
+
+// Send the node's email as the workflow's sender. Subject and body were
+// templated by the engine; files of the input (or of the upstream nodes in
+// `attachFrom`) are attached unless `attachFiles` is off.
+const email = async (node, input, context) => {
+  if (!context.emailService) {
+    throw new Error('Email is not available on this server');
+  }
+  const config = getNodeConfig(node);
+  const sources = config.attachFrom
+    ? String(config.attachFrom).split(',').map(id => context.outputs?.[id.trim()])
+    : [input];
+  const attachments = config.attachFiles === false ? [] : collectFiles(sources);
+
+  context.log(`📧 Sending "${config.subject || ''}" to ${config.to}${attachments.length ? ` with ${attachments.length} attachment(s)` : ''}`);
+  const result = await context.emailService.send({
+    ...config,
+    workflowId: context.workflowId,
+    attachments,
+    timeout: context.timeout
+  });
+  context.log(`✅ Email accepted for ${result.accepted.length} recipient(s) (${result.messageId})`);
+  return result;
+};
+
+// Run the node's SQL. `select` reads rows as objects; other operations write.
+// :name placeholders are bound from `params` or the input (see services/database.js).
+const database = async (node, input, context) => {
+  if (!context.databaseService) {
+    throw new Error('Databases are not available on this server');
+  }
+  const config = getNodeConfig(node);
+  const mode = (config.operation || 'select') === 'select' ? 'read' : 'write';
+  context.log(`🗄️ ${mode === 'read' ? 'Querying' : 'Writing'}${config.transaction ? ' (transaction)' : ''}: ${String(config.query || '').substring(0, 100)}`);
+
+  const result = await context.databaseService.execute({
+    connection: config.connection,
+    workflowId: context.workflowId,
+    query: config.query,
+    params: config.params,
+    input,
+    mode,
+    transaction: Boolean(config.transaction),
+    timeout: context.timeout
+  });
+  context.log(mode === 'read' ? `✅ ${result.count} row(s)` : `✅ ${result.changes} row(s) changed`);
+  return result;
+};
+
+// Upload the input (or `content`) to 0G Storage, serialized per `format`
+// (auto, json, text, file), or download `rootHash` (else the input's) and
+// pass the verified content on (see services/zgStorage.js).
+const storage = async (node, input, context) => {
+  if (!context.storageService) {
+    throw new Error('0G Storage is not available on this server');
+  }
+  const config = getNodeConfig(node);
+  const operation = config.operation || 'upload';
+  const format = config.format || 'auto';
+
+  if (operation === 'upload') {
+    const value = config.content !== undefined && config.content !== '' ? config.content : input;
+    context.log(`📤 Uploading ${format === 'auto' ? '' : `${format} `}data to 0G Storage`);
+    const result = await context.storageService.uploadValue(value, { format });
+    context.log(`✅ Stored ${result.size} bytes as ${result.rootHash} (tx ${result.txHash})`);
+    return result;
+  }
+
+  if (operation === 'download') {
+    const rootHash = config.rootHash || input?.rootHash || (typeof input === 'string' ? input.trim() : undefined);
+    if (!rootHash) {
+      throw new Error('Storage download requires a root hash');
+    }
+    context.log(`📥 Downloading ${rootHash} from 0G Storage`);
+    const result = await context.storageService.downloadValue(rootHash, { format, fileName: config.fileName });
+    context.log(`✅ Downloaded and verified ${result.size} bytes (${result.format})`);
+    return result;
+  }
+
+  throw new Error(`Storage operation "${operation}" is not supported`);
+};
+
+const action = async (node, input, context) => {
+  const subtype = getNodeSubtype(node);
+
+  switch (subtype) {
+    case 'http':
+      return httpRequest(node, input, context);
+
+    case 'email':
+      return email(node, input, context);
+
+    case 'database':
+      return database(node, input, context);
+
+    case 'storage':
+      return storage(node, input, context);
+
+    default:
+      throw new Error(`Action type "${subtype}" is not supported yet`);
+  }
+};
+
+module.exports = {
+  getNodeConfig,
+  getNodeSubtype,
+  runSandboxed,
+  executors: {
+    trigger,
+    ai,
+    logic,
+    httpRequest,
+    googleSearch,
+    webScraper,
+    dataFormatter,
+    markdownGenerator,
+    googleSheets,
+    action
+  }
+};
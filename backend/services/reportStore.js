@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_REPORTS = 200;
+
+const summarize = report => ({
+  id: report.id,
+  fileName: report.fileName,
+  title: report.title,
+  runId: report.runId,
+  workflowId: report.workflowId,
+  nodeId: report.nodeId,
+  size: report.size,
+  createdAt: report.createdAt
+});
+
+// Markdown reports of markdown generator nodes, kept under data/reports (the
+// document as <id>.md next to its details in <id>.json) so they can be
+// downloaded after the run.
+class ReportStore {
+  constructor({ dirPath = path.join(__dirname, '../data/reports') } = {}) {
+    this.dirPath = dirPath;
+    this.summaries = new Map();
+    this.load();
+  }
+
+  reportPath(reportId, extension) {
+    return path.join(this.dirPath, `${reportId}.${extension}`);
+  }
+
+  load() {
+    if (!fs.existsSync(this.dirPath)) return;
+
+    fs.readdirSync(this.dirPath)
+      .filter(file => file.endsWith('.json'))
+      .forEach((file) => {
+        try {
+          const report = JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf-8'));
+          this.summaries.set(report.id, summarize(report));
+        } catch (err) {
+          console.error(`⚠️ Failed to load report ${file}:`, err.message);
+        }
+      });
+  }
+
+  // Save a generated report ({ markdown, fileName, title, ... }) and resolve
+  // with its summary
+  async save(report, { runId = null, workflowId = null, nodeId = null } = {}) {
+    const { markdown, ...details } = report;
+    const record = {
+      ...details,
+      id: crypto.randomUUID(),
+      runId,
+      workflowId,
+      nodeId,
+      size: Buffer.byteLength(markdown),
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(this.dirPath, { recursive: true });
+    await fs.promises.writeFile(this.reportPath(record.id, 'md'), markdown);
+    await fs.promises.writeFile(this.reportPath(record.id, 'json'), JSON.stringify(record, null, 2));
+
+    this.summaries.set(record.id, summarize(record));
+    this.prune();
+    return summarize(record);
+  }
+
+  // The report's details and markdown, or null
+  get(reportId) {
+    if (!this.summaries.has(reportId)) {
+      return null;
+    }
+    return {
+      ...JSON.parse(fs.readFileSync(this.reportPath(reportId, 'json'), 'utf-8')),
+      markdown: fs.readFileSync(this.reportPath(reportId, 'md'), 'utf-8')
+    };
+  }
+
+  // Report summaries, newest first, optionally of one workflow or run
+  list({ workflowId, runId, limit = 50 } = {}) {
+    return Array.from(this.summaries.values())
+      .filter(report => (!workflowId || report.workflowId === workflowId) && (!runId || report.runId === runId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Keep only the newest MAX_REPORTS reports
+  prune() {
+    this.list({ limit: Infinity })
+      .slice(MAX_REPORTS)
+      .forEach((report) => {
+        this.summaries.delete(report.id);
+        fs.rm(this.reportPath(report.id, 'md'), { force: true }, () => {});
+        fs.rm(this.reportPath(report.id, 'json'), { force: true }, () => {});
+      });
+  }
+}
+
+module.exports = ReportStore;
@@ -0,0 +1,408 @@
+const { renderTemplate } = require('./templates');
+
+// Data formatter and markdown generator nodes: turning scraped pages into a
+// prompt for an AI node, and an AI answer into a markdown report.
+
+// Prompt templates of the data formatter's format types
+const FORMAT_PRESETS = {
+  research: `Analyze and summarize the following research data:
+
+{{title}}
+Source: {{url}}
+Content: {{content}}
+
+Please provide:
+1. Key insights and findings
+2. Main topics covered
+3. Important facts and figures
+4. Relevant quotes or statistics
+
+Format your response in clear, structured markdown.`,
+  news: `Summarize this news article:
+
+Title: {{title}}
+Source: {{url}}
+Content: {{content}}
+
+Please provide:
+- Main story summary
+- Key facts
+- Important people mentioned
+- Timeline of events (if applicable)
+
+Format as a clear news summary.`,
+  technical: `Analyze this technical content:
+
+{{title}}
+Source: {{url}}
+Content: {{content}}
+
+Please extract:
+- Technical concepts explained
+- Code examples or methods
+- Implementation details
+- Best practices mentioned
+
+Provide a technical summary in markdown.`,
+  comparison: `Compare and analyze the following information:
+
+{{title}}
+Source: {{url}}
+Content: {{content}}
+
+Create a comparison focusing on:
+- Key differences
+- Advantages/disadvantages
+- Use cases
+- Recommendations
+
+Format as a structured comparison in markdown.`
+};
+
+// Header and footer templates of the markdown generator's styles
+const REPORT_STYLES = {
+  professional: {
+    header: `# Research Report
+
+**Generated on:** {{date}}  
+**Query:** {{query}}  
+**Sources:** {{sourceCount}} websites analyzed  
+
+---
+
+`,
+    footer: `
+
+---
+
+*Report generated by Agent0G Web Research Tool*  
+*Generated on: {{timestamp}}*`
+  },
+  academic: {
+    header: `# {{query}}: Research Analysis
+
+**Abstract:** This report presents a comprehensive analysis of {{query}} based on {{sourceCount}} web sources.
+
+**Date:** {{date}}  
+**Methodology:** Automated web scraping and AI-powered content analysis  
+
+## Executive Summary
+
+`,
+    footer: `
+
+## References
+
+{{sources}}
+
+---
+
+**Disclaimer:** This report was generated using automated web scraping and AI analysis. Please verify important information from original sources.
+
+*Generated by Agent0G Research Platform on {{timestamp}}*`
+  },
+  blog: {
+    header: `# {{query}}: What I Found Out
+
+Hey there! I did some research on **{{query}}** and here's what I discovered from {{sourceCount}} different sources around the web.
+
+*Published on {{date}}*
+
+`,
+    footer: `
+
+---
+
+That's a wrap! Hope this research was helpful.
+
+*Automatically generated by Agent0G on {{timestamp}}*`
+  },
+  minimal: {
+    header: `# {{query}}
+
+{{date}}
+
+`,
+    footer: `
+
+---
+*{{timestamp}}*`
+  }
+};
+
+// Characters of content kept per source; "auto" shares AUTO_CONTENT_BUDGET
+// between the sources, but keeps at least MIN_AUTO_LENGTH of each
+const MAX_LENGTHS = { short: 1000, medium: 2500, long: 5000, full: Infinity };
+const AUTO_CONTENT_BUDGET = 12000;
+const MIN_AUTO_LENGTH = 1000;
+
+const URL_VARIABLES = ['url'];
+const METADATA_VARIABLES = ['description', 'keywords', 'author', 'date'];
+const TIMESTAMP_VARIABLES = ['date', 'timestamp'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+// Strip markup and invisible characters and normalize whitespace
+const cleanText = (text) => {
+  let cleaned = String(text);
+  if (/<[a-z][\s\S]*>/i.test(cleaned)) {
+    cleaned = cleaned
+      .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+      .replace(/<[^>]+>/g, '');
+  }
+  return cleaned
+    .replace(/&(amp|lt|gt|quot|apos|nbsp|#39);/g, (match, entity) => HTML_ENTITIES[entity])
+    .replace(/[\u200b-\u200d\ufeff]/g, '')
+    // Control characters other than tabs and line breaks
+    .replace(/[^\P{Cc}\t\n\r]/gu, '')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Cut text to `limit` characters, at a word boundary when there's one nearby
+const truncate = (text, limit) => {
+  if (text.length <= limit) return text;
+  const cut = text.slice(0, limit);
+  const boundary = cut.search(/\s\S*$/);
+  return `${boundary > limit * 0.8 ? cut.slice(0, boundary) : cut}…`;
+};
+
+const variablePattern = name => new RegExp(`\\{\\{\\s*${name}\\s*(\\||\\}\\})`);
+
+// Render a template line by line. Lines referring to a `disabled` variable are
+// dropped, and so are lines whose `optional` variables are all empty (so a
+// missing author doesn't leave an "Author:" line behind).
+const renderLines = (template, variables, { optional = [], disabled = [], outputs = {}, missing = [] } = {}) => template
+  .split('\n')
+  .filter((line) => {
+    if (disabled.some(name => variablePattern(name).test(line))) return false;
+    const used = optional.filter(name => variablePattern(name).test(line));
+    return used.length === 0 || used.some(name => variables[name] !== undefined && variables[name] !== '');
+  })
+  .map(line => renderTemplate(line, { outputs, input: variables }, missing))
+  .join('\n');
+
+const stringifyContent = value => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+// The sources in a formatter's input: scraped pages, search results, or a
+// single page or value
+const collectSources = (input) => {
+  let documents;
+  if (Array.isArray(input?.pages)) {
+    documents = input.pages.filter(page => page && !page.error);
+  } else if (Array.isArray(input?.results)) {
+    documents = input.results.map(result => ({ title: result.title, url: result.url, content: result.snippet }));
+  } else if (input === undefined || input === null || input === '') {
+    documents = [];
+  } else {
+    documents = [typeof input === 'object' ? input : { content: String(input) }];
+  }
+
+  return documents.map((doc) => {
+    const content = doc.content ?? doc.text ?? (doc.fields || doc.structured || doc);
+    return {
+      title: doc.title || doc.metadata?.title || '',
+      url: doc.finalUrl || doc.url || '',
+      content: stringifyContent(content),
+      description: doc.metadata?.description || doc.description || doc.snippet || '',
+      keywords: doc.metadata?.keywords || doc.keywords || '',
+      author: doc.metadata?.author || doc.author || '',
+      date: doc.metadata?.publishedTime || doc.date || ''
+    };
+  });
+};
+
+const formatSourceList = sources => sources
+  .map((source, i) => `${i + 1}. ${source.url ? `[${source.title || source.url}](${source.url})` : source.title}`)
+  .join('\n');
+
+// The research query and sources being worked on: from the input, or else
+// the latest upstream output carrying them (search results, formatted data)
+const findResearchContext = (input, outputs) => {
+  // Latest first; loop bodies chain their outputs to the enclosing graph's
+  const candidates = [input];
+  for (let level = outputs; level && level !== Object.prototype; level = Object.getPrototypeOf(level)) {
+    candidates.push(...Object.values(level).reverse());
+  }
+
+  const withQuery = candidates.find(output => typeof output?.query === 'string' && output.query);
+  const withSources = candidates.find(output => Array.isArray(output?.sources) || Array.isArray(output?.results) || Array.isArray(output?.pages));
+  const sources = withSources
+    ? (withSources.sources || withSources.results || withSources.pages.filter(page => !page.error))
+      .map(source => ({ title: source.title || '', url: source.url || source.finalUrl || '' }))
+    : [];
+  return { query: withQuery?.query || '', sources };
+};
+
+// Format scraped data into a prompt. The node's promptTemplate (or its format
+// type's preset) is rendered with the source's title, url, content,
+// description, keywords, author and date; several sources are combined into
+// one content block. Content is cleaned (cleanText) and cut to maxLength
+// (short/medium/long/full/auto); includeUrls and includeMetadata drop the
+// template lines using those variables.
+const formatData = (config, input, { outputs = {}, missing = [] } = {}) => {
+  const formatType = config.formatType || 'research';
+  const template = config.promptTemplate || FORMAT_PRESETS[formatType] || FORMAT_PRESETS.research;
+  const includeUrls = config.includeUrls !== false;
+  const includeMetadata = config.includeMetadata !== false;
+
+  const sources = collectSources(input);
+  if (sources.length === 0) {
+    throw new Error('Data formatter received no content to format');
+  }
+
+  const maxLength = config.maxLength && config.maxLength !== 'auto'
+    ? (MAX_LENGTHS[config.maxLength] ?? (Number(config.maxLength) || MAX_LENGTHS.medium))
+    : Math.max(MIN_AUTO_LENGTH, Math.floor(AUTO_CONTENT_BUDGET / sources.length));
+
+  let truncated = false;
+  const prepared = sources.map((source) => {
+    const text = config.cleanText !== false ? cleanText(source.content) : source.content;
+    const content = truncate(text, maxLength);
+    truncated = truncated || content !== text;
+    return { ...source, content };
+  });
+
+  const { query } = findResearchContext(input, outputs);
+  const variables = prepared.length === 1
+    ? { ...prepared[0], query }
+    : {
+        title: query ? `Research on "${query}" (${prepared.length} sources)` : `${prepared.length} sources`,
+        url: prepared.map(source => source.url).filter(Boolean).join(', '),
+        content: prepared.map((source, i) => [
+          `### Source ${i + 1}: ${source.title || source.url || 'Untitled'}`,
+          includeUrls && source.url ? `URL: ${source.url}` : null,
+          includeMetadata && source.description ? `Description: ${source.description}` : null,
+          includeMetadata && source.author ? `Author: ${source.author}` : null,
+          includeMetadata && source.date ? `Date: ${source.date}` : null,
+          '',
+          source.content
+        ].filter(line => line !== null).join('\n')).join('\n\n'),
+        query
+      };
+
+  const prompt = renderLines(template, variables, {
+    optional: [...URL_VARIABLES, ...METADATA_VARIABLES],
+    disabled: [...(includeUrls ? [] : URL_VARIABLES), ...(includeMetadata ? [] : METADATA_VARIABLES)],
+    outputs,
+    missing
+  }).replace(/\n{3,}/g, '\n\n').trim();
+
+  return {
+    prompt,
+    formatType,
+    query,
+    sources: prepared.map(({ title, url, description }) => ({ title, url, ...(includeMetadata && description && { description }) })),
+    sourceCount: prepared.length,
+    truncated,
+    length: prompt.length
+  };
+};
+
+// GitHub style heading anchors
+const slugify = text => text
+  .toLowerCase()
+  .replace(/[`*_~[\]()]/g, '')
+  .replace(/[^\p{L}\p{N}\s-]/gu, '')
+  .trim()
+  .replace(/\s/g, '-');
+
+// Level 2 and 3 headings outside of code blocks, with unique anchors
+const collectHeadings = (markdown) => {
+  const seen = {};
+  let inCode = false;
+  return markdown.split('\n').flatMap((line) => {
+    if (/^\s*(```|~~~)/.test(line)) inCode = !inCode;
+    const match = !inCode && line.match(/^(#{2,3})\s+(.+?)\s*#*\s*$/);
+    if (!match) return [];
+    const base = slugify(match[2]);
+    const anchor = seen[base] === undefined ? base : `${base}-${seen[base] + 1}`;
+    seen[base] = (seen[base] ?? -1) + 1;
+    return [{ level: match[1].length, text: match[2].replace(/[*_`]/g, ''), anchor }];
+  });
+};
+
+// The report body from the generator's input: an AI answer, or content of
+// another node; anything else is shown as JSON
+const reportBody = (input) => {
+  if (typeof input === 'string') return input;
+  const answer = input?.response?.content ?? input?.response ?? input?.markdown ?? input?.content ?? input?.prompt ?? input?.text;
+  if (typeof answer === 'string') return answer;
+  if (input === undefined || input === null) return '';
+  return `\`\`\`json\n${JSON.stringify(answer ?? input, null, 2)}\n\`\`\``;
+};
+
+const reportFileName = (name) => {
+  const base = String(name || 'report').trim().replace(/\.md$/i, '').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${base || 'report'}.md`;
+};
+
+// Render a markdown report: the header template, a table of contents, the
+// input as body, a sources section and the footer template. Templates can use
+// {{date}}, {{timestamp}}, {{query}}, {{sourceCount}} and {{sources}}, and
+// default to the templateStyle's. includeTimestamp drops the lines with dates;
+// includeMetadata adds the sources section unless the footer lists them.
+const generateMarkdown = (config, input, { outputs = {}, missing = [], now = new Date() } = {}) => {
+  const style = REPORT_STYLES[config.templateStyle] || (config.templateStyle === 'custom' ? { header: '', footer: '' } : REPORT_STYLES.professional);
+  const header = config.headerTemplate ?? style.header;
+  const footer = config.footerTemplate ?? style.footer;
+  const includeTimestamp = config.includeTimestamp !== false;
+  const { query, sources } = findResearchContext(input, outputs);
+
+  const variables = {
+    date: now.toISOString().slice(0, 10),
+    timestamp: now.toISOString(),
+    query,
+    sourceCount: sources.length > 0 ? String(sources.length) : '',
+    sources: formatSourceList(sources)
+  };
+  const options = {
+    optional: ['query', 'sourceCount', 'sources'],
+    disabled: includeTimestamp ? [] : TIMESTAMP_VARIABLES,
+    outputs,
+    missing
+  };
+
+  const renderedHeader = renderLines(header, variables, options).trim();
+  const renderedFooter = renderLines(footer, variables, options).trim();
+  const sourcesSection = config.includeMetadata !== false && sources.length > 0 && !variablePattern('sources').test(footer)
+    ? `## Sources\n\n${variables.sources}`
+    : '';
+  // Headings of the header's sections (e.g. "Executive Summary") start the body
+  const body = [reportBody(input).trim(), sourcesSection].filter(Boolean).join('\n\n');
+
+  const headings = collectHeadings([renderedHeader, body, renderedFooter].join('\n\n'));
+  const toc = config.includeToC !== false && headings.length > 0
+    ? `## Table of Contents\n\n${headings.map(h => `${'  '.repeat(h.level - 2)}- [${h.text}](#${h.anchor})`).join('\n')}`
+    : '';
+
+  // The table of contents goes after the header's title block, before its
+  // first section
+  const firstSection = renderedHeader.search(/^#{2,3}\s/m);
+  const parts = firstSection === -1
+    ? [renderedHeader, toc, body, renderedFooter]
+    : [renderedHeader.slice(0, firstSection).trim(), toc, renderedHeader.slice(firstSection).trim(), body, renderedFooter];
+  const markdown = `${parts.filter(Boolean).join('\n\n').replace(/\n{3,}/g, '\n\n')}\n`;
+
+  const title = markdown.match(/^#\s+(.+)$/m)?.[1].trim() || reportFileName(config.fileName).replace(/\.md$/, '');
+  return {
+    markdown,
+    fileName: reportFileName(config.fileName),
+    title,
+    toc: headings,
+    query,
+    sourceCount: sources.length,
+    generatedAt: now.toISOString()
+  };
+};
+
+module.exports = {
+  FORMAT_PRESETS,
+  REPORT_STYLES,
+  cleanText,
+  formatData,
+  generateMarkdown
+};
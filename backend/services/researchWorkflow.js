@@ -0,0 +1,100 @@
+// The research pipeline behind the research dashboard: search → scrape →
+// format → AI analysis → report, run as an ordinary workflow so its progress
+// streams from /api/runs/:runId/events like any other run.
+
+const RESEARCH_WORKFLOW_ID = 'research';
+const MAX_SOURCES = 10;
+const AI_TIMEOUT_MS = 120000;
+
+// Dashboard steps, in order, with the node running each
+const RESEARCH_STEPS = [
+  { nodeId: 'search', name: 'Google Search' },
+  { nodeId: 'scrape', name: 'Web Scraping' },
+  { nodeId: 'format', name: 'Data Formatting' },
+  { nodeId: 'analyze', name: 'AI Analysis' },
+  { nodeId: 'report', name: 'Report Generation' }
+];
+
+const reportName = query => `research-${query.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'report'}`;
+
+// The workflow for one research request. The query reaches the search node
+// through the trigger data, so it is never parsed as a template.
+const buildResearchWorkflow = ({ query, numResults, providerAddress }) => {
+  const sources = Math.min(Math.max(Number(numResults) || 5, 1), MAX_SOURCES);
+  const nodes = [
+    { id: 'trigger', type: 'trigger', data: { label: 'Research Request', type: 'manual' } },
+    { id: 'search', type: 'googleSearch', data: { label: 'Google Search', numResults: sources } },
+    {
+      id: 'scrape',
+      type: 'webScraper',
+      data: { label: 'Web Scraper', extractionMode: 'text', includeMetadata: true, respectRobots: true, maxPages: sources }
+    },
+    { id: 'format', type: 'dataFormatter', data: { label: 'Data Formatter', formatType: 'research', maxLength: 'auto' } },
+    {
+      id: 'analyze',
+      type: 'ai',
+      data: { label: 'AI Analysis', type: 'llm', config: { type: 'llm', providerAddress, timeout: AI_TIMEOUT_MS } }
+    },
+    {
+      id: 'report',
+      type: 'markdownGenerator',
+      data: { label: 'Report Generation', fileName: reportName(query), templateStyle: 'professional', includeToC: true }
+    }
+  ];
+  const order = nodes.map(node => node.id);
+
+  return {
+    id: RESEARCH_WORKFLOW_ID,
+    name: 'Web Research',
+    nodes,
+    edges: order.slice(1).map((target, i) => ({ id: `e${i + 1}`, source: order[i], target }))
+  };
+};
+
+// The dashboard's view of a research run: per-step state and output, how many
+// steps are done, and the report's download link once there is one
+const summarizeResearchRun = (run) => {
+  const steps = RESEARCH_STEPS.map(({ nodeId, name }) => {
+    const nodeRun = run.nodes?.[nodeId] || {};
+    return {
+      name,
+      nodeId,
+      state: nodeRun.state || 'pending',
+      startedAt: nodeRun.startedAt || null,
+      finishedAt: nodeRun.finishedAt || null,
+      durationMs: nodeRun.durationMs ?? null,
+      error: nodeRun.error || null,
+      data: nodeRun.output ?? null
+    };
+  });
+  const completed = steps.findIndex(step => step.state !== 'completed');
+  const report = steps[steps.length - 1].data;
+
+  return {
+    success: run.status === 'completed',
+    runId: run.id,
+    status: run.status,
+    error: run.error || null,
+    currentStep: completed === -1 ? steps.length : completed,
+    downloadUrl: report?.downloadUrl || null,
+    workflow: {
+      query: run.nodes?.trigger?.output?.query || '',
+      startTime: run.startedAt,
+      endTime: run.finishedAt,
+      steps,
+      finalReport: report && {
+        reportId: report.reportId || null,
+        fileName: report.fileName,
+        title: report.title,
+        contentLength: report.markdown?.length || 0
+      }
+    }
+  };
+};
+
+module.exports = {
+  RESEARCH_WORKFLOW_ID,
+  RESEARCH_STEPS,
+  buildResearchWorkflow,
+  summarizeResearchRun
+};
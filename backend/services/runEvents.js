@@ -0,0 +1,60 @@
+// How long the event buffer of a finished run is kept for late subscribers
+const FINISHED_RUN_TTL_MS = 5 * 60 * 1000;
+
+const jsonReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+// Buffers the engine events of each run (run:start, node:state, log,
+// node:token, node:retry, run:end) with a per-run sequence number, so a subscriber that
+// connects or reconnects mid-run gets the whole run replayed before live events.
+class RunEvents {
+  constructor({ engine }) {
+    this.buffers = new Map();
+
+    engine.on('run:start', run => this.push(run.id, 'run:start', run));
+    engine.on('node:state', event => this.push(event.runId, 'node:state', event));
+    engine.on('log', entry => this.push(entry.runId, 'log', entry));
+    engine.on('node:token', event => this.push(event.runId, 'node:token', event));
+    engine.on('node:retry', event => this.push(event.runId, 'node:retry', event));
+    engine.on('run:end', (run) => {
+      this.push(run.id, 'run:end', run);
+      const buffer = this.buffers.get(run.id);
+      buffer.finished = true;
+      buffer.expiry = setTimeout(() => this.buffers.delete(run.id), FINISHED_RUN_TTL_MS);
+      buffer.expiry.unref?.();
+    });
+  }
+
+  push(runId, type, data) {
+    if (!this.buffers.has(runId)) {
+      this.buffers.set(runId, { events: [], listeners: new Set(), finished: false });
+    }
+    const buffer = this.buffers.get(runId);
+    // Snapshot the payload: the run record keeps changing after the event
+    const event = { id: buffer.events.length + 1, type, data: JSON.parse(JSON.stringify(data, jsonReplacer)) };
+    buffer.events.push(event);
+    buffer.listeners.forEach(listener => listener(event));
+  }
+
+  has(runId) {
+    return this.buffers.has(runId);
+  }
+
+  isFinished(runId) {
+    return Boolean(this.buffers.get(runId)?.finished);
+  }
+
+  // Replay the events after `afterId` and then deliver live ones. Returns an
+  // unsubscribe function, or null when the run has no buffered events.
+  subscribe(runId, listener, { afterId = 0 } = {}) {
+    const buffer = this.buffers.get(runId);
+    if (!buffer) return null;
+
+    buffer.events.filter(event => event.id > afterId).forEach(listener);
+    if (buffer.finished) return () => {};
+
+    buffer.listeners.add(listener);
+    return () => buffer.listeners.delete(listener);
+  }
+}
+
+module.exports = RunEvents;
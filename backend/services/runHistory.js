@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAX_RUNS_PER_WORKFLOW = 100;
+
+const summarize = run => ({
+  id: run.id,
+  workflowId: run.workflowId,
+  trigger: run.trigger,
+  status: run.status,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  error: run.error
+});
+
+// Records every engine run (per-node input, output, error, timings and the log
+// lines) to one JSON file per run under data/runs, so failed runs can be
+// inspected after the fact. Running runs are kept in memory; the file is
+// written when the run starts (so a restart can tell it was cut off) and
+// once more when it ends.
+class RunHistory {
+  constructor({ engine, dirPath = path.join(__dirname, '../data/runs') }) {
+    this.dirPath = dirPath;
+    this.summaries = new Map();
+    this.active = new Map();
+    this.load();
+
+    engine.on('run:start', (run) => {
+      this.active.set(run.id, { run, logs: [] });
+      this.summaries.set(run.id, summarize(run));
+      this.save(run.id);
+    });
+    engine.on('log', (entry) => {
+      this.active.get(entry.runId)?.logs.push(entry);
+    });
+    engine.on('run:end', (run) => {
+      this.summaries.set(run.id, summarize(run));
+      this.save(run.id);
+      this.active.delete(run.id);
+      this.prune(run.workflowId);
+    });
+  }
+
+  runPath(runId) {
+    return path.join(this.dirPath, `${runId}.json`);
+  }
+
+  load() {
+    if (!fs.existsSync(this.dirPath)) return;
+
+    fs.readdirSync(this.dirPath)
+      .filter(file => file.endsWith('.json'))
+      .forEach((file) => {
+        try {
+          const run = JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf-8'));
+          // A run still marked running was cut off by a restart
+          if (run.status === 'running') {
+            run.status = 'error';
+            run.error = 'Interrupted by server restart';
+            run.finishedAt = run.finishedAt || new Date().toISOString();
+            fs.writeFileSync(path.join(this.dirPath, file), JSON.stringify(run, null, 2));
+          }
+          this.summaries.set(run.id, summarize(run));
+        } catch (err) {
+          console.error(`⚠️ Failed to load run ${file}:`, err.message);
+        }
+      });
+  }
+
+  save(runId) {
+    const active = this.active.get(runId);
+    if (!active) return;
+
+    try {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+      fs.writeFileSync(this.runPath(runId), JSON.stringify({ ...active.run, logs: active.logs }, null, 2));
+    } catch (err) {
+      console.error(`⚠️ Failed to save run ${runId}:`, err.message);
+    }
+  }
+
+  get(runId) {
+    const active = this.active.get(runId);
+    if (active) {
+      return { ...active.run, logs: active.logs };
+    }
+    if (!this.summaries.has(runId)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.runPath(runId), 'utf-8'));
+  }
+
+  // Run summaries for a workflow, newest first
+  listByWorkflow(workflowId, { limit = 50 } = {}) {
+    return Array.from(this.summaries.values())
+      .filter(run => run.workflowId === workflowId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit);
+  }
+
+  // Keep only the newest MAX_RUNS_PER_WORKFLOW finished runs per workflow
+  prune(workflowId) {
+    this.listByWorkflow(workflowId, { limit: Infinity })
+      .filter(run => !this.active.has(run.id))
+      .slice(MAX_RUNS_PER_WORKFLOW)
+      .forEach((run) => {
+        this.summaries.delete(run.id);
+        fs.rm(this.runPath(run.id), { force: true }, () => {});
+      });
+  }
+}
+
+module.exports = RunHistory;
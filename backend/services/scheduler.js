@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const { CronExpressionParser } = require('cron-parser');
+const { getNodeConfig, getNodeSubtype } = require('./nodeExecutors');
+
+// setTimeout can't wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const DEFAULT_MAX_CATCH_UP = 10;
+
+const registrationId = (workflowId, nodeId) => `${workflowId}:${nodeId}`;
+
+// Runs workflows whose trigger node is a `schedule` trigger with a cron
+// expression. Registrations (including pause state and the last fired slot)
+// are persisted so the schedule survives restarts; on startup each
+// registration's missed-run policy decides whether slots that passed while the
+// server was down are skipped or caught up.
+class Scheduler {
+  constructor({ engine, registry, filePath = path.join(__dirname, '../data/schedules.json') }) {
+    this.engine = engine;
+    this.registry = registry;
+    this.filePath = filePath;
+    this.registrations = new Map();
+    this.timers = new Map();
+    this.catchUps = Promise.resolve();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        Object.values(saved).forEach(reg => this.registrations.set(reg.id, reg));
+      }
+    } catch (err) {
+      console.error('⚠️ Failed to load schedules:', err.message);
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.registrations), null, 2));
+  }
+
+  async start() {
+    this.load();
+    this.registry.list().forEach(workflow => this.syncWorkflow(workflow, { arm: false }));
+    this.registry.onSave(workflow => this.syncWorkflow(workflow));
+
+    // A broken registration must not keep the others (or the server) from starting.
+    // Catch-up runs go on in the background.
+    const catchUps = [];
+    for (const reg of this.registrations.values()) {
+      if (reg.paused) continue;
+      try {
+        catchUps.push(this.handleMissedRuns(reg));
+        this.arm(reg);
+      } catch (err) {
+        console.error(`⚠️ Failed to start schedule ${reg.id}:`, err.message);
+      }
+    }
+    // Settles once every catch-up run has finished
+    this.catchUps = Promise.all(catchUps);
+
+    console.log(`⏰ Scheduler started with ${this.registrations.size} schedule(s)`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  // Register every schedule trigger of a workflow, dropping ones that were removed
+  syncWorkflow(workflow, { arm = true } = {}) {
+    const scheduleNodes = (workflow.nodes || []).filter(node =>
+      node.type === 'trigger' && getNodeSubtype(node) === 'schedule' && getNodeConfig(node).cron
+    );
+    const currentIds = new Set();
+
+    scheduleNodes.forEach((node) => {
+      const config = getNodeConfig(node);
+      const id = registrationId(workflow.id, node.id);
+      const existing = this.registrations.get(id);
+
+      try {
+        CronExpressionParser.parse(config.cron, { tz: config.timezone || 'UTC' });
+      } catch (cronErr) {
+        console.error(`⚠️ Invalid cron "${config.cron}" on ${id}:`, cronErr.message);
+        return;
+      }
+
+      currentIds.add(id);
+      const reg = {
+        id,
+        workflowId: workflow.id,
+        nodeId: node.id,
+        label: node.data?.label || node.id,
+        cron: config.cron,
+        timezone: config.timezone || 'UTC',
+        missedRunPolicy: config.missedRunPolicy === 'catchup' ? 'catchup' : 'skip',
+        maxCatchUp: Number(config.maxCatchUp) || DEFAULT_MAX_CATCH_UP,
+        paused: existing?.paused || false,
+        lastRunAt: existing?.lastRunAt || null,
+        nextRunAt: null,
+        registeredAt: existing?.registeredAt || new Date().toISOString()
+      };
+      this.registrations.set(id, reg);
+      if (arm && !reg.paused) this.arm(reg);
+    });
+
+    Array.from(this.registrations.values())
+      .filter(reg => reg.workflowId === workflow.id && !currentIds.has(reg.id))
+      .forEach((reg) => {
+        this.disarm(reg.id);
+        this.registrations.delete(reg.id);
+      });
+
+    this.persist();
+  }
+
+  // Cron slots strictly after `from` and up to `until`
+  occurrencesBetween(reg, from, until) {
+    const expression = CronExpressionParser.parse(reg.cron, { currentDate: from, tz: reg.timezone });
+    const slots = [];
+    while (true) {
+      const next = expression.next().toDate();
+      if (next > until) break;
+      slots.push(next);
+    }
+    return slots;
+  }
+
+  // Skip the slots that passed while the server was down, or start catching
+  // them up. Returns the promise of the catch-up runs.
+  handleMissedRuns(reg) {
+    const since = reg.lastRunAt || reg.registeredAt;
+    const missed = this.occurrencesBetween(reg, new Date(since), new Date());
+    if (missed.length === 0) return Promise.resolve();
+
+    if (reg.missedRunPolicy === 'catchup') {
+      const toRun = missed.slice(-reg.maxCatchUp);
+      console.log(`⏰ Catching up ${toRun.length} missed run(s) for ${reg.id}`);
+      return this.catchUp(reg, toRun);
+    }
+
+    console.log(`⏰ Skipping ${missed.length} missed run(s) for ${reg.id}`);
+    reg.lastRunAt = missed[missed.length - 1].toISOString();
+    this.persist();
+    return Promise.resolve();
+  }
+
+  // Run missed slots one after another, oldest first
+  async catchUp(reg, slots) {
+    for (const slot of slots) {
+      try {
+        await this.fire(reg, slot, { catchUp: true });
+      } catch (err) {
+        console.error(`❌ Catch-up run for ${reg.id} failed to start:`, err.message);
+        return;
+      }
+    }
+  }
+
+  arm(reg) {
+    this.disarm(reg.id);
+
+    const expression = CronExpressionParser.parse(reg.cron, { currentDate: new Date(), tz: reg.timezone });
+    const nextRun = expression.next().toDate();
+    reg.nextRunAt = nextRun.toISOString();
+
+    const delay = nextRun.getTime() - Date.now();
+    const timer = setTimeout(() => {
+      // The registration may have been replaced by a re-saved workflow
+      const current = this.registrations.get(reg.id);
+      if (!current || current.paused) return;
+      if (delay > MAX_TIMER_MS) {
+        this.arm(current);
+        return;
+      }
+      this.arm(current);
+      this.fire(current, nextRun)
+        .catch(err => console.error(`❌ Scheduled run for ${reg.id} failed to start:`, err.message));
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_MS));
+    timer.unref?.();
+    this.timers.set(reg.id, timer);
+  }
+
+  disarm(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  // Start a run for one cron slot; resolves once the run has finished
+  async fire(reg, scheduledAt, { catchUp = false } = {}) {
+    const workflow = this.registry.get(reg.workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow ${reg.workflowId} not found`);
+    }
+
+    reg.lastRunAt = scheduledAt.toISOString();
+    this.persist();
+
+    console.log(`⏰ Firing schedule ${reg.id} for ${reg.lastRunAt}${catchUp ? ' (catch-up)' : ''}`);
+    const { completion } = this.engine.startRun(workflow, {
+      workflowId: reg.workflowId,
+      trigger: 'schedule',
+      startNodeId: reg.nodeId,
+      triggerData: {
+        trigger: 'schedule',
+        cron: reg.cron,
+        scheduledAt: reg.lastRunAt,
+        firedAt: new Date().toISOString(),
+        date: reg.lastRunAt.slice(0, 10),
+        catchUp
+      }
+    });
+
+    return completion;
+  }
+
+  list() {
+    return Array.from(this.registrations.values());
+  }
+
+  get(id) {
+    return this.registrations.get(id) || null;
+  }
+
+  pause(id) {
+    const reg = this.registrations.get(id);
+    if (!reg) return null;
+
+    reg.paused = true;
+    reg.nextRunAt = null;
+    this.disarm(id);
+    this.persist();
+    return reg;
+  }
+
+  // Resuming doesn't replay the slots that passed while paused
+  resume(id) {
+    const reg = this.registrations.get(id);
+    if (!reg) return null;
+
+    reg.paused = false;
+    reg.lastRunAt = new Date().toISOString();
+    this.arm(reg);
+    this.persist();
+    return reg;
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,190 @@
+const fs = require('fs').promises;
+
+// Web search for search nodes. Providers are adapters with
+//   search({ query, numResults, language, region, safeSearch, timeout })
+// resolving with normalized results: [{ title, url, snippet, rank }].
+
+const DEFAULT_NUM_RESULTS = 10;
+const MAX_NUM_RESULTS = 50;
+const DEFAULT_TIMEOUT_MS = 15000;
+const GOOGLE_SEARCH_ENDPOINT = 'https://www.googleapis.com/customsearch/v1';
+
+// Region codes of the builder that aren't ISO 3166 country codes
+const COUNTRY_CODES = { uk: 'gb' };
+
+const normalizeResults = (results, numResults) => results
+  .filter(result => result && result.url)
+  .slice(0, numResults)
+  .map((result, index) => ({
+    title: result.title || result.url,
+    url: result.url,
+    snippet: result.snippet || '',
+    rank: index + 1
+  }));
+
+const fetchJson = async (url, { timeout, provider }) => {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+  } catch (err) {
+    if (err.name === 'TimeoutError') {
+      throw new Error(`${provider} search timed out after ${timeout}ms`);
+    }
+    throw new Error(`${provider} search failed: ${err.message}${err.cause ? ` (${err.cause.code || err.cause.message})` : ''}`);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(`${provider} search failed: ${body?.error?.message || response.statusText || response.status}`);
+  }
+  return body;
+};
+
+// Google Programmable Search (Custom Search JSON API). Returns at most 10
+// results per request, so larger result counts are fetched page by page.
+const createGoogleProvider = ({ apiKey, engineId, endpoint = GOOGLE_SEARCH_ENDPOINT } = {}) => ({
+  name: 'google',
+  async search({ query, numResults, language, region, safeSearch, timeout }) {
+    if (!apiKey || !engineId) {
+      throw new Error('Google search requires GOOGLE_SEARCH_API_KEY and GOOGLE_SEARCH_ENGINE_ID');
+    }
+
+    const results = [];
+    for (let start = 1; results.length < numResults; start += 10) {
+      const params = new URLSearchParams({
+        key: apiKey,
+        cx: engineId,
+        q: query,
+        num: String(Math.min(10, numResults - results.length)),
+        start: String(start),
+        // The API only knows "active" and "off"
+        safe: safeSearch === 'strict' ? 'active' : 'off'
+      });
+      if (language) {
+        params.set('hl', language);
+        params.set('lr', `lang_${language}`);
+      }
+      if (region) params.set('gl', region);
+
+      const body = await fetchJson(`${endpoint}?${params}`, { timeout, provider: 'Google' });
+      const items = body?.items || [];
+      results.push(...items.map(item => ({ title: item.title, url: item.link, snippet: item.snippet })));
+      // The API stops at 100 results
+      if (items.length === 0 || !body.queries?.nextPage || start + 10 > 91) break;
+    }
+    return normalizeResults(results, numResults);
+  }
+});
+
+// SearXNG, or any engine with a compatible /search?format=json endpoint
+const SEARXNG_SAFE_SEARCH = { off: '0', moderate: '1', strict: '2' };
+
+const createSearxngProvider = ({ baseUrl } = {}) => ({
+  name: 'searxng',
+  async search({ query, numResults, language, region, safeSearch, timeout }) {
+    if (!baseUrl) {
+      throw new Error('SearXNG search requires SEARXNG_URL');
+    }
+
+    const results = [];
+    const seen = new Set();
+    for (let page = 1; results.length < numResults; page++) {
+      const params = new URLSearchParams({ q: query, format: 'json', pageno: String(page) });
+      if (language) {
+        params.set('language', region ? `${language}-${(COUNTRY_CODES[region] || region).toUpperCase()}` : language);
+      }
+      if (SEARXNG_SAFE_SEARCH[safeSearch]) params.set('safesearch', SEARXNG_SAFE_SEARCH[safeSearch]);
+
+      const body = await fetchJson(`${baseUrl.replace(/\/+$/, '')}/search?${params}`, { timeout, provider: 'SearXNG' });
+      // Later pages can repeat results of earlier ones
+      const fresh = (body?.results || []).filter(result => result.url && !seen.has(result.url) && seen.add(result.url));
+      if (fresh.length === 0) break;
+      results.push(...fresh.map(result => ({ title: result.title, url: result.url, snippet: result.content })));
+    }
+    return normalizeResults(results, numResults);
+  }
+});
+
+// Canned results for offline runs and tests, from a JSON object of
+// { "<query>": [{ title, url, snippet }], "*": [...] } passed in or read from
+// `path`. Queries match case-insensitively; "*" answers everything else.
+const createFixtureProvider = ({ fixtures, path } = {}) => {
+  let loaded = fixtures ? Promise.resolve(fixtures) : null;
+
+  return {
+    name: 'fixture',
+    async search({ query, numResults }) {
+      if (!loaded) {
+        if (!path) {
+          throw new Error('Fixture search requires SEARCH_FIXTURES_PATH');
+        }
+        loaded = fs.readFile(path, 'utf8').then(JSON.parse).catch((err) => {
+          loaded = null;
+          throw new Error(`Could not load search fixtures from ${path}: ${err.message}`);
+        });
+      }
+
+      const entries = Object.entries(await loaded);
+      const key = query.trim().toLowerCase();
+      const match = entries.find(([fixtureQuery]) => fixtureQuery.trim().toLowerCase() === key)
+        || entries.find(([fixtureQuery]) => fixtureQuery === '*');
+      return normalizeResults(match ? match[1] : [], numResults);
+    }
+  };
+};
+
+class SearchService {
+  constructor({ defaultProvider = 'google', providers = {} } = {}) {
+    this.defaultProvider = defaultProvider;
+    this.providers = { ...providers };
+  }
+
+  // Providers from the environment: SEARCH_PROVIDER picks the default one
+  static fromEnv(env = process.env) {
+    return new SearchService({
+      defaultProvider: env.SEARCH_PROVIDER || 'google',
+      providers: {
+        google: createGoogleProvider({ apiKey: env.GOOGLE_SEARCH_API_KEY, engineId: env.GOOGLE_SEARCH_ENGINE_ID }),
+        searxng: createSearxngProvider({ baseUrl: env.SEARXNG_URL }),
+        fixture: createFixtureProvider({ path: env.SEARCH_FIXTURES_PATH })
+      }
+    });
+  }
+
+  registerProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  // Search with a search node's options (query, numResults, language, region,
+  // safeSearch and optionally provider) and resolve with
+  // { query, provider, results, count }
+  async search({ query, provider, numResults, language = 'en', region = 'us', safeSearch = 'moderate', timeout } = {}) {
+    if (!query || !String(query).trim()) {
+      throw new Error('Search requires a query');
+    }
+
+    const name = provider || this.defaultProvider;
+    const adapter = this.providers[name];
+    if (!adapter) {
+      throw new Error(`Unknown search provider "${name}" (available: ${Object.keys(this.providers).join(', ')})`);
+    }
+
+    // The builder's slider stores [n]
+    const count = Number(Array.isArray(numResults) ? numResults[0] : numResults) || DEFAULT_NUM_RESULTS;
+    const results = await adapter.search({
+      query: String(query).trim(),
+      numResults: Math.min(Math.max(count, 1), MAX_NUM_RESULTS),
+      language,
+      region,
+      safeSearch,
+      timeout: timeout || DEFAULT_TIMEOUT_MS
+    });
+
+    return { query: String(query).trim(), provider: name, results, count: results.length };
+  }
+}
+
+module.exports = SearchService;
+module.exports.createGoogleProvider = createGoogleProvider;
+module.exports.createSearxngProvider = createSearxngProvider;
+module.exports.createFixtureProvider = createFixtureProvider;
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+// Runs one database node's statements on SQLite in a child process, so the
+// synchronous better-sqlite3 calls never block the server's event loop. A
+// process rather than a worker thread, because a thread busy inside SQLite
+// can't be terminated; a runaway query gets the process killed (see database.js).
+
+const run = ({ file, statements, transaction, timeout }) => {
+  const Database = require('better-sqlite3');
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file, { timeout });
+
+  try {
+    const runAll = () => statements.map(({ text, values }) => {
+      const statement = db.prepare(text);
+      if (statement.reader) {
+        const rows = statement.all(...values);
+        // Writes with RETURNING read rows too
+        const changes = /^\s*(select|with|pragma|values)\b/i.test(text) ? 0 : rows.length;
+        return { rows, columns: statement.columns().map(column => column.name), changes, lastInsertId: null };
+      }
+      const info = statement.run(...values);
+      return { rows: [], columns: [], changes: info.changes, lastInsertId: Number(info.lastInsertRowid) };
+    });
+    return transaction ? db.transaction(runAll)() : runAll();
+  } finally {
+    db.close();
+  }
+};
+
+process.once('message', (job) => {
+  let reply;
+  try {
+    reply = { results: run(job) };
+  } catch (err) {
+    reply = { error: err.message };
+  }
+  process.send(reply, () => process.exit(0));
+});
@@ -0,0 +1,154 @@
+// Template expressions in node config strings:
+//
+//   {{nodeId.path.to.field}}       output of an upstream node in this run
+//   {{input.items[0].name}}        the node's own (merged) input
+//   {{title}}                      anything else is looked up in the input
+//   {{nodeId.items | join: ", " | upper}}
+//   {{nodeId.name | default: "anonymous"}}
+//
+// `output`, `result` and `data` right after a node id refer to the whole
+// output, unless the output has a field of that name. Paths support array
+// indexes, negative ones counting from the end, and quoted keys (["a b"]).
+// Filters: default, json, join, upper, lower, truncate.
+
+const TEMPLATE_PATTERN = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+const OUTPUT_ALIASES = ['output', 'result', 'data'];
+
+const parsePath = (path) => {
+  const segments = [];
+  const pattern = /\[\s*(-?\d+)\s*\]|\[\s*"([^"]*)"\s*\]|\[\s*'([^']*)'\s*\]|([^.[\]\s]+)/g;
+  let match;
+  while ((match = pattern.exec(path)) !== null) {
+    if (match[1] !== undefined) segments.push(Number(match[1]));
+    else segments.push(match[2] ?? match[3] ?? match[4]);
+  }
+  return segments;
+};
+
+const getPath = (value, segments) => segments.reduce((current, key) => {
+  if (current === undefined || current === null) return undefined;
+  if (typeof key === 'number' && key < 0 && Array.isArray(current)) return current[current.length + key];
+  // Own properties only, so a path can't reach into prototypes
+  return Object.prototype.hasOwnProperty.call(Object(current), key) ? current[key] : undefined;
+}, value);
+
+// Split on "|" outside of quotes
+const splitPipes = (expression) => {
+  const parts = [''];
+  let quote = null;
+  for (const char of expression) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '|') {
+      parts.push('');
+      continue;
+    }
+    parts[parts.length - 1] += char;
+  }
+  return parts.map(part => part.trim());
+};
+
+const parseArgument = (raw) => {
+  if (raw === undefined || raw === '') return undefined;
+  if (/^'.*'$/s.test(raw)) return raw.slice(1, -1);
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    return raw;
+  }
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+const stringify = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const FILTERS = {
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  json: (value, indent) => JSON.stringify(value ?? null, null, indent),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(stringify).join(separator) : value),
+  upper: value => stringify(value).toUpperCase(),
+  lower: value => stringify(value).toLowerCase(),
+  truncate: (value, length = 100) => {
+    const text = stringify(value);
+    return text.length > length ? `${text.slice(0, length)}...` : text;
+  }
+};
+
+// Whether a node has an output in scope. Loop bodies chain their outputs to
+// the enclosing graph's, so inherited entries count, Object.prototype's don't.
+const hasOutput = (outputs, nodeId) => {
+  for (let current = outputs; current && current !== Object.prototype; current = Object.getPrototypeOf(current)) {
+    if (Object.prototype.hasOwnProperty.call(current, nodeId)) return true;
+  }
+  return false;
+};
+
+// Look up the path of an expression: a node id, `input`, or a field of the input
+const lookup = (path, scope) => {
+  const [root, ...rest] = parsePath(path);
+
+  if (root === 'input') {
+    return getPath(scope.input, rest);
+  }
+  if (hasOutput(scope.outputs, root)) {
+    const output = scope.outputs[root];
+    const aliased = OUTPUT_ALIASES.includes(rest[0]) && !(output && typeof output === 'object' && rest[0] in output);
+    return getPath(output, aliased ? rest.slice(1) : rest);
+  }
+  return getPath(scope.input, [root, ...rest]);
+};
+
+// Evaluate one expression (the text between the braces) and return its value
+const evaluateExpression = (expression, scope, missing = []) => {
+  const [path, ...filters] = splitPipes(expression);
+  const value = lookup(path, scope);
+
+  if (value === undefined && !filters.some(filter => filter.split(':')[0].trim() === 'default')) {
+    missing.push(path);
+  }
+
+  return filters.reduce((current, filter) => {
+    const separator = filter.indexOf(':');
+    const name = (separator === -1 ? filter : filter.slice(0, separator)).trim();
+    const argument = separator === -1 ? undefined : parseArgument(filter.slice(separator + 1).trim());
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown template filter "${name}" in {{${expression}}}`);
+    }
+    return FILTERS[name](current, argument);
+  }, value);
+};
+
+// Replace every {{expression}} in a string. Unresolved references become an
+// empty string and are collected in `missing`.
+const renderTemplate = (text, scope, missing = []) => {
+  if (typeof text !== 'string' || !text.includes('{{')) return text;
+  return text.replace(TEMPLATE_PATTERN, (match, expression) => stringify(evaluateExpression(expression, scope, missing)));
+};
+
+// Render every string in a value (config objects, header lists, ...). Fields
+// named in `skip` are left as they are, for executors that render them with
+// variables of their own.
+const resolveTemplates = (value, scope, missing = [], skip = []) => {
+  if (typeof value === 'string') return renderTemplate(value, scope, missing);
+  if (Array.isArray(value)) return value.map(item => resolveTemplates(item, scope, missing, skip));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      skip.includes(key) ? item : resolveTemplates(item, scope, missing, skip)
+    ]));
+  }
+  return value;
+};
+
+module.exports = {
+  evaluateExpression,
+  renderTemplate,
+  resolveTemplates
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { Batcher, getFlowContract } = require('@0glabs/0g-ts-sdk');
+
+// Persistent variables of variable nodes: values kept across runs, per
+// workflow and per renter (the wallet that started the run; runs without one,
+// like schedules and webhooks, share the workflow's own values). Like the
+// workflow registry, a local copy in data/variables.json answers reads, and
+// every change is also written to a 0G KV stream, which serves the values
+// this server has no copy of.
+
+const DEFAULT_STREAM_ID = ethers.id('agent0g:workflow-variables');
+const SHARED_RENTER = 'shared';
+const MAX_NAME_LENGTH = 128;
+
+// Node values are templated strings; ones that read as JSON (numbers,
+// booleans, objects, ...) are stored as such
+const parseValue = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+// The value of a variable after a get, set or increment. `current` is the
+// stored value, or the node's default when there is none.
+const applyOperation = (current, { operation = 'set', value, amount }) => {
+  switch (operation) {
+    case 'get':
+      return current;
+    case 'set':
+      return value;
+    case 'increment': {
+      const step = amount === undefined || amount === '' ? 1 : Number(amount);
+      const next = Number(current ?? 0) + step;
+      if (Number.isNaN(next)) {
+        throw new Error(`Cannot increment ${JSON.stringify(current)} by ${JSON.stringify(amount)}`);
+      }
+      return next;
+    }
+    default:
+      throw new Error(`Unknown variable operation "${operation}"`);
+  }
+};
+
+const validateName = (name) => {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Variable node requires a name');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Variable names are limited to ${MAX_NAME_LENGTH} characters`);
+  }
+};
+
+class VariableStore {
+  constructor({
+    getKvClient = () => null,
+    getIndexer = () => null,
+    rpcUrl,
+    signer,
+    streamId = DEFAULT_STREAM_ID,
+    filePath = path.join(__dirname, '../data/variables.json')
+  } = {}) {
+    this.getKvClient = getKvClient;
+    this.getIndexer = getIndexer;
+    this.rpcUrl = rpcUrl;
+    this.signer = signer;
+    this.streamId = streamId;
+    this.filePath = filePath;
+    this.values = new Map();
+    // Pending updates by key, so concurrent increments don't lose each other
+    this.updates = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        Object.entries(saved).forEach(([key, value]) => this.values.set(key, value));
+      }
+    } catch (err) {
+      console.error('⚠️ Failed to load workflow variables:', err.message);
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.values), null, 2));
+  }
+
+  // KV key of a variable; renters are wallet addresses
+  key({ workflowId, renter }, name) {
+    if (!workflowId) {
+      throw new Error('Persistent variables need a saved workflow');
+    }
+    if (renter && !ethers.isAddress(renter)) {
+      throw new Error(`Invalid renter address: ${renter}`);
+    }
+    validateName(name);
+    return `vars/${workflowId}/${renter ? renter.toLowerCase() : SHARED_RENTER}/${name}`;
+  }
+
+  // Local copy first, then 0G KV. Resolves with { found, value }.
+  async read(key) {
+    if (this.values.has(key)) {
+      return { found: true, value: this.values.get(key) };
+    }
+    const kvClient = this.getKvClient();
+    if (!kvClient) {
+      return { found: false };
+    }
+
+    const stored = await kvClient.getValue(this.streamId, ethers.encodeBase64(Buffer.from(key)));
+    if (!stored?.data) {
+      return { found: false };
+    }
+    const value = JSON.parse(Buffer.from(stored.data, 'base64').toString('utf-8'));
+    this.values.set(key, value);
+    return { found: true, value };
+  }
+
+  // Write a value to the KV stream, paid by the service wallet. Resolves
+  // with the upload's { txHash, rootHash }.
+  async writeKv(key, value) {
+    const indexer = this.getIndexer();
+    if (!indexer || !this.signer) {
+      throw new Error('0G KV is not initialized');
+    }
+    const [nodes, selectErr] = await indexer.selectNodes(1);
+    if (selectErr) {
+      throw new Error(`Failed to select storage nodes: ${selectErr.message || selectErr}`);
+    }
+    const status = await nodes[0].getStatus();
+    if (!status) {
+      throw new Error('Failed to get status from the selected storage node');
+    }
+
+    const flow = getFlowContract(status.networkIdentity.flowAddress, this.signer);
+    const batcher = new Batcher(1, nodes, flow, this.rpcUrl);
+    batcher.streamDataBuilder.set(this.streamId, Buffer.from(key), Buffer.from(JSON.stringify(value)));
+    const [tx, execErr] = await batcher.exec();
+    if (execErr) {
+      throw new Error(`0G KV write failed: ${execErr.message || execErr}`);
+    }
+    return tx;
+  }
+
+  // Run a variable node's operation on a persistent variable. Changes are kept
+  // locally even when the KV write fails; `synced` tells whether it worked.
+  async execute({ workflowId, renter, operation = 'set', name, value, amount, defaultValue }) {
+    const key = this.key({ workflowId, renter }, name);
+    const previousUpdate = this.updates.get(key) || Promise.resolve();
+
+    const update = previousUpdate.catch(() => {}).then(async () => {
+      const stored = await this.read(key);
+      const current = stored.found ? stored.value : defaultValue;
+      const next = applyOperation(current, { operation, value, amount });
+      const result = {
+        name,
+        scope: 'persistent',
+        operation,
+        value: next ?? null,
+        previous: stored.found ? stored.value : null
+      };
+      if (operation === 'get') {
+        return result;
+      }
+
+      this.values.set(key, next);
+      this.persist();
+      try {
+        const tx = await this.writeKv(key, next);
+        return { ...result, synced: true, txHash: tx?.txHash };
+      } catch (err) {
+        return { ...result, synced: false, syncError: err.message };
+      }
+    });
+
+    this.updates.set(key, update);
+    try {
+      return await update;
+    } finally {
+      if (this.updates.get(key) === update) this.updates.delete(key);
+    }
+  }
+
+  // Persistent variables of a workflow and renter known to this server
+  list({ workflowId, renter }) {
+    const prefix = this.key({ workflowId, renter }, '_').slice(0, -1);
+    return Object.fromEntries([...this.values.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, value]) => [key.slice(prefix.length), value]));
+  }
+}
+
+module.exports = VariableStore;
+module.exports.parseValue = parseValue;
+module.exports.applyOperation = applyOperation;
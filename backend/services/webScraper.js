@@ -0,0 +1,537 @@
+const puppeteer = require('puppeteer');
+const { checkPublicTarget, performHttpRequest } = require('./httpClient');
+
+const USER_AGENTS = {
+  chrome: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36',
+  firefox: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:142.0) Gecko/20100101 Firefox/142.0',
+  safari: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_6) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Safari/605.1.15',
+  mobile: 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Mobile/15E148 Safari/604.1',
+  bot: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'
+};
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+const DEFAULT_MAX_PAGES = 10;
+// Upper limits for the page timeout and page count a request can ask for
+const MAX_TIMEOUT_SECONDS = 120;
+const MAX_PAGES = 50;
+// Pages of one scrape loaded at the same time
+const PAGE_CONCURRENCY = 2;
+const ROBOTS_CACHE_TTL_MS = 10 * 60 * 1000;
+const ROBOTS_FETCH_TIMEOUT_MS = 5000;
+const MAX_ROBOTS_BYTES = 512 * 1024;
+const BROWSER_START_TIMEOUT_MS = 30000;
+// Longest wait for a loaded page to go quiet before extracting it
+const NETWORK_IDLE_TIMEOUT_MS = 5000;
+const MAX_LIST_ITEMS = 200;
+
+// --- robots.txt ---
+
+// Parse robots.txt into groups of { agents, rules: [{ allow, path }] }
+const parseRobots = (text) => {
+  const groups = [];
+  let current = null;
+  let collectingAgents = false;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const match = rawLine.replace(/#.*$/, '').trim().match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!collectingAgents) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      collectingAgents = true;
+      return;
+    }
+
+    collectingAgents = false;
+    // An empty Disallow allows everything, so it adds no rule
+    if (current && (field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    }
+  });
+
+  return groups;
+};
+
+const robotsPattern = (path) => {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+// Whether robots.txt lets `userAgent` fetch `path` (path + query). The groups
+// naming the agent apply, else the "*" groups; the longest matching rule wins
+// and allow wins a tie.
+const isAllowedByRobots = (groups, userAgent, path) => {
+  const agent = userAgent.toLowerCase();
+  const named = groups.filter(group => group.agents.some(token => token !== '*' && agent.includes(token)));
+  const applicable = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+
+  const match = applicable
+    .flatMap(group => group.rules)
+    .filter(rule => robotsPattern(rule.path).test(path))
+    .sort((x, y) => (y.path.length - x.path.length) || (Number(y.allow) - Number(x.allow)))[0];
+
+  return !match || match.allow;
+};
+
+// --- Extraction options ---
+
+// Custom selectors, one field per line (or comma separated):
+//   title: h1
+//   price: .product .price
+//   image: img.hero @src        (an attribute instead of the text)
+//   article                     (named after the selector)
+// A JSON object of { name: selector } works too.
+const parseSelectors = (selectors) => {
+  if (!selectors) return [];
+
+  let entries;
+  if (typeof selectors === 'object') {
+    entries = Object.entries(selectors);
+  } else if (selectors.trim().startsWith('{')) {
+    entries = Object.entries(JSON.parse(selectors));
+  } else {
+    entries = selectors
+      .split(selectors.includes('\n') ? /\r?\n/ : ',')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const named = line.match(/^([\w-]+):\s+(.+)$/);
+        return named ? [named[1], named[2]] : [line, line];
+      });
+  }
+
+  return entries.map(([name, rawSelector]) => {
+    const attribute = String(rawSelector).match(/\s@([\w:-]+)$/);
+    return {
+      name,
+      selector: attribute ? String(rawSelector).slice(0, attribute.index).trim() : String(rawSelector).trim(),
+      attribute: attribute ? attribute[1] : null
+    };
+  });
+};
+
+// Runs in the page (serialized by puppeteer), so it can only use its arguments
+// and the DOM, taken from the page's globalThis.
+function extractPage({ mode, fields, includeImages, includeLinks, includeMetadata, maxListItems }) {
+  const { document, Node } = globalThis;
+  const clean = text => (text || '').replace(/[ \t\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  const root = document.querySelector('main, article, [role="main"]') || document.body;
+  const skipped = ['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'head'];
+  const blocks = ['div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'figure', 'figcaption', 'form', 'dl', 'dt', 'dd', 'details', 'summary'];
+
+  const tableRows = table => Array.from(table.querySelectorAll('tr')).map(row =>
+    Array.from(row.children).map(cell => clean(cell.innerText))
+  );
+
+  const toMarkdown = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    const tag = node.tagName.toLowerCase();
+    if (skipped.includes(tag)) return '';
+    const inner = () => Array.from(node.childNodes).map(toMarkdown).join('');
+
+    switch (tag) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return `\n\n${'#'.repeat(Number(tag[1]))} ${inner().trim()}\n\n`;
+      case 'p':
+        return `\n\n${inner().trim()}\n\n`;
+      case 'br':
+        return '  \n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'strong': case 'b': {
+        const text = inner().trim();
+        return text ? `**${text}**` : '';
+      }
+      case 'em': case 'i': {
+        const text = inner().trim();
+        return text ? `_${text}_` : '';
+      }
+      case 'code':
+        return `\`${node.textContent}\``;
+      case 'pre':
+        return `\n\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+      case 'a': {
+        const text = inner().trim();
+        return text && node.href && /^https?:/.test(node.href) ? `[${text}](${node.href})` : text;
+      }
+      case 'img':
+        return includeImages && node.src ? `![${node.alt || ''}](${node.currentSrc || node.src})` : '';
+      case 'ul': case 'ol': {
+        const items = Array.from(node.children)
+          .filter(child => child.tagName === 'LI')
+          .map((item, index) => `${tag === 'ol' ? `${index + 1}.` : '-'} ${toMarkdown(item).trim().replace(/\n+/g, '\n  ')}`);
+        return `\n\n${items.join('\n')}\n\n`;
+      }
+      case 'li':
+        return inner();
+      case 'blockquote':
+        return `\n\n${inner().trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+      case 'table': {
+        const rows = tableRows(node).map(row => row.map(cell => cell.replace(/\|/g, '\\|').replace(/\n/g, ' ')));
+        if (rows.length === 0) return '';
+        const width = Math.max(...rows.map(row => row.length));
+        const line = row => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+        return `\n\n${[line(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(line)].join('\n')}\n\n`;
+      }
+      default:
+        return blocks.includes(tag) ? `\n${inner().trim()}\n` : inner();
+    }
+  };
+
+  const result = { title: document.title };
+
+  switch (mode) {
+    case 'markdown':
+      result.content = toMarkdown(root).replace(/[ \t]+\n/g, match => (match.endsWith('  \n') ? match : '\n')).replace(/\n{3,}/g, '\n\n').trim();
+      break;
+
+    case 'html':
+      result.content = document.documentElement.outerHTML;
+      break;
+
+    case 'structured': {
+      result.content = clean(root.innerText);
+      result.structured = {
+        headings: Array.from(root.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+          .map(heading => ({ level: Number(heading.tagName[1]), text: clean(heading.innerText) }))
+          .filter(heading => heading.text),
+        paragraphs: Array.from(root.querySelectorAll('p')).map(p => clean(p.innerText)).filter(Boolean),
+        lists: Array.from(root.querySelectorAll('ul, ol'))
+          .filter(list => !list.parentElement.closest('li'))
+          .map(list => Array.from(list.children).filter(child => child.tagName === 'LI').map(item => clean(item.innerText))),
+        tables: Array.from(root.querySelectorAll('table')).map((table) => {
+          const rows = tableRows(table);
+          const hasHeader = table.querySelector('tr')?.querySelector('th');
+          if (!hasHeader || rows.length === 0) return rows;
+          // Rows as objects keyed by the header cells
+          return rows.slice(1).map(row => Object.fromEntries(rows[0].map((key, i) => [key || `column${i + 1}`, row[i] ?? ''])));
+        }),
+        jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]')).flatMap((script) => {
+          try {
+            return [JSON.parse(script.textContent)];
+          } catch {
+            return [];
+          }
+        })
+      };
+      break;
+    }
+
+    case 'custom': {
+      result.fields = {};
+      fields.forEach(({ name, selector, attribute }) => {
+        let elements;
+        try {
+          elements = Array.from(document.querySelectorAll(selector));
+        } catch {
+          throw new Error(`Invalid CSS selector "${selector}" for field "${name}"`);
+        }
+        const values = elements.map((element) => {
+          if (!attribute) return clean(element.innerText ?? element.textContent);
+          // Properties like href and src come back as absolute URLs
+          return typeof element[attribute] === 'string' ? element[attribute] : element.getAttribute(attribute);
+        });
+        result.fields[name] = values.length === 0 ? null : (values.length === 1 ? values[0] : values);
+      });
+      result.content = Object.values(result.fields)
+        .flat()
+        .filter(value => value !== null && value !== '')
+        .join('\n\n');
+      break;
+    }
+
+    default:
+      result.content = clean(root.innerText);
+  }
+
+  if (includeLinks) {
+    const seen = new Set();
+    result.links = Array.from(document.querySelectorAll('a[href]'))
+      .filter(link => /^https?:/.test(link.href) && !seen.has(link.href) && seen.add(link.href))
+      .slice(0, maxListItems)
+      .map(link => ({ href: link.href, text: clean(link.innerText) }));
+  }
+
+  if (includeImages) {
+    const seen = new Set();
+    result.images = Array.from(document.querySelectorAll('img'))
+      .map(img => ({ src: img.currentSrc || img.src, alt: img.alt || '' }))
+      .filter(img => /^(https?|data):/.test(img.src) && !seen.has(img.src) && seen.add(img.src))
+      .slice(0, maxListItems);
+  }
+
+  if (includeMetadata) {
+    const meta = name => document.querySelector(`meta[name="${name}"], meta[property="${name}"]`)?.getAttribute('content') || null;
+    result.metadata = {
+      title: document.title,
+      description: meta('description') || meta('og:description'),
+      author: meta('author') || meta('article:author'),
+      keywords: meta('keywords'),
+      publishedTime: meta('article:published_time'),
+      siteName: meta('og:site_name'),
+      image: meta('og:image'),
+      canonical: document.querySelector('link[rel="canonical"]')?.href || null,
+      language: document.documentElement.lang || null,
+      wordCount: clean(root.innerText).split(/\s+/).filter(Boolean).length
+    };
+  }
+
+  return result;
+}
+
+// URLs a scraper node works on: its own `url` / `urls`, else the ones in its
+// input (a `url` or `urls` field, or search `results` with a url or link)
+const collectUrls = (config = {}, input = {}) => {
+  const split = value => (Array.isArray(value) ? value : String(value || '').split(/[\s,]+/)).filter(Boolean);
+  const own = [...split(config.url), ...split(config.urls)];
+  if (own.length > 0) return own;
+
+  const results = Array.isArray(input?.results) ? input.results.map(result => result?.url || result?.link) : [];
+  return [...new Set([...split(input?.url), ...split(input?.urls), ...results].filter(Boolean))];
+};
+
+const clampPositive = (value, fallback, max) => {
+  const number = Number(value);
+  return number > 0 ? Math.min(number, max) : fallback;
+};
+
+// Page load timeout of a scraper node, in seconds (its slider stores a list)
+const getPageTimeoutSeconds = options => clampPositive(
+  Array.isArray(options.timeout) ? options.timeout[0] : options.timeout,
+  DEFAULT_TIMEOUT_SECONDS,
+  MAX_TIMEOUT_SECONDS
+);
+
+const getMaxPages = options => Math.floor(clampPositive(options.maxPages, DEFAULT_MAX_PAGES, MAX_PAGES));
+
+// Longest a scrape with these options can take, in milliseconds: its pages
+// load PAGE_CONCURRENCY at a time, each within its robots.txt check, load
+// timeout and settle time, plus time to start the browser
+const getScrapeTimeout = (options = {}) => {
+  const rounds = Math.ceil(getMaxPages(options) / PAGE_CONCURRENCY);
+  return BROWSER_START_TIMEOUT_MS + rounds * (ROBOTS_FETCH_TIMEOUT_MS + getPageTimeoutSeconds(options) * 1000 + NETWORK_IDLE_TIMEOUT_MS);
+};
+
+// Headless browser scraping for web scraper nodes. One browser is launched on
+// first use and shared by all scrapes; each page gets its own tab.
+class WebScraper {
+  constructor({ launchOptions = {} } = {}) {
+    this.launchOptions = launchOptions;
+    this.browser = null;
+    this.robotsCache = new Map();
+  }
+
+  async getBrowser() {
+    if (!this.browser) {
+      this.browser = puppeteer.launch({
+        headless: true,
+        args: ['--disable-dev-shm-usage'],
+        timeout: BROWSER_START_TIMEOUT_MS,
+        ...this.launchOptions
+      }).then((browser) => {
+        browser.on('disconnected', () => {
+          this.browser = null;
+        });
+        return browser;
+      }).catch((err) => {
+        this.browser = null;
+        throw new Error(`Could not start the browser for scraping: ${err.message}`);
+      });
+    }
+    return this.browser;
+  }
+
+  async close() {
+    if (this.browser) {
+      const browser = await this.browser.catch(() => null);
+      this.browser = null;
+      await browser?.close();
+    }
+  }
+
+  // Fetch and parse robots.txt for the URL's origin, cached per origin. A
+  // missing file (4xx) allows everything; an unreachable one (5xx, network
+  // error) disallows everything, as RFC 9309 asks. Fetched through
+  // httpClient, so robots.txt can't be served from a non-public address.
+  async getRobots(url, userAgent) {
+    const { origin } = new URL(url);
+    const cached = this.robotsCache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.groups;
+
+    let groups;
+    try {
+      const response = await performHttpRequest({
+        url: `${origin}/robots.txt`,
+        headers: { 'User-Agent': userAgent },
+        timeout: ROBOTS_FETCH_TIMEOUT_MS,
+        maxBytes: MAX_ROBOTS_BYTES
+      });
+      if (response.status >= 200 && response.status < 300) {
+        groups = parseRobots(typeof response.data === 'string' ? response.data : '');
+      } else if (response.status < 500) {
+        groups = [];
+      } else {
+        groups = parseRobots('User-agent: *\nDisallow: /');
+      }
+    } catch (err) {
+      groups = parseRobots('User-agent: *\nDisallow: /');
+    }
+
+    this.robotsCache.set(origin, { groups, expiresAt: Date.now() + ROBOTS_CACHE_TTL_MS });
+    return groups;
+  }
+
+  // Scrape one page. Options are the web scraper node's: extractionMode,
+  // selectors, includeImages, includeLinks, includeMetadata, timeout (seconds),
+  // userAgent (preset), followRedirects and respectRobots. The page and
+  // everything it loads may only reach public addresses.
+  async scrapePage(url, options = {}) {
+    const target = await checkPublicTarget(url);
+
+    const mode = options.extractionMode || 'text';
+    const fields = mode === 'custom' ? parseSelectors(options.selectors) : [];
+    if (mode === 'custom' && fields.length === 0) {
+      throw new Error('Custom extraction requires at least one CSS selector');
+    }
+    const timeoutSeconds = getPageTimeoutSeconds(options);
+
+    const browser = await this.getBrowser();
+    const userAgent = USER_AGENTS[options.userAgent] || await browser.userAgent();
+
+    if (options.respectRobots !== false) {
+      const groups = await this.getRobots(target.href, userAgent);
+      if (!isAllowedByRobots(groups, userAgent, `${target.pathname}${target.search}`)) {
+        throw new Error(`Blocked by robots.txt: ${target.href}`);
+      }
+    }
+
+    const page = await browser.newPage();
+    try {
+      await page.setUserAgent(userAgent);
+      if (options.userAgent === 'mobile') {
+        await page.setViewport({ width: 390, height: 844, isMobile: true, hasTouch: true });
+      }
+
+      // Every request of the page (redirects, frames, images, scripts) is
+      // checked like HTTP request nodes check theirs, with the host lookups
+      // shared within the page. Without followRedirects the first redirect of
+      // the page itself is stopped too.
+      let blockedRedirect = null;
+      let blockedTarget = null;
+      const checks = new Map();
+      const checkRequest = (requestUrl) => {
+        const { protocol, host } = new URL(requestUrl);
+        if (['data:', 'blob:', 'about:'].includes(protocol)) return Promise.resolve();
+        const key = `${protocol}//${host}`;
+        if (!checks.has(key)) checks.set(key, checkPublicTarget(requestUrl));
+        return checks.get(key);
+      };
+
+      await page.setRequestInterception(true);
+      page.on('request', async (request) => {
+        const isPage = request.isNavigationRequest() && request.frame() === page.mainFrame();
+        try {
+          await checkRequest(request.url());
+        } catch (err) {
+          if (isPage) blockedTarget = err;
+          request.abort('blockedbyclient').catch(() => {});
+          return;
+        }
+        const chain = request.redirectChain();
+        if (options.followRedirects === false && isPage && chain.length > 0) {
+          blockedRedirect = { status: chain[chain.length - 1].response()?.status() || null, location: request.url() };
+          request.abort('blockedbyclient').catch(() => {});
+          return;
+        }
+        request.continue().catch(() => {});
+      });
+
+      let response;
+      try {
+        response = await page.goto(target.href, { waitUntil: 'domcontentloaded', timeout: timeoutSeconds * 1000 });
+      } catch (err) {
+        if (blockedTarget) {
+          throw new Error(`Loading ${target.href} refused: ${blockedTarget.message}`);
+        }
+        if (blockedRedirect) {
+          return {
+            url: target.href,
+            finalUrl: target.href,
+            status: blockedRedirect.status,
+            redirected: true,
+            location: blockedRedirect.location,
+            title: null,
+            content: '',
+            scrapedAt: new Date().toISOString()
+          };
+        }
+        if (err.name === 'TimeoutError') {
+          throw new Error(`Loading ${target.href} timed out after ${timeoutSeconds}s`);
+        }
+        throw err;
+      }
+      // Give client-rendered pages a moment to settle, within the page timeout
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: Math.min(NETWORK_IDLE_TIMEOUT_MS, timeoutSeconds * 1000) }).catch(() => {});
+
+      const extracted = await page.evaluate(extractPage, {
+        mode,
+        fields,
+        includeImages: Boolean(options.includeImages),
+        includeLinks: Boolean(options.includeLinks),
+        includeMetadata: options.includeMetadata !== false,
+        maxListItems: MAX_LIST_ITEMS
+      });
+
+      return {
+        url: target.href,
+        finalUrl: page.url(),
+        status: response?.status() ?? null,
+        ...extracted,
+        scrapedAt: new Date().toISOString()
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  // Scrape several pages, PAGE_CONCURRENCY at a time. A page that fails is
+  // reported as { url, error } instead of failing the others.
+  async scrape(urls, options = {}) {
+    const targets = urls.slice(0, getMaxPages(options));
+    const pages = new Array(targets.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < targets.length) {
+        const index = next++;
+        try {
+          pages[index] = await this.scrapePage(targets[index], options);
+        } catch (err) {
+          pages[index] = { url: targets[index], error: err.message };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(PAGE_CONCURRENCY, targets.length) }, worker));
+
+    return pages;
+  }
+}
+
+module.exports = WebScraper;
+module.exports.collectUrls = collectUrls;
+module.exports.getScrapeTimeout = getScrapeTimeout;
+module.exports.parseRobots = parseRobots;
+module.exports.isAllowedByRobots = isAllowedByRobots;
+module.exports.parseSelectors = parseSelectors;
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+// Secrets of a workflow's nodes, kept on the server in
+// data/webhook-secrets.json (by workflow id, then node id) rather than in the
+// workflow, which is stored on 0G and served to its renters: the shared secret
+// of webhook triggers, and the `authData` of HTTP request nodes (username and
+// password, bearer token or API key).
+
+// Remove a node setting from both `data` and `data.config`; returns the node
+// without it and its value (the config's wins)
+const takeSetting = (node, name) => {
+  const { [name]: dataValue, ...data } = node.data || {};
+  const { [name]: configValue, ...config } = data.config || {};
+  return {
+    node: { ...node, data: data.config ? { ...data, config } : data },
+    value: configValue || dataValue
+  };
+};
+
+// Remove secrets from a workflow's nodes. Returns the workflow without them
+// and the secrets by node id: strings for triggers, objects for HTTP nodes.
+const extractSecrets = (workflow) => {
+  const secrets = {};
+  const nodes = (workflow?.nodes || []).map((node) => {
+    if (node.type === 'trigger') {
+      const { node: publicNode, value: secret } = takeSetting(node, 'secret');
+      if (secret) {
+        secrets[node.id] = String(secret);
+      }
+      return publicNode;
+    }
+
+    const { node: publicNode, value: authData } = takeSetting(node, 'authData');
+    if (authData && typeof authData === 'object' && Object.keys(authData).length > 0) {
+      secrets[node.id] = { ...authData };
+    }
+    return authData === undefined ? node : publicNode;
+  });
+  return { workflow: { ...workflow, nodes }, secrets };
+};
+
+class WebhookSecrets {
+  constructor(filePath = path.join(__dirname, '../data/webhook-secrets.json')) {
+    this.filePath = filePath;
+    this.secrets = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        Object.entries(saved).forEach(([workflowId, secrets]) => this.secrets.set(workflowId, secrets));
+      }
+    } catch (err) {
+      console.error('⚠️ Failed to load webhook secrets:', err.message);
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.secrets), null, 2), { mode: 0o600 });
+  }
+
+  get(workflowId, nodeId) {
+    return this.secrets.get(workflowId)?.[nodeId] || null;
+  }
+
+  set(workflowId, nodeId, secret) {
+    if (!secret) {
+      throw new Error('A webhook secret cannot be empty');
+    }
+    this.secrets.set(workflowId, { ...this.secrets.get(workflowId), [nodeId]: String(secret) });
+    this.persist();
+  }
+
+  // Store every secret of a workflow, as returned by extractSecrets()
+  setAll(workflowId, secrets) {
+    if (Object.keys(secrets).length === 0) return;
+    this.secrets.set(workflowId, { ...this.secrets.get(workflowId), ...secrets });
+    this.persist();
+  }
+
+  remove(workflowId, nodeId) {
+    const secrets = { ...this.secrets.get(workflowId) };
+    if (!secrets[nodeId]) return false;
+    delete secrets[nodeId];
+    if (Object.keys(secrets).length > 0) {
+      this.secrets.set(workflowId, secrets);
+    } else {
+      this.secrets.delete(workflowId);
+    }
+    this.persist();
+    return true;
+  }
+}
+
+module.exports = WebhookSecrets;
+module.exports.extractSecrets = extractSecrets;
@@ -0,0 +1,577 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { executors: defaultExecutors, getNodeSubtype } = require('./nodeExecutors');
+const { resolveTemplates } = require('./templates');
+const { getScrapeTimeout } = require('./webScraper');
+
+// Timeouts per node type (in milliseconds)
+const NODE_TIMEOUTS = {
+  ai: 30000,
+  googleSearch: 15000,
+  googleSheets: 15000,
+  dataFormatter: 5000,
+  markdownGenerator: 5000,
+  httpRequest: 10000,
+  logic: 5000,
+  // Action subtypes
+  storage: 120000,
+  default: 8000
+};
+
+// Node types whose default timeout depends on their settings
+const NODE_TIMEOUT_BUDGETS = {
+  // Enough for every page the node may load; its own page timeout sits on `data`
+  webScraper: node => getScrapeTimeout({ ...node.data, ...node.data?.config, timeout: node.data?.timeout })
+};
+
+// Fields left untemplated: template fields their executors render themselves,
+// with their own variables, and code, which must never have values spliced in
+const OWN_TEMPLATE_FIELDS = {
+  dataFormatter: ['promptTemplate'],
+  markdownGenerator: ['headerTemplate', 'footerTemplate'],
+  // SQL of database actions; values are bound from params, never spliced in
+  action: ['query'],
+  // Sandboxed code reads upstream values from `data` and `outputs` instead
+  logic: ['script', 'transformCode', 'expression', 'condition', 'arrayExpression']
+};
+
+// Nodes of independent branches that may run at the same time, per graph
+const DEFAULT_CONCURRENCY = 4;
+
+const DEFAULT_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// Which errors a node retries, by its `retryOn` setting
+const RETRYABLE_ERRORS = {
+  any: () => true,
+  timeout: err => /timed out/i.test(err.message),
+  network: err => /timed out|fetch failed|network|socket hang up|ECONN|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|\b(429|5\d\d)\b/i
+    .test(`${err.message} ${err.cause?.code || ''}`)
+};
+
+// Error handling policy of a node, set in the "Error Handling" section of the
+// properties sidebar. Only read from `data.config`: some node components keep
+// unrelated fields of the same name (e.g. a scraper timeout) on `data`.
+//   onError: "stop" fails the run, "continue" passes null on, "errorOutput"
+//            follows the node's "error" output with the error details
+const getErrorPolicy = (node) => {
+  const config = node.data?.config || {};
+  return {
+    timeout: Number(config.timeout) || NODE_TIMEOUT_BUDGETS[node.type]?.(node) || NODE_TIMEOUTS[node.type] || (node.type === 'action' && NODE_TIMEOUTS[getNodeSubtype(node)]) || NODE_TIMEOUTS.default,
+    retries: Math.max(0, parseInt(config.retries, 10) || 0),
+    retryBackoff: config.retryBackoff === 'exponential' ? 'exponential' : 'fixed',
+    retryDelay: Math.max(0, Number(config.retryDelay ?? DEFAULT_RETRY_DELAY) || 0),
+    retryOn: config.retryOn || 'any',
+    retryPattern: config.retryPattern || '',
+    onError: ['continue', 'errorOutput'].includes(config.onError) ? config.onError : 'stop'
+  };
+};
+
+const isRetryableError = (policy, err) => {
+  if (policy.retryOn !== 'pattern') {
+    return (RETRYABLE_ERRORS[policy.retryOn] || RETRYABLE_ERRORS.any)(err);
+  }
+  try {
+    return new RegExp(policy.retryPattern, 'i').test(err.message);
+  } catch (patternErr) {
+    return err.message.includes(policy.retryPattern);
+  }
+};
+
+// Delay before retry number `attempt` (1-based)
+const getRetryDelay = (policy, attempt) => (
+  policy.retryBackoff === 'exponential'
+    ? Math.min(policy.retryDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY)
+    : policy.retryDelay
+);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// `onStart` gets a function that restarts the time limit, for operations that
+// report progress (streamed answers time out only once they stall)
+const withTimeout = (promise, timeoutMs, operation = 'Operation', onStart) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      const start = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => reject(new Error(`${operation} timed out after ${timeoutMs}ms`)), timeoutMs);
+      };
+      start();
+      onStart?.(start);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+// Order nodes so every node comes after all of its upstream nodes (Kahn's algorithm)
+const topologicalSort = (nodes, edges) => {
+  const inDegree = new Map(nodes.map(n => [n.id, 0]));
+  const downstream = new Map(nodes.map(n => [n.id, []]));
+
+  edges.forEach((edge) => {
+    if (!inDegree.has(edge.source) || !inDegree.has(edge.target)) return;
+    inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+    downstream.get(edge.source).push(edge.target);
+  });
+
+  const queue = nodes.filter(n => inDegree.get(n.id) === 0).map(n => n.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    order.push(nodeId);
+    downstream.get(nodeId).forEach((targetId) => {
+      inDegree.set(targetId, inDegree.get(targetId) - 1);
+      if (inDegree.get(targetId) === 0) queue.push(targetId);
+    });
+  }
+
+  if (order.length !== nodes.length) {
+    throw new Error('Workflow contains a cycle');
+  }
+
+  return order;
+};
+
+// Collect the ids of every node reachable from startNodeId (inclusive)
+const reachableFrom = (startNodeId, edges) => {
+  const reachable = new Set([startNodeId]);
+  const stack = [startNodeId];
+
+  while (stack.length > 0) {
+    const nodeId = stack.pop();
+    edges.filter(e => e.source === nodeId).forEach((edge) => {
+      if (!reachable.has(edge.target)) {
+        reachable.add(edge.target);
+        stack.push(edge.target);
+      }
+    });
+  }
+
+  return reachable;
+};
+
+const isLoopNode = node => node.type === 'logic' && getNodeSubtype(node) === 'loop';
+
+// The body of a loop node: everything reachable from its "item" output, minus
+// nodes also reachable from its "done" output (those run once, after the loop).
+const loopBody = (loopNode, edges) => {
+  const reachableFromHandle = (handle) => {
+    const reachable = new Set();
+    edges
+      .filter(e => e.source === loopNode.id && e.sourceHandle === handle)
+      .forEach(edge => reachableFrom(edge.target, edges).forEach(id => reachable.add(id)));
+    return reachable;
+  };
+
+  const body = reachableFromHandle('item');
+  reachableFromHandle('done').forEach(id => body.delete(id));
+  body.delete(loopNode.id);
+  return body;
+};
+
+// Whether an edge carries data after its source node ran. Condition nodes only
+// follow the edge on the handle ("true"/"false") matching their result; edges
+// without a handle id are always followed. A loop's "item" edges lead into its
+// body, which the loop runs itself. A node whose error was routed to its
+// "error" output follows only that output, and only then.
+const isEdgeTaken = (sourceNode, output, edge, errorRouted = false) => {
+  if (errorRouted || edge.sourceHandle === 'error') {
+    return errorRouted && edge.sourceHandle === 'error';
+  }
+  if (isLoopNode(sourceNode)) {
+    return edge.sourceHandle !== 'item';
+  }
+  const branching = sourceNode.type === 'logic' && getNodeSubtype(sourceNode) === 'condition';
+  if (!branching || (edge.sourceHandle !== 'true' && edge.sourceHandle !== 'false')) {
+    return true;
+  }
+  return edge.sourceHandle === String(Boolean(output?.condition));
+};
+
+class WorkflowEngine extends EventEmitter {
+  constructor({ performInference, performEmbedding, webScraper, searchService, reportStore, googleSheets, emailService, databaseService, storageService, variableStore, webhookSecrets } = {}) {
+    super();
+    this.performInference = performInference;
+    this.performEmbedding = performEmbedding;
+    this.webScraper = webScraper;
+    this.searchService = searchService;
+    this.reportStore = reportStore;
+    this.googleSheets = googleSheets;
+    this.emailService = emailService;
+    this.databaseService = databaseService;
+    this.storageService = storageService;
+    this.variableStore = variableStore;
+    this.webhookSecrets = webhookSecrets;
+    this.executors = { ...defaultExecutors };
+    // Runs in progress; finished runs are kept by the run history
+    this.runs = new Map();
+  }
+
+  registerExecutor(type, executor) {
+    this.executors[type] = executor;
+  }
+
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  // Execute a single node with its timeout applied. {{...}} templates in its
+  // data are resolved first against `context.outputs` (upstream node outputs
+  // by id) and the input.
+  async executeNode(node, input, context = {}) {
+    const executor = this.executors[node.type];
+    if (!executor) {
+      throw new Error(`Unsupported node type: ${node.type}`);
+    }
+
+    const { timeout } = getErrorPolicy(node);
+    let restartTimeout = () => {};
+    // Aborted when the node times out, so executors can stop their work
+    const controller = new AbortController();
+    const nodeContext = {
+      performInference: this.performInference,
+      performEmbedding: this.performEmbedding,
+      webScraper: this.webScraper,
+      searchService: this.searchService,
+      reportStore: this.reportStore,
+      googleSheets: this.googleSheets,
+      emailService: this.emailService,
+      databaseService: this.databaseService,
+      storageService: this.storageService,
+      variableStore: this.variableStore,
+      webhookSecrets: this.webhookSecrets,
+      log: () => {},
+      ...context,
+      // Each streamed token restarts the node's timeout
+      streamToken: context.streamToken && ((content) => {
+        restartTimeout();
+        context.streamToken(content);
+      }),
+      signal: controller.signal,
+      timeout
+    };
+
+    const missing = [];
+    const resolvedNode = {
+      ...node,
+      data: resolveTemplates(node.data, { outputs: context.outputs || {}, input }, missing, OWN_TEMPLATE_FIELDS[node.type])
+    };
+    if (missing.length > 0) {
+      nodeContext.log(`⚠️  Unresolved template reference(s): ${[...new Set(missing)].join(', ')}`);
+    }
+
+    const execution = Promise.resolve().then(() => executor(resolvedNode, input, nodeContext));
+    // A loop runs its whole body; the body nodes have their own timeouts unless
+    // the loop is given one explicitly
+    if (isLoopNode(node) && !node.data?.config?.timeout) {
+      return execution;
+    }
+    return withTimeout(execution, timeout, `Node ${node.id} (${node.type})`, (restart) => {
+      restartTimeout = restart;
+    }).catch((err) => {
+      controller.abort(err);
+      throw err;
+    });
+  }
+
+  // Create the run record and start executing it in the background. Returns
+  // the run (so callers get its id right away) and a promise for completion.
+  startRun(workflow, options = {}) {
+    const run = {
+      id: crypto.randomUUID(),
+      // Set by the caller, never read from the workflow: inline workflows
+      // could claim any id
+      workflowId: options.workflowId || null,
+      trigger: options.trigger || 'manual',
+      // Wallet the run acts for: the saved workflow's owner, or who ran it inline
+      owner: options.owner || workflow?.owner || null,
+      // Wallet the run is for; scopes its persistent variables
+      renter: options.renter || null,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      nodes: {},
+      error: null
+    };
+    this.runs.set(run.id, run);
+
+    const completion = this.executeRun(run, workflow, options);
+    return { run, completion };
+  }
+
+  // Run a whole workflow and resolve with the finished run record
+  async run(workflow, options = {}) {
+    return this.startRun(workflow, options).completion;
+  }
+
+  // Execute a set of nodes given in topological order. A node starts once all
+  // of its upstream nodes in the set have settled, so independent branches run
+  // concurrently (at most `concurrency` nodes at a time). Each node receives the
+  // merged outputs of its upstream nodes; nodes with no upstream node in the set
+  // receive `entryInput`. A node whose incoming edges were all left untaken by a
+  // condition (or lead from skipped nodes) is marked skipped. Loop bodies are
+  // left out here and run by their loop node, once per item.
+  async executeGraph(order, graphScope) {
+    const { nodes, edges, label = '', log, setNodeState, concurrency = DEFAULT_CONCURRENCY, outputs = {} } = graphScope;
+    // Node outputs by id, also what templates of later nodes resolve against
+    const scope = { ...graphScope, outputs };
+
+    const bodies = new Map();
+    order
+      .map(id => nodes.find(n => n.id === id))
+      .filter(isLoopNode)
+      .forEach(loopNode => bodies.set(loopNode.id, order.filter(id => loopBody(loopNode, edges).has(id))));
+    const inBody = new Set([...bodies.values()].flat());
+
+    const remaining = order.filter(id => !inBody.has(id));
+    const scheduled = new Set(remaining);
+    const takenEdges = new Set();
+    const settled = new Set();
+    // Completion order, so inputs are merged in the order their branches finished
+    const finished = [];
+    const running = new Map();
+    let failure = null;
+
+    const startReadyNodes = () => {
+      for (const nodeId of [...remaining]) {
+        if (running.size >= Math.max(1, concurrency)) return;
+
+        const incoming = edges.filter(e => e.target === nodeId && scheduled.has(e.source));
+        if (!incoming.every(edge => settled.has(edge.source))) continue;
+        remaining.splice(remaining.indexOf(nodeId), 1);
+
+        const node = nodes.find(n => n.id === nodeId);
+        const activeIncoming = incoming
+          .filter(edge => takenEdges.has(edge))
+          .sort((x, y) => finished.indexOf(x.source) - finished.indexOf(y.source));
+
+        if (incoming.length > 0 && activeIncoming.length === 0) {
+          setNodeState(nodeId, 'skipped');
+          log(`${label}⏭️  Skipped "${node.data?.label || node.id}" (branch not taken)`, nodeId);
+          settled.add(nodeId);
+          continue;
+        }
+
+        const inputs = activeIncoming.map(edge => ({ source: edge.source, output: outputs[edge.source] }));
+        const execution = this.executeGraphNode(node, inputs, scope, bodies.get(nodeId))
+          .then(({ output, errorRouted }) => {
+            outputs[nodeId] = output;
+            finished.push(nodeId);
+            edges
+              .filter(e => e.source === nodeId && isEdgeTaken(node, output, e, errorRouted))
+              .forEach(edge => takenEdges.add(edge));
+          })
+          .catch((err) => {
+            failure = failure || err;
+          })
+          .finally(() => {
+            running.delete(nodeId);
+            settled.add(nodeId);
+          });
+        running.set(nodeId, execution);
+      }
+    };
+
+    // After a failure no new nodes start; the ones already running finish first
+    while (true) {
+      if (!failure) startReadyNodes();
+      if (running.size === 0) break;
+      await Promise.race(running.values());
+    }
+
+    if (failure) throw failure;
+    return outputs;
+  }
+
+  // Execute one node of a graph under its error policy. `inputs` are the
+  // outputs of its upstream nodes ({ source, output }) in the order they
+  // finished. Resolves with `{ output, errorRouted }`; errors the policy does
+  // not handle are rethrown after the retries run out.
+  async executeGraphNode(node, inputs, scope, bodyOrder) {
+    const { entryInput = {}, label = '', log, setNodeState, nodeContext } = scope;
+    const nodeId = node.id;
+
+    const input = inputs.length === 0 ? { ...entryInput } : {};
+    inputs.forEach(({ output }) => {
+      if (output && typeof output === 'object') {
+        Object.assign(input, output);
+      }
+    });
+
+    const nodeStartTime = Date.now();
+    setNodeState(nodeId, 'running', { input, startedAt: new Date(nodeStartTime).toISOString() });
+    log(`${label}▶️  Starting "${node.data?.label || node.id}" (type: ${node.type})`, nodeId);
+
+    const context = {
+      ...nodeContext,
+      triggerData: node.type === 'trigger' ? nodeContext.triggerData : undefined,
+      inputs,
+      outputs: scope.outputs,
+      log: message => log(`${label}${message}`, nodeId),
+      // Answer tokens of streaming AI nodes, as they arrive, and the start of a
+      // new answer that replaces the streamed one
+      streamToken: content => this.emit('node:token', { runId: nodeContext.runId, nodeId, content }),
+      streamRetry: ({ attempt, reason }) => this.emit('node:retry', { runId: nodeContext.runId, nodeId, attempt, reason })
+    };
+    if (bodyOrder) {
+      // Each iteration keeps its own outputs, on top of the enclosing graph's
+      context.runLoopBody = (itemScope, iterationLabel) => this.executeLoopBody(bodyOrder, {
+        ...scope,
+        entryInput: itemScope,
+        label: `${label}${iterationLabel} `,
+        outputs: Object.create(scope.outputs)
+      });
+    }
+
+    const policy = getErrorPolicy(node);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const output = await this.executeNode(node, input, context);
+        setNodeState(nodeId, 'completed', {
+          output,
+          attempts: attempt,
+          finishedAt: new Date().toISOString(),
+          durationMs: Date.now() - nodeStartTime
+        });
+        log(`${label}✅ Completed in ${Date.now() - nodeStartTime}ms`, nodeId);
+        return { output, errorRouted: false };
+      } catch (err) {
+        if (attempt <= policy.retries && isRetryableError(policy, err)) {
+          const delay = getRetryDelay(policy, attempt);
+          log(`${label}🔁 Attempt ${attempt} failed: ${err.message}. Retrying in ${delay}ms (${attempt}/${policy.retries})`, nodeId);
+          await sleep(delay);
+          context.streamRetry({ attempt: attempt + 1, reason: err.message });
+          continue;
+        }
+
+        const output = policy.onError === 'errorOutput'
+          ? {
+            error: {
+              message: err.message,
+              nodeId,
+              nodeType: node.type,
+              attempts: attempt,
+              timestamp: new Date().toISOString()
+            },
+            input
+          }
+          : null;
+        setNodeState(nodeId, 'error', {
+          error: err.message,
+          attempts: attempt,
+          ...(policy.onError !== 'stop' && { output, onError: policy.onError }),
+          finishedAt: new Date().toISOString(),
+          durationMs: Date.now() - nodeStartTime
+        });
+        log(`${label}❌ Error after ${Date.now() - nodeStartTime}ms: ${err.message}`, nodeId);
+
+        if (policy.onError === 'stop') {
+          throw err;
+        }
+        log(`${label}↪️  ${policy.onError === 'continue' ? 'Continuing with null output' : 'Routing the error to the error output'}`, nodeId);
+        return { output, errorRouted: policy.onError === 'errorOutput' };
+      }
+    }
+  }
+
+  // Run one iteration of a loop body and return its result: the output of the
+  // body's last node, or the merged outputs when the body ends in several nodes.
+  async executeLoopBody(bodyOrder, scope) {
+    const outputs = await this.executeGraph(bodyOrder, scope);
+    // Last nodes: ones that ran and have no downstream node that ran after them
+    const ran = id => Object.prototype.hasOwnProperty.call(outputs, id);
+    const exitIds = bodyOrder.filter(id =>
+      ran(id) && !scope.edges.some(e => e.source === id && ran(e.target))
+    );
+
+    if (exitIds.length === 1) {
+      return outputs[exitIds[0]];
+    }
+    return exitIds.reduce((merged, id) => (
+      outputs[id] && typeof outputs[id] === 'object' ? Object.assign(merged, outputs[id]) : merged
+    ), {});
+  }
+
+  async executeRun(run, workflow, options = {}) {
+    const { triggerData, startNodeId, credentials = {} } = options;
+    const concurrency = Number(options.concurrency ?? workflow?.settings?.concurrency) || DEFAULT_CONCURRENCY;
+    const { trigger } = run;
+    const nodes = workflow?.nodes || [];
+    const edges = workflow?.edges || [];
+
+    const log = (message, nodeId = null) => {
+      console.log(`[run ${run.id.slice(0, 8)}]${nodeId ? ` [${nodeId}]` : ''} ${message}`);
+      this.emit('log', { runId: run.id, nodeId, message, timestamp: new Date().toISOString() });
+    };
+
+    const setNodeState = (nodeId, state, extra = {}) => {
+      run.nodes[nodeId] = { ...run.nodes[nodeId], state, ...extra };
+      this.emit('node:state', { runId: run.id, nodeId, state, ...extra });
+    };
+
+    // Let callers of startRun() attach listeners before the first event fires
+    await Promise.resolve();
+
+    this.emit('run:start', run);
+    log(`🚀 Workflow run started (trigger: ${trigger}, ${nodes.length} nodes, ${edges.length} edges)`);
+
+    try {
+      if (nodes.length === 0) {
+        throw new Error('No nodes found in workflow');
+      }
+
+      let order = topologicalSort(nodes, edges);
+      if (startNodeId) {
+        if (!nodes.some(n => n.id === startNodeId)) {
+          throw new Error(`Start node ${startNodeId} not found`);
+        }
+        const reachable = reachableFrom(startNodeId, edges);
+        order = order.filter(id => reachable.has(id));
+      }
+
+      order.forEach(nodeId => setNodeState(nodeId, 'pending'));
+      await this.executeGraph(order, {
+        nodes,
+        edges,
+        log,
+        setNodeState,
+        concurrency,
+        nodeContext: {
+          runId: run.id,
+          workflowId: run.workflowId,
+          trigger,
+          triggerData,
+          credentials,
+          owner: run.owner,
+          renter: run.renter,
+          // Run-scoped variables of variable nodes
+          variables: {}
+        }
+      });
+
+      // Bodies of loops over an empty array never ran
+      Object.entries(run.nodes)
+        .filter(([, nodeRun]) => nodeRun.state === 'pending')
+        .forEach(([nodeId]) => setNodeState(nodeId, 'skipped'));
+
+      run.status = 'completed';
+      log('🎉 Workflow run finished successfully');
+    } catch (err) {
+      run.status = 'error';
+      run.error = err.message;
+      log(`❌ Workflow run failed: ${err.message}`);
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      this.emit('run:end', run);
+      this.runs.delete(run.id);
+    }
+
+    return run;
+  }
+}
+
+module.exports = WorkflowEngine;
+module.exports.topologicalSort = topologicalSort;
+module.exports.NODE_TIMEOUTS = NODE_TIMEOUTS;
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Keeps a local copy of every submitted workflow so triggers (webhooks,
+// schedules, chain events) can start runs without a round trip to 0G KV.
+class WorkflowRegistry {
+  constructor(filePath = path.join(__dirname, '../data/workflows.json')) {
+    this.filePath = filePath;
+    this.workflows = new Map();
+    this.listeners = new Set();
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        Object.values(saved).forEach(workflow => this.workflows.set(workflow.id, workflow));
+      }
+    } catch (err) {
+      console.error('⚠️ Failed to load workflow registry:', err.message);
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.workflows), null, 2));
+  }
+
+  save(workflow) {
+    if (!workflow?.id) {
+      throw new Error('Workflow id required');
+    }
+    this.workflows.set(workflow.id, workflow);
+    this.persist();
+    this.listeners.forEach(listener => listener(workflow));
+    return workflow;
+  }
+
+  get(workflowId) {
+    return this.workflows.get(workflowId) || null;
+  }
+
+  list() {
+    return Array.from(this.workflows.values());
+  }
+
+  // Called with every saved workflow, so trigger runtimes can (re)register it
+  onSave(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Local copy first, then fall back to 0G KV storage
+  async resolve(workflowId, kvClient) {
+    const local = this.get(workflowId);
+    if (local || !kvClient) {
+      return local;
+    }
+
+    // The KV client answers with { data (base64), size, version }
+    const value = await kvClient.getValue(
+      'workflows',
+      ethers.encodeBase64(Buffer.from(workflowId))
+    );
+
+    if (!value?.data) {
+      return null;
+    }
+
+    return JSON.parse(Buffer.from(value.data, 'base64').toString('utf-8'));
+  }
+}
+
+module.exports = WorkflowRegistry;
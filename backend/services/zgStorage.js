@@ -0,0 +1,175 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Indexer, MemData } = require('@0glabs/0g-ts-sdk');
+const { collectFiles } = require('./files');
+
+// 0G Storage for storage action nodes. Upload serializes the node's data and
+// stores it, paid by the service wallet; download fetches by root hash and
+// checks the bytes against it before decoding them for downstream nodes.
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const FORMATS = ['auto', 'json', 'text', 'file'];
+
+// Merkle root of the bytes, as 0G Storage computes it
+const computeRootHash = async (buffer) => {
+  const [tree, err] = await new MemData(buffer).merkleTree();
+  if (err || !tree) {
+    throw new Error(`Failed to compute root hash: ${err?.message || 'no tree'}`);
+  }
+  return tree.rootHash();
+};
+
+const textOf = value => (typeof value === 'string'
+  ? value
+  : value?.text ?? value?.content ?? value?.markdown ?? JSON.stringify(value));
+
+// Bytes to upload for a `format`: json (JSON of the value), text (the value,
+// or its text/content/markdown), file (the first file in it, see
+// collectFiles) or auto (a file if there is one, text for strings, else JSON)
+const serialize = (value, format = 'auto') => {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown storage format "${format}"`);
+  }
+  const [file] = format === 'file' || format === 'auto' ? collectFiles(value) : [];
+  if (file) {
+    return {
+      buffer: Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content),
+      format: 'file',
+      fileName: file.filename,
+      contentType: file.contentType || 'application/octet-stream'
+    };
+  }
+  if (format === 'file') {
+    throw new Error('Storage upload found no file in the input');
+  }
+  if (value === undefined || value === null) {
+    throw new Error('Storage upload has nothing to store');
+  }
+  if (format === 'text' || (format === 'auto' && typeof value === 'string')) {
+    return { buffer: Buffer.from(textOf(value)), format: 'text', contentType: 'text/plain; charset=utf-8' };
+  }
+  return { buffer: Buffer.from(JSON.stringify(value)), format: 'json', contentType: 'application/json' };
+};
+
+// Downloaded bytes as node output content: parsed JSON, text, or base64 for
+// files (which email nodes can attach). Auto takes JSON when it parses and
+// text when it is valid UTF-8.
+const deserialize = (buffer, format = 'auto', fileName) => {
+  if (format === 'json' || format === 'auto') {
+    try {
+      return { format: 'json', content: JSON.parse(buffer.toString('utf-8')) };
+    } catch (err) {
+      if (format === 'json') throw new Error(`Stored data is not JSON: ${err.message}`);
+    }
+  }
+  const text = buffer.toString('utf-8');
+  if (format === 'text' || (format === 'auto' && Buffer.from(text).equals(buffer))) {
+    return { format: 'text', content: text };
+  }
+  return { format: 'file', fileName, content: buffer.toString('base64'), encoding: 'base64' };
+};
+
+class ZgStorage {
+  constructor({
+    indexerUrl,
+    rpcUrl,
+    signer,
+    tempDir = path.join(__dirname, '../temp-uploads'),
+    createIndexer = url => new Indexer(url)
+  } = {}) {
+    this.indexerUrl = indexerUrl;
+    this.rpcUrl = rpcUrl;
+    this.signer = signer;
+    this.tempDir = tempDir;
+    this.createIndexer = createIndexer;
+    this.indexer = null;
+  }
+
+  getIndexer() {
+    if (!this.indexer) {
+      this.indexer = this.createIndexer(this.indexerUrl);
+    }
+    return this.indexer;
+  }
+
+  // Store the bytes; resolves with { rootHash, txHash, size }
+  async upload(buffer) {
+    if (buffer.length === 0) {
+      throw new Error('Cannot store empty data on 0G Storage');
+    }
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+      throw new Error(`Data is too large for a storage node (${buffer.length} bytes, max ${MAX_UPLOAD_BYTES})`);
+    }
+
+    const file = new MemData(buffer);
+    const [tree, treeErr] = await file.merkleTree();
+    if (treeErr || !tree) {
+      throw new Error(`Failed to generate Merkle tree: ${treeErr?.message || 'no tree'}`);
+    }
+
+    const [tx, uploadErr] = await this.getIndexer().upload(file, this.rpcUrl, this.signer);
+    if (uploadErr) {
+      throw new Error(`0G Storage upload failed: ${uploadErr.message || uploadErr}`);
+    }
+    return {
+      rootHash: tx?.rootHash || tree.rootHash(),
+      txHash: typeof tx === 'object' ? tx.txHash || tx.hash : tx,
+      size: buffer.length
+    };
+  }
+
+  // Fetch the bytes of a root hash, verified against it
+  async download(rootHash) {
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(rootHash || '')) {
+      throw new Error(`Invalid root hash: ${rootHash}`);
+    }
+    const normalized = rootHash.startsWith('0x') ? rootHash.toLowerCase() : `0x${rootHash.toLowerCase()}`;
+
+    await fs.mkdir(this.tempDir, { recursive: true });
+    const outputPath = path.join(this.tempDir, `download-${crypto.randomUUID()}`);
+    try {
+      const downloadErr = await this.getIndexer().download(normalized, outputPath, true);
+      if (downloadErr) {
+        throw new Error(`0G Storage download failed: ${downloadErr.message || downloadErr}`);
+      }
+
+      const buffer = await fs.readFile(outputPath);
+      const actual = await computeRootHash(buffer);
+      if (actual.toLowerCase() !== normalized) {
+        throw new Error(`Downloaded data does not match root hash ${normalized}`);
+      }
+      return buffer;
+    } finally {
+      await fs.rm(outputPath, { force: true });
+    }
+  }
+
+  // Upload mode of a storage node: the value serialized per `format`
+  async uploadValue(value, { format = 'auto' } = {}) {
+    const serialized = serialize(value, format);
+    const stored = await this.upload(serialized.buffer);
+    return {
+      ...stored,
+      format: serialized.format,
+      ...(serialized.fileName ? { fileName: serialized.fileName } : {}),
+      contentType: serialized.contentType
+    };
+  }
+
+  // Download mode of a storage node: the verified content, decoded per `format`
+  async downloadValue(rootHash, { format = 'auto', fileName } = {}) {
+    const buffer = await this.download(rootHash);
+    return {
+      rootHash,
+      verified: true,
+      size: buffer.length,
+      ...deserialize(buffer, format, fileName || `0g-${String(rootHash).replace(/^0x/, '').slice(0, 16)}`)
+    };
+  }
+}
+
+module.exports = ZgStorage;
+module.exports.computeRootHash = computeRootHash;
+module.exports.serialize = serialize;
+module.exports.deserialize = deserialize;
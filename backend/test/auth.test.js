@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { findRunnableWorkflow } = require('../services/auth');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const RENTER = '0x2222222222222222222222222222222222222222';
+const STRANGER = '0x3333333333333333333333333333333333333333';
+
+const workflow = { id: 'wf', owner: OWNER, storageRootHashes: ['0xroot'], nodes: [] };
+
+// Request for `address` against a registry holding `workflow`; the contract
+// service only knows RENTER as a renter of agents minted from `0xroot`
+const request = (address, { contracts = true } = {}) => ({
+  user: address ? { address } : null,
+  app: {
+    locals: {
+      workflowRegistry: { resolve: async id => (id === workflow.id ? workflow : null) },
+      contractService: contracts
+        ? { hasActiveRental: async (user, hashes) => user === RENTER && hashes.includes('0xroot') }
+        : null
+    }
+  }
+});
+
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+test('the owner and renters get a workflow to run, other wallets a 403', async () => {
+  assert.strictEqual(await findRunnableWorkflow(request(OWNER), response(), 'wf'), workflow);
+  assert.strictEqual(await findRunnableWorkflow(request(RENTER), response(), 'wf'), workflow);
+
+  const res = response();
+  assert.strictEqual(await findRunnableWorkflow(request(STRANGER), res, 'wf'), null);
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('renters are refused while rentals cannot be checked', async () => {
+  const res = response();
+  assert.strictEqual(await findRunnableWorkflow(request(RENTER, { contracts: false }), res, 'wf'), null);
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('an unknown workflow is a 404', async () => {
+  const res = response();
+  assert.strictEqual(await findRunnableWorkflow(request(OWNER), res, 'missing'), null);
+  assert.strictEqual(res.statusCode, 404);
+});
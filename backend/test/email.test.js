@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmailService = require('../services/email');
+
+const withService = async (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-'));
+  try {
+    const sent = [];
+    const service = new EmailService({
+      filePath: path.join(dir, 'senders.json'),
+      createTransport: () => ({
+        sendMail: async (message) => {
+          sent.push(message);
+          return { messageId: `<${sent.length}@test>`, accepted: [].concat(message.to), rejected: [] };
+        },
+        close: () => {}
+      })
+    });
+    await fn(service, sent);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('a sender keeps its password only for the same host and user', () => withService(async (service) => {
+  service.setSender('wf', { host: 'smtp.example.com', user: 'alerts', pass: 'secret', from: 'alerts@example.com' });
+
+  assert.strictEqual(service.setSender('wf', { host: 'smtp.example.com', user: 'alerts', from: 'Alerts <alerts@example.com>' }).hasPassword, true);
+  assert.strictEqual(service.setSender('wf', { host: 'smtp.attacker.test', user: 'alerts', from: 'alerts@example.com' }).hasPassword, false);
+
+  service.setSender('wf', { host: 'smtp.example.com', user: 'alerts', pass: 'secret', from: 'alerts@example.com' });
+  assert.strictEqual(service.setSender('wf', { host: 'smtp.example.com', user: 'someone-else', from: 'alerts@example.com' }).hasPassword, false);
+}));
+
+test('only workflows with their own sender can send', () => withService(async (service, sent) => {
+  await assert.rejects(service.send({ workflowId: null, to: 'someone@example.com' }), /need a saved workflow with its own sender/);
+  await assert.rejects(service.send({ workflowId: 'wf', to: 'someone@example.com' }), /No email sender configured for this workflow/);
+  assert.strictEqual(sent.length, 0);
+}));
+
+test('mail is always sent from the sender address', () => withService(async (service, sent) => {
+  service.setSender('wf', { host: 'smtp.example.com', from: 'alerts@example.com' });
+
+  await service.send({ workflowId: 'wf', to: 'someone@example.com', from: 'ceo@example.com', subject: 'Hi' });
+  assert.strictEqual(sent[0].from, 'alerts@example.com');
+}));
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const ChainEventListener = require('../services/eventListener');
+
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const EVENT = 'Ping(uint256 value)';
+const iface = new ethers.Interface([`event ${EVENT}`]);
+
+// In-memory chain with the provider calls the listener makes, standing in for
+// an anvil node. `mine(pings)` adds a block with a Ping log per value;
+// `reorg(fromBlock)` replaces the blocks from there on.
+const createChain = () => {
+  const blocks = [];
+  let fork = 0;
+  const requested = [];
+
+  const mine = (pings = []) => {
+    const number = blocks.length;
+    const hash = ethers.id(`block ${number} fork ${fork}`);
+    const logs = pings.map((value, index) => ({
+      ...iface.encodeEventLog(iface.getEvent('Ping'), [value]),
+      address: CONTRACT,
+      blockNumber: number,
+      blockHash: hash,
+      transactionHash: ethers.id(`tx ${number} ${index} fork ${fork}`),
+      index
+    }));
+    blocks.push({ number, hash, logs });
+    return number;
+  };
+
+  const provider = {
+    getBlock: async (number) => {
+      requested.push(number);
+      return blocks[number] || null;
+    },
+    getLogs: async ({ fromBlock, toBlock }) => blocks
+      .slice(fromBlock, toBlock + 1)
+      .flatMap(block => block.logs),
+    on: async () => {},
+    off: async () => {}
+  };
+
+  return {
+    provider,
+    requested,
+    mine,
+    reorg: (fromBlock) => {
+      fork += 1;
+      blocks.length = fromBlock;
+    },
+    get head() {
+      return blocks.length - 1;
+    }
+  };
+};
+
+const withListener = async (triggerConfig, fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-'));
+  try {
+    const chain = createChain();
+    const runs = [];
+    const workflow = {
+      id: 'wf',
+      nodes: [{ id: 'on-ping', type: 'trigger', data: { config: { type: 'event', contract: CONTRACT, event: EVENT, confirmations: 0, ...triggerConfig } } }]
+    };
+    const listener = new ChainEventListener({
+      engine: { startRun: (run, options) => runs.push(options.triggerData) },
+      registry: { list: () => [workflow], get: () => workflow, onSave: () => {} },
+      provider: chain.provider,
+      filePath: path.join(dir, 'checkpoints.json')
+    });
+    await listener.start();
+    const values = () => runs.map(run => run.args.value);
+    await fn({ listener, chain, values, tick: () => listener.onBlock(chain.head) });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('a fromBlock of 0 scans from the genesis block without looking up block -1', () => withListener({ fromBlock: 0 }, async ({ chain, values, tick }) => {
+  chain.mine([1]);
+  chain.mine([2]);
+  await tick();
+  chain.mine([3]);
+  await tick();
+
+  assert.deepStrictEqual(values(), ['1', '2', '3']);
+  assert.ok(chain.requested.every(number => number >= 0));
+}));
+
+test('a fromBlock ahead of the chain waits for it without a false reorg', () => withListener({ fromBlock: 3 }, async ({ chain, values, tick }) => {
+  chain.mine([1]);
+  chain.mine([2]);
+  await tick();
+  chain.mine([3]);
+  await tick();
+  assert.deepStrictEqual(values(), []);
+
+  chain.mine([4]);
+  await tick();
+  chain.mine([5]);
+  await tick();
+
+  assert.deepStrictEqual(values(), ['4', '5']);
+}));
+
+test('a reorg re-scans the replaced blocks, never before fromBlock', () => withListener({ fromBlock: 2 }, async ({ chain, values, tick }) => {
+  chain.mine([1]);
+  chain.mine([2]);
+  chain.mine([3]);
+  chain.mine([4]);
+  await tick();
+  assert.deepStrictEqual(values(), ['3', '4']);
+
+  chain.reorg(3);
+  chain.mine([40]);
+  chain.mine([50]);
+  await tick();
+
+  assert.deepStrictEqual(values(), ['3', '4', '40', '50']);
+}));
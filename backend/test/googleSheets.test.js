@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GoogleSheets = require('../services/googleSheets');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+
+const withSheets = async (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheets-'));
+  try {
+    const sheets = new GoogleSheets({ filePath: path.join(dir, 'connections.json') });
+    sheets.connections.set('conn-1', { id: 'conn-1', owner: OWNER, accessToken: 'token-1', refreshToken: 'refresh-1', expiresAt: Date.now() + 3600000 });
+    sheets.connections.set('legacy', { id: 'legacy', accessToken: 'token-2', refreshToken: 'refresh-2', expiresAt: Date.now() + 3600000 });
+    await fn(sheets);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('a connection only gives out tokens to the wallet that made it', () => withSheets(async (sheets) => {
+  assert.strictEqual(await sheets.getAccessToken({ connectionId: 'conn-1', owner: OWNER }).then(({ token }) => token), 'token-1');
+  await assert.rejects(sheets.getAccessToken({ connectionId: 'conn-1', owner: OTHER }), /not found/);
+  await assert.rejects(sheets.getAccessToken({ connectionId: 'conn-1' }), /not found/);
+  await assert.rejects(sheets.getAccessToken({ connectionId: 'legacy', owner: OWNER }), /not found/);
+}));
+
+test('only the owner can disconnect a connection', () => withSheets(async (sheets) => {
+  assert.strictEqual(sheets.disconnect('conn-1', OTHER), false);
+  assert.ok(sheets.connections.has('conn-1'));
+  assert.strictEqual(sheets.disconnect('conn-1', OWNER), true);
+  assert.ok(!sheets.connections.has('conn-1'));
+}));
+
+test('connect refuses connections without an owner', () => withSheets(async (sheets) => {
+  await assert.rejects(sheets.connect({ code: 'code', redirectUri: 'http://localhost' }), /owner/);
+}));
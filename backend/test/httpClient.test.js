@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { checkPublicTarget, isBlockedAddress, performHttpRequest } = require('../services/httpClient');
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/redirect') {
+      res.writeHead(302, { location: 'file:///etc/passwd' });
+      return res.end();
+    }
+    if (req.url === '/loop') {
+      res.writeHead(302, { location: '/loop' });
+      return res.end();
+    }
+    if (req.url === '/large') {
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      return res.end('x'.repeat(2048));
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ path: req.url }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  delete process.env.ALLOW_PRIVATE_HTTP_TARGETS;
+  server.close();
+});
+
+test('non-public addresses are blocked', () => {
+  ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']
+    .forEach(address => assert.strictEqual(isBlockedAddress(address), true, address));
+  ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111']
+    .forEach(address => assert.strictEqual(isBlockedAddress(address), false, address));
+});
+
+test('literal non-public addresses and other protocols are refused', async () => {
+  await assert.rejects(performHttpRequest({ url: `http://127.0.0.1:${port}/` }), /non-public/);
+  await assert.rejects(performHttpRequest({ url: 'http://169.254.169.254/latest/meta-data/' }), /non-public/);
+  await assert.rejects(performHttpRequest({ url: 'http://[::ffff:7f00:1]/' }), /non-public/);
+  await assert.rejects(performHttpRequest({ url: 'file:///etc/passwd' }), /Unsupported protocol/);
+});
+
+test('hosts resolving to non-public addresses are refused when connecting', async () => {
+  await assert.rejects(performHttpRequest({ url: `http://localhost:${port}/` }), /non-public address/);
+});
+
+test('targets are checked up front for clients that connect on their own', async () => {
+  await assert.rejects(checkPublicTarget(`http://localhost:${port}/`), /non-public addresses/);
+  await assert.rejects(checkPublicTarget('http://169.254.169.254/'), /non-public addresses/);
+  await assert.rejects(checkPublicTarget('ftp://example.com/'), /Unsupported protocol/);
+  assert.strictEqual((await checkPublicTarget('http://8.8.8.8/dns')).href, 'http://8.8.8.8/dns');
+});
+
+test('redirects are checked hop by hop and bodies are capped', async () => {
+  process.env.ALLOW_PRIVATE_HTTP_TARGETS = 'true';
+  try {
+    const response = await performHttpRequest({ url: `http://127.0.0.1:${port}/ok` });
+    assert.deepStrictEqual(response.data, { path: '/ok' });
+
+    await assert.rejects(performHttpRequest({ url: `http://127.0.0.1:${port}/redirect` }), /Unsupported protocol/);
+    await assert.rejects(performHttpRequest({ url: `http://127.0.0.1:${port}/loop` }), /redirected more than 5 times/);
+
+    await assert.rejects(performHttpRequest({ url: `http://127.0.0.1:${port}/large`, maxBytes: 1024 }), /larger than 1024 bytes/);
+  } finally {
+    delete process.env.ALLOW_PRIVATE_HTTP_TARGETS;
+  }
+});
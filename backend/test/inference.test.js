@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildChatRequest, compareVectors, compileSchema, parseJsonReply, runStructured } = require('../services/inference');
+
+const schema = {
+  $id: 'https://example.com/person.json',
+  type: 'object',
+  properties: { name: { type: 'string' }, age: { type: 'integer' } },
+  required: ['name', 'age']
+};
+
+// complete() stand-in answering with `replies` in turn and recording the
+// prompts and options it was called with
+const fakeComplete = (replies) => {
+  const calls = [];
+  const complete = async (prompt, options) => {
+    calls.push({ prompt, options: { ...options, messages: [...options.messages] } });
+    return { response: { content: replies[calls.length - 1], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } } };
+  };
+  return { complete, calls };
+};
+
+test('a schema with an $id compiles again on every run', () => {
+  const first = compileSchema(schema);
+  const second = compileSchema(JSON.stringify(schema));
+  assert.strictEqual(first.validate({ name: 'Ada', age: 36 }), true);
+  assert.strictEqual(second.validate({ name: 'Ada' }), false);
+  assert.throws(() => compileSchema('[1]'), /must be a JSON Schema object/);
+  assert.throws(() => compileSchema('{'), /not valid JSON/);
+});
+
+test('JSON replies are read from the whole reply, a code fence or the braces', () => {
+  assert.deepStrictEqual(parseJsonReply('{"a":1}'), { data: { a: 1 } });
+  assert.deepStrictEqual(parseJsonReply('Here:\n```json\n[1, 2]\n```'), { data: [1, 2] });
+  assert.deepStrictEqual(parseJsonReply('Sure! {"a": {"b": true}} Hope this helps.'), { data: { a: { b: true } } });
+  assert.deepStrictEqual(parseJsonReply('no json here'), { error: 'the reply is not valid JSON' });
+  assert.deepStrictEqual(parseJsonReply(undefined), { error: 'the reply is not valid JSON' });
+});
+
+test('a valid first reply is returned with the schema in the system prompt', async () => {
+  const { complete, calls } = fakeComplete(['{"name":"Ada","age":36}']);
+  const result = await runStructured(complete, 'Who?', { schema, systemPrompt: 'Be brief.', images: ['a.png'] });
+
+  assert.deepStrictEqual(result.response.data, { name: 'Ada', age: 36 });
+  assert.strictEqual(result.response.attempts, 1);
+  assert.match(calls[0].options.systemPrompt, /^Be brief\.\n\nReply with JSON only/);
+  assert.match(calls[0].options.systemPrompt, /"required":\["name","age"\]/);
+  assert.deepStrictEqual(calls[0].options.images, ['a.png']);
+
+  // The same $id schema works for the next run too
+  await runStructured(fakeComplete(['{"name":"Bo","age":1}']).complete, 'Who?', { schema });
+});
+
+test('invalid replies are retried with the errors, without the images', async () => {
+  const { complete, calls } = fakeComplete(['not json', '{"name":"Ada","age":"old"}', '{"name":"Ada","age":36}']);
+  const retries = [];
+  const result = await runStructured(complete, 'Who?', { schema, images: ['a.png'], onRetry: retry => retries.push(retry) });
+
+  assert.strictEqual(result.response.attempts, 3);
+  assert.deepStrictEqual(result.response.usage, { prompt_tokens: 30, completion_tokens: 15, total_tokens: 45 });
+  assert.deepStrictEqual(retries.map(retry => retry.attempt), [2, 3]);
+  assert.match(retries[0].reason, /not valid JSON/);
+  assert.match(retries[1].reason, /\/age must be integer/);
+
+  assert.deepStrictEqual(calls[1].options.images, []);
+  assert.deepStrictEqual(calls[1].options.messages, [{ role: 'user', content: 'Who?' }, { role: 'assistant', content: 'not json' }]);
+  assert.match(calls[2].prompt, /^Your reply is invalid: \/age must be integer/);
+});
+
+test('a run fails once the retries are used up', async () => {
+  const { complete, calls } = fakeComplete(['{}', '{}']);
+  await assert.rejects(
+    runStructured(complete, 'Who?', { schema, maxRetries: 1 }),
+    /did not match the JSON schema after 2 attempt\(s\): \(root\) must have required property 'name'/
+  );
+  assert.strictEqual(calls.length, 2);
+  await assert.rejects(runStructured(complete, 'Who?', { schema, maxRetries: 9 }), /maxRetries/);
+});
+
+test('a chat request has the system prompt, earlier messages and query with its images', () => {
+  const request = buildChatRequest('What is this?', {
+    images: ['https://example.com/cat.png'],
+    systemPrompt: 'Be brief.',
+    messages: '[{"role":"user","content":"Hi"},{"role":"assistant","content":"Hello"}]',
+    temperature: '0.5',
+    maxTokens: 100,
+    stop: ['END']
+  });
+
+  assert.deepStrictEqual(request, {
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello' },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }
+        ]
+      }
+    ],
+    temperature: 0.5,
+    max_tokens: 100,
+    stop: ['END']
+  });
+  assert.deepStrictEqual(buildChatRequest('Hi', { temperature: '', topP: null, stop: '' }), {
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+});
+
+test('invalid chat parameters are refused', () => {
+  assert.throws(() => buildChatRequest('Hi', { temperature: 3 }), /temperature must be from 0 to 2 \(got 3\)/);
+  assert.throws(() => buildChatRequest('Hi', { maxTokens: 1.5 }), /max_tokens must be a positive integer/);
+  assert.throws(() => buildChatRequest('Hi', { topP: 0 }), /top_p must be above 0 and at most 1/);
+  assert.throws(() => buildChatRequest('Hi', { stop: ['a', 'b', 'c', 'd', 'e'] }), /at most 4 strings/);
+  assert.throws(() => buildChatRequest('Hi', { messages: '[{"role":"tool","content":"x"}]' }), /messages must be \{ role, content \}/);
+  assert.throws(() => buildChatRequest('Hi', { messages: 'not json' }), /messages must be a JSON list/);
+});
+
+test('vectors are compared by cosine similarity or distance', () => {
+  assert.strictEqual(compareVectors([1, 0], [1, 0]), 1);
+  assert.strictEqual(compareVectors([1, 0], [0, 1]), 0);
+  assert.ok(Math.abs(compareVectors([1, 2], [-1, -2], 'cosine') + 1) < 1e-12);
+  assert.strictEqual(compareVectors([0, 0], [0, 0]), 0);
+  assert.strictEqual(compareVectors([0, 0], [3, 4], 'euclidean'), 5);
+  assert.strictEqual(compareVectors([1, 2], [4, -2], 'manhattan'), 7);
+
+  assert.throws(() => compareVectors([1, 2], [1, 2, 3]), /different dimensions/);
+  assert.throws(() => compareVectors([1], [1], 'dot'), /Unknown similarity metric "dot"/);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../services/scheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-')), 'schedules.json');
+
+const scheduleWorkflow = (id, config) => ({
+  id,
+  nodes: [{ id: 'cron', type: 'trigger', data: { type: 'schedule', config: { cron: '0 * * * *', ...config } } }],
+  edges: []
+});
+
+// Registry over a fixed list, engine that records runs and finishes them when told to
+const createScheduler = (workflows, filePath = tempFile()) => {
+  const runs = [];
+  const engine = {
+    startRun: (workflow, options) => {
+      let finish;
+      const completion = new Promise((resolve) => {
+        finish = () => resolve({ status: 'completed' });
+      });
+      runs.push({ workflow, options, finish });
+      return { run: { id: String(runs.length) }, completion };
+    }
+  };
+  const registry = {
+    list: () => workflows,
+    get: id => workflows.find(workflow => workflow.id === id) || null,
+    onSave: () => {}
+  };
+  return { scheduler: new Scheduler({ engine, registry, filePath }), runs, filePath };
+};
+
+const cleanUp = (scheduler, filePath) => {
+  scheduler.stop();
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+};
+
+// Persist a registration whose last run was `hoursAgo` hours back
+const seedRegistration = (filePath, workflowId, hoursAgo, extra = {}) => {
+  const lastRunAt = new Date(Date.now() - hoursAgo * HOUR);
+  lastRunAt.setUTCMinutes(0, 0, 0);
+  const id = `${workflowId}:cron`;
+  fs.writeFileSync(filePath, JSON.stringify({
+    [id]: { id, workflowId, nodeId: 'cron', lastRunAt: lastRunAt.toISOString(), registeredAt: lastRunAt.toISOString(), ...extra }
+  }));
+};
+
+test('catch-up runs missed slots one by one without holding up start()', async (t) => {
+  const { scheduler, runs, filePath } = createScheduler([scheduleWorkflow('wf', { missedRunPolicy: 'catchup' })]);
+  seedRegistration(filePath, 'wf', 3);
+  t.after(() => cleanUp(scheduler, filePath));
+
+  await scheduler.start();
+  // start() resolved while the first catch-up run is still going
+  assert.strictEqual(runs.length, 1);
+  assert.strictEqual(runs[0].options.triggerData.catchUp, true);
+
+  runs[0].finish();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(runs.length, 2);
+
+  runs[1].finish();
+  await new Promise(resolve => setImmediate(resolve));
+  runs[2].finish();
+  await scheduler.catchUps;
+
+  assert.strictEqual(runs.length, 3);
+  const slots = runs.map(run => run.options.triggerData.scheduledAt);
+  assert.deepStrictEqual(slots, [...slots].sort());
+  assert.strictEqual(scheduler.get('wf:cron').lastRunAt, slots[2]);
+});
+
+test('catch-up keeps only the latest maxCatchUp slots', async (t) => {
+  const { scheduler, runs, filePath } = createScheduler([scheduleWorkflow('wf', { missedRunPolicy: 'catchup', maxCatchUp: 2 })]);
+  seedRegistration(filePath, 'wf', 5);
+  t.after(() => cleanUp(scheduler, filePath));
+
+  await scheduler.start();
+  runs[0].finish();
+  await new Promise(resolve => setImmediate(resolve));
+  runs[1].finish();
+  await scheduler.catchUps;
+
+  assert.strictEqual(runs.length, 2);
+});
+
+test('the skip policy records missed slots without running them', async (t) => {
+  const { scheduler, runs, filePath } = createScheduler([scheduleWorkflow('wf')]);
+  seedRegistration(filePath, 'wf', 3);
+  t.after(() => cleanUp(scheduler, filePath));
+
+  await scheduler.start();
+  await scheduler.catchUps;
+
+  assert.strictEqual(runs.length, 0);
+  assert.ok(Date.now() - new Date(scheduler.get('wf:cron').lastRunAt).getTime() < HOUR);
+});
+
+test('a registration whose workflow is gone does not stop the others from starting', async (t) => {
+  const { scheduler, runs, filePath } = createScheduler([]);
+  seedRegistration(filePath, 'gone', 2, { cron: '0 * * * *', timezone: 'UTC', missedRunPolicy: 'catchup', maxCatchUp: 10 });
+  t.after(() => cleanUp(scheduler, filePath));
+
+  await scheduler.start();
+  await scheduler.catchUps;
+
+  assert.strictEqual(runs.length, 0);
+  assert.ok(scheduler.get('gone:cron').nextRunAt);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { evaluateExpression, renderTemplate, resolveTemplates } = require('../services/templates');
+const WorkflowEngine = require('../services/workflowEngine');
+
+const scope = {
+  outputs: {
+    search: { results: [{ title: 'First' }, { title: 'Second' }], query: 'cats' },
+    user: { name: '', tags: ['a', 'b'] }
+  },
+  input: { title: 'Page', items: [{ name: 'x' }] }
+};
+
+test('paths reach upstream outputs, the input and array indexes', () => {
+  assert.strictEqual(renderTemplate('{{search.results[0].title}}', scope), 'First');
+  assert.strictEqual(renderTemplate('{{search.results[-1].title}}', scope), 'Second');
+  assert.strictEqual(renderTemplate('{{input.items[0].name}}', scope), 'x');
+  assert.strictEqual(renderTemplate('{{title}}', scope), 'Page');
+  assert.deepStrictEqual(evaluateExpression('search.output.query', scope), 'cats');
+});
+
+test('filters transform values in order', () => {
+  assert.strictEqual(renderTemplate('{{user.tags | join: " / " | upper}}', scope), 'A / B');
+  assert.strictEqual(renderTemplate('{{user.name | default: "anonymous"}}', scope), 'anonymous');
+  assert.strictEqual(renderTemplate('{{search.query | upper}}', scope), 'CATS');
+  assert.strictEqual(renderTemplate('{{user.tags | json}}', scope), '["a","b"]');
+  assert.strictEqual(renderTemplate('{{input.title | truncate: 2}}', scope), 'Pa...');
+  assert.strictEqual(renderTemplate('{{search.query | lower}}', scope), 'cats');
+  assert.throws(() => renderTemplate('{{search.query | shout}}', scope), /Unknown template filter "shout"/);
+});
+
+test('unresolved references render empty and are reported', () => {
+  const missing = [];
+  assert.strictEqual(renderTemplate('Hi {{nobody.name}}!', scope, missing), 'Hi !');
+  assert.deepStrictEqual(missing, ['nobody.name']);
+});
+
+test('paths do not reach into prototypes', () => {
+  assert.strictEqual(evaluateExpression('search.constructor', scope), undefined);
+  assert.strictEqual(evaluateExpression('input.__proto__', scope), undefined);
+});
+
+test('resolveTemplates renders nested strings and leaves skipped fields alone', () => {
+  const resolved = resolveTemplates(
+    { url: 'https://x.test/?q={{search.query}}', headers: [{ value: '{{title}}' }], promptTemplate: '{{title}}' },
+    scope,
+    [],
+    ['promptTemplate']
+  );
+  assert.deepStrictEqual(resolved, {
+    url: 'https://x.test/?q=cats',
+    headers: [{ value: 'Page' }],
+    promptTemplate: '{{title}}'
+  });
+});
+
+test('code of logic nodes is never templated and reads upstream outputs from the sandbox', async () => {
+  const engine = new WorkflowEngine();
+  const outputs = { hook: { name: "'); process.exit(1); ('" } };
+  const output = await engine.executeNode(
+    { id: 'code', type: 'logic', data: { type: 'transform', script: 'return { fromOutputs: outputs.hook.name, raw: "{{hook.name}}" };' } },
+    {},
+    { outputs }
+  );
+
+  assert.deepStrictEqual(output, { fromOutputs: "'); process.exit(1); ('", raw: '{{hook.name}}' });
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VariableStore = require('../services/variableStore');
+const { applyOperation, parseValue } = VariableStore;
+
+const RENTER = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x52908400098527886E0F7030069857D2E4169EE7';
+
+const withStore = async (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'variables-'));
+  try {
+    await fn(new VariableStore({ filePath: path.join(dir, 'variables.json') }), dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('operations get, set and increment a value', () => {
+  assert.strictEqual(applyOperation(3, { operation: 'get' }), 3);
+  assert.strictEqual(applyOperation(3, { operation: 'set', value: 'x' }), 'x');
+  assert.strictEqual(applyOperation(3, { operation: 'increment' }), 4);
+  assert.strictEqual(applyOperation(undefined, { operation: 'increment', amount: '2.5' }), 2.5);
+  assert.strictEqual(applyOperation('4', { operation: 'increment', amount: -1 }), 3);
+  assert.throws(() => applyOperation('abc', { operation: 'increment' }), /Cannot increment/);
+  assert.throws(() => applyOperation(1, { operation: 'delete' }), /Unknown variable operation/);
+});
+
+test('values that read as JSON are parsed', () => {
+  assert.strictEqual(parseValue('42'), 42);
+  assert.deepStrictEqual(parseValue('{"a":1}'), { a: 1 });
+  assert.strictEqual(parseValue('hello'), 'hello');
+});
+
+test('persistent values survive across calls, with the default until set', () => withStore(async (store, dir) => {
+  const scope = { workflowId: 'wf', renter: RENTER, name: 'count' };
+
+  const first = await store.execute({ ...scope, operation: 'get', defaultValue: 10 });
+  assert.deepStrictEqual(first, { name: 'count', scope: 'persistent', operation: 'get', value: 10, previous: null });
+
+  const incremented = await store.execute({ ...scope, operation: 'increment', defaultValue: 10 });
+  assert.strictEqual(incremented.value, 11);
+  // Without a KV stream the change is kept locally and reported as not synced
+  assert.strictEqual(incremented.synced, false);
+
+  const reloaded = new VariableStore({ filePath: path.join(dir, 'variables.json') });
+  assert.strictEqual((await reloaded.execute({ ...scope, operation: 'get' })).value, 11);
+}));
+
+test('concurrent increments are applied one after another', () => withStore(async (store) => {
+  const scope = { workflowId: 'wf', renter: RENTER, name: 'hits', operation: 'increment' };
+  await Promise.all(Array.from({ length: 5 }, () => store.execute(scope)));
+  assert.strictEqual((await store.execute({ ...scope, operation: 'get' })).value, 5);
+}));
+
+test('values are kept per workflow and renter', () => withStore(async (store) => {
+  await store.execute({ workflowId: 'wf', renter: RENTER, name: 'plan', value: 'pro' });
+  await store.execute({ workflowId: 'wf', renter: OTHER, name: 'plan', value: 'free' });
+  await store.execute({ workflowId: 'wf', renter: null, name: 'plan', value: 'shared' });
+  await store.execute({ workflowId: 'other', renter: RENTER, name: 'plan', value: 'trial' });
+
+  assert.deepStrictEqual(store.list({ workflowId: 'wf', renter: RENTER }), { plan: 'pro' });
+  assert.deepStrictEqual(store.list({ workflowId: 'wf', renter: OTHER.toLowerCase() }), { plan: 'free' });
+  assert.deepStrictEqual(store.list({ workflowId: 'wf', renter: null }), { plan: 'shared' });
+  assert.deepStrictEqual(store.list({ workflowId: 'other', renter: RENTER }), { plan: 'trial' });
+}));
+
+test('invalid scopes and names are refused', () => withStore(async (store) => {
+  await assert.rejects(store.execute({ workflowId: null, name: 'x' }), /need a saved workflow/);
+  await assert.rejects(store.execute({ workflowId: 'wf', renter: 'not-a-wallet', name: 'x' }), /Invalid renter address/);
+  await assert.rejects(store.execute({ workflowId: 'wf', name: '' }), /requires a name/);
+  await assert.rejects(store.execute({ workflowId: 'wf', name: 'x'.repeat(129) }), /limited to 128/);
+}));
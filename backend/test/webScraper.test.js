@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const WebScraper = require('../services/webScraper');
+const { getScrapeTimeout } = WebScraper;
+
+test('pages on non-public addresses are refused before the browser starts', async () => {
+  const scraper = new WebScraper();
+  scraper.getBrowser = async () => {
+    throw new Error('browser started');
+  };
+
+  await assert.rejects(scraper.scrapePage('http://localhost/'), /non-public addresses/);
+  await assert.rejects(scraper.scrapePage('http://169.254.169.254/latest/meta-data/'), /non-public addresses/);
+  await assert.rejects(scraper.scrapePage('file:///etc/passwd'), /Unsupported protocol/);
+
+  const pages = await scraper.scrape(['http://10.0.0.1/', 'http://[::1]/']);
+  assert.deepStrictEqual(pages.map(page => Boolean(page.error)), [true, true]);
+});
+
+test('page count and page timeout are capped', () => {
+  assert.strictEqual(getScrapeTimeout({ maxPages: 1e6, timeout: 1e6 }), getScrapeTimeout({ maxPages: 50, timeout: 120 }));
+  assert.strictEqual(getScrapeTimeout({ maxPages: -1, timeout: 'x' }), getScrapeTimeout({}));
+});
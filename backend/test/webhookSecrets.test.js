@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WorkflowEngine = require('../services/workflowEngine');
+const { extractSecrets } = require('../services/webhookSecrets');
+
+const workflow = {
+  id: 'wf',
+  nodes: [
+    { id: 'hook', type: 'trigger', data: { config: { type: 'webhook', secret: 'shh' } } },
+    { id: 'call', type: 'action', data: { config: { type: 'http', url: 'https://api.example.com', authType: 'bearer', authData: { token: 'tok' } } } },
+    { id: 'legacy', type: 'httpRequest', data: { authType: 'basic', authData: { username: 'u', password: 'p' } } },
+    { id: 'plain', type: 'action', data: { config: { type: 'http', url: 'https://example.com' } } }
+  ]
+};
+
+test('trigger secrets and HTTP credentials are taken out of the workflow', () => {
+  const { workflow: publicWorkflow, secrets } = extractSecrets(workflow);
+
+  assert.deepStrictEqual(secrets, {
+    hook: 'shh',
+    call: { token: 'tok' },
+    legacy: { username: 'u', password: 'p' }
+  });
+  const serialized = JSON.stringify(publicWorkflow);
+  ['shh', 'tok', '"p"'].forEach(secret => assert.ok(!serialized.includes(secret), secret));
+  assert.strictEqual(publicWorkflow.nodes[1].data.config.authType, 'bearer');
+  assert.deepStrictEqual(publicWorkflow.nodes[3], workflow.nodes[3]);
+});
+
+test('HTTP nodes of saved workflows use the credentials kept on the server', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ authorization: req.headers.authorization || null }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.ALLOW_PRIVATE_HTTP_TARGETS = 'true';
+
+  try {
+    const stored = { wf: { call: { token: 'from-server' } } };
+    const engine = new WorkflowEngine({
+      webhookSecrets: { get: (workflowId, nodeId) => stored[workflowId]?.[nodeId] || null }
+    });
+    const node = {
+      id: 'call',
+      type: 'action',
+      data: { config: { type: 'http', url: `http://127.0.0.1:${server.address().port}/`, authType: 'bearer' } }
+    };
+
+    const saved = await engine.executeNode(node, {}, { workflowId: 'wf' });
+    assert.strictEqual(saved.data.authorization, 'Bearer from-server');
+
+    await assert.rejects(engine.executeNode(node, {}, { workflowId: null }), /token/);
+  } finally {
+    delete process.env.ALLOW_PRIVATE_HTTP_TARGETS;
+    server.close();
+  }
+});
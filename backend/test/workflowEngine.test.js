@@ -0,0 +1,158 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const WorkflowEngine = require('../services/workflowEngine');
+const { topologicalSort } = require('../services/workflowEngine');
+
+const node = (id, type = 'step', data = {}) => ({ id, type, data });
+const edge = (source, target, sourceHandle) => ({ id: `${source}-${target}`, source, target, sourceHandle });
+
+// Engine with a `step` node type that records its input and outputs { [id]: true }
+const createEngine = () => {
+  const engine = new WorkflowEngine();
+  const calls = [];
+  engine.registerExecutor('step', async (stepNode, input) => {
+    calls.push({ id: stepNode.id, input });
+    if (stepNode.data.delay) {
+      await new Promise(resolve => setTimeout(resolve, stepNode.data.delay));
+    }
+    return { [stepNode.id]: true, ...stepNode.data.output };
+  });
+  return { engine, calls };
+};
+
+test('topologicalSort puts every node after its upstream nodes', () => {
+  const nodes = [node('d'), node('c'), node('b'), node('a')];
+  const edges = [edge('a', 'b'), edge('a', 'c'), edge('b', 'd'), edge('c', 'd')];
+  const order = topologicalSort(nodes, edges);
+
+  assert.strictEqual(order.length, 4);
+  edges.forEach(({ source, target }) => assert.ok(order.indexOf(source) < order.indexOf(target), `${source} before ${target}`));
+});
+
+test('topologicalSort rejects cycles', () => {
+  assert.throws(() => topologicalSort([node('a'), node('b')], [edge('a', 'b'), edge('b', 'a')]), /cycle/);
+});
+
+test('a run executes nodes in dependency order and passes outputs downstream', async () => {
+  const { engine, calls } = createEngine();
+  const run = await engine.run({
+    nodes: [node('c'), node('b'), node('a', 'step', { output: { value: 1 } })],
+    edges: [edge('a', 'b'), edge('b', 'c')]
+  });
+
+  assert.strictEqual(run.status, 'completed');
+  assert.deepStrictEqual(calls.map(call => call.id), ['a', 'b', 'c']);
+  assert.deepStrictEqual(calls[2].input, { b: true });
+  assert.deepStrictEqual(calls[1].input, { a: true, value: 1 });
+});
+
+test('a condition node only follows the handle matching its result', async () => {
+  const { engine, calls } = createEngine();
+  const run = await engine.run({
+    nodes: [
+      node('start', 'step', { output: { amount: 5 } }),
+      node('check', 'logic', { type: 'condition', expression: 'data.amount > 3' }),
+      node('yes'),
+      node('no'),
+      node('afterNo')
+    ],
+    edges: [edge('start', 'check'), edge('check', 'yes', 'true'), edge('check', 'no', 'false'), edge('no', 'afterNo')]
+  });
+
+  assert.strictEqual(run.status, 'completed');
+  assert.deepStrictEqual(run.nodes.check.output, { condition: true, data: { start: true, amount: 5 } });
+  assert.strictEqual(run.nodes.yes.state, 'completed');
+  assert.strictEqual(run.nodes.no.state, 'skipped');
+  assert.strictEqual(run.nodes.afterNo.state, 'skipped');
+  assert.deepStrictEqual(calls.map(call => call.id), ['start', 'yes']);
+});
+
+test('a join node waits for all branches and merges their outputs in finishing order', async () => {
+  const { engine, calls } = createEngine();
+  const run = await engine.run({
+    nodes: [
+      node('start'),
+      node('slow', 'step', { delay: 30, output: { shared: 'slow' } }),
+      node('fast', 'step', { output: { shared: 'fast' } }),
+      node('join')
+    ],
+    edges: [edge('start', 'slow'), edge('start', 'fast'), edge('slow', 'join'), edge('fast', 'join')]
+  });
+
+  assert.strictEqual(run.status, 'completed');
+  const join = calls.find(call => call.id === 'join');
+  // The branch that finished last wins on shared keys
+  assert.deepStrictEqual(join.input, { fast: true, slow: true, shared: 'slow' });
+  assert.strictEqual(calls[calls.length - 1].id, 'join');
+});
+
+test('a join still runs when only one of its branches was taken', async () => {
+  const { engine } = createEngine();
+  const run = await engine.run({
+    nodes: [
+      node('check', 'logic', { type: 'condition', expression: 'false' }),
+      node('yes'),
+      node('no'),
+      node('join')
+    ],
+    edges: [edge('check', 'yes', 'true'), edge('check', 'no', 'false'), edge('yes', 'join'), edge('no', 'join')]
+  });
+
+  assert.strictEqual(run.nodes.yes.state, 'skipped');
+  assert.deepStrictEqual(run.nodes.join.input, { no: true });
+});
+
+test('a failing node fails the run unless its error policy continues', async () => {
+  const { engine } = createEngine();
+  engine.registerExecutor('broken', async () => {
+    throw new Error('boom');
+  });
+
+  const failed = await engine.run({ nodes: [node('x', 'broken'), node('y')], edges: [edge('x', 'y')] });
+  assert.strictEqual(failed.status, 'error');
+  assert.match(failed.error, /boom/);
+  assert.strictEqual(failed.nodes.y.state, 'pending');
+
+  const continued = await engine.run({
+    nodes: [node('x', 'broken', { config: { onError: 'continue' } }), node('y')],
+    edges: [edge('x', 'y')]
+  });
+  assert.strictEqual(continued.status, 'completed');
+  assert.strictEqual(continued.nodes.y.state, 'completed');
+});
+
+test('a node that times out has its signal aborted', async () => {
+  const { engine } = createEngine();
+  let signal;
+  engine.registerExecutor('slow', (slowNode, input, context) => {
+    signal = context.signal;
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    });
+  });
+
+  const run = await engine.run({ nodes: [node('x', 'slow', { config: { timeout: 20 } })], edges: [] });
+  assert.strictEqual(run.status, 'error');
+  assert.match(run.error, /timed out/);
+  assert.strictEqual(signal.aborted, true);
+});
+
+test('a loop condition can name its variable data, but not index or total', async () => {
+  const { engine, calls } = createEngine();
+  const loopWorkflow = loopVariable => ({
+    nodes: [
+      node('start', 'step', { output: { rows: [{ keep: true, n: 1 }, { keep: false, n: 2 }, { keep: true, n: 3 }] } }),
+      node('each', 'logic', { type: 'loop', arrayExpression: 'data.rows', loopVariable, condition: `${loopVariable}.keep && index >= 0` }),
+      node('body')
+    ],
+    edges: [edge('start', 'each'), edge('each', 'body', 'item')]
+  });
+
+  const run = await engine.run(loopWorkflow('data'));
+  assert.strictEqual(run.status, 'completed');
+  assert.deepStrictEqual(calls.filter(call => call.id === 'body').map(call => call.input.data.n), [1, 3]);
+
+  const reserved = await engine.run(loopWorkflow('index'));
+  assert.strictEqual(reserved.status, 'error');
+  assert.match(reserved.error, /reserved/);
+});
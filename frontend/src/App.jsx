@@ -37,6 +37,7 @@ import WorkflowPage from './pages/WorkflowPage'
 import MarketplacePage from './pages/MarketplacePage'
 import ProfilePage from './pages/ProfilePage'
 import UseAgentPage from './pages/UseAgentPage'
+import ResearchDashboard from './components/ResearchDashboard'
 import { categories, featuredAgents, userStats } from './data/mockData'
 import './App.css'
 
@@ -55,6 +56,7 @@ function App() {
             </div>
           </>} />
           <Route path="/profile" element={<ProfilePage />} />
+          <Route path="/research" element={<ResearchDashboard />} />
           <Route path="/use-agent/:agentId" element={<UseAgentPage />} />
         </Routes>
       </div>
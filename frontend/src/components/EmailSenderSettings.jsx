@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from 'react'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Checkbox } from './ui/checkbox'
+import { apiRequest } from '../lib/compute'
+import { ensureSession } from '../lib/auth'
+import useWorkflowStore from '../stores/workflowStore'
+
+const EMPTY_SENDER = { host: '', port: '', secure: false, user: '', pass: '', from: '' }
+
+// SMTP sender of the current workflow's email nodes. Kept on the backend (the
+// password is never sent back), so it needs a saved workflow and its owner's
+// wallet; email nodes of a workflow without one can't send.
+const EmailSenderSettings = () => {
+  const workflowId = useWorkflowStore((state) => state.workflowId)
+  const [sender, setSender] = useState(EMPTY_SENDER)
+  const [hasPassword, setHasPassword] = useState(false)
+  const [status, setStatus] = useState(null)
+
+  useEffect(() => {
+    setSender(EMPTY_SENDER)
+    setHasPassword(false)
+    setStatus(null)
+    if (!workflowId) return
+
+    ensureSession()
+      .then(() => apiRequest(`/api/email/senders/${encodeURIComponent(workflowId)}`))
+      .then(({ sender: saved }) => {
+        setSender({ ...EMPTY_SENDER, ...saved, port: saved.port || '', pass: '' })
+        setHasPassword(saved.hasPassword)
+      })
+      .catch(() => {
+        // No sender yet
+      })
+  }, [workflowId])
+
+  const updateField = (field, value) => setSender((current) => ({ ...current, [field]: value }))
+
+  const handleSave = async () => {
+    try {
+      await ensureSession()
+      const { sender: saved } = await apiRequest(`/api/email/senders/${encodeURIComponent(workflowId)}`, 'PUT', {
+        ...sender,
+        // An empty password keeps the saved one, unless the host or username changed
+        pass: sender.pass || undefined
+      })
+      setHasPassword(saved.hasPassword)
+      setSender((current) => ({ ...current, pass: '' }))
+      setStatus({ ok: true, message: 'Sender saved' })
+    } catch (error) {
+      setStatus({ ok: false, message: error.message })
+    }
+  }
+
+  if (!workflowId) {
+    return (
+      <div className="text-xs text-muted-foreground">
+        Save the workflow to give it a sender; email nodes can't send until it has one.
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label>Sender (SMTP)</Label>
+      <div className="grid grid-cols-3 gap-2">
+        <Input
+          className="col-span-2"
+          value={sender.host}
+          onChange={(e) => updateField('host', e.target.value)}
+          placeholder="smtp.example.com"
+        />
+        <Input
+          value={sender.port}
+          onChange={(e) => updateField('port', e.target.value)}
+          placeholder="587"
+        />
+      </div>
+      <Input
+        value={sender.user}
+        onChange={(e) => updateField('user', e.target.value)}
+        placeholder="Username"
+      />
+      <Input
+        type="password"
+        value={sender.pass}
+        onChange={(e) => updateField('pass', e.target.value)}
+        placeholder={hasPassword ? 'Password (saved)' : 'Password'}
+      />
+      <Input
+        value={sender.from}
+        onChange={(e) => updateField('from', e.target.value)}
+        placeholder="Workflows <alerts@example.com>"
+      />
+      <div className="flex items-center space-x-2">
+        <Checkbox
+          id="email-sender-secure"
+          checked={sender.secure}
+          onCheckedChange={(checked) => updateField('secure', checked)}
+        />
+        <Label htmlFor="email-sender-secure">Use TLS (port 465)</Label>
+      </div>
+      <Button size="sm" variant="outline" onClick={handleSave} disabled={!sender.host || !sender.from}>
+        Save Sender
+      </Button>
+      {status && (
+        <div className={`text-xs ${status.ok ? 'text-green-600' : 'text-red-500'}`}>{status.message}</div>
+      )}
+    </div>
+  )
+}
+
+export default EmailSenderSettings
@@ -71,6 +71,10 @@ const ExecutionTerminal = () => {
     const message = typeof log === 'string' ? log : log.message
     const timestamp = typeof log === 'string' ? '' : log.timestamp?.toLocaleTimeString()
     
+    // Answer being streamed by an AI node (its text may contain any emoji)
+    if (log.streamNodeId) {
+      return { type: 'stream', message, timestamp }
+    }
     // Parse different log types for styling
     if (message.includes('❌')) {
       return { type: 'error', message, timestamp }
@@ -102,6 +106,8 @@ const ExecutionTerminal = () => {
         return 'text-cyan-400'
       case 'flow':
         return 'text-purple-400'
+      case 'stream':
+        return 'text-gray-100 whitespace-pre-wrap break-words'
       default:
         return 'text-gray-300'
     }
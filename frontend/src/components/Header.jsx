@@ -39,6 +39,12 @@ const Header = () => {
       icon: Home,
       description: 'Browse and rent AI agents'
     },
+    {
+      path: '/research',
+      label: 'Research',
+      icon: Search,
+      description: 'Research a topic with AI'
+    },
     {
       path: '/profile',
       label: 'Profile',
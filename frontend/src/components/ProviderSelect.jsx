@@ -0,0 +1,59 @@
+import React from 'react'
+import { Button } from './ui/button'
+import { Label } from './ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select'
+import useWorkflowStore from '../stores/workflowStore'
+
+const CAPABILITY_LABELS = {
+  chat: 'chat',
+  vision: 'vision',
+  embedding: 'embedding'
+}
+
+// Compute provider of an AI node, listing only the broker services with the
+// capability the node needs (chat, vision or embedding)
+const ProviderSelect = ({ id, capability, value, onChange }) => {
+  const availableServices = useWorkflowStore((state) => state.availableServices)
+  const isLoadingServices = useWorkflowStore((state) => state.isLoadingServices)
+  const loadServices = useWorkflowStore((state) => state.loadServices)
+
+  const services = availableServices.filter((service) => service.capabilities?.includes(capability))
+  // Keep showing a saved provider that is no longer listed
+  const missing = value && !services.some((service) => service.provider === value)
+
+  return (
+    <div>
+      <Label htmlFor={id}>Provider</Label>
+      <Select value={value || ''} onValueChange={onChange} disabled={isLoadingServices}>
+        <SelectTrigger id={id}>
+          <SelectValue placeholder={isLoadingServices ? 'Loading providers...' : 'Select provider'} />
+        </SelectTrigger>
+        <SelectContent>
+          {services.map((service) => (
+            <SelectItem key={service.provider} value={service.provider}>
+              {service.model ? `${service.model} (${service.provider.slice(0, 10)}...)` : service.provider}
+            </SelectItem>
+          ))}
+          {missing && (
+            <SelectItem value={value}>{value}</SelectItem>
+          )}
+          {services.length === 0 && !missing && !isLoadingServices && (
+            <SelectItem value="none" disabled>
+              No {CAPABILITY_LABELS[capability]} providers available
+            </SelectItem>
+          )}
+        </SelectContent>
+      </Select>
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => loadServices()}
+        className="mt-2 w-full"
+      >
+        Refresh Services
+      </Button>
+    </div>
+  )
+}
+
+export default ProviderSelect
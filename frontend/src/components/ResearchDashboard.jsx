@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useAccount } from 'wagmi';
+import { buildApiUrl } from '../lib/compute';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
@@ -32,13 +33,17 @@ const ResearchDashboard = () => {
   const [currentStep, setCurrentStep] = useState(0);
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
+  const eventSourceRef = useRef(null);
+
+  // Stop following the run when leaving the page
+  useEffect(() => () => eventSourceRef.current?.close(), []);
 
   const steps = [
-    { name: 'Google Search', icon: Search, description: 'Searching for relevant sources' },
-    { name: 'Web Scraping', icon: Globe, description: 'Extracting content from web pages' },
-    { name: 'Data Formatting', icon: FileText, description: 'Preparing data for AI analysis' },
-    { name: 'AI Analysis', icon: Bot, description: 'Analyzing and summarizing content' },
-    { name: 'Report Generation', icon: FileDown, description: 'Creating downloadable markdown report' }
+    { name: 'Google Search', nodeId: 'search', icon: Search, description: 'Searching for relevant sources' },
+    { name: 'Web Scraping', nodeId: 'scrape', icon: Globe, description: 'Extracting content from web pages' },
+    { name: 'Data Formatting', nodeId: 'format', icon: FileText, description: 'Preparing data for AI analysis' },
+    { name: 'AI Analysis', nodeId: 'analyze', icon: Bot, description: 'Analyzing and summarizing content' },
+    { name: 'Report Generation', nodeId: 'report', icon: FileDown, description: 'Creating downloadable markdown report' }
   ];
 
   const handleExecuteWorkflow = async () => {
@@ -53,7 +58,8 @@ const ResearchDashboard = () => {
     setResults(null);
 
     try {
-      const response = await fetch('/api/execute-research-workflow', {
+      // Started in the background; the run's events drive the progress bar
+      const response = await fetch(buildApiUrl('/api/execute-research-workflow'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -62,7 +68,8 @@ const ResearchDashboard = () => {
           query: query.trim(),
           userAddress: address,
           providerAddress: providerAddress.trim(),
-          numResults: parseInt(numResults)
+          numResults: parseInt(numResults),
+          async: true
         })
       });
 
@@ -71,24 +78,67 @@ const ResearchDashboard = () => {
         throw new Error(errorData.details || 'Workflow execution failed');
       }
 
-      const data = await response.json();
-      setResults(data);
-      setCurrentStep(steps.length);
+      const { runId, eventsUrl } = await response.json();
+      followRun(runId, eventsUrl);
     } catch (err) {
       console.error('Workflow execution error:', err);
       setError(err.message || 'An unexpected error occurred');
-    } finally {
       setIsRunning(false);
     }
   };
 
+  // Move the progress bar as the run's step nodes finish, then load the result
+  const followRun = (runId, eventsUrl) => {
+    eventSourceRef.current?.close();
+    const source = new EventSource(buildApiUrl(eventsUrl));
+    eventSourceRef.current = source;
+
+    source.addEventListener('node:state', (event) => {
+      const { nodeId, state } = JSON.parse(event.data);
+      const index = steps.findIndex((step) => step.nodeId === nodeId);
+      if (index !== -1 && state === 'completed') {
+        setCurrentStep((current) => Math.max(current, index + 1));
+      }
+    });
+
+    source.addEventListener('run:end', async () => {
+      source.close();
+      try {
+        const response = await fetch(buildApiUrl(`/api/execute-research-workflow/${runId}`));
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.details || data.error || 'Could not load the research result');
+        }
+        setCurrentStep(data.currentStep);
+        if (data.success) {
+          setResults(data);
+        } else {
+          const failedStep = data.workflow?.steps?.find((step) => step.state === 'error');
+          setError(failedStep ? `${failedStep.name} failed: ${failedStep.error}` : (data.error || 'Research workflow failed'));
+        }
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setIsRunning(false);
+      }
+    });
+
+    source.onerror = () => {
+      // EventSource retries on its own unless the server refused the stream
+      if (source.readyState === EventSource.CLOSED) {
+        setError('Lost connection to the research run');
+        setIsRunning(false);
+      }
+    };
+  };
+
   const handleDownloadReport = () => {
     if (results?.downloadUrl) {
-      window.open(results.downloadUrl, '_blank');
+      window.open(buildApiUrl(results.downloadUrl), '_blank');
     }
   };
 
-  const progress = isRunning ? (currentStep / steps.length) * 100 : 0;
+  const progress = (currentStep / steps.length) * 100;
 
   return (
     <div className="max-w-4xl mx-auto p-6 space-y-6">
@@ -259,7 +309,7 @@ const ResearchDashboard = () => {
                 <strong>Query:</strong> {results.workflow?.query}
               </div>
               <div>
-                <strong>Sources Analyzed:</strong> {results.workflow?.steps?.find(s => s.name === 'Web Scraping')?.data?.results?.length || 0}
+                <strong>Sources Analyzed:</strong> {results.workflow?.steps?.find(s => s.name === 'Data Formatting')?.data?.sourceCount || 0}
               </div>
               <div>
                 <strong>Report Size:</strong> {results.workflow?.finalReport?.contentLength || 0} characters
@@ -278,7 +328,7 @@ const ResearchDashboard = () => {
             <div>
               <h4 className="font-medium mb-2">Research Summary Preview</h4>
               <Textarea
-                value={results.workflow?.steps?.find(s => s.name === 'AI Analysis')?.data?.response?.substring(0, 500) + '...' || 'No preview available'}
+                value={results.workflow?.steps?.find(s => s.name === 'AI Analysis')?.data?.response?.content?.substring(0, 500) || 'No preview available'}
                 readOnly
                 rows={6}
                 className="text-sm"
@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from 'react'
+import { Button } from './ui/button'
+import { Badge } from './ui/badge'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Separator } from './ui/separator'
+import { X, RefreshCw, History, Trash2, Play } from 'lucide-react'
+import useWorkflowStore from '../stores/workflowStore'
+
+const formatDuration = (run) => {
+  if (!run.finishedAt) return '—'
+  const elapsed = new Date(run.finishedAt) - new Date(run.startedAt)
+  return elapsed < 1000 ? `${elapsed}ms` : `${(elapsed / 1000).toFixed(2)}s`
+}
+
+const statusVariant = (status) => {
+  switch (status) {
+    case 'completed':
+      return 'secondary'
+    case 'error':
+      return 'destructive'
+    default:
+      return 'outline'
+  }
+}
+
+const RunListItem = ({ run, isSelected, onSelect }) => (
+  <button
+    type="button"
+    onClick={() => onSelect(run)}
+    className={`w-full text-left p-2 rounded border text-xs hover:bg-muted/50 ${isSelected ? 'border-primary bg-muted/50' : ''}`}
+  >
+    <div className="flex items-center justify-between">
+      <span className="font-medium">{new Date(run.startedAt).toLocaleString()}</span>
+      <Badge variant={statusVariant(run.status)} className="text-xs">{run.status}</Badge>
+    </div>
+    <div className="text-muted-foreground mt-1">
+      {run.trigger} · {formatDuration(run)}
+    </div>
+    {run.error && <div className="text-red-500 mt-1 truncate">{run.error}</div>}
+  </button>
+)
+
+const RunDetails = ({ run, nodes }) => (
+  <div className="space-y-2">
+    <Label className="text-sm font-medium">Nodes</Label>
+    {Object.entries(run.nodes || {}).map(([nodeId, nodeRun]) => {
+      const label = nodes.find(n => n.id === nodeId)?.data?.label || nodeId
+      return (
+        <details key={nodeId} className="border rounded p-2 text-xs">
+          <summary className="cursor-pointer flex items-center justify-between">
+            <span className="font-medium">{label}</span>
+            <span className="text-muted-foreground">
+              {nodeRun.state}{nodeRun.durationMs !== undefined && ` · ${nodeRun.durationMs}ms`}{nodeRun.attempts > 1 && ` · ${nodeRun.attempts} attempts`}
+            </span>
+          </summary>
+          <div className="mt-2 space-y-2">
+            {nodeRun.input !== undefined && (
+              <div>
+                <div className="text-muted-foreground mb-1">Input</div>
+                <pre className="bg-muted p-2 rounded overflow-x-auto max-h-40">{JSON.stringify(nodeRun.input, null, 2)}</pre>
+              </div>
+            )}
+            {nodeRun.output !== undefined && (
+              <div>
+                <div className="text-muted-foreground mb-1">Output</div>
+                <pre className="bg-muted p-2 rounded overflow-x-auto max-h-40">{JSON.stringify(nodeRun.output, null, 2)}</pre>
+              </div>
+            )}
+            {nodeRun.error && (
+              <div>
+                <div className="text-muted-foreground mb-1">Error</div>
+                <pre className="bg-muted p-2 rounded overflow-x-auto text-red-500">{nodeRun.error}</pre>
+              </div>
+            )}
+          </div>
+        </details>
+      )
+    })}
+  </div>
+)
+
+const RunsPanel = ({ onClose }) => {
+  const [selectedRun, setSelectedRun] = useState(null)
+  const {
+    nodes,
+    workflowId,
+    setWorkflowId,
+    runHistory,
+    clearRunHistory,
+    serverRuns,
+    isLoadingRuns,
+    loadServerRuns,
+    openRun,
+    openServerRun,
+    watchRun,
+    runWorkflow,
+    isRunning
+  } = useWorkflowStore()
+  const [workflowIdInput, setWorkflowIdInput] = useState(workflowId || '')
+
+  useEffect(() => {
+    loadServerRuns()
+  }, [workflowId, loadServerRuns])
+
+  // Saving the workflow can give it a new id
+  useEffect(() => {
+    setWorkflowIdInput(workflowId || '')
+  }, [workflowId])
+
+  const selectLocalRun = (run) => {
+    setSelectedRun(run)
+    openRun(run)
+  }
+
+  const selectServerRun = async (summary) => {
+    // Runs still in progress are followed live instead of opened as a snapshot
+    if (summary.status === 'running') {
+      setSelectedRun(null)
+      watchRun(summary.id)
+      return
+    }
+    const run = await openServerRun(summary.id)
+    if (run) setSelectedRun(run)
+  }
+
+  return (
+    <div className="w-80 bg-card border-l flex flex-col h-full min-h-0 overflow-hidden">
+      {/* Fixed Header */}
+      <div className="p-4 border-b bg-card/95 backdrop-blur sticky top-0 z-10 shadow-sm">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold flex items-center">
+            <History className="h-4 w-4 mr-2" />
+            Runs
+          </h3>
+          <Button variant="ghost" size="sm" onClick={onClose} className="hover:bg-destructive/10">
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {/* Scrollable Content */}
+      <div className="flex-1 overflow-y-auto min-h-0 pb-8">
+        <div className="p-4 space-y-6">
+          <Button
+            className="w-full"
+            size="sm"
+            onClick={() => runWorkflow()}
+            disabled={isRunning}
+          >
+            <Play className="h-4 w-4 mr-1" />
+            Run Workflow
+          </Button>
+
+          {/* Server runs */}
+          <div className="space-y-2">
+            <Label className="text-sm font-medium">Server Workflow ID</Label>
+            <div className="flex space-x-2">
+              <Input
+                value={workflowIdInput}
+                onChange={(e) => setWorkflowIdInput(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && setWorkflowId(workflowIdInput.trim())}
+                placeholder="workflow_..."
+              />
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => workflowIdInput.trim() === workflowId ? loadServerRuns({ signIn: true }) : setWorkflowId(workflowIdInput.trim())}
+                disabled={isLoadingRuns}
+                title="Load server runs"
+              >
+                <RefreshCw className={`h-4 w-4 ${isLoadingRuns ? 'animate-spin' : ''}`} />
+              </Button>
+            </div>
+            {workflowId && serverRuns.length === 0 && !isLoadingRuns && (
+              <p className="text-xs text-muted-foreground">No server runs recorded for this workflow</p>
+            )}
+            {serverRuns.map(run => (
+              <RunListItem
+                key={run.id}
+                run={run}
+                isSelected={selectedRun?.id === run.id}
+                onSelect={selectServerRun}
+              />
+            ))}
+          </div>
+
+          <Separator />
+
+          {/* Local runs */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <Label className="text-sm font-medium">This Browser</Label>
+              {runHistory.length > 0 && (
+                <Button variant="ghost" size="sm" onClick={clearRunHistory} title="Clear local runs">
+                  <Trash2 className="h-3 w-3" />
+                </Button>
+              )}
+            </div>
+            {runHistory.length === 0 ? (
+              <p className="text-xs text-muted-foreground">Run the workflow to record a run</p>
+            ) : (
+              runHistory.map(run => (
+                <RunListItem
+                  key={run.id}
+                  run={run}
+                  isSelected={selectedRun?.id === run.id}
+                  onSelect={selectLocalRun}
+                />
+              ))
+            )}
+          </div>
+
+          {selectedRun && (
+            <>
+              <Separator />
+              <RunDetails run={selectedRun} nodes={nodes} />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RunsPanel
@@ -0,0 +1,82 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { apiRequest } from '../lib/compute'
+import useWorkflowStore from '../stores/workflowStore'
+
+// Wait for typing to pause before asking the backend to render
+const PREVIEW_DELAY_MS = 300
+
+// Node outputs of the last run: the run shown on the canvas, or else the
+// latest run recorded in this browser
+const useLastRunOutputs = () => {
+  const nodeRuntimeData = useWorkflowStore((state) => state.nodeRuntimeData)
+  const runHistory = useWorkflowStore((state) => state.runHistory)
+  return useMemo(() => {
+    if (Object.keys(nodeRuntimeData).length > 0) return nodeRuntimeData
+    return Object.fromEntries(
+      Object.entries(runHistory[0]?.nodes || {})
+        .filter(([, nodeRun]) => nodeRun.output != null)
+        .map(([nodeId, nodeRun]) => [nodeId, nodeRun.output])
+    )
+  }, [nodeRuntimeData, runHistory])
+}
+
+// Inline preview of a config field with {{...}} references, resolved against
+// the last run's data
+const TemplatePreview = ({ nodeId, template }) => {
+  const edges = useWorkflowStore((state) => state.edges)
+  const outputs = useLastRunOutputs()
+
+  // The node's input as it would be built from its upstream outputs
+  const input = useMemo(() => edges
+    .filter(edge => edge.target === nodeId)
+    .reduce((merged, edge) => (
+      outputs[edge.source] && typeof outputs[edge.source] === 'object' ? { ...merged, ...outputs[edge.source] } : merged
+    ), {}), [outputs, edges, nodeId])
+
+  const hasTemplate = typeof template === 'string' && template.includes('{{')
+  const hasOutputs = Object.keys(outputs).length > 0
+  const [preview, setPreview] = useState(null)
+
+  // Rendered by the backend, with the same templates the engine uses
+  useEffect(() => {
+    if (!hasTemplate || !hasOutputs) return undefined
+    let cancelled = false
+    const timer = setTimeout(() => {
+      apiRequest('/api/templates/preview', 'POST', { template, outputs, input })
+        .then(({ text, missing }) => !cancelled && setPreview({ text, missing }))
+        .catch(error => !cancelled && setPreview({ error: error.message }))
+    }, PREVIEW_DELAY_MS)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [template, outputs, input, hasTemplate, hasOutputs])
+
+  if (!hasTemplate) return null
+  if (!hasOutputs) {
+    return (
+      <div className="mt-1 text-xs">
+        <div className="text-muted-foreground">Run the workflow to preview template values</div>
+      </div>
+    )
+  }
+  if (!preview) return null
+
+  return (
+    <div className="mt-1 text-xs">
+      {preview.error ? (
+        <div className="text-red-500">{preview.error}</div>
+      ) : (
+        <>
+          <div className="text-muted-foreground mb-1">Preview (last run)</div>
+          <pre className="bg-muted p-2 rounded whitespace-pre-wrap break-all max-h-32 overflow-y-auto font-mono">{preview.text}</pre>
+          {preview.missing.length > 0 && (
+            <div className="text-amber-600 mt-1">No data for: {preview.missing.join(', ')}</div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default TemplatePreview
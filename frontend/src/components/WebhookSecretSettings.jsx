@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { apiRequest } from '../lib/compute'
+import { ensureSession } from '../lib/auth'
+import useWorkflowStore from '../stores/workflowStore'
+
+// Shared secret of a webhook trigger. Kept on the backend, never in the
+// workflow (which is public on 0G) and never sent back, so it needs a saved
+// workflow and its owner's wallet.
+const WebhookSecretSettings = ({ nodeId }) => {
+  const workflowId = useWorkflowStore((state) => state.workflowId)
+  const [secret, setSecret] = useState('')
+  const [hasSecret, setHasSecret] = useState(false)
+  const [status, setStatus] = useState(null)
+  const secretPath = workflowId && `/api/hooks/${encodeURIComponent(workflowId)}/${encodeURIComponent(nodeId)}/secret`
+
+  useEffect(() => {
+    setSecret('')
+    setHasSecret(false)
+    setStatus(null)
+    if (!secretPath) return
+
+    ensureSession()
+      .then(() => apiRequest(secretPath))
+      .then(({ hasSecret: saved }) => setHasSecret(saved))
+      .catch((error) => setStatus({ ok: false, message: error.message }))
+  }, [secretPath])
+
+  const handleSave = async () => {
+    try {
+      await ensureSession()
+      await apiRequest(secretPath, 'PUT', { secret })
+      setHasSecret(true)
+      setSecret('')
+      setStatus({ ok: true, message: 'Secret saved' })
+    } catch (error) {
+      setStatus({ ok: false, message: error.message })
+    }
+  }
+
+  const handleRemove = async () => {
+    try {
+      await ensureSession()
+      await apiRequest(secretPath, 'DELETE')
+      setHasSecret(false)
+      setStatus({ ok: true, message: 'Secret removed' })
+    } catch (error) {
+      setStatus({ ok: false, message: error.message })
+    }
+  }
+
+  if (!workflowId) {
+    return (
+      <div className="text-xs text-muted-foreground">
+        Save the workflow to set its webhook secret; secrets are kept on the server, not in the workflow.
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label htmlFor="trigger-secret">Secret</Label>
+      <Input
+        id="trigger-secret"
+        type="password"
+        value={secret}
+        onChange={(e) => setSecret(e.target.value)}
+        placeholder={hasSecret ? 'Secret (saved)' : 'Shared secret'}
+      />
+      <div className="flex space-x-2">
+        <Button size="sm" variant="outline" onClick={handleSave} disabled={!secret}>
+          Save Secret
+        </Button>
+        {hasSecret && (
+          <Button size="sm" variant="ghost" onClick={handleRemove}>
+            Remove
+          </Button>
+        )}
+      </div>
+      {status && (
+        <div className={`text-xs ${status.ok ? 'text-green-600' : 'text-red-500'}`}>{status.message}</div>
+      )}
+    </div>
+  )
+}
+
+export default WebhookSecretSettings
@@ -1,6 +1,10 @@
 import { useState, useCallback, useMemo, useEffect } from 'react'
 import { useAccount, useWriteContract, useChainId } from 'wagmi'
 import HttpRequestNode from './nodes/HttpRequestNode';
+import WebScraperNode from './nodes/WebScraperNode';
+import GoogleSearchNode from './nodes/GoogleSearchNode';
+import DataFormatterNode from './nodes/DataFormatterNode';
+import MarkdownGeneratorNode from './nodes/MarkdownGeneratorNode';
 import GoogleSheetsNode from './nodes/GoogleSheetsNode';
 import {
   ReactFlow,
@@ -30,6 +34,12 @@ import LogicNode from './nodes/LogicNode'
 import WorkflowSetupModal from './WorkflowSetupModal'
 import WorkflowHashModal from './WorkflowHashModal'
 import ExecutionTerminal from './ExecutionTerminal'
+import RunsPanel from './RunsPanel'
+import TemplatePreview from './TemplatePreview'
+import EmailSenderSettings from './EmailSenderSettings'
+import DatabaseConnectionSettings from './DatabaseConnectionSettings'
+import WebhookSecretSettings from './WebhookSecretSettings'
+import ProviderSelect from './ProviderSelect'
 
 import useWorkflowStore from '../stores/workflowStore'
 import { CONTRACT_ADDRESSES, AGENT_REGISTRY_ABI } from '../lib/blockchain'
@@ -46,7 +56,8 @@ import {
   Copy,
   X,
   RefreshCw,
-  Coins
+  Coins,
+  History
 } from 'lucide-react'
 
 // Define nodeTypes outside component to prevent recreation on every render
@@ -57,6 +68,10 @@ const nodeTypes = {
   logic: LogicNode,
   httpRequest: HttpRequestNode,
   googleSheets: GoogleSheetsNode,
+  webScraper: WebScraperNode,
+  googleSearch: GoogleSearchNode,
+  dataFormatter: DataFormatterNode,
+  markdownGenerator: MarkdownGeneratorNode,
 }
 
 const nodeCategories = [
@@ -87,9 +102,13 @@ const nodeCategories = [
     nodes: [
       { type: 'http', label: 'HTTP Request', description: 'Make HTTP API calls' },
       { type: 'googleSheets', label: 'Google Sheets', description: 'Read/write Google Sheets data' },
+      { type: 'googleSearch', label: 'Web Search', description: 'Search the web for URLs and snippets' },
+      { type: 'webScraper', label: 'Web Scraper', description: 'Extract content from web pages' },
+      { type: 'dataFormatter', label: 'Data Formatter', description: 'Format scraped data into an AI prompt' },
+      { type: 'markdownGenerator', label: 'Markdown Report', description: 'Generate a downloadable markdown report' },
       { type: 'email', label: 'Send Email', description: 'Send email notifications' },
       { type: 'database', label: 'Database', description: 'Database operations' },
-      { type: 'storage', label: '0G Storage', description: 'Store data on 0G Storage' },
+      { type: 'storage', label: '0G Storage', description: 'Store or fetch data on 0G Storage' },
     ]
   },
   {
@@ -101,6 +120,7 @@ const nodeCategories = [
       { type: 'loop', label: 'Loop', description: 'Iterate over data' },
       { type: 'variable', label: 'Variable', description: 'Store and manipulate data' },
       { type: 'transform', label: 'Transform', description: 'Data transformation' },
+      { type: 'join', label: 'Join', description: 'Wait for all branches and merge' },
     ]
   }
 ]
@@ -118,8 +138,6 @@ const WorkflowBuilder = () => {
     selectedNode,
     showPropertiesSidebar,
     isRunning,
-    availableServices,
-    isLoadingServices,
     setNodes,
     setEdges,
     setSelectedNode,
@@ -131,6 +149,9 @@ const WorkflowBuilder = () => {
     deleteNode,
     updateNodeData,
     runWorkflow,
+    executionConcurrency,
+    setExecutionConcurrency,
+    setWalletAddress,
     saveWorkflow,
     loadServices,
     onNodesChange,
@@ -153,6 +174,7 @@ const WorkflowBuilder = () => {
 
   // Modal for workflow hash
   const [showHashModal, setShowHashModal] = useState(false)
+  const [showRunsPanel, setShowRunsPanel] = useState(false)
   const [savedRootHash, setSavedRootHash] = useState("")
 
   // Function to fetch spreadsheets
@@ -230,6 +252,11 @@ const WorkflowBuilder = () => {
     }
   }, [loadServices])
 
+  // Runs use the connected wallet's persistent variables
+  useEffect(() => {
+    setWalletAddress(address)
+  }, [address, setWalletAddress])
+
   // Show setup modal when component mounts if no wallet or no nodes
   useEffect(() => {
     // Only show modal automatically if user is not connected OR if they have no nodes and haven't dismissed it before
@@ -313,7 +340,11 @@ const WorkflowBuilder = () => {
     };
 
     const renderNodeProperties = () => {
-      switch (node.type) {
+      // LLM, vision and embedding AI nodes have their own sections
+      const section = node.type === 'ai' && ['llm', 'vision', 'embedding'].includes(localNodeData.type)
+        ? localNodeData.type
+        : node.type;
+      switch (section) {
         case 'trigger':
           return (
             <div className="space-y-4">
@@ -352,6 +383,136 @@ const WorkflowBuilder = () => {
                   </SelectContent>
                 </Select>
               </div>
+              {(localNodeData.type === 'webhook' || localNodeData.config?.type === 'webhook') && (
+                <>
+                  <div>
+                    <Label htmlFor="trigger-path">Webhook Path</Label>
+                    <Input
+                      id="trigger-path"
+                      value={localNodeData.config?.path || ''}
+                      onChange={(e) => handlePropertyChange('config.path', e.target.value)}
+                      placeholder="incoming"
+                    />
+                    <div className="text-xs text-muted-foreground mt-1">
+                      Backend listens on /api/hooks/:workflowId/{localNodeData.config?.path || 'path'}
+                    </div>
+                  </div>
+                  <div>
+                    <Label htmlFor="trigger-auth-mode">Authentication</Label>
+                    <Select
+                      value={localNodeData.config?.authMode || 'none'}
+                      onValueChange={(value) => handlePropertyChange('config.authMode', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="none">None</SelectItem>
+                        <SelectItem value="secret">Shared Secret (X-Webhook-Secret)</SelectItem>
+                        <SelectItem value="hmac">HMAC SHA-256 (X-Webhook-Signature)</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  {localNodeData.config?.authMode && localNodeData.config.authMode !== 'none' && (
+                    <WebhookSecretSettings nodeId={node.id} />
+                  )}
+                </>
+              )}
+              {(localNodeData.type === 'schedule' || localNodeData.config?.type === 'schedule') && (
+                <>
+                  <div>
+                    <Label htmlFor="trigger-cron">Cron Expression</Label>
+                    <Input
+                      id="trigger-cron"
+                      value={localNodeData.config?.cron || ''}
+                      onChange={(e) => handlePropertyChange('config.cron', e.target.value)}
+                      placeholder="0 9 * * *"
+                      className="font-mono"
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="trigger-timezone">Timezone</Label>
+                    <Input
+                      id="trigger-timezone"
+                      value={localNodeData.config?.timezone || 'UTC'}
+                      onChange={(e) => handlePropertyChange('config.timezone', e.target.value)}
+                      placeholder="UTC"
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="trigger-missed-runs">Missed Runs</Label>
+                    <Select
+                      value={localNodeData.config?.missedRunPolicy || 'skip'}
+                      onValueChange={(value) => handlePropertyChange('config.missedRunPolicy', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="skip">Skip</SelectItem>
+                        <SelectItem value="catchup">Catch Up</SelectItem>
+                      </SelectContent>
+                    </Select>
+                    <div className="text-xs text-muted-foreground mt-1">
+                      What to do with runs missed while the backend was down
+                    </div>
+                  </div>
+                </>
+              )}
+              {(localNodeData.type === 'event' || localNodeData.config?.type === 'event') && (
+                <>
+                  <div>
+                    <Label htmlFor="trigger-contract">Contract Address</Label>
+                    <Input
+                      id="trigger-contract"
+                      value={localNodeData.config?.contract || ''}
+                      onChange={(e) => handlePropertyChange('config.contract', e.target.value)}
+                      placeholder="0x..."
+                      className="font-mono"
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="trigger-event">Event Signature</Label>
+                    <Input
+                      id="trigger-event"
+                      value={localNodeData.config?.event || ''}
+                      onChange={(e) => handlePropertyChange('config.event', e.target.value)}
+                      placeholder="Transfer(address indexed from, address indexed to, uint256 value)"
+                      className="font-mono"
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="trigger-topics">Indexed Topic Filters</Label>
+                    <Textarea
+                      id="trigger-topics"
+                      value={localNodeData.config?.topics ? JSON.stringify(localNodeData.config.topics) : ''}
+                      onChange={(e) => {
+                        try {
+                          handlePropertyChange('config.topics', e.target.value ? JSON.parse(e.target.value) : undefined);
+                        } catch {
+                          // Invalid JSON, don't update
+                        }
+                      }}
+                      placeholder='[null, "0x..."]'
+                      rows={2}
+                      className="font-mono text-sm"
+                    />
+                    <div className="text-xs text-muted-foreground mt-1">
+                      Values for the indexed arguments in order, null matches any
+                    </div>
+                  </div>
+                  <div>
+                    <Label htmlFor="trigger-confirmations">Confirmations</Label>
+                    <Input
+                      id="trigger-confirmations"
+                      type="number"
+                      value={localNodeData.config?.confirmations ?? 3}
+                      onChange={(e) => handlePropertyChange('config.confirmations', parseInt(e.target.value))}
+                      min={0}
+                    />
+                  </div>
+                </>
+              )}
             </div>
           )
 
@@ -367,42 +528,12 @@ const WorkflowBuilder = () => {
                   placeholder="Enter AI node label"
                 />
               </div>
-              <div>
-                <Label htmlFor="ai-provider">Provider</Label>
-                <Select
-                  value={localNodeData.config?.providerAddress || ''}
-                  onValueChange={(value) => {
-                    handlePropertyChange('config.providerAddress', value);
-                  }}
-                  disabled={isLoadingServices}
-                >
-                  <SelectTrigger>
-                    <SelectValue placeholder={isLoadingServices ? "Loading providers..." : "Select provider"} />
-                  </SelectTrigger>
-                  <SelectContent>
-                    {availableServices.map((service) => (
-                      <SelectItem key={service.provider} value={service.provider}>
-                        {service.provider}
-                      </SelectItem>
-                    ))}
-                    {availableServices.length === 0 && !isLoadingServices && (
-                      <SelectItem value="" disabled>
-                        No providers available
-                      </SelectItem>
-                    )}
-                  </SelectContent>
-                </Select>
-                <Button
-                  variant="outline"
-                  size="sm"
-                  onClick={() => {
-                    loadServices();
-                  }}
-                  className="mt-2 w-full"
-                >
-                  Refresh Services
-                </Button>
-              </div>
+              <ProviderSelect
+                id="ai-provider"
+                capability="chat"
+                value={localNodeData.config?.providerAddress}
+                onChange={(value) => handlePropertyChange('config.providerAddress', value)}
+              />
               <div>
                 <Label htmlFor="ai-prompt">Prompt</Label>
                 <Textarea
@@ -413,6 +544,7 @@ const WorkflowBuilder = () => {
                   rows={6}
                   className="font-mono text-sm"
                 />
+                <TemplatePreview nodeId={node.id} template={localNodeData.config?.prompt} />
               </div>
               {localNodeData.result && (
                 <>
@@ -422,7 +554,7 @@ const WorkflowBuilder = () => {
                     <div className="mt-2 p-3 bg-muted rounded-md text-sm">
                       <div className="font-medium mb-1">Response:</div>
                       <div className="text-muted-foreground">
-                        {localNodeData.result.answer || 'No response'}
+                        {localNodeData.result.response?.content || 'No response'}
                       </div>
                       {localNodeData.lastExecuted && (
                         <div className="text-xs text-muted-foreground mt-2">
@@ -451,7 +583,7 @@ const WorkflowBuilder = () => {
               <div>
                 <Label htmlFor="action-type">Action Type</Label>
                 <Select
-                  value={localNodeData.config?.type || ''}
+                  value={localNodeData.config?.type || localNodeData.type || ''}
                   onValueChange={(value) => handlePropertyChange('config.type', value)}
                 >
                   <SelectTrigger>
@@ -475,6 +607,7 @@ const WorkflowBuilder = () => {
                       onChange={(e) => handlePropertyChange('config.url', e.target.value)}
                       placeholder="https://api.example.com"
                     />
+                    <TemplatePreview nodeId={node.id} template={localNodeData.config?.url} />
                   </div>
                   <div>
                     <Label htmlFor="http-method">Method</Label>
@@ -520,11 +653,12 @@ const WorkflowBuilder = () => {
                         placeholder="JSON or text body"
                         rows={4}
                       />
+                      <TemplatePreview nodeId={node.id} template={localNodeData.config?.body} />
                     </div>
                   )}
                 </>
               )}
-              {localNodeData.config?.type === 'email' && (
+              {(localNodeData.type === 'email' || localNodeData.config?.type === 'email') && (
                 <>
                   <div>
                     <Label htmlFor="email-to">To</Label>
@@ -534,6 +668,16 @@ const WorkflowBuilder = () => {
                       onChange={(e) => handlePropertyChange('config.to', e.target.value)}
                       placeholder="recipient@example.com"
                     />
+                    <TemplatePreview nodeId={node.id} template={localNodeData.config?.to} />
+                  </div>
+                  <div>
+                    <Label htmlFor="email-cc">CC</Label>
+                    <Input
+                      id="email-cc"
+                      value={localNodeData.config?.cc || ''}
+                      onChange={(e) => handlePropertyChange('config.cc', e.target.value)}
+                      placeholder="Comma-separated addresses"
+                    />
                   </div>
                   <div>
                     <Label htmlFor="email-subject">Subject</Label>
@@ -543,6 +687,7 @@ const WorkflowBuilder = () => {
                       onChange={(e) => handlePropertyChange('config.subject', e.target.value)}
                       placeholder="Email subject"
                     />
+                    <TemplatePreview nodeId={node.id} template={localNodeData.config?.subject} />
                   </div>
                   <div>
                     <Label htmlFor="email-body">Body</Label>
@@ -553,6 +698,7 @@ const WorkflowBuilder = () => {
                       placeholder="Email body content"
                       rows={4}
                     />
+                    <TemplatePreview nodeId={node.id} template={localNodeData.config?.body} />
                   </div>
                   <div>
                     <Label htmlFor="email-template">Template</Label>
@@ -569,11 +715,50 @@ const WorkflowBuilder = () => {
                         <SelectItem value="template">Template</SelectItem>
                       </SelectContent>
                     </Select>
+                    <div className="text-xs text-muted-foreground mt-1">
+                      HTML bodies also get a plain-text part; Template lays a plain body out as an HTML message
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Checkbox
+                      id="email-attach-files"
+                      checked={localNodeData.config?.attachFiles !== false}
+                      onCheckedChange={(checked) => handlePropertyChange('config.attachFiles', checked)}
+                    />
+                    <Label htmlFor="email-attach-files">Attach upstream files</Label>
                   </div>
+                  {localNodeData.config?.attachFiles !== false && (
+                    <div>
+                      <Label htmlFor="email-attach-from">Attach Files From</Label>
+                      <Input
+                        id="email-attach-from"
+                        value={localNodeData.config?.attachFrom || ''}
+                        onChange={(e) => handlePropertyChange('config.attachFrom', e.target.value)}
+                        placeholder="Node ids (default: this node's input)"
+                      />
+                      <div className="text-xs text-muted-foreground mt-1">
+                        Reports, binary HTTP responses and outputs with fileName and content are attached
+                      </div>
+                    </div>
+                  )}
+                  <Separator />
+                  <EmailSenderSettings />
                 </>
               )}
-              {localNodeData.config?.type === 'database' && (
+              {(localNodeData.type === 'database' || localNodeData.config?.type === 'database') && (
                 <>
+                  <div>
+                    <Label htmlFor="db-connection">Connection</Label>
+                    <Input
+                      id="db-connection"
+                      value={localNodeData.config?.connection || ''}
+                      onChange={(e) => handlePropertyChange('config.connection', e.target.value)}
+                      placeholder="crm or sqlite:records.db"
+                    />
+                    <div className="text-xs text-muted-foreground mt-1">
+                      A saved connection's name (below), a SQLite file kept on the server for this workflow, or sqlite::memory:
+                    </div>
+                  </div>
                   <div>
                     <Label htmlFor="db-operation">Operation</Label>
                     <Select
@@ -584,7 +769,7 @@ const WorkflowBuilder = () => {
                         <SelectValue />
                       </SelectTrigger>
                       <SelectContent>
-                        <SelectItem value="select">SELECT</SelectItem>
+                        <SelectItem value="select">SELECT (rows as objects)</SelectItem>
                         <SelectItem value="insert">INSERT</SelectItem>
                         <SelectItem value="update">UPDATE</SelectItem>
                         <SelectItem value="delete">DELETE</SelectItem>
@@ -597,23 +782,49 @@ const WorkflowBuilder = () => {
                       id="db-query"
                       value={localNodeData.config?.query || ''}
                       onChange={(e) => handlePropertyChange('config.query', e.target.value)}
-                      placeholder="SELECT * FROM table WHERE..."
+                      placeholder="SELECT * FROM users WHERE email = :email"
                       rows={4}
+                      className="font-mono text-xs"
                     />
+                    <div className="text-xs text-muted-foreground mt-1">
+                      :name placeholders are bound from the parameters below, or else the input field of that name
+                    </div>
                   </div>
                   <div>
-                    <Label htmlFor="db-connection">Connection String</Label>
-                    <Input
-                      id="db-connection"
-                      type="password"
-                      value={localNodeData.config?.connection || ''}
-                      onChange={(e) => handlePropertyChange('config.connection', e.target.value)}
-                      placeholder="Database connection string"
+                    <Label htmlFor="db-params">Parameters</Label>
+                    <Textarea
+                      id="db-params"
+                      key={node.id}
+                      defaultValue={localNodeData.config?.params ? JSON.stringify(localNodeData.config.params, null, 2) : ''}
+                      onChange={(e) => {
+                        if (!e.target.value.trim()) {
+                          handlePropertyChange('config.params', undefined);
+                          return;
+                        }
+                        try {
+                          handlePropertyChange('config.params', JSON.parse(e.target.value));
+                        } catch {
+                          // Invalid JSON, don't update
+                        }
+                      }}
+                      placeholder='{"email": "{{trigger.body.email}}"}'
+                      rows={3}
+                      className="font-mono text-xs"
                     />
                   </div>
+                  <div className="flex items-center space-x-2">
+                    <Checkbox
+                      id="db-transaction"
+                      checked={localNodeData.config?.transaction || false}
+                      onCheckedChange={(checked) => handlePropertyChange('config.transaction', checked)}
+                    />
+                    <Label htmlFor="db-transaction">Run statements in a transaction</Label>
+                  </div>
+                  <Separator />
+                  <DatabaseConnectionSettings />
                 </>
               )}
-              {localNodeData.config?.type === 'storage' && (
+              {(localNodeData.type === 'storage' || localNodeData.config?.type === 'storage') && (
                 <>
                   <div>
                     <Label htmlFor="storage-operation">Operation</Label>
@@ -625,31 +836,67 @@ const WorkflowBuilder = () => {
                         <SelectValue />
                       </SelectTrigger>
                       <SelectContent>
-                        <SelectItem value="upload">Upload File</SelectItem>
-                        <SelectItem value="download">Download File</SelectItem>
-                        <SelectItem value="list">List Files</SelectItem>
-                        <SelectItem value="delete">Delete File</SelectItem>
+                        <SelectItem value="upload">Upload (outputs the root hash)</SelectItem>
+                        <SelectItem value="download">Download by root hash</SelectItem>
                       </SelectContent>
                     </Select>
                   </div>
                   <div>
-                    <Label htmlFor="storage-path">File Path</Label>
-                    <Input
-                      id="storage-path"
-                      value={localNodeData.config?.path || ''}
-                      onChange={(e) => handlePropertyChange('config.path', e.target.value)}
-                      placeholder="/path/to/file.txt"
-                    />
-                  </div>
-                  <div>
-                    <Label htmlFor="storage-bucket">Bucket/Container</Label>
-                    <Input
-                      id="storage-bucket"
-                      value={localNodeData.config?.bucket || ''}
-                      onChange={(e) => handlePropertyChange('config.bucket', e.target.value)}
-                      placeholder="my-bucket"
-                    />
+                    <Label htmlFor="storage-format">Format</Label>
+                    <Select
+                      value={localNodeData.config?.format || 'auto'}
+                      onValueChange={(value) => handlePropertyChange('config.format', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="auto">Auto</SelectItem>
+                        <SelectItem value="json">JSON</SelectItem>
+                        <SelectItem value="text">Text</SelectItem>
+                        <SelectItem value="file">File</SelectItem>
+                      </SelectContent>
+                    </Select>
                   </div>
+                  {(localNodeData.config?.operation || 'upload') === 'upload' ? (
+                    <div>
+                      <Label htmlFor="storage-content">Content</Label>
+                      <Textarea
+                        id="storage-content"
+                        value={localNodeData.config?.content || ''}
+                        onChange={(e) => handlePropertyChange('config.content', e.target.value)}
+                        placeholder="Leave empty to store the node's input"
+                        rows={3}
+                      />
+                      <TemplatePreview nodeId={node.id} template={localNodeData.config?.content} />
+                      <div className="text-xs text-muted-foreground mt-1">
+                        Stored with the service wallet; the output has rootHash and txHash
+                      </div>
+                    </div>
+                  ) : (
+                    <>
+                      <div>
+                        <Label htmlFor="storage-root-hash">Root Hash</Label>
+                        <Input
+                          id="storage-root-hash"
+                          value={localNodeData.config?.rootHash || ''}
+                          onChange={(e) => handlePropertyChange('config.rootHash', e.target.value)}
+                          placeholder="0x... (empty: the input's rootHash)"
+                          className="font-mono text-xs"
+                        />
+                        <TemplatePreview nodeId={node.id} template={localNodeData.config?.rootHash} />
+                      </div>
+                      <div>
+                        <Label htmlFor="storage-file-name">File Name</Label>
+                        <Input
+                          id="storage-file-name"
+                          value={localNodeData.config?.fileName || ''}
+                          onChange={(e) => handlePropertyChange('config.fileName', e.target.value)}
+                          placeholder="report.pdf (for binary content)"
+                        />
+                      </div>
+                    </>
+                  )}
                 </>
               )}
             </div>
@@ -681,6 +928,7 @@ const WorkflowBuilder = () => {
                     <SelectItem value="loop">Loop</SelectItem>
                     <SelectItem value="variable">Variable</SelectItem>
                     <SelectItem value="transform">Transform</SelectItem>
+                    <SelectItem value="join">Join</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -694,8 +942,10 @@ const WorkflowBuilder = () => {
                     placeholder="e.g., data.status === 'success'"
                     rows={3}
                   />
+                  <TemplatePreview nodeId={node.id} template={localNodeData.config?.expression} />
                   <div className="text-xs text-muted-foreground mt-1">
                     Use JavaScript syntax. Access input data with 'data' variable.
+                    Only the edge on the matching output runs: the top (green) output when true, the bottom (red) one when false.
                   </div>
                 </div>
               )}
@@ -728,44 +978,140 @@ const WorkflowBuilder = () => {
                       placeholder="item.active === true"
                     />
                   </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <Label htmlFor="loop-max-iterations">Max Iterations</Label>
+                      <Input
+                        id="loop-max-iterations"
+                        type="number"
+                        min="1"
+                        value={localNodeData.config?.maxIterations || ''}
+                        onChange={(e) => handlePropertyChange('config.maxIterations', parseInt(e.target.value))}
+                        placeholder="1000"
+                      />
+                    </div>
+                    <div>
+                      <Label htmlFor="loop-concurrency">Concurrency</Label>
+                      <Input
+                        id="loop-concurrency"
+                        type="number"
+                        min="1"
+                        value={localNodeData.config?.concurrency || ''}
+                        onChange={(e) => handlePropertyChange('config.concurrency', parseInt(e.target.value))}
+                        placeholder="1"
+                      />
+                    </div>
+                  </div>
+                  <div className="text-xs text-muted-foreground">
+                    Nodes on the top output run once per item, with the item, index and total as input.
+                    The bottom output runs once at the end with the collected results.
+                  </div>
                 </>
               )}
-              {localNodeData.config?.type === 'variable' && (
+              {localNodeData.config?.type === 'join' && (
+                <div>
+                  <Label htmlFor="join-strategy">Merge Strategy</Label>
+                  <Select
+                    value={localNodeData.config?.mergeStrategy || 'bySource'}
+                    onValueChange={(value) => handlePropertyChange('config.mergeStrategy', value)}
+                  >
+                    <SelectTrigger id="join-strategy">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="bySource">Object by source node</SelectItem>
+                      <SelectItem value="append">Append to array</SelectItem>
+                      <SelectItem value="firstWins">First wins</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <div className="text-xs text-muted-foreground mt-1">
+                    Runs once every incoming branch has finished. Object by source keys each output by its node id,
+                    append collects the outputs into items, first wins merges keys keeping the value from the branch that finished first.
+                  </div>
+                </div>
+              )}
+              {(localNodeData.type === 'variable' || localNodeData.config?.type === 'variable') && (
                 <>
+                  <div>
+                    <Label htmlFor="variable-operation">Operation</Label>
+                    <Select
+                      value={localNodeData.config?.operation || 'set'}
+                      onValueChange={(value) => handlePropertyChange('config.operation', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="set">Set</SelectItem>
+                        <SelectItem value="get">Get</SelectItem>
+                        <SelectItem value="increment">Increment</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
                   <div>
                     <Label htmlFor="variable-name">Variable Name</Label>
                     <Input
                       id="variable-name"
                       value={localNodeData.config?.variableName || ''}
                       onChange={(e) => handlePropertyChange('config.variableName', e.target.value)}
-                      placeholder="myVariable"
+                      placeholder="lastSeenId"
                     />
                   </div>
+                  {(localNodeData.config?.operation || 'set') === 'set' && (
+                    <div>
+                      <Label htmlFor="variable-value">Value</Label>
+                      <Textarea
+                        id="variable-value"
+                        value={localNodeData.config?.variableValue || ''}
+                        onChange={(e) => handlePropertyChange('config.variableValue', e.target.value)}
+                        placeholder="{{input.items.0.id}} (empty: the node's input)"
+                        rows={3}
+                      />
+                      <TemplatePreview nodeId={node.id} template={localNodeData.config?.variableValue} />
+                      <div className="text-xs text-muted-foreground mt-1">
+                        Values that read as JSON (numbers, true/false, objects) are stored as such
+                      </div>
+                    </div>
+                  )}
+                  {localNodeData.config?.operation === 'increment' && (
+                    <div>
+                      <Label htmlFor="variable-amount">Amount</Label>
+                      <Input
+                        id="variable-amount"
+                        value={localNodeData.config?.amount ?? ''}
+                        onChange={(e) => handlePropertyChange('config.amount', e.target.value)}
+                        placeholder="1"
+                      />
+                    </div>
+                  )}
                   <div>
-                    <Label htmlFor="variable-value">Variable Value</Label>
-                    <Textarea
-                      id="variable-value"
-                      value={localNodeData.config?.variableValue || ''}
-                      onChange={(e) => handlePropertyChange('config.variableValue', e.target.value)}
-                      placeholder="data.result"
-                      rows={3}
+                    <Label htmlFor="variable-default">Default Value</Label>
+                    <Input
+                      id="variable-default"
+                      value={localNodeData.config?.defaultValue || ''}
+                      onChange={(e) => handlePropertyChange('config.defaultValue', e.target.value)}
+                      placeholder="Used while the variable is unset"
                     />
                   </div>
                   <div>
                     <Label htmlFor="variable-scope">Scope</Label>
                     <Select
-                      value={localNodeData.config?.scope || 'workflow'}
+                      value={localNodeData.config?.scope === 'persistent' ? 'persistent' : 'run'}
                       onValueChange={(value) => handlePropertyChange('config.scope', value)}
                     >
                       <SelectTrigger>
                         <SelectValue />
                       </SelectTrigger>
                       <SelectContent>
-                        <SelectItem value="workflow">Workflow</SelectItem>
-                        <SelectItem value="global">Global</SelectItem>
-                        <SelectItem value="node">Node Only</SelectItem>
+                        <SelectItem value="run">This run</SelectItem>
+                        <SelectItem value="persistent">Persistent (across runs)</SelectItem>
                       </SelectContent>
                     </Select>
+                    {localNodeData.config?.scope === 'persistent' && (
+                      <div className="text-xs text-muted-foreground mt-1">
+                        Kept per workflow and connected wallet, backed by 0G KV. Needs a saved workflow.
+                      </div>
+                    )}
                   </div>
                 </>
               )}
@@ -825,6 +1171,7 @@ const WorkflowBuilder = () => {
                   onChange={(e) => handlePropertyChange('config.url', e.target.value)}
                   placeholder="https://api.example.com"
                 />
+                <TemplatePreview nodeId={node.id} template={localNodeData.config?.url} />
               </div>
               <div>
                 <Label htmlFor="http-method">HTTP Method</Label>
@@ -839,6 +1186,7 @@ const WorkflowBuilder = () => {
                     <SelectItem value="GET">GET</SelectItem>
                     <SelectItem value="POST">POST</SelectItem>
                     <SelectItem value="PUT">PUT</SelectItem>
+                    <SelectItem value="PATCH">PATCH</SelectItem>
                     <SelectItem value="DELETE">DELETE</SelectItem>
                   </SelectContent>
                 </Select>
@@ -852,6 +1200,7 @@ const WorkflowBuilder = () => {
                   placeholder="JSON or text body"
                   rows={4}
                 />
+                <TemplatePreview nodeId={node.id} template={localNodeData.config?.body} />
               </div>
             </div>
           )
@@ -953,6 +1302,7 @@ const WorkflowBuilder = () => {
                   onChange={(e) => handlePropertyChange('range', e.target.value)}
                   placeholder="A1:Z100"
                 />
+                <TemplatePreview nodeId={node.id} template={localNodeData.range} />
               </div>
               
               <div>
@@ -971,6 +1321,20 @@ const WorkflowBuilder = () => {
                   </SelectContent>
                 </Select>
               </div>
+
+              <div className="flex items-center space-x-2">
+                <Checkbox
+                  id="sheets-header-row"
+                  checked={localNodeData.headerRow !== false}
+                  onCheckedChange={(checked) => handlePropertyChange('headerRow', checked)}
+                />
+                <Label htmlFor="sheets-header-row">First row is the header</Label>
+              </div>
+              <div className="text-xs text-muted-foreground">
+                {(localNodeData.operation || 'read') === 'read'
+                  ? 'Rows are also output as objects keyed by the header'
+                  : 'Objects from the input are written to the columns named in the header row'}
+              </div>
               
               {localNodeData.result && (
                 <>
@@ -1014,36 +1378,12 @@ const WorkflowBuilder = () => {
                 />
               </div>
               
-              <div>
-                <Label htmlFor="llm-model">AI Model</Label>
-                <Select
-                  value={localNodeData.config?.model || 'gpt-4'}
-                  onValueChange={(value) => handlePropertyChange('config.model', value)}
-                >
-                  <SelectTrigger>
-                    <SelectValue />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="gpt-4">GPT-4</SelectItem>
-                    <SelectItem value="gpt-3.5-turbo">GPT-3.5 Turbo</SelectItem>
-                    <SelectItem value="claude-3">Claude 3</SelectItem>
-                    <SelectItem value="llama-2">Llama 2</SelectItem>
-                    <SelectItem value="custom">Custom Model</SelectItem>
-                  </SelectContent>
-                </Select>
-              </div>
-              
-              {localNodeData.config?.model === 'custom' && (
-                <div>
-                  <Label htmlFor="custom-model-endpoint">Custom Model Endpoint</Label>
-                  <Input
-                    id="custom-model-endpoint"
-                    value={localNodeData.config?.customEndpoint || ''}
-                    onChange={(e) => handlePropertyChange('config.customEndpoint', e.target.value)}
-                    placeholder="https://api.custom-model.com/v1/chat"
-                  />
-                </div>
-              )}
+              <ProviderSelect
+                id="llm-provider"
+                capability="chat"
+                value={localNodeData.config?.providerAddress}
+                onChange={(value) => handlePropertyChange('config.providerAddress', value)}
+              />
               
               <div>
                 <Label htmlFor="llm-prompt">Prompt Template</Label>
@@ -1051,18 +1391,51 @@ const WorkflowBuilder = () => {
                   id="llm-prompt"
                   value={localNodeData.config?.prompt || ''}
                   onChange={(e) => handlePropertyChange('config.prompt', e.target.value)}
-                  placeholder="Enter your AI prompt here. Use {{variable}} for dynamic content."
+                  placeholder="Enter your AI prompt here. Use {{nodeId.field}} for dynamic content."
                   rows={6}
                 />
+                <TemplatePreview nodeId={node.id} template={localNodeData.config?.prompt} />
                 <div className="text-xs text-muted-foreground mt-1">
-                  Use {{variable}} syntax to insert data from connected nodes.
+                  Use {'{{nodeId.field}}'} to insert data from upstream nodes, or {'{{input.field}}'} for this node's input.
+                  Filters: {'{{nodeId.items | join: ", "}}'}, default, json, upper, lower, truncate.
                 </div>
               </div>
               
               <div>
-                <Label htmlFor="llm-temperature">Temperature</Label>
+                <Label htmlFor="llm-system-message">System Message</Label>
+                <Textarea
+                  id="llm-system-message"
+                  value={localNodeData.config?.systemMessage || ''}
+                  onChange={(e) => handlePropertyChange('config.systemMessage', e.target.value)}
+                  placeholder="You are a helpful assistant..."
+                  rows={3}
+                />
+                <TemplatePreview nodeId={node.id} template={localNodeData.config?.systemMessage} />
+              </div>
+              
+              <div>
+                <Label htmlFor="llm-messages">Conversation History</Label>
+                <Textarea
+                  id="llm-messages"
+                  value={localNodeData.config?.messages || ''}
+                  onChange={(e) => handlePropertyChange('config.messages', e.target.value)}
+                  placeholder='[{"role": "user", "content": "..."}, {"role": "assistant", "content": "..."}]'
+                  rows={3}
+                  className="font-mono text-sm"
+                />
+                <div className="text-xs text-muted-foreground mt-1">
+                  Earlier messages sent before the prompt, as a JSON list (roles: system, user, assistant),
+                  e.g. {'{{input.messages | json}}'}.
+                </div>
+              </div>
+              
+              <div>
+                <Label htmlFor="llm-temperature">
+                  Temperature: {localNodeData.config?.temperature ?? 'provider default'}
+                </Label>
                 <Slider
-                  value={[localNodeData.config?.temperature || 0.7]}
+                  id="llm-temperature"
+                  value={[localNodeData.config?.temperature ?? 0.7]}
                   onValueChange={(value) => handlePropertyChange('config.temperature', value[0])}
                   max={2}
                   min={0}
@@ -1074,26 +1447,42 @@ const WorkflowBuilder = () => {
                 </div>
               </div>
               
+              <div>
+                <Label htmlFor="llm-top-p">
+                  Top P: {localNodeData.config?.topP ?? 'provider default'}
+                </Label>
+                <Slider
+                  id="llm-top-p"
+                  value={[localNodeData.config?.topP ?? 1]}
+                  onValueChange={(value) => handlePropertyChange('config.topP', value[0])}
+                  max={1}
+                  min={0.05}
+                  step={0.05}
+                  className="w-full"
+                />
+              </div>
+              
               <div>
                 <Label htmlFor="llm-max-tokens">Max Tokens</Label>
                 <Input
                   id="llm-max-tokens"
                   type="number"
-                  value={localNodeData.config?.maxTokens || 1000}
-                  onChange={(e) => handlePropertyChange('config.maxTokens', parseInt(e.target.value))}
+                  value={localNodeData.config?.maxTokens ?? ''}
+                  onChange={(e) => handlePropertyChange('config.maxTokens', e.target.value === '' ? undefined : parseInt(e.target.value))}
+                  placeholder="Provider default"
                   min={1}
-                  max={4000}
                 />
               </div>
               
               <div>
-                <Label htmlFor="llm-system-message">System Message</Label>
+                <Label htmlFor="llm-stop">Stop Sequences</Label>
                 <Textarea
-                  id="llm-system-message"
-                  value={localNodeData.config?.systemMessage || ''}
-                  onChange={(e) => handlePropertyChange('config.systemMessage', e.target.value)}
-                  placeholder="You are a helpful assistant..."
-                  rows={3}
+                  id="llm-stop"
+                  value={localNodeData.config?.stop || ''}
+                  onChange={(e) => handlePropertyChange('config.stop', e.target.value)}
+                  placeholder="One per line (at most 4), \n for a newline"
+                  rows={2}
+                  className="font-mono text-sm"
                 />
               </div>
               
@@ -1105,6 +1494,11 @@ const WorkflowBuilder = () => {
                 />
                 <Label htmlFor="llm-stream">Stream Response</Label>
               </div>
+              {localNodeData.config?.stream && (
+                <div className="text-xs text-muted-foreground -mt-2">
+                  The answer shows live on the node and in the terminal; the timeout applies between tokens instead of to the whole answer.
+                </div>
+              )}
               
               <div>
                 <Label htmlFor="llm-output-format">Output Format</Label>
@@ -1124,16 +1518,54 @@ const WorkflowBuilder = () => {
                 </Select>
               </div>
               
+              {localNodeData.config?.outputFormat === 'json' && (
+                <>
+                  <div>
+                    <Label htmlFor="llm-json-schema">JSON Schema</Label>
+                    <Textarea
+                      id="llm-json-schema"
+                      value={localNodeData.config?.jsonSchema || ''}
+                      onChange={(e) => handlePropertyChange('config.jsonSchema', e.target.value)}
+                      placeholder='{"type": "object", "properties": {"summary": {"type": "string"}}, "required": ["summary"]}'
+                      rows={6}
+                      className="font-mono text-sm"
+                    />
+                    <div className="text-xs text-muted-foreground mt-1">
+                      The reply is parsed and validated against the schema (any JSON when empty), and the node outputs the parsed value, e.g. {'{{nodeId.summary}}'} downstream.
+                    </div>
+                  </div>
+                  <div>
+                    <Label htmlFor="llm-schema-retries">Retries on Invalid JSON</Label>
+                    <Input
+                      id="llm-schema-retries"
+                      type="number"
+                      value={localNodeData.config?.schemaRetries ?? 2}
+                      onChange={(e) => handlePropertyChange('config.schemaRetries', parseInt(e.target.value))}
+                      min={0}
+                      max={5}
+                    />
+                    <div className="text-xs text-muted-foreground mt-1">
+                      The model is asked again with the validation errors this many times before the node fails.
+                    </div>
+                  </div>
+                </>
+              )}
+              
               {localNodeData.result && (
                 <>
                   <Separator />
                   <div>
                     <Label>Last Execution Result</Label>
                     <div className="mt-2 p-3 bg-muted rounded-md text-sm max-h-64 overflow-y-auto">
-                      <div className="font-medium mb-1">Model: {localNodeData.config?.model}</div>
+                      <div className="font-medium mb-1">Model: {localNodeData.result.response?.metadata?.model}</div>
                       <div className="text-muted-foreground">
-                        {localNodeData.result.response || 'No response data'}
+                        {localNodeData.result.response?.content || 'No response data'}
                       </div>
+                      {localNodeData.result.response?.usage && (
+                        <div className="text-xs text-muted-foreground mt-2">
+                          Tokens: {localNodeData.result.response.usage.prompt_tokens} prompt, {localNodeData.result.response.usage.completion_tokens} completion
+                        </div>
+                      )}
                       {localNodeData.lastExecuted && (
                         <div className="text-xs text-muted-foreground mt-2">
                           Executed: {new Date(localNodeData.lastExecuted).toLocaleString()}
@@ -1159,34 +1591,12 @@ const WorkflowBuilder = () => {
                 />
               </div>
               
-              <div>
-                <Label htmlFor="vision-model">Vision Model</Label>
-                <Select
-                  value={localNodeData.config?.model || 'gpt-4-vision'}
-                  onValueChange={(value) => handlePropertyChange('config.model', value)}
-                >
-                  <SelectTrigger>
-                    <SelectValue />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="gpt-4-vision">GPT-4 Vision</SelectItem>
-                    <SelectItem value="claude-3-vision">Claude 3 Vision</SelectItem>
-                    <SelectItem value="custom">Custom Vision Model</SelectItem>
-                  </SelectContent>
-                </Select>
-              </div>
-              
-              {localNodeData.config?.model === 'custom' && (
-                <div>
-                  <Label htmlFor="custom-vision-endpoint">Custom Vision Endpoint</Label>
-                  <Input
-                    id="custom-vision-endpoint"
-                    value={localNodeData.config?.customEndpoint || ''}
-                    onChange={(e) => handlePropertyChange('config.customEndpoint', e.target.value)}
-                    placeholder="https://api.custom-vision.com/v1/analyze"
-                  />
-                </div>
-              )}
+              <ProviderSelect
+                id="vision-provider"
+                capability="vision"
+                value={localNodeData.config?.providerAddress}
+                onChange={(value) => handlePropertyChange('config.providerAddress', value)}
+              />
               
               <div>
                 <Label htmlFor="vision-prompt">Analysis Prompt</Label>
@@ -1197,6 +1607,7 @@ const WorkflowBuilder = () => {
                   placeholder="Describe what you want to analyze in the image..."
                   rows={4}
                 />
+                <TemplatePreview nodeId={node.id} template={localNodeData.config?.prompt} />
               </div>
               
               <div>
@@ -1210,23 +1621,28 @@ const WorkflowBuilder = () => {
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="url">Image URL</SelectItem>
-                    <SelectItem value="upload">File Upload</SelectItem>
                     <SelectItem value="data">From Previous Node</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
               
-              {localNodeData.config?.imageSource === 'url' && (
-                <div>
-                  <Label htmlFor="vision-image-url">Image URL</Label>
-                  <Input
-                    id="vision-image-url"
-                    value={localNodeData.config?.imageUrl || ''}
-                    onChange={(e) => handlePropertyChange('config.imageUrl', e.target.value)}
-                    placeholder="https://example.com/image.jpg"
-                  />
+              <div>
+                <Label htmlFor="vision-image-url">
+                  {localNodeData.config?.imageSource === 'data' ? 'Additional Image URLs' : 'Image URLs'}
+                </Label>
+                <Textarea
+                  id="vision-image-url"
+                  value={localNodeData.config?.imageUrl || ''}
+                  onChange={(e) => handlePropertyChange('config.imageUrl', e.target.value)}
+                  placeholder="https://example.com/image.jpg"
+                  rows={2}
+                  className="font-mono text-sm"
+                />
+                <div className="text-xs text-muted-foreground mt-1">
+                  One per line, http(s) or data:image URLs; templates work here too.
+                  {localNodeData.config?.imageSource === 'data' && ' The previous node\'s imageUrl(s) and image files (e.g. downloads, HTTP responses) are sent as well.'}
                 </div>
-              )}
+              </div>
               
               <div>
                 <Label htmlFor="vision-output-format">Output Format</Label>
@@ -1253,7 +1669,7 @@ const WorkflowBuilder = () => {
                     <div className="mt-2 p-3 bg-muted rounded-md text-sm max-h-64 overflow-y-auto">
                       <div className="font-medium mb-1">Analysis Complete</div>
                       <div className="text-muted-foreground">
-                        {localNodeData.result.analysis || 'No analysis data'}
+                        {localNodeData.result.response?.content || 'No analysis data'}
                       </div>
                       {localNodeData.lastExecuted && (
                         <div className="text-xs text-muted-foreground mt-2">
@@ -1280,35 +1696,12 @@ const WorkflowBuilder = () => {
                 />
               </div>
               
-              <div>
-                <Label htmlFor="embedding-model">Embedding Model</Label>
-                <Select
-                  value={localNodeData.config?.model || 'text-embedding-ada-002'}
-                  onValueChange={(value) => handlePropertyChange('config.model', value)}
-                >
-                  <SelectTrigger>
-                    <SelectValue />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="text-embedding-ada-002">OpenAI Ada-002</SelectItem>
-                    <SelectItem value="text-embedding-3-small">OpenAI Embedding 3 Small</SelectItem>
-                    <SelectItem value="text-embedding-3-large">OpenAI Embedding 3 Large</SelectItem>
-                    <SelectItem value="custom">Custom Embedding Model</SelectItem>
-                  </SelectContent>
-                </Select>
-              </div>
-              
-              {localNodeData.config?.model === 'custom' && (
-                <div>
-                  <Label htmlFor="custom-embedding-endpoint">Custom Embedding Endpoint</Label>
-                  <Input
-                    id="custom-embedding-endpoint"
-                    value={localNodeData.config?.customEndpoint || ''}
-                    onChange={(e) => handlePropertyChange('config.customEndpoint', e.target.value)}
-                    placeholder="https://api.custom-embedding.com/v1/embed"
-                  />
-                </div>
-              )}
+              <ProviderSelect
+                id="embedding-provider"
+                capability="embedding"
+                value={localNodeData.config?.providerAddress}
+                onChange={(value) => handlePropertyChange('config.providerAddress', value)}
+              />
               
               <div>
                 <Label htmlFor="embedding-input">Input Text</Label>
@@ -1319,8 +1712,10 @@ const WorkflowBuilder = () => {
                   placeholder="Text to convert to embeddings..."
                   rows={4}
                 />
+                <TemplatePreview nodeId={node.id} template={localNodeData.config?.inputText} />
                 <div className="text-xs text-muted-foreground mt-1">
-                  Use {{variable}} syntax to insert data from connected nodes.
+                  Use {'{{nodeId.field}}'} to insert data from upstream nodes, or {'{{input.field}}'} for this node's input.
+                  Filters: {'{{nodeId.items | join: ", "}}'}, default, json, upper, lower, truncate.
                 </div>
               </div>
               
@@ -1336,7 +1731,6 @@ const WorkflowBuilder = () => {
                   <SelectContent>
                     <SelectItem value="embed">Generate Embeddings</SelectItem>
                     <SelectItem value="similarity">Calculate Similarity</SelectItem>
-                    <SelectItem value="cluster">Cluster Analysis</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
@@ -1372,16 +1766,6 @@ const WorkflowBuilder = () => {
                 </>
               )}
               
-              <div>
-                <Label htmlFor="embedding-output-variable">Output Variable Name</Label>
-                <Input
-                  id="embedding-output-variable"
-                  value={localNodeData.config?.outputVariable || 'embeddings'}
-                  onChange={(e) => handlePropertyChange('config.outputVariable', e.target.value)}
-                  placeholder="embeddings"
-                />
-              </div>
-              
               {localNodeData.result && (
                 <>
                   <Separator />
@@ -1428,6 +1812,120 @@ const WorkflowBuilder = () => {
       }
     }
 
+    // Timeout, retries and what happens when the node still fails; shared by
+    // every node type except triggers
+    const renderErrorHandling = () => (
+      <div className="space-y-4">
+        <Label className="text-sm font-medium">Error Handling</Label>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <Label htmlFor="policy-timeout">Timeout (ms)</Label>
+            <Input
+              id="policy-timeout"
+              type="number"
+              min="1"
+              value={localNodeData.config?.timeout || ''}
+              onChange={(e) => handlePropertyChange('config.timeout', parseInt(e.target.value))}
+              placeholder="Default"
+            />
+          </div>
+          <div>
+            <Label htmlFor="policy-retries">Retries</Label>
+            <Input
+              id="policy-retries"
+              type="number"
+              min="0"
+              value={localNodeData.config?.retries || ''}
+              onChange={(e) => handlePropertyChange('config.retries', parseInt(e.target.value))}
+              placeholder="0"
+            />
+          </div>
+        </div>
+        {localNodeData.config?.retries > 0 && (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <Label htmlFor="policy-backoff">Backoff</Label>
+                <Select
+                  value={localNodeData.config?.retryBackoff || 'fixed'}
+                  onValueChange={(value) => handlePropertyChange('config.retryBackoff', value)}
+                >
+                  <SelectTrigger id="policy-backoff">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="fixed">Fixed</SelectItem>
+                    <SelectItem value="exponential">Exponential</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label htmlFor="policy-delay">Delay (ms)</Label>
+                <Input
+                  id="policy-delay"
+                  type="number"
+                  min="0"
+                  value={localNodeData.config?.retryDelay ?? ''}
+                  onChange={(e) => handlePropertyChange('config.retryDelay', parseInt(e.target.value))}
+                  placeholder="1000"
+                />
+              </div>
+            </div>
+            <div>
+              <Label htmlFor="policy-retry-on">Retry On</Label>
+              <Select
+                value={localNodeData.config?.retryOn || 'any'}
+                onValueChange={(value) => handlePropertyChange('config.retryOn', value)}
+              >
+                <SelectTrigger id="policy-retry-on">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="any">Any error</SelectItem>
+                  <SelectItem value="timeout">Timeouts</SelectItem>
+                  <SelectItem value="network">Network errors, 429 and 5xx</SelectItem>
+                  <SelectItem value="pattern">Errors matching a pattern</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            {localNodeData.config?.retryOn === 'pattern' && (
+              <div>
+                <Label htmlFor="policy-retry-pattern">Error Pattern</Label>
+                <Input
+                  id="policy-retry-pattern"
+                  value={localNodeData.config?.retryPattern || ''}
+                  onChange={(e) => handlePropertyChange('config.retryPattern', e.target.value)}
+                  placeholder="rate limit|503"
+                />
+              </div>
+            )}
+          </>
+        )}
+        <div>
+          <Label htmlFor="policy-on-error">On Error</Label>
+          <Select
+            value={localNodeData.config?.onError || 'stop'}
+            onValueChange={(value) => handlePropertyChange('config.onError', value)}
+          >
+            <SelectTrigger id="policy-on-error">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="stop">Stop workflow</SelectItem>
+              <SelectItem value="continue">Continue with null</SelectItem>
+              <SelectItem value="errorOutput">Route to error output</SelectItem>
+            </SelectContent>
+          </Select>
+          {localNodeData.config?.onError === 'errorOutput' && (
+            <div className="text-xs text-muted-foreground mt-1">
+              The red output fires with {'{ error: { message, nodeId, nodeType, attempts, timestamp }, input }'} when the node fails.
+              Its other outputs only fire on success.
+            </div>
+          )}
+        </div>
+      </div>
+    )
+
     return (
       <div className="w-80 bg-card border-l flex flex-col h-full min-h-0 overflow-hidden">
         <div className="p-4 border-b bg-card/95 backdrop-blur sticky top-0 z-10 shadow-sm">
@@ -1478,6 +1976,13 @@ const WorkflowBuilder = () => {
             <div className="space-y-4">
               {renderNodeProperties()}
             </div>
+
+            {node.type !== 'trigger' && (
+              <>
+                <Separator />
+                {renderErrorHandling()}
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -1609,6 +2114,20 @@ const WorkflowBuilder = () => {
               <Play className="h-4 w-4 mr-2" />
               {isRunning ? 'Running...' : !isConnected ? 'Connect Wallet to Run' : 'Run Workflow'}
             </Button>
+
+            <div className="flex items-center justify-between">
+              <Label htmlFor="execution-concurrency" className="text-xs text-muted-foreground">
+                Parallel branches
+              </Label>
+              <Input
+                id="execution-concurrency"
+                type="number"
+                min="1"
+                className="h-8 w-20"
+                value={executionConcurrency}
+                onChange={(e) => setExecutionConcurrency(parseInt(e.target.value))}
+              />
+            </div>
             
             <div className="grid grid-cols-3 gap-2">
               <Button variant="outline" size="sm" onClick={handleSaveWorkflow}>
@@ -1624,6 +2143,16 @@ const WorkflowBuilder = () => {
                 Load
               </Button>
             </div>
+
+            <Button
+              variant={showRunsPanel ? 'secondary' : 'outline'}
+              size="sm"
+              className="w-full"
+              onClick={() => setShowRunsPanel(!showRunsPanel)}
+            >
+              <History className="h-4 w-4 mr-1" />
+              Runs
+            </Button>
           </div>
 
           <Separator className="mb-4" />
@@ -1650,9 +2179,13 @@ const WorkflowBuilder = () => {
                           let nodeType = 'action';
                           if (category.category === 'Triggers') nodeType = 'trigger';
                           else if (category.category === 'AI Nodes') nodeType = 'ai';
-                          else if (category.category === 'Logic Nodes') nodeType = 'logic';
+                          else if (category.category === 'Logic') nodeType = 'logic';
                           else if (node.type === 'http') nodeType = 'httpRequest';
                           else if (node.type === 'googleSheets') nodeType = 'googleSheets';
+                          else if (node.type === 'webScraper') nodeType = 'webScraper';
+                          else if (node.type === 'googleSearch') nodeType = 'googleSearch';
+                          else if (node.type === 'dataFormatter') nodeType = 'dataFormatter';
+                          else if (node.type === 'markdownGenerator') nodeType = 'markdownGenerator';
                           
                           addNode(nodeType, node.type);
                         }}
@@ -1755,6 +2288,11 @@ const WorkflowBuilder = () => {
         />
       )}
 
+      {/* Run History Sidebar */}
+      {showRunsPanel && (
+        <RunsPanel onClose={() => setShowRunsPanel(false)} />
+      )}
+
       {/* Workflow Setup Modal */}
       <WorkflowSetupModal
         isOpen={showSetupModal}
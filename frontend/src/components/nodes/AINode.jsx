@@ -7,6 +7,11 @@ import useWorkflowStore from '../../stores/workflowStore'
 
 const AINode = ({ id, data, selected }) => {
   const executionState = useWorkflowStore((state) => state.nodeExecutionState[id])
+  // Answer streamed so far in the current run
+  const streamedText = useWorkflowStore((state) => state.nodeStreams[id])
+  // Model of the selected 0G Compute provider
+  const providerModel = useWorkflowStore((state) => state.availableServices
+    .find((service) => service.provider === data.config?.providerAddress)?.model)
 
   const getExecutionStateIndicator = () => {
     switch (executionState) {
@@ -18,6 +23,8 @@ const AINode = ({ id, data, selected }) => {
         return <div className="absolute -top-1 -right-1 w-3 h-3 bg-green-500 rounded-full" title="Completed" />
       case 'error':
         return <div className="absolute -top-1 -right-1 w-3 h-3 bg-red-500 rounded-full" title="Error" />
+      case 'skipped':
+        return <div className="absolute -top-1 -right-1 w-3 h-3 bg-gray-400 rounded-full" title="Skipped" />
       default:
         return null
     }
@@ -33,6 +40,8 @@ const AINode = ({ id, data, selected }) => {
         return 'border-green-400'
       case 'error':
         return 'border-red-400'
+      case 'skipped':
+        return 'border-dashed border-gray-300 opacity-60'
       default:
         return 'border-purple-200 dark:border-purple-800'
     }
@@ -68,6 +77,7 @@ const AINode = ({ id, data, selected }) => {
   }
 
   const getModelName = (type, config) => {
+    if (providerModel) return providerModel
     if (config?.model) return config.model
     
     switch (type) {
@@ -131,6 +141,17 @@ const AINode = ({ id, data, selected }) => {
               </div>
             </div>
           )}
+
+          {streamedText && (
+            <div className="mt-2">
+              <div className="text-xs font-medium mb-1">
+                Response{executionState === 'running' ? ' (streaming)' : ''}:
+              </div>
+              <div className="text-xs bg-muted p-2 rounded max-h-24 overflow-hidden whitespace-pre-wrap break-words flex flex-col-reverse">
+                <div>{streamedText.slice(-400)}</div>
+              </div>
+            </div>
+          )}
         </div>
 
         {/* 0G Compute Badge */}
@@ -155,6 +176,15 @@ const AINode = ({ id, data, selected }) => {
         position={Position.Right}
         className="w-3 h-3 bg-purple-500 border-2 border-white"
       />
+      {data.config?.onError === 'errorOutput' && (
+        <Handle
+          type="source"
+          position={Position.Bottom}
+          id="error"
+          className="w-3 h-3 bg-red-500 border-2 border-white"
+          title="On error"
+        />
+      )}
     </Card>
     </div>
   )
@@ -26,6 +26,8 @@ const ActionNode = ({ id, data, selected }) => {
         return <div className="absolute -top-1 -right-1 w-3 h-3 bg-green-500 rounded-full" title="Completed" />
       case 'error':
         return <div className="absolute -top-1 -right-1 w-3 h-3 bg-red-500 rounded-full" title="Error" />
+      case 'skipped':
+        return <div className="absolute -top-1 -right-1 w-3 h-3 bg-gray-400 rounded-full" title="Skipped" />
       default:
         return null
     }
@@ -41,6 +43,8 @@ const ActionNode = ({ id, data, selected }) => {
         return 'border-green-400'
       case 'error':
         return 'border-red-400'
+      case 'skipped':
+        return 'border-dashed border-gray-300 opacity-60'
       default:
         return 'border-blue-200 dark:border-blue-800'
     }
@@ -98,7 +102,7 @@ const ActionNode = ({ id, data, selected }) => {
       case 'email':
         return 'user@example.com'
       case 'database':
-        return 'postgresql://localhost:5432/db'
+        return config?.connection || 'No connection'
       case 'storage':
         return '0G Storage Network'
       default:
@@ -140,6 +144,15 @@ const ActionNode = ({ id, data, selected }) => {
             </div>
           )}
           
+          {data.type === 'storage' && (
+            <div className="flex items-center justify-between">
+              <span>Operation:</span>
+              <Badge variant="outline" className="text-xs">
+                {data.config?.operation || 'upload'}
+              </Badge>
+            </div>
+          )}
+
           {data.config?.subject && (
             <div>
               <span className="font-medium">Subject:</span>
@@ -182,6 +195,15 @@ const ActionNode = ({ id, data, selected }) => {
         position={Position.Right}
         className="w-3 h-3 bg-blue-500 border-2 border-white"
       />
+      {data.config?.onError === 'errorOutput' && (
+        <Handle
+          type="source"
+          position={Position.Bottom}
+          id="error"
+          className="w-3 h-3 bg-red-500 border-2 border-white"
+          title="On error"
+        />
+      )}
     </Card>
     </div>
   )
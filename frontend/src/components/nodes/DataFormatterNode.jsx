@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { Handle, Position } from 'reactflow';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Textarea } from '@/components/ui/textarea';
@@ -7,127 +7,65 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Checkbox } from '@/components/ui/checkbox';
 import { Badge } from '@/components/ui/badge';
 import { FileText, Code, Wand2, Filter } from 'lucide-react';
+import useWorkflowStore from '../../stores/workflowStore';
 
 const DataFormatterNode = ({ data, id, selected }) => {
-  const [promptTemplate, setPromptTemplate] = useState(data.promptTemplate || `Analyze and summarize the following research data:
-
-{{title}}
-Source: {{url}}
-Content: {{content}}
-
-Please provide:
-1. Key insights and findings
-2. Main topics covered
-3. Important facts and figures
-4. Relevant quotes or statistics
-
-Format your response in clear, structured markdown.`);
-  
+  const updateNodeData = useWorkflowStore((state) => state.updateNodeData);
+  const formatPresets = useWorkflowStore((state) => state.reportPresets?.formatPresets);
+  const loadReportPresets = useWorkflowStore((state) => state.loadReportPresets);
+  const [promptTemplate, setPromptTemplate] = useState(data.promptTemplate || '');
   const [formatType, setFormatType] = useState(data.formatType || 'research');
   const [includeMetadata, setIncludeMetadata] = useState(data.includeMetadata !== false);
   const [includeUrls, setIncludeUrls] = useState(data.includeUrls !== false);
   const [cleanText, setCleanText] = useState(data.cleanText !== false);
   const [maxLength, setMaxLength] = useState(data.maxLength || 'auto');
 
+  useEffect(() => {
+    loadReportPresets();
+  }, [loadReportPresets]);
+
+  // Without a template of its own the node uses its format's preset
+  useEffect(() => {
+    if (!promptTemplate && formatPresets) {
+      setPromptTemplate(formatPresets[formatType] || formatPresets.research);
+    }
+  }, [formatPresets, formatType, promptTemplate]);
+
   const handlePromptTemplateChange = useCallback((e) => {
     const newTemplate = e.target.value;
     setPromptTemplate(newTemplate);
-    data.onChange?.(id, { ...data, promptTemplate: newTemplate });
-  }, [data, id]);
+    updateNodeData(id, { promptTemplate: newTemplate });
+  }, [updateNodeData, id]);
 
   const handleFormatTypeChange = useCallback((value) => {
     setFormatType(value);
     
-    // Auto-update prompt template based on format type
-    let newTemplate = promptTemplate;
-    switch (value) {
-      case 'research':
-        newTemplate = `Analyze and summarize the following research data:
-
-{{title}}
-Source: {{url}}
-Content: {{content}}
-
-Please provide:
-1. Key insights and findings
-2. Main topics covered
-3. Important facts and figures
-4. Relevant quotes or statistics
-
-Format your response in clear, structured markdown.`;
-        break;
-      case 'news':
-        newTemplate = `Summarize this news article:
-
-Title: {{title}}
-Source: {{url}}
-Content: {{content}}
-
-Please provide:
-- Main story summary
-- Key facts
-- Important people mentioned
-- Timeline of events (if applicable)
-
-Format as a clear news summary.`;
-        break;
-      case 'technical':
-        newTemplate = `Analyze this technical content:
-
-{{title}}
-Source: {{url}}
-Content: {{content}}
-
-Please extract:
-- Technical concepts explained
-- Code examples or methods
-- Implementation details
-- Best practices mentioned
-
-Provide a technical summary in markdown.`;
-        break;
-      case 'comparison':
-        newTemplate = `Compare and analyze the following information:
-
-{{title}}
-Source: {{url}}
-Content: {{content}}
-
-Create a comparison focusing on:
-- Key differences
-- Advantages/disadvantages
-- Use cases
-- Recommendations
-
-Format as a structured comparison in markdown.`;
-        break;
-      default:
-        break;
-    }
+    // Presets replace the prompt template; "custom" keeps the current one
+    const newTemplate = formatPresets?.[value] || promptTemplate;
     
     setPromptTemplate(newTemplate);
-    data.onChange?.(id, { ...data, formatType: value, promptTemplate: newTemplate });
-  }, [data, id, promptTemplate]);
+    updateNodeData(id, { formatType: value, promptTemplate: newTemplate });
+  }, [updateNodeData, id, promptTemplate, formatPresets]);
 
   const handleIncludeMetadataChange = useCallback((checked) => {
     setIncludeMetadata(checked);
-    data.onChange?.(id, { ...data, includeMetadata: checked });
-  }, [data, id]);
+    updateNodeData(id, { includeMetadata: checked });
+  }, [updateNodeData, id]);
 
   const handleIncludeUrlsChange = useCallback((checked) => {
     setIncludeUrls(checked);
-    data.onChange?.(id, { ...data, includeUrls: checked });
-  }, [data, id]);
+    updateNodeData(id, { includeUrls: checked });
+  }, [updateNodeData, id]);
 
   const handleCleanTextChange = useCallback((checked) => {
     setCleanText(checked);
-    data.onChange?.(id, { ...data, cleanText: checked });
-  }, [data, id]);
+    updateNodeData(id, { cleanText: checked });
+  }, [updateNodeData, id]);
 
   const handleMaxLengthChange = useCallback((value) => {
     setMaxLength(value);
-    data.onChange?.(id, { ...data, maxLength: value });
-  }, [data, id]);
+    updateNodeData(id, { maxLength: value });
+  }, [updateNodeData, id]);
 
   const availableVariables = [
     { name: '{{title}}', desc: 'Page title' },
@@ -137,6 +75,7 @@ Format as a structured comparison in markdown.`;
     { name: '{{keywords}}', desc: 'Keywords' },
     { name: '{{author}}', desc: 'Author' },
     { name: '{{date}}', desc: 'Publication date' },
+    { name: '{{query}}', desc: 'Search query' },
   ];
 
   return (
@@ -263,6 +202,9 @@ Format as a structured comparison in markdown.`;
         position={Position.Right}
         style={{ background: '#f97316' }}
       />
+      {data.config?.onError === 'errorOutput' && (
+        <Handle type="source" position={Position.Bottom} id="error" className="w-3 h-3 bg-red-500" title="On error" />
+      )}
     </Card>
   );
 };
@@ -6,39 +6,48 @@ import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Slider } from '@/components/ui/slider';
 import { Search, Globe } from 'lucide-react';
+import useWorkflowStore from '../../stores/workflowStore';
 
 const GoogleSearchNode = ({ data, id, selected }) => {
+  const updateNodeData = useWorkflowStore((state) => state.updateNodeData);
   const [query, setQuery] = useState(data.query || '');
-  const [numResults, setNumResults] = useState(data.numResults || [10]);
+  const [numResults, setNumResults] = useState([Number(Array.isArray(data.numResults) ? data.numResults[0] : data.numResults) || 10]);
   const [language, setLanguage] = useState(data.language || 'en');
   const [region, setRegion] = useState(data.region || 'us');
   const [safeSearch, setSafeSearch] = useState(data.safeSearch || 'moderate');
+  const [provider, setProvider] = useState(data.provider || 'default');
 
   const handleQueryChange = useCallback((e) => {
     const newQuery = e.target.value;
     setQuery(newQuery);
-    data.onChange?.(id, { ...data, query: newQuery });
-  }, [data, id]);
+    updateNodeData(id, { query: newQuery });
+  }, [updateNodeData, id]);
 
   const handleNumResultsChange = useCallback((value) => {
     setNumResults(value);
-    data.onChange?.(id, { ...data, numResults: value[0] });
-  }, [data, id]);
+    updateNodeData(id, { numResults: value[0] });
+  }, [updateNodeData, id]);
 
   const handleLanguageChange = useCallback((value) => {
     setLanguage(value);
-    data.onChange?.(id, { ...data, language: value });
-  }, [data, id]);
+    updateNodeData(id, { language: value });
+  }, [updateNodeData, id]);
 
   const handleRegionChange = useCallback((value) => {
     setRegion(value);
-    data.onChange?.(id, { ...data, region: value });
-  }, [data, id]);
+    updateNodeData(id, { region: value });
+  }, [updateNodeData, id]);
 
   const handleSafeSearchChange = useCallback((value) => {
     setSafeSearch(value);
-    data.onChange?.(id, { ...data, safeSearch: value });
-  }, [data, id]);
+    updateNodeData(id, { safeSearch: value });
+  }, [updateNodeData, id]);
+
+  const handleProviderChange = useCallback((value) => {
+    setProvider(value);
+    // "default" leaves the choice to the server's SEARCH_PROVIDER
+    updateNodeData(id, { provider: value === 'default' ? undefined : value });
+  }, [updateNodeData, id]);
 
   return (
     <Card className={`min-w-[300px] ${selected ? 'ring-2 ring-blue-500' : ''}`}>
@@ -130,9 +139,24 @@ const GoogleSearchNode = ({ data, id, selected }) => {
           </Select>
         </div>
 
+        <div>
+          <Label className="text-xs">Provider</Label>
+          <Select value={provider} onValueChange={handleProviderChange}>
+            <SelectTrigger className="mt-1">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="default">Server Default</SelectItem>
+              <SelectItem value="google">Google Programmable Search</SelectItem>
+              <SelectItem value="searxng">SearXNG</SelectItem>
+              <SelectItem value="fixture">Local Fixtures</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
         <div className="text-xs text-muted-foreground mt-3 p-2 bg-muted rounded">
           <Globe className="h-3 w-3 inline mr-1" />
-          Searches Google for the specified query and returns URLs and snippets
+          Searches the web for the specified query and returns URLs and snippets
         </div>
       </CardContent>
 
@@ -149,6 +173,9 @@ const GoogleSearchNode = ({ data, id, selected }) => {
         position={Position.Right}
         style={{ background: '#10b981' }}
       />
+      {data.config?.onError === 'errorOutput' && (
+        <Handle type="source" position={Position.Bottom} id="error" className="w-3 h-3 bg-red-500" title="On error" />
+      )}
     </Card>
   );
 };
@@ -1,7 +1,11 @@
 import React, { useState, useCallback, useEffect } from 'react';
 import { Handle, Position } from 'reactflow';
+import { apiRequest, getSessionToken } from '../../lib/compute';
+import { ensureSession } from '../../lib/auth';
+import useWorkflowStore from '../../stores/workflowStore';
 
 const GoogleSheetsNode = ({ data, id }) => {
+  const updateNodeData = useWorkflowStore((state) => state.updateNodeData);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [spreadsheets, setSpreadsheets] = useState([]);
   const [selectedSpreadsheet, setSelectedSpreadsheet] = useState(data.selectedSpreadsheet || '');
@@ -13,7 +17,6 @@ const GoogleSheetsNode = ({ data, id }) => {
 
   // Google OAuth configuration
   const GOOGLE_CLIENT_ID = import.meta.env.VITE_GOOGLE_CLIENT_ID;
-  const GOOGLE_API_KEY = import.meta.env.VITE_GOOGLE_API_KEY;
   const REDIRECT_URI = import.meta.env.VITE_GOOGLE_REDIRECT_URI || window.location.origin;
 
   const SCOPES = [
@@ -22,14 +25,29 @@ const GoogleSheetsNode = ({ data, id }) => {
     'https://www.googleapis.com/auth/drive.readonly'
   ].join(' ');
 
+  const storeToken = (accessToken, expiresAt) => {
+    localStorage.setItem('google_access_token', accessToken);
+    localStorage.setItem('google_token_expiry', String(expiresAt));
+  };
+
   useEffect(() => {
-    // Check if user is already authenticated
+    // Check if user is already authenticated; the backend refreshes an
+    // expired token of the connection for the wallet that made it
     const token = localStorage.getItem('google_access_token');
     const expiry = localStorage.getItem('google_token_expiry');
+    const connectionId = localStorage.getItem('google_connection_id');
 
     if (token && expiry && Date.now() < parseInt(expiry)) {
       setIsAuthenticated(true);
       loadSpreadsheets();
+    } else if (connectionId && getSessionToken()) {
+      apiRequest('/api/google-sheets/token', 'POST', { connectionId })
+        .then(({ accessToken, expiresAt }) => {
+          storeToken(accessToken, expiresAt);
+          setIsAuthenticated(true);
+          loadSpreadsheets();
+        })
+        .catch((error) => console.error('Error refreshing Google token:', error));
     }
   }, []);
 
@@ -45,36 +63,27 @@ const GoogleSheetsNode = ({ data, id }) => {
     window.location.href = authUrl;
   }, [GOOGLE_CLIENT_ID, REDIRECT_URI, SCOPES]);
 
+  // The backend exchanges the code and keeps the refresh token, so runs
+  // without the browser (schedules, webhooks) can use the connection too
   const exchangeCodeForToken = useCallback(async (code) => {
     try {
-      const response = await fetch('https://oauth2.googleapis.com/token', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          client_id: GOOGLE_CLIENT_ID,
-          client_secret: import.meta.env.VITE_GOOGLE_CLIENT_SECRET,
-          code: code,
-          grant_type: 'authorization_code',
-          redirect_uri: REDIRECT_URI,
-        }),
+      // The connection belongs to the signed-in wallet
+      await ensureSession();
+      const { connectionId, accessToken, expiresAt } = await apiRequest('/api/google-sheets/connect', 'POST', {
+        code,
+        redirectUri: REDIRECT_URI
       });
 
-      const tokenData = await response.json();
-
-      if (tokenData.access_token) {
-        localStorage.setItem('google_access_token', tokenData.access_token);
-        localStorage.setItem('google_refresh_token', tokenData.refresh_token);
-        localStorage.setItem('google_token_expiry', (Date.now() + (tokenData.expires_in * 1000)).toString());
+      localStorage.setItem('google_connection_id', connectionId);
+      storeToken(accessToken, expiresAt);
+      updateNodeData(id, { connectionId });
 
-        setIsAuthenticated(true);
-        loadSpreadsheets();
-      }
+      setIsAuthenticated(true);
+      loadSpreadsheets();
     } catch (error) {
       console.error('Error exchanging code for token:', error);
     }
-  }, [GOOGLE_CLIENT_ID, REDIRECT_URI]);
+  }, [REDIRECT_URI, updateNodeData, id]);
 
   const loadSpreadsheets = useCallback(async () => {
     setIsLoading(true);
@@ -130,33 +139,29 @@ const GoogleSheetsNode = ({ data, id }) => {
     setSheets([]);
     loadSheets(spreadsheetId);
 
-    data.onChange?.(id, {
-      ...data,
+    updateNodeData(id, {
       selectedSpreadsheet: spreadsheetId,
       selectedSheet: '',
-      sheets: []
+      connectionId: localStorage.getItem('google_connection_id') || data.connectionId
     });
-  }, [data, id, loadSheets]);
+  }, [data.connectionId, id, loadSheets, updateNodeData]);
 
   const handleSheetChange = useCallback((e) => {
     const sheetName = e.target.value;
     setSelectedSheet(sheetName);
 
-    data.onChange?.(id, {
-      ...data,
-      selectedSheet: sheetName
-    });
-  }, [data, id]);
+    updateNodeData(id, { selectedSheet: sheetName });
+  }, [updateNodeData, id]);
 
   const handleRangeChange = useCallback((e) => {
     setRange(e.target.value);
-    data.onChange?.(id, { ...data, range: e.target.value });
-  }, [data, id]);
+    updateNodeData(id, { range: e.target.value });
+  }, [updateNodeData, id]);
 
   const handleOperationChange = useCallback((e) => {
     setOperation(e.target.value);
-    data.onChange?.(id, { ...data, operation: e.target.value });
-  }, [data, id]);
+    updateNodeData(id, { operation: e.target.value });
+  }, [updateNodeData, id]);
 
   // Handle OAuth callback
   useEffect(() => {
@@ -193,9 +198,16 @@ const GoogleSheetsNode = ({ data, id }) => {
               <span className="text-xs text-green-600 font-medium">✓ Connected</span>
               <button
                 onClick={() => {
+                  const connectionId = localStorage.getItem('google_connection_id');
+                  if (connectionId) {
+                    ensureSession()
+                      .then(() => apiRequest(`/api/google-sheets/connections/${connectionId}`, 'DELETE'))
+                      .catch((error) => console.error('Error disconnecting Google account:', error));
+                  }
                   localStorage.removeItem('google_access_token');
-                  localStorage.removeItem('google_refresh_token');
+                  localStorage.removeItem('google_connection_id');
                   localStorage.removeItem('google_token_expiry');
+                  updateNodeData(id, { connectionId: undefined });
                   setIsAuthenticated(false);
                   setSpreadsheets([]);
                   setSelectedSpreadsheet('');
@@ -267,11 +279,20 @@ const GoogleSheetsNode = ({ data, id }) => {
                 className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
               />
             </div>
+
+            {operation !== 'read' && (
+              <p className="text-xs text-gray-500">
+                Rows come from the input; objects are matched to columns by the header row
+              </p>
+            )}
           </div>
         )}
       </div>
 
       <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-green-500" />
+      {data.config?.onError === 'errorOutput' && (
+        <Handle type="source" position={Position.Right} id="error" className="w-3 h-3 bg-red-500" title="On error" />
+      )}
     </div>
   );
 };
@@ -1,7 +1,9 @@
 import React, { useState, useCallback } from 'react';
 import { Handle, Position } from 'reactflow';
+import useWorkflowStore from '../../stores/workflowStore';
 
 const HttpRequestNode = ({ data, id }) => {
+  const updateNodeData = useWorkflowStore((state) => state.updateNodeData);
   const [method, setMethod] = useState(data.method || 'GET');
   const [url, setUrl] = useState(data.url || '');
   const [headers, setHeaders] = useState(data.headers || []);
@@ -11,48 +13,48 @@ const HttpRequestNode = ({ data, id }) => {
 
   const handleMethodChange = useCallback((e) => {
     setMethod(e.target.value);
-    data.onChange?.(id, { ...data, method: e.target.value });
-  }, [data, id]);
+    updateNodeData(id, { method: e.target.value });
+  }, [updateNodeData, id]);
 
   const handleUrlChange = useCallback((e) => {
     setUrl(e.target.value);
-    data.onChange?.(id, { ...data, url: e.target.value });
-  }, [data, id]);
+    updateNodeData(id, { url: e.target.value });
+  }, [updateNodeData, id]);
 
   const handleHeaderChange = useCallback((index, field, value) => {
     const newHeaders = [...headers];
     newHeaders[index] = { ...newHeaders[index], [field]: value };
     setHeaders(newHeaders);
-    data.onChange?.(id, { ...data, headers: newHeaders });
-  }, [headers, data, id]);
+    updateNodeData(id, { headers: newHeaders });
+  }, [headers, updateNodeData, id]);
 
   const addHeader = useCallback(() => {
     const newHeaders = [...headers, { key: '', value: '' }];
     setHeaders(newHeaders);
-    data.onChange?.(id, { ...data, headers: newHeaders });
-  }, [headers, data, id]);
+    updateNodeData(id, { headers: newHeaders });
+  }, [headers, updateNodeData, id]);
 
   const removeHeader = useCallback((index) => {
     const newHeaders = headers.filter((_, i) => i !== index);
     setHeaders(newHeaders);
-    data.onChange?.(id, { ...data, headers: newHeaders });
-  }, [headers, data, id]);
+    updateNodeData(id, { headers: newHeaders });
+  }, [headers, updateNodeData, id]);
 
   const handleBodyChange = useCallback((e) => {
     setBody(e.target.value);
-    data.onChange?.(id, { ...data, body: e.target.value });
-  }, [data, id]);
+    updateNodeData(id, { body: e.target.value });
+  }, [updateNodeData, id]);
 
   const handleAuthTypeChange = useCallback((e) => {
     setAuthType(e.target.value);
-    data.onChange?.(id, { ...data, authType: e.target.value });
-  }, [data, id]);
+    updateNodeData(id, { authType: e.target.value });
+  }, [updateNodeData, id]);
 
   const handleAuthDataChange = useCallback((field, value) => {
     const newAuthData = { ...authData, [field]: value };
     setAuthData(newAuthData);
-    data.onChange?.(id, { ...data, authData: newAuthData });
-  }, [authData, data, id]);
+    updateNodeData(id, { authData: newAuthData });
+  }, [authData, updateNodeData, id]);
 
   return (
     <div className="bg-white border-2 border-blue-300 rounded-lg p-4 shadow-lg min-w-[300px]">
@@ -193,6 +195,9 @@ const HttpRequestNode = ({ data, id }) => {
       </div>
 
       <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-blue-500" />
+      {data.config?.onError === 'errorOutput' && (
+        <Handle type="source" position={Position.Right} id="error" className="w-3 h-3 bg-red-500" title="On error" />
+      )}
     </div>
   );
 };
@@ -4,6 +4,7 @@ import { Card, CardContent } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { 
   GitBranch, 
+  GitMerge,
   RotateCcw, 
   Variable, 
   Shuffle,
@@ -26,6 +27,8 @@ const LogicNode = ({ id, data, selected }) => {
         return <div className="absolute -top-1 -right-1 w-3 h-3 bg-green-500 rounded-full" title="Completed" />
       case 'error':
         return <div className="absolute -top-1 -right-1 w-3 h-3 bg-red-500 rounded-full" title="Error" />
+      case 'skipped':
+        return <div className="absolute -top-1 -right-1 w-3 h-3 bg-gray-400 rounded-full" title="Skipped" />
       default:
         return null
     }
@@ -41,6 +44,8 @@ const LogicNode = ({ id, data, selected }) => {
         return 'border-green-400'
       case 'error':
         return 'border-red-400'
+      case 'skipped':
+        return 'border-dashed border-gray-300 opacity-60'
       default:
         return 'border-green-200 dark:border-green-800'
     }
@@ -61,6 +66,8 @@ const LogicNode = ({ id, data, selected }) => {
         return <Calculator className="h-4 w-4" />
       case 'code':
         return <Code className="h-4 w-4" />
+      case 'join':
+        return <GitMerge className="h-4 w-4" />
       default:
         return <GitBranch className="h-4 w-4" />
     }
@@ -87,14 +94,27 @@ const LogicNode = ({ id, data, selected }) => {
     }
   }
 
+  const getVariableDescription = (config) => {
+    const name = config?.variableName || 'variable'
+    const scope = config?.scope === 'persistent' ? ' (persistent)' : ''
+    switch (config?.operation) {
+      case 'get':
+        return `get ${name}${scope}`
+      case 'increment':
+        return `${name} += ${config?.amount || 1}${scope}`
+      default:
+        return `${name} = ${config?.variableValue || 'input'}${scope}`
+    }
+  }
+
   const getLogicDescription = (type, config) => {
     switch (type) {
       case 'condition':
         return config?.condition || 'if (condition) { ... }'
       case 'loop':
-        return config?.type === 'for' ? `for (${config.iterations || 'n'} times)` : 'while (condition)'
+        return `for each ${config?.loopVariable || 'item'} in ${config?.arrayExpression || 'data'}`
       case 'variable':
-        return config?.name ? `${config.name} = ${config.value || 'value'}` : 'variable = value'
+        return getVariableDescription(config)
       case 'transform':
         return config?.operation || 'transform data'
       case 'filter':
@@ -103,6 +123,8 @@ const LogicNode = ({ id, data, selected }) => {
         return config?.expression || 'mathematical operation'
       case 'code':
         return config?.language || 'JavaScript'
+      case 'join':
+        return `wait for all, merge ${config?.mergeStrategy || 'bySource'}`
       default:
         return 'logic operation'
     }
@@ -112,6 +134,9 @@ const LogicNode = ({ id, data, selected }) => {
     return type === 'condition' || type === 'filter'
   }
 
+  // The sidebar sets the logic type in config.type, the palette in data.type
+  const logicType = data.config?.type || data.type
+
   return (
     <div className="relative">
       {getExecutionStateIndicator()}
@@ -119,11 +144,11 @@ const LogicNode = ({ id, data, selected }) => {
         <CardContent className="p-3">
         <div className="flex items-center space-x-2 mb-2">
           <div className="flex h-8 w-8 items-center justify-center rounded-lg bg-gradient-to-br from-green-500 to-emerald-600 text-white">
-            {getIcon(data.type)}
+            {getIcon(logicType)}
           </div>
           <div className="flex-1 min-w-0">
             <div className="font-medium text-sm truncate">{data.label}</div>
-            <Badge variant="secondary" className={`text-xs ${getTypeColor(data.type)}`}>
+            <Badge variant="secondary" className={`text-xs ${getTypeColor(logicType)}`}>
               {data.type}
             </Badge>
           </div>
@@ -133,7 +158,7 @@ const LogicNode = ({ id, data, selected }) => {
           <div>
             <span className="font-medium">Logic:</span>
             <div className="text-xs bg-muted p-2 rounded font-mono mt-1">
-              {getLogicDescription(data.type, data.config)}
+              {getLogicDescription(logicType, data.config)}
             </div>
           </div>
           
@@ -158,7 +183,7 @@ const LogicNode = ({ id, data, selected }) => {
             <div className="w-2 h-2 bg-green-500 rounded-full"></div>
             <span className="text-xs text-muted-foreground">Ready</span>
           </div>
-          {hasMultipleOutputs(data.type) && (
+          {hasMultipleOutputs(logicType) && (
             <Badge variant="outline" className="text-xs">
               Multi-path
             </Badge>
@@ -172,7 +197,27 @@ const LogicNode = ({ id, data, selected }) => {
         className="w-3 h-3 bg-green-500 border-2 border-white"
       />
       
-      {hasMultipleOutputs(data.type) ? (
+      {logicType === 'loop' ? (
+        <>
+          {/* "item" runs the body once per element, "done" fires with all results */}
+          <Handle
+            type="source"
+            position={Position.Right}
+            id="item"
+            style={{ top: '30%' }}
+            className="w-3 h-3 bg-emerald-500 border-2 border-white"
+            title="Each item"
+          />
+          <Handle
+            type="source"
+            position={Position.Right}
+            id="done"
+            style={{ top: '70%' }}
+            className="w-3 h-3 bg-gray-500 border-2 border-white"
+            title="Done"
+          />
+        </>
+      ) : hasMultipleOutputs(logicType) ? (
         <>
           <Handle
             type="source"
@@ -196,6 +241,15 @@ const LogicNode = ({ id, data, selected }) => {
           className="w-3 h-3 bg-green-500 border-2 border-white"
         />
       )}
+      {data.config?.onError === 'errorOutput' && (
+        <Handle
+          type="source"
+          position={Position.Bottom}
+          id="error"
+          className="w-3 h-3 bg-red-500 border-2 border-white"
+          title="On error"
+        />
+      )}
     </Card>
     </div>
   )
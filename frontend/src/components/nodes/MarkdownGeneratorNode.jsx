@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { Handle, Position } from 'reactflow';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
@@ -8,160 +8,97 @@ import { Checkbox } from '@/components/ui/checkbox';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
 import { FileDown, File, Calendar, Download, Eye } from 'lucide-react';
+import useWorkflowStore from '../../stores/workflowStore';
 
 const MarkdownGeneratorNode = ({ data, id, selected }) => {
+  const updateNodeData = useWorkflowStore((state) => state.updateNodeData);
+  // The report generated by the last run
+  const report = useWorkflowStore((state) => state.nodeRuntimeData[id]);
   const [fileName, setFileName] = useState(data.fileName || 'research-report');
   const [includeTimestamp, setIncludeTimestamp] = useState(data.includeTimestamp !== false);
   const [includeToC, setIncludeToC] = useState(data.includeToC !== false);
   const [includeMetadata, setIncludeMetadata] = useState(data.includeMetadata !== false);
   const [templateStyle, setTemplateStyle] = useState(data.templateStyle || 'professional');
-  const [headerTemplate, setHeaderTemplate] = useState(data.headerTemplate || `# Research Report
-
-**Generated on:** {{date}}  
-**Query:** {{query}}  
-**Sources:** {{sourceCount}} websites analyzed  
-
----
-
-`);
-  const [footerTemplate, setFooterTemplate] = useState(data.footerTemplate || `
-
----
-
-*Report generated by Agent0G Web Research Tool*  
-*Generated on: {{timestamp}}*`);
+  const reportStyles = useWorkflowStore((state) => state.reportPresets?.reportStyles);
+  const loadReportPresets = useWorkflowStore((state) => state.loadReportPresets);
+  const [headerTemplate, setHeaderTemplate] = useState(data.headerTemplate);
+  const [footerTemplate, setFooterTemplate] = useState(data.footerTemplate);
+  const [showPreview, setShowPreview] = useState(false);
+
+  useEffect(() => {
+    loadReportPresets();
+  }, [loadReportPresets]);
+
+  // Without templates of its own the node uses its style's header and footer
+  useEffect(() => {
+    const style = reportStyles?.[templateStyle] || reportStyles?.professional;
+    if (!style) return;
+    setHeaderTemplate((header) => header ?? style.header);
+    setFooterTemplate((footer) => footer ?? style.footer);
+  }, [reportStyles, templateStyle]);
 
   const handleFileNameChange = useCallback((e) => {
     const newFileName = e.target.value;
     setFileName(newFileName);
-    data.onChange?.(id, { ...data, fileName: newFileName });
-  }, [data, id]);
+    updateNodeData(id, { fileName: newFileName });
+  }, [updateNodeData, id]);
 
   const handleIncludeTimestampChange = useCallback((checked) => {
     setIncludeTimestamp(checked);
-    data.onChange?.(id, { ...data, includeTimestamp: checked });
-  }, [data, id]);
+    updateNodeData(id, { includeTimestamp: checked });
+  }, [updateNodeData, id]);
 
   const handleIncludeToCChange = useCallback((checked) => {
     setIncludeToC(checked);
-    data.onChange?.(id, { ...data, includeToC: checked });
-  }, [data, id]);
+    updateNodeData(id, { includeToC: checked });
+  }, [updateNodeData, id]);
 
   const handleIncludeMetadataChange = useCallback((checked) => {
     setIncludeMetadata(checked);
-    data.onChange?.(id, { ...data, includeMetadata: checked });
-  }, [data, id]);
+    updateNodeData(id, { includeMetadata: checked });
+  }, [updateNodeData, id]);
 
   const handleTemplateStyleChange = useCallback((value) => {
     setTemplateStyle(value);
     
-    // Auto-update templates based on style
-    let newHeader = headerTemplate;
-    let newFooter = footerTemplate;
-    
-    switch (value) {
-      case 'professional':
-        newHeader = `# Research Report
-
-**Generated on:** {{date}}  
-**Query:** {{query}}  
-**Sources:** {{sourceCount}} websites analyzed  
-
----
-
-`;
-        newFooter = `
-
----
-
-*Report generated by Agent0G Web Research Tool*  
-*Generated on: {{timestamp}}*`;
-        break;
-      case 'academic':
-        newHeader = `# {{query}}: Research Analysis
-
-**Abstract:** This report presents a comprehensive analysis of {{query}} based on {{sourceCount}} web sources.
-
-**Date:** {{date}}  
-**Methodology:** Automated web scraping and AI-powered content analysis  
-
-## Executive Summary
-
-`;
-        newFooter = `
-
-## References
-
-{{sources}}
-
----
-
-**Disclaimer:** This report was generated using automated web scraping and AI analysis. Please verify important information from original sources.
-
-*Generated by Agent0G Research Platform on {{timestamp}}*`;
-        break;
-      case 'blog':
-        newHeader = `# {{query}}: What I Found Out
-
-Hey there! I did some research on **{{query}}** and here's what I discovered from {{sourceCount}} different sources around the web.
-
-*Published on {{date}}*
-
-`;
-        newFooter = `
-
----
-
-That's a wrap! Hope this research was helpful. 
-
-*Automatically generated by Agent0G on {{timestamp}}*`;
-        break;
-      case 'minimal':
-        newHeader = `# {{query}}
-
-{{date}}
-
-`;
-        newFooter = `
-
----
-*{{timestamp}}*`;
-        break;
-      default:
-        break;
-    }
+    // Styles replace the templates; "custom" keeps the current ones
+    const newHeader = reportStyles?.[value]?.header ?? headerTemplate;
+    const newFooter = reportStyles?.[value]?.footer ?? footerTemplate;
     
     setHeaderTemplate(newHeader);
     setFooterTemplate(newFooter);
-    data.onChange?.(id, { 
-      ...data, 
+    updateNodeData(id, {
       templateStyle: value,
       headerTemplate: newHeader,
       footerTemplate: newFooter
     });
-  }, [data, id, headerTemplate, footerTemplate]);
+  }, [updateNodeData, id, headerTemplate, footerTemplate, reportStyles]);
 
   const handleHeaderTemplateChange = useCallback((e) => {
     const newHeader = e.target.value;
     setHeaderTemplate(newHeader);
-    data.onChange?.(id, { ...data, headerTemplate: newHeader });
-  }, [data, id]);
+    updateNodeData(id, { headerTemplate: newHeader });
+  }, [updateNodeData, id]);
 
   const handleFooterTemplateChange = useCallback((e) => {
     const newFooter = e.target.value;
     setFooterTemplate(newFooter);
-    data.onChange?.(id, { ...data, footerTemplate: newFooter });
-  }, [data, id]);
+    updateNodeData(id, { footerTemplate: newFooter });
+  }, [updateNodeData, id]);
 
   const handlePreview = useCallback(() => {
-    // This would show a preview of the generated markdown
-    console.log('Preview markdown output');
+    setShowPreview((shown) => !shown);
   }, []);
 
   const handleDownload = useCallback(() => {
-    // This would trigger the download of the generated markdown
-    console.log('Download markdown file');
-  }, []);
+    if (!report?.markdown) return;
+    const url = URL.createObjectURL(new Blob([report.markdown], { type: 'text/markdown;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = report.fileName || `${fileName || 'report'}.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [report, fileName]);
 
   return (
     <Card className={`min-w-[350px] ${selected ? 'ring-2 ring-blue-500' : ''}`}>
@@ -245,7 +182,7 @@ That's a wrap! Hope this research was helpful.
           <Textarea
             id="header-template"
             placeholder="Markdown header template..."
-            value={headerTemplate}
+            value={headerTemplate ?? ''}
             onChange={handleHeaderTemplateChange}
             className="mt-1 text-xs font-mono"
             rows={4}
@@ -257,7 +194,7 @@ That's a wrap! Hope this research was helpful.
           <Textarea
             id="footer-template"
             placeholder="Markdown footer template..."
-            value={footerTemplate}
+            value={footerTemplate ?? ''}
             onChange={handleFooterTemplateChange}
             className="mt-1 text-xs font-mono"
             rows={3}
@@ -269,6 +206,7 @@ That's a wrap! Hope this research was helpful.
             variant="outline"
             size="sm"
             onClick={handlePreview}
+            disabled={!report?.markdown}
             className="flex-1 text-xs"
           >
             <Eye className="h-3 w-3 mr-1" />
@@ -278,6 +216,7 @@ That's a wrap! Hope this research was helpful.
             variant="outline"
             size="sm"
             onClick={handleDownload}
+            disabled={!report?.markdown}
             className="flex-1 text-xs"
           >
             <Download className="h-3 w-3 mr-1" />
@@ -285,6 +224,12 @@ That's a wrap! Hope this research was helpful.
           </Button>
         </div>
 
+        {showPreview && report?.markdown && (
+          <pre className="text-xs bg-muted p-2 rounded whitespace-pre-wrap max-h-64 overflow-y-auto font-mono">
+            {report.markdown}
+          </pre>
+        )}
+
         <div className="text-xs text-muted-foreground mt-3 p-2 bg-muted rounded">
           <File className="h-3 w-3 inline mr-1" />
           Generates downloadable markdown reports from research data
@@ -304,6 +249,9 @@ That's a wrap! Hope this research was helpful.
         position={Position.Right}
         style={{ background: '#8b5cf6' }}
       />
+      {data.config?.onError === 'errorOutput' && (
+        <Handle type="source" position={Position.Bottom} id="error" className="w-3 h-3 bg-red-500" title="On error" />
+      )}
     </Card>
   );
 };
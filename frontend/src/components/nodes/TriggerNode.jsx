@@ -26,6 +26,8 @@ const TriggerNode = ({ id, data, selected }) => {
         return <div className="absolute -top-1 -right-1 w-3 h-3 bg-green-500 rounded-full" title="Completed" />
       case 'error':
         return <div className="absolute -top-1 -right-1 w-3 h-3 bg-red-500 rounded-full" title="Error" />
+      case 'skipped':
+        return <div className="absolute -top-1 -right-1 w-3 h-3 bg-gray-400 rounded-full" title="Skipped" />
       default:
         return null
     }
@@ -41,6 +43,8 @@ const TriggerNode = ({ id, data, selected }) => {
         return 'border-green-400'
       case 'error':
         return 'border-red-400'
+      case 'skipped':
+        return 'border-dashed border-gray-300 opacity-60'
       default:
         return 'border-yellow-200 dark:border-yellow-800'
     }
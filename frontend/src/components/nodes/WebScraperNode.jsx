@@ -2,68 +2,77 @@ import React, { useState, useCallback } from 'react';
 import { Handle, Position } from 'reactflow';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
 import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Checkbox } from '@/components/ui/checkbox';
 import { Slider } from '@/components/ui/slider';
 import { Globe2, FileText, Image, Link, Clock } from 'lucide-react';
+import useWorkflowStore from '../../stores/workflowStore';
 
 const WebScraperNode = ({ data, id, selected }) => {
+  const updateNodeData = useWorkflowStore((state) => state.updateNodeData);
+  const [url, setUrl] = useState(data.url || '');
   const [extractionMode, setExtractionMode] = useState(data.extractionMode || 'text');
   const [selectors, setSelectors] = useState(data.selectors || '');
   const [includeImages, setIncludeImages] = useState(data.includeImages || false);
   const [includeLinks, setIncludeLinks] = useState(data.includeLinks || false);
-  const [includeMetadata, setIncludeMetadata] = useState(data.includeMetadata || true);
-  const [timeout, setTimeout] = useState(data.timeout || [30]);
+  const [includeMetadata, setIncludeMetadata] = useState(data.includeMetadata !== false);
+  const [timeout, setTimeout] = useState([Number(Array.isArray(data.timeout) ? data.timeout[0] : data.timeout) || 30]);
   const [userAgent, setUserAgent] = useState(data.userAgent || 'default');
   const [followRedirects, setFollowRedirects] = useState(data.followRedirects !== false);
   const [respectRobots, setRespectRobots] = useState(data.respectRobots !== false);
 
+  const handleUrlChange = useCallback((e) => {
+    setUrl(e.target.value);
+    updateNodeData(id, { url: e.target.value });
+  }, [updateNodeData, id]);
+
   const handleExtractionModeChange = useCallback((value) => {
     setExtractionMode(value);
-    data.onChange?.(id, { ...data, extractionMode: value });
-  }, [data, id]);
+    updateNodeData(id, { extractionMode: value });
+  }, [updateNodeData, id]);
 
   const handleSelectorsChange = useCallback((e) => {
     const newSelectors = e.target.value;
     setSelectors(newSelectors);
-    data.onChange?.(id, { ...data, selectors: newSelectors });
-  }, [data, id]);
+    updateNodeData(id, { selectors: newSelectors });
+  }, [updateNodeData, id]);
 
   const handleIncludeImagesChange = useCallback((checked) => {
     setIncludeImages(checked);
-    data.onChange?.(id, { ...data, includeImages: checked });
-  }, [data, id]);
+    updateNodeData(id, { includeImages: checked });
+  }, [updateNodeData, id]);
 
   const handleIncludeLinksChange = useCallback((checked) => {
     setIncludeLinks(checked);
-    data.onChange?.(id, { ...data, includeLinks: checked });
-  }, [data, id]);
+    updateNodeData(id, { includeLinks: checked });
+  }, [updateNodeData, id]);
 
   const handleIncludeMetadataChange = useCallback((checked) => {
     setIncludeMetadata(checked);
-    data.onChange?.(id, { ...data, includeMetadata: checked });
-  }, [data, id]);
+    updateNodeData(id, { includeMetadata: checked });
+  }, [updateNodeData, id]);
 
   const handleTimeoutChange = useCallback((value) => {
     setTimeout(value);
-    data.onChange?.(id, { ...data, timeout: value[0] });
-  }, [data, id]);
+    updateNodeData(id, { timeout: value[0] });
+  }, [updateNodeData, id]);
 
   const handleUserAgentChange = useCallback((value) => {
     setUserAgent(value);
-    data.onChange?.(id, { ...data, userAgent: value });
-  }, [data, id]);
+    updateNodeData(id, { userAgent: value });
+  }, [updateNodeData, id]);
 
   const handleFollowRedirectsChange = useCallback((checked) => {
     setFollowRedirects(checked);
-    data.onChange?.(id, { ...data, followRedirects: checked });
-  }, [data, id]);
+    updateNodeData(id, { followRedirects: checked });
+  }, [updateNodeData, id]);
 
   const handleRespectRobotsChange = useCallback((checked) => {
     setRespectRobots(checked);
-    data.onChange?.(id, { ...data, respectRobots: checked });
-  }, [data, id]);
+    updateNodeData(id, { respectRobots: checked });
+  }, [updateNodeData, id]);
 
   return (
     <Card className={`min-w-[320px] ${selected ? 'ring-2 ring-blue-500' : ''}`}>
@@ -74,6 +83,17 @@ const WebScraperNode = ({ data, id, selected }) => {
         </CardTitle>
       </CardHeader>
       <CardContent className="space-y-4">
+        <div>
+          <Label htmlFor="scrape-url" className="text-xs">URL</Label>
+          <Input
+            id="scrape-url"
+            placeholder="https://example.com (empty: URLs from the input)"
+            value={url}
+            onChange={handleUrlChange}
+            className="mt-1"
+          />
+        </div>
+
         <div>
           <Label className="text-xs">Extraction Mode</Label>
           <Select value={extractionMode} onValueChange={handleExtractionModeChange}>
@@ -93,12 +113,13 @@ const WebScraperNode = ({ data, id, selected }) => {
         {extractionMode === 'custom' && (
           <div>
             <Label htmlFor="selectors" className="text-xs">CSS Selectors</Label>
-            <Input
+            <Textarea
               id="selectors"
-              placeholder="e.g., article, .content, #main"
+              placeholder={'One field per line, e.g.\ntitle: h1\nprice: .product .price\nimage: img.hero @src'}
               value={selectors}
               onChange={handleSelectorsChange}
-              className="mt-1"
+              className="mt-1 font-mono text-xs"
+              rows={4}
             />
           </div>
         )}
@@ -215,6 +236,9 @@ const WebScraperNode = ({ data, id, selected }) => {
         position={Position.Right}
         style={{ background: '#3b82f6' }}
       />
+      {data.config?.onError === 'errorOutput' && (
+        <Handle type="source" position={Position.Bottom} id="error" className="w-3 h-3 bg-red-500" title="On error" />
+      )}
     </Card>
   );
 };
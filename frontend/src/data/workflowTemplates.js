@@ -15,7 +15,6 @@ export const webScrapingWorkflowTemplate = {
         region: 'us',
         safeSearch: 'moderate',
         label: 'Google Search',
-        onChange: () => {} // Placeholder function
       }
     },
     {
@@ -32,7 +31,6 @@ export const webScrapingWorkflowTemplate = {
         followRedirects: true,
         respectRobots: true,
         label: 'Web Scraper',
-        onChange: () => {} // Placeholder function
       }
     },
     {
@@ -59,7 +57,6 @@ Please provide:
 
 Format your response in clear, structured markdown.`,
         label: 'Data Formatter',
-        onChange: () => {} // Placeholder function
       }
     },
     {
@@ -78,7 +75,6 @@ Format your response in clear, structured markdown.`,
           temperature: 0.7,
           maxTokens: 2000
         },
-        onChange: () => {} // Placeholder function
       }
     },
     {
@@ -107,7 +103,6 @@ Format your response in clear, structured markdown.`,
 *Report generated by Agent0G Web Research Tool*  
 *Generated on: {{timestamp}}*`,
         label: 'Markdown Generator',
-        onChange: () => {} // Placeholder function
       }
     }
   ],
@@ -0,0 +1,43 @@
+import { getAccount, signMessage } from 'wagmi/actions';
+import { config } from './blockchain';
+import { apiRequest, getSessionToken, SESSION_STORAGE_KEY } from './compute';
+
+// Backend sign-in with the connected wallet: the backend hands out a
+// challenge, the wallet signs it and the signature is traded for a session
+// token, which apiRequest sends along as a Bearer token.
+
+const readSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+// Resolves with the session of the connected wallet, asking the wallet to
+// sign in when there is none yet (or it belongs to another account)
+export async function ensureSession() {
+  const { address } = getAccount(config);
+  if (!address) {
+    throw new Error('Connect your wallet to continue');
+  }
+
+  const session = readSession();
+  if (getSessionToken() && session.address === address.toLowerCase()) {
+    return session;
+  }
+
+  const { message } = await apiRequest('/api/auth/challenge', 'POST', { address });
+  const signature = await signMessage(config, { message });
+  const { token, expiresAt } = await apiRequest('/api/auth/session', 'POST', { address, signature });
+  const signedIn = { token, address: address.toLowerCase(), expiresAt };
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(signedIn));
+  return signedIn;
+}
+
+export async function signOut() {
+  if (getSessionToken()) {
+    await apiRequest('/api/auth/session', 'DELETE').catch(() => {});
+  }
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+}
@@ -18,17 +18,38 @@ export const endpoints = {
   addLedger: '/api/add-ledger',
   services: '/api/services',
   acknowledge: '/api/acknowledge',
-  inference: '/api/inference',
+  inference: '/api/services/query',
+  inferenceStream: '/api/services/query/stream',
+  embeddings: '/api/services/embeddings',
   storageUpload: '/api/storage/upload',
   storageFiles: '/api/storage/files',
 };
 
+// Wallet session token from the backend sign-in (see lib/auth.js)
+export const SESSION_STORAGE_KEY = 'agent0g_session';
+
+export const getSessionToken = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+    return session && new Date(session.expiresAt) > new Date() ? session.token : null;
+  } catch {
+    return null;
+  }
+};
+
+// Authorization header for the signed-in wallet, if any
+export const authHeaders = () => {
+  const token = getSessionToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 export async function apiRequest(path, method = 'GET', body, extraHeaders) {
   const url = buildApiUrl(path);
   const res = await fetch(url, {
     method,
     headers: {
       'Content-Type': 'application/json',
+      ...authHeaders(),
       ...(extraHeaders || {}),
     },
     body: body ? JSON.stringify(body) : undefined,
@@ -36,7 +57,7 @@ export async function apiRequest(path, method = 'GET', body, extraHeaders) {
   const contentType = res.headers.get('content-type') || '';
   const data = contentType.includes('application/json') ? await res.json() : await res.text();
   if (!res.ok) {
-    const errMsg = typeof data === 'string' ? data : data?.error || 'Request failed';
+    const errMsg = typeof data === 'string' ? data : data?.details || data?.error || 'Request failed';
     throw new Error(errMsg);
   }
   return data;
@@ -51,9 +72,54 @@ export const refund = (opts = {}) => apiRequest(endpoints.refund, 'POST', opts);
 export const addLedger = (amount) => apiRequest(endpoints.addLedger, 'POST', { amount });
 export const acknowledge = (providerAddress) => apiRequest(endpoints.acknowledge, 'POST', { providerAddress });
 
-// Inference expects providerAddress, prompt, userAddress
-export const inference = (providerAddress, prompt, userAddress) =>
-  apiRequest(endpoints.inference, 'POST', { providerAddress, prompt, userAddress });
+// Inference expects providerAddress and prompt; options add systemPrompt, messages, temperature,
+// max_tokens, top_p, stop, and for vision nodes images (URLs) and/or files
+export const inference = (providerAddress, prompt, options = {}) =>
+  apiRequest(endpoints.inference, 'POST', { providerAddress, query: prompt, ...options });
+
+// Streaming inference, same parameters: onToken gets the answer piece by piece
+// as the provider generates it, and the promise resolves with the verified
+// response once the stream is done. Aborted through options.signal. When a
+// structured answer is retried, options.onRetry gets { attempt, reason } and the
+// tokens so far belong to the rejected attempt.
+export async function streamInference(providerAddress, prompt, { signal, onRetry, ...options } = {}, onToken) {
+  const res = await fetch(buildApiUrl(endpoints.inferenceStream), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ providerAddress, query: prompt, ...options }),
+    signal,
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.details || data.error || `Streaming request failed (${res.status})`);
+  }
+
+  // Server-Sent Events: `token` (and `retry`) events, then `done` or `error`
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const event of events) {
+      const type = event.match(/^event: (.*)$/m)?.[1];
+      const data = event.match(/^data: (.*)$/m)?.[1];
+      if (!type || data === undefined) continue;
+      const payload = JSON.parse(data);
+      if (type === 'token') onToken?.(payload.content);
+      else if (type === 'retry') onRetry?.(payload);
+      else if (type === 'done') return payload;
+      else if (type === 'error') throw new Error(payload.details || payload.error);
+    }
+  }
+  throw new Error('The inference stream ended without a response');
+}
+
+// Embeddings take a text or list of texts; embedding nodes add operation, compareText, similarityMetric
+export const embeddings = (providerAddress, input, options = {}) =>
+  apiRequest(endpoints.embeddings, 'POST', { providerAddress, input, ...options });
 
 // Storage: upload via multipart must be handled by caller (FormData)
 export const listFiles = () => apiRequest(endpoints.storageFiles);
\ No newline at end of file
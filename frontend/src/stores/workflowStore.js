@@ -1,62 +1,15 @@
 import { create } from 'zustand';
 import { devtools, persist } from 'zustand/middleware';
-import { getServices as apiGetServices, inference as apiInference, buildApiUrl } from '../lib/compute';
+import { ensureSession } from '../lib/auth';
+import { getServices as apiGetServices, buildApiUrl, apiRequest, getSessionToken } from '../lib/compute';
 import { registerAgent as contractRegisterAgent } from '../lib/agentRegistry';
 import { applyNodeChanges, applyEdgeChanges, addEdge } from 'reactflow';
 
-// Helper function to execute sandboxed JavaScript for logic nodes
-const executeLogic = (code, inputData) => {
-  return new Promise((resolve, reject) => {
-    // Create a sandboxed environment using a Web Worker
-    const workerCode = `
-      self.onmessage = function(e) {
-        const { code, inputData } = e.data;
-        try {
-          // User code has access to 'data' and should return a result.
-          const func = new Function('data', code);
-          const result = func(inputData);
-          self.postMessage({ success: true, result });
-        } catch (error) {
-          self.postMessage({ success: false, error: error.message });
-        }
-      };
-    `;
-    const blob = new Blob([workerCode], { type: 'application/javascript' });
-    const worker = new Worker(URL.createObjectURL(blob));
-
-    worker.onmessage = (e) => {
-      if (e.data.success) {
-        resolve(e.data.result);
-      } else {
-        reject(new Error(e.data.error));
-      }
-      worker.terminate();
-    };
-
-    worker.onerror = (e) => {
-      reject(new Error(`Logic execution error: ${e.message}`));
-      worker.terminate();
-    };
-
-    worker.postMessage({ code, inputData });
-  });
-};
-
-// Helper function to add timeout to async operations
-const withTimeout = (promise, timeoutMs, operation = 'Operation') => {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error(`${operation} timed out after ${timeoutMs}ms`)), timeoutMs)
-    )
-  ]);
-};
+// Number of local runs kept in the persisted run history
+const MAX_LOCAL_RUNS = 20;
 
-// Helper function to format execution time
-const formatExecutionTime = (startTime) => {
-  const elapsed = Date.now() - startTime;
-  return elapsed < 1000 ? `${elapsed}ms` : `${(elapsed / 1000).toFixed(2)}s`;
-};
+// EventSource of the server run currently followed in the terminal
+let runEventSource = null;
 
 
 const useWorkflowStore = create(
@@ -102,7 +55,8 @@ const useWorkflowStore = create(
       config: {
         to: 'user@example.com',
         subject: 'AI Analysis Complete',
-        template: 'analysis_complete'
+        body: '{{input.response.content}}',
+        template: 'template'
       }
     },
   },
@@ -123,8 +77,15 @@ const useWorkflowStore = create(
         isLogPanelOpen: false,
         nodeRuntimeData: {},
         nodeExecutionState: {}, // Track execution state per node: 'pending', 'running', 'completed', 'error'
+        nodeStreams: {}, // Answer streamed so far per streaming AI node
         lastWorkflowHash: null, // Store the most recent workflow hash from save operation
         isContractMinting: false, // Track contract minting state
+        workflowId: null, // Backend workflow id, used to fetch server-side runs
+        runHistory: [], // Recorded local runs, newest first
+        serverRuns: [], // Run summaries fetched from the backend
+        isLoadingRuns: false,
+        executionConcurrency: 4, // Nodes of independent branches run at the same time
+        walletAddress: null, // Connected wallet; the backend takes the renter from its session
 
         // Actions
         setNodes: (nodes) => set({ nodes }),
@@ -165,6 +126,34 @@ const useWorkflowStore = create(
         setExecutionLogs: (logs) => set({ executionLogs: logs }),
         addLog: (log) => set((state) => ({ executionLogs: [...state.executionLogs, { message: log, timestamp: new Date() }] })),
         clearLogs: () => set({ executionLogs: [] }),
+        // Streamed answers show in the terminal as one entry per node, updated
+        // as tokens arrive
+        appendNodeStream: (nodeId, content) => set((state) => {
+          const text = (state.nodeStreams[nodeId] || '') + content;
+          const index = state.executionLogs.findIndex((log) => log.streamNodeId === nodeId);
+          const entry = {
+            message: `[${nodeId}] 💬 ${text}`,
+            timestamp: index >= 0 ? state.executionLogs[index].timestamp : new Date(),
+            streamNodeId: nodeId
+          };
+          return {
+            nodeStreams: { ...state.nodeStreams, [nodeId]: text },
+            executionLogs: index >= 0
+              ? state.executionLogs.map((log, i) => (i === index ? entry : log))
+              : [...state.executionLogs, entry]
+          };
+        }),
+        // A new attempt (retry, loop iteration) streams into a new entry
+        resetNodeStream: (nodeId) => set((state) => {
+          if (state.nodeStreams[nodeId] === undefined) return {};
+          const { [nodeId]: _previous, ...nodeStreams } = state.nodeStreams;
+          return {
+            nodeStreams,
+            executionLogs: state.executionLogs.map((log) => (
+              log.streamNodeId === nodeId ? { message: log.message, timestamp: log.timestamp } : log
+            ))
+          };
+        }),
         setIsLogPanelOpen: (isOpen) => set({ isLogPanelOpen: isOpen }),
         setNodeRuntimeData: (nodeId, data) => set(state => ({
           nodeRuntimeData: {
@@ -186,6 +175,169 @@ const useWorkflowStore = create(
         // Workflow hash management
         setLastWorkflowHash: (hash) => set({ lastWorkflowHash: hash }),
         setIsContractMinting: (minting) => set({ isContractMinting: minting }),
+
+        // Run history
+        setWorkflowId: (workflowId) => set({ workflowId: workflowId || null, serverRuns: [] }),
+        recordRun: (run) => set(state => ({
+          runHistory: [run, ...state.runHistory].slice(0, MAX_LOCAL_RUNS)
+        })),
+        clearRunHistory: () => set({ runHistory: [] }),
+        setExecutionConcurrency: (concurrency) => set({ executionConcurrency: concurrency }),
+        setWalletAddress: (address) => set({ walletAddress: address || null }),
+
+        // Show a recorded run (local or server) in the execution terminal and on the canvas
+        openRun: (run) => {
+          const nodeRuns = Object.entries(run.nodes || {});
+          set({
+            executionLogs: [
+              { message: `📼 Viewing run ${run.id} (trigger: ${run.trigger}, status: ${run.status}) from ${new Date(run.startedAt).toLocaleString()}`, timestamp: new Date() },
+              ...(run.logs || []).map(log => ({
+                // Server logs keep the node id separately
+                message: log.nodeId ? `[${log.nodeId}] ${log.message}` : log.message,
+                timestamp: new Date(log.timestamp)
+              }))
+            ],
+            nodeExecutionState: Object.fromEntries(nodeRuns.map(([nodeId, nodeRun]) => [nodeId, nodeRun.state])),
+            nodeRuntimeData: Object.fromEntries(
+              nodeRuns.filter(([, nodeRun]) => nodeRun.output != null).map(([nodeId, nodeRun]) => [nodeId, nodeRun.output])
+            ),
+            isLogPanelOpen: true
+          });
+        },
+
+        // Runs are only listed for the workflow's owner: without a session
+        // this waits for one unless asked to sign in
+        loadServerRuns: async ({ signIn = false } = {}) => {
+          const { workflowId, addLog } = get();
+          if (!workflowId || (!signIn && !getSessionToken())) return;
+
+          set({ isLoadingRuns: true });
+          try {
+            await ensureSession();
+            const data = await apiRequest(`/api/workflow/${encodeURIComponent(workflowId)}/runs`);
+            set({ serverRuns: data.runs || [] });
+          } catch (error) {
+            console.error('Failed to load runs:', error);
+            addLog(`❌ Failed to load runs for workflow ${workflowId}: ${error.message}`);
+            set({ serverRuns: [] });
+          } finally {
+            set({ isLoadingRuns: false });
+          }
+        },
+
+        // Run the current canvas on the backend engine and follow it live. Runs
+        // the whole workflow, or what is downstream of startNodeId.
+        runWorkflow: async (startNodeId) => {
+          const { nodes, edges, workflowId, executionConcurrency, addLog, setIsLogPanelOpen, watchRun } = get();
+          setIsLogPanelOpen(true);
+          // Buttons pass their click event
+          if (typeof startNodeId !== 'string') startNodeId = undefined;
+          try {
+            // Inline workflows only run for a signed-in wallet
+            await ensureSession();
+            const data = await apiRequest('/api/workflow/execute', 'POST', {
+              workflow: { id: workflowId || undefined, nodes, edges, settings: { concurrency: executionConcurrency } },
+              startNodeId,
+              accessToken: localStorage.getItem('google_access_token') || undefined,
+              googleConnectionId: localStorage.getItem('google_connection_id') || undefined,
+              async: true
+            });
+            watchRun(data.runId);
+            return data.runId;
+          } catch (error) {
+            console.error('Failed to start server run:', error);
+            addLog(`❌ Failed to start server run: ${error.message}`);
+          }
+        },
+
+        // Follow a server run over SSE. The backend replays the run from the start
+        // on every new connection, and from Last-Event-ID when EventSource reconnects.
+        watchRun: (runId) => {
+          runEventSource?.close();
+          // EventSource can't send the session as a header
+          const token = getSessionToken();
+          const query = token ? `?token=${encodeURIComponent(token)}` : '';
+          const source = new EventSource(buildApiUrl(`/api/runs/${encodeURIComponent(runId)}/events${query}`));
+          runEventSource = source;
+
+          const parse = (handler) => (event) => handler(JSON.parse(event.data));
+
+          source.addEventListener('run:start', parse(() => {
+            set({
+              executionLogs: [],
+              nodeExecutionState: {},
+              nodeRuntimeData: {},
+              nodeStreams: {},
+              isRunning: true,
+              isLogPanelOpen: true
+            });
+          }));
+
+          source.addEventListener('node:state', parse(({ nodeId, state, output }) => {
+            const { setNodeExecutionState, setNodeRuntimeData, setNodeData, resetNodeStream } = get();
+            setNodeExecutionState(nodeId, state);
+            if (state === 'running') resetNodeStream(nodeId);
+            if (state === 'completed' && output != null) {
+              setNodeData(nodeId, output);
+              setNodeRuntimeData(nodeId, output);
+            }
+          }));
+
+          source.addEventListener('node:token', parse(({ nodeId, content }) => {
+            get().appendNodeStream(nodeId, content);
+          }));
+
+          // A new attempt replaces the answer streamed so far
+          source.addEventListener('node:retry', parse(({ nodeId }) => {
+            get().resetNodeStream(nodeId);
+          }));
+
+          source.addEventListener('log', parse(({ nodeId, message, timestamp }) => {
+            set(state => ({
+              executionLogs: [
+                ...state.executionLogs,
+                { message: nodeId ? `[${nodeId}] ${message}` : message, timestamp: new Date(timestamp) }
+              ]
+            }));
+          }));
+
+          source.addEventListener('run:end', parse((run) => {
+            source.close();
+            if (runEventSource === source) runEventSource = null;
+            set({ isRunning: false });
+            // Keep it in this browser's run history, with the log as shown
+            get().recordRun({
+              ...run,
+              logs: get().executionLogs.map(log => ({ message: log.message, timestamp: log.timestamp.toISOString() }))
+            });
+            if (run.workflowId && run.workflowId === get().workflowId) {
+              get().loadServerRuns();
+            }
+          }));
+
+          source.onerror = () => {
+            // EventSource retries on its own unless the server refused the stream
+            if (source.readyState === EventSource.CLOSED) {
+              if (runEventSource === source) runEventSource = null;
+              set({ isRunning: false });
+              get().addLog(`❌ Lost the event stream of run ${runId}`);
+            }
+          };
+        },
+
+        // Server runs are listed as summaries; fetch the full record before opening
+        openServerRun: async (runId) => {
+          const { openRun, addLog } = get();
+          try {
+            await ensureSession();
+            const data = await apiRequest(`/api/runs/${encodeURIComponent(runId)}`);
+            openRun(data.run);
+            return data.run;
+          } catch (error) {
+            console.error('Failed to load run:', error);
+            addLog(`❌ Failed to load run ${runId}: ${error.message}`);
+          }
+        },
         
         // View control
         centerOnFirstNode: () => {
@@ -272,21 +424,18 @@ const useWorkflowStore = create(
 
         getNodeData: (nodeId) => get().nodeData[nodeId],
 
-        // Get data from connected input nodes
-        getConnectedInputData: (nodeId) => {
-          const { edges, nodeData, nodeRuntimeData } = get();
-          const inputEdges = edges.filter((edge) => edge.target === nodeId);
-          const inputData = {};
-
-          inputEdges.forEach((edge) => {
-            const sourceData = nodeRuntimeData[edge.source] || nodeData[edge.source];
-            if (sourceData) {
-              // A simple merge, could be more sophisticated
-              Object.assign(inputData, sourceData);
-            }
-          });
-
-          return inputData;
+        // Prompt presets and report styles of formatter and report nodes, from the backend
+        reportPresets: null,
+        loadReportPresets: async () => {
+          if (get().reportPresets) return get().reportPresets;
+          try {
+            const { formatPresets, reportStyles } = await apiRequest('/api/templates/presets');
+            set({ reportPresets: { formatPresets, reportStyles } });
+            return get().reportPresets;
+          } catch (error) {
+            console.error('Failed to load report presets:', error);
+            return null;
+          }
         },
 
         // Load available AI services
@@ -295,7 +444,7 @@ const useWorkflowStore = create(
           setIsLoadingServices(true);
           addLog('Fetching available AI services...');
           try {
-            const services = await apiGetServices();
+            const { services } = await apiGetServices();
             setAvailableServices(services || []);
             addLog(`Found ${services?.length || 0} services.`);
           } catch (error) {
@@ -307,220 +456,12 @@ const useWorkflowStore = create(
           }
         },
 
-        // Workflow execution
-        runWorkflow: async (startNodeId) => {
-          const {
-            nodes,
-            edges,
-            setIsRunning,
-            setNodeData,
-            getConnectedInputData,
-            addLog,
-            clearLogs,
-            setIsLogPanelOpen,
-            setNodeRuntimeData,
-            setNodeExecutionState,
-            clearNodeExecutionStates
-          } = get();
-          
-          // Default to first trigger node or first node if startNodeId is missing
-          if (!startNodeId) {
-            const triggerNode = nodes.find(n => n.type === 'trigger');
-            const firstNode = nodes[0];
-            startNodeId = triggerNode?.id || firstNode?.id;
-            
-            if (!startNodeId) {
-              addLog('❌ Error: No nodes found in workflow');
-              return;
-            }
-            
-            addLog(`🎯 Auto-selected start node: ${startNodeId} (${triggerNode ? 'trigger' : 'first available'})`);
-          }
-          
-          clearLogs();
-          clearNodeExecutionStates();
-          setIsLogPanelOpen(true);
-          
-          const workflowStartTime = Date.now();
-          addLog(`🚀 Workflow execution started from node ${startNodeId}`);
-          addLog(`📊 Total nodes: ${nodes.length}, Total edges: ${edges.length}`);
-          addLog(`⏱️  Execution started at ${new Date().toLocaleTimeString()}`);
-          
-          setIsRunning(true);
-          set({ nodeRuntimeData: {} });
-
-          const executionQueue = [startNodeId];
-          const executedNodes = new Set();
-          const nodeTimeouts = new Map(); // Track timeouts per node type
-
-          // Configure timeouts per node type (in milliseconds)
-          const TIMEOUTS = {
-            'ai': 30000,        // 30s for AI inference
-            'googleSheets': 15000, // 15s for Google Sheets operations
-            'httpRequest': 10000,  // 10s for HTTP requests
-            'logic': 5000,         // 5s for logic execution
-            'default': 8000        // 8s default timeout
-          };
-
-          while (executionQueue.length > 0) {
-            const currentNodeId = executionQueue.shift();
-            if (executedNodes.has(currentNodeId)) continue;
-
-            const node = nodes.find((n) => n.id === currentNodeId);
-            if (!node) {
-              addLog(`❌ Error: Node ${currentNodeId} not found`);
-              continue;
-            }
-            
-            const nodeStartTime = Date.now();
-            const nodeLabel = node.data.label || node.id;
-            const nodeType = node.type;
-            
-            setNodeExecutionState(currentNodeId, 'running');
-            addLog(`▶️  [${currentNodeId}] Starting execution: "${nodeLabel}" (type: ${nodeType})`);
-            
-            const inputData = getConnectedInputData(node.id);
-            if (Object.keys(inputData).length > 0) {
-              addLog(`📥 [${currentNodeId}] Input data: ${JSON.stringify(inputData).substring(0, 100)}${JSON.stringify(inputData).length > 100 ? '...' : ''}`);
-            } else {
-              addLog(`📥 [${currentNodeId}] No input data`);
-            }
-            
-            let outputData = null;
-            const timeout = TIMEOUTS[nodeType] || TIMEOUTS.default;
-
-            try {
-              switch (node.type) {
-                case 'trigger':
-                  addLog(`🔔 [${currentNodeId}] Executing trigger...`);
-                  if (node.data.type === 'manual') {
-                    outputData = { trigger: 'manual', timestamp: new Date().toISOString() };
-                    addLog(`✅ [${currentNodeId}] Manual trigger fired`);
-                  }
-                  break;
-                
-                case 'googleSheets':
-                  const config = node.data;
-                  const token = localStorage.getItem('google_access_token');
-                  if (config.operation === 'read' && token) {
-                    addLog(`📊 [${currentNodeId}] Reading from Google Sheet: ${config.selectedSheet}`);
-                    
-                    const spreadsheetId = config.selectedSpreadsheet;
-                    const range = config.range || 'A1:Z100';
-                    const sheetName = config.selectedSheet || 'Sheet1';
-                    
-                    const sheetsOperation = fetch(
-                      `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetName}!${range}`,
-                      {
-                        headers: {
-                          'Authorization': `Bearer ${token}`,
-                          'Content-Type': 'application/json'
-                        }
-                      }
-                    );
-                    
-                    const response = await withTimeout(sheetsOperation, timeout, `Google Sheets read for node ${currentNodeId}`);
-                    
-                    if (response.ok) {
-                      const data = await response.json();
-                      outputData = {
-                        operation: 'read',
-                        values: data.values || [],
-                        range: data.range,
-                        success: true
-                      };
-                      addLog(`✅ [${currentNodeId}] Successfully read ${outputData?.values?.length || 0} rows from Google Sheet`);
-                    } else {
-                      const errorText = await response.text();
-                      addLog(`❌ [${currentNodeId}] Failed to read from Google Sheet: ${response.statusText} - ${errorText}`);
-                    }
-                  } else {
-                    addLog(`⚠️  [${currentNodeId}] Google Sheets: Missing token or invalid operation`);
-                  }
-                  break;
-
-                case 'logic':
-                  if (node.data.config?.type === 'transform' && node.data.config?.script) {
-                    addLog(`🧠 [${currentNodeId}] Executing JavaScript logic...`);
-                    const logicOperation = executeLogic(node.data.config.script, inputData);
-                    const result = await withTimeout(logicOperation, timeout, `Logic execution for node ${currentNodeId}`);
-                    outputData = result;
-                    addLog(`✅ [${currentNodeId}] JavaScript execution completed, output type: ${typeof result}`);
-                  }
-                  break;
-
-                case 'ai':
-                  const aiConfig = node.data.config;
-                  if (aiConfig?.providerAddress && aiConfig?.prompt) {
-                    addLog(`🤖 [${currentNodeId}] Starting AI inference with provider: ${aiConfig.providerAddress}`);
-                    const prompt = Object.values(inputData).reduce(
-                      (p, data) => p.replace(/\{\{.*\}\}/, JSON.stringify(data)),
-                      aiConfig.prompt
-                    );
-                    addLog(`📝 [${currentNodeId}] Prompt: ${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}`);
-
-                    const aiOperation = apiInference(
-                      aiConfig.providerAddress,
-                      prompt,
-                      '0x0000000000000000000000000000000000000000'
-                    );
-                    
-                    outputData = await withTimeout(aiOperation, timeout, `AI inference for node ${currentNodeId}`);
-                    addLog(`✅ [${currentNodeId}] AI inference completed successfully`);
-                  } else {
-                    addLog(`⚠️  [${currentNodeId}] AI node: Missing provider address or prompt`);
-                  }
-                  break;
-                  
-                default:
-                  addLog(`⚠️  [${currentNodeId}] Unknown node type: ${node.type}`);
-              }
-
-              const executionTime = formatExecutionTime(nodeStartTime);
-              
-              if (outputData) {
-                setNodeData(node.id, outputData); // For display on node
-                setNodeRuntimeData(node.id, outputData); // For passing to next nodes
-                addLog(`📤 [${currentNodeId}] Output generated (${executionTime}): ${JSON.stringify(outputData).substring(0, 100)}${JSON.stringify(outputData).length > 100 ? '...' : ''}`);
-              } else {
-                addLog(`📤 [${currentNodeId}] No output generated (${executionTime})`);
-              }
-              
-              setNodeExecutionState(currentNodeId, 'completed');
-              executedNodes.add(node.id);
-
-              const outgoingEdges = edges.filter((e) => e.source === currentNodeId);
-              if (outgoingEdges.length > 0) {
-                addLog(`🔗 [${currentNodeId}] Queuing ${outgoingEdges.length} downstream node(s): ${outgoingEdges.map(e => e.target).join(', ')}`);
-                outgoingEdges.forEach((edge) => {
-                  if (!executedNodes.has(edge.target)) {
-                    executionQueue.push(edge.target);
-                    setNodeExecutionState(edge.target, 'pending');
-                  }
-                });
-              } else {
-                addLog(`🏁 [${currentNodeId}] No downstream nodes, execution path complete`);
-              }
-
-            } catch (error) {
-              const executionTime = formatExecutionTime(nodeStartTime);
-              setNodeExecutionState(currentNodeId, 'error');
-              addLog(`❌ [${currentNodeId}] Error after ${executionTime}: ${error.message}`);
-              console.error(`Error executing node ${node.id}:`, error);
-              setIsRunning(false);
-              return; // Stop execution on error
-            }
-          }
-
-          const totalExecutionTime = formatExecutionTime(workflowStartTime);
-          setIsRunning(false);
-          addLog(`🎉 Workflow execution finished successfully in ${totalExecutionTime}`);
-          addLog(`📈 Executed ${executedNodes.size} node(s) total`);
-        },
-
-        // Workflow persistence
+        // Workflow persistence: the file goes to 0G Storage (its root hash is
+        // what agents are minted from), then the workflow is submitted to the
+        // backend, which registers its schedule, webhook and event triggers.
+        // Saving again keeps the backend workflow id.
         saveWorkflow: async () => {
-          const { nodes, edges, addLog, setLastWorkflowHash } = get();
+          const { nodes, edges, workflowId, executionConcurrency, addLog, setLastWorkflowHash, setWorkflowId } = get();
           addLog('Saving workflow to 0G Storage...');
           const workflow = {
             nodes,
@@ -534,6 +475,9 @@ const useWorkflowStore = create(
           };
 
           try {
+            // The backend workflow belongs to the signed-in wallet
+            await ensureSession();
+
             // Create a file blob from the workflow JSON
             const workflowBlob = new Blob([JSON.stringify(workflow, null, 2)], {
               type: 'application/json'
@@ -557,6 +501,14 @@ const useWorkflowStore = create(
               setLastWorkflowHash(rootHash);
               
               addLog(`Workflow saved! Root Hash: ${rootHash}`);
+
+              const submitted = await apiRequest('/api/workflow/submit', 'POST', {
+                workflow: { ...workflow, id: workflowId || undefined, settings: { concurrency: executionConcurrency } },
+                storageRootHash: rootHash
+              });
+              if (submitted.workflowId !== workflowId) setWorkflowId(submitted.workflowId);
+              addLog(`Workflow registered on the backend: ${submitted.workflowId}`);
+
               // Return the root hash so callers (UI) can show a modal
               return rootHash;
             } else {
@@ -663,6 +615,9 @@ const useWorkflowStore = create(
         partialize: (state) => ({
           nodes: state.nodes,
           edges: state.edges,
+          workflowId: state.workflowId,
+          runHistory: state.runHistory,
+          executionConcurrency: state.executionConcurrency,
         }),
       }
     )